@@ -0,0 +1,84 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const path = require('path');
+const Typed = require('../index');
+
+// compare the interpreted schema functions against the compiled functions, and against the interpreted functions
+// of another copy of the library, like an install of the previous release, if its path is given
+const iterations = parseInt(process.argv[2], 10) || 20000;
+const Baseline = process.argv[3] ? require(path.resolve(process.argv[3])) : null;
+
+const config = {
+    type: Object,
+    properties: {
+        id: { type: Number, integer: true, min: 1, required: true },
+        name: { type: String, minLength: 1, maxLength: 50, required: true },
+        email: { type: String, pattern: /^[^@]+@[^@]+$/ },
+        roles: { type: Array, uniqueItems: true, schema: { type: String, enum: ['admin', 'user', 'guest'] } },
+        address: {
+            type: Object,
+            properties: {
+                street: { type: String },
+                zip: { type: 'one-of', oneOf: [{ type: Number, integer: true }, { type: String, pattern: /^\d{5}$/ }] }
+            }
+        },
+        active: { type: Boolean, default: true }
+    }
+};
+const schema = Typed(config);
+const compiled = schema.compile();
+const baseline = Baseline ? Baseline(config) : null;
+
+const valid = {
+    id: 42,
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    roles: ['admin', 'user'],
+    address: { street: '1 Main St', zip: '84602' }
+};
+const invalid = {
+    id: 4.2,
+    name: '',
+    roles: ['admin', 'root'],
+    address: { zip: true }
+};
+
+function measure(name, fn) {
+    for (let i = 0; i < 1000; i++) fn();    // warm up
+    const start = process.hrtime();
+    for (let i = 0; i < iterations; i++) fn();
+    const diff = process.hrtime(start);
+    const ms = diff[0] * 1e3 + diff[1] / 1e6;
+    return { name: name, ms: ms, ops: Math.round(iterations / ms * 1000) };
+}
+
+function report(title, run) {
+    const interpreted = measure('interpreted', () => run(schema));
+    const fast = measure('compiled', () => run(compiled));
+    console.log(title);
+    console.log('  interpreted: ' + interpreted.ops + ' ops/sec');
+    console.log('  compiled:    ' + fast.ops + ' ops/sec (' + (interpreted.ms / fast.ms).toFixed(1) + 'x)');
+    if (baseline) {
+        const other = measure('baseline', () => run(baseline));
+        console.log('  baseline:    ' + other.ops + ' ops/sec (interpreted is ' + (other.ms / interpreted.ms).toFixed(1) + 'x)');
+    }
+}
+
+report('error (valid value)', s => s.error(valid));
+report('error (invalid value)', s => s.error(invalid));
+report('normalize', s => s.normalize(Object.assign({}, valid)));
@@ -0,0 +1,125 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const FullyTyped            = require('./fully-typed');
+const util                  = require('./util');
+
+module.exports = TypedAllOf;
+
+/**
+ * Create a TypedAllOf instance.
+ * @param {object} config
+ * @returns {TypedAllOf}
+ * @augments Typed
+ * @constructor
+ */
+function TypedAllOf (config) {
+    const allOf = this;
+
+    // validate allOf
+    if (!config.hasOwnProperty('allOf')) {
+        throw util.configError(util.configMessage(allOf.FullyTyped, 'config.missing', {
+            expected: util.configMessage(allOf.FullyTyped, 'config.schemaArray'),
+            property: 'allOf',
+            type: 'all-of'
+        }));
+    }
+    if (!Array.isArray(config.allOf) || config.allOf.filter(v => !v || typeof v !== 'object').length) {
+        throw util.configError(util.propertyErrorMessage(allOf.FullyTyped, 'allOf', config.allOf, 'config.schemaArray'));
+    }
+
+    // create each unique schema
+    const hashes = {};
+    const schemas = config.allOf
+        .map(item => allOf.FullyTyped(item))
+        .filter(schema => {
+            const hash = schema.hash();
+            if (hashes[hash]) return false;
+            hashes[hash] = true;
+            return true;
+        });
+
+    // define properties
+    Object.defineProperties(allOf, {
+
+        allOf: {
+            /**
+             * @property
+             * @name TypedAllOf#allOf
+             * @type {object}
+             */
+            value: schemas,
+            writable: false
+        }
+
+    });
+
+    return allOf;
+}
+
+TypedAllOf.prototype.coerce = function(value, context) {
+    return this.allOf.reduce((value, schema) => schema.coerceValue(value, context), value);
+};
+
+TypedAllOf.prototype.error = function(value, prefix, context) {
+    const length = this.allOf.length;
+    const errors = [];
+    for (let i = 0; i < length && isIncomplete(errors, context); i++) {
+        this.allOf[i].errors(value, context).forEach(err => errors.push(err));
+    }
+    return util.errorResult(errors, prefix, context);
+};
+
+TypedAllOf.prototype.errorAsync = function(value, prefix, context) {
+    return Promise.all(this.allOf.map(schema => schema.errorsAsync(value, context)))
+        .then(function(branches) {
+
+            // report the same errors as the synchronous check
+            const errors = [];
+            const length = branches.length;
+            for (let i = 0; i < length && isIncomplete(errors, context); i++) {
+                branches[i].forEach(err => errors.push(err));
+            }
+            return util.errorResult(errors, prefix, context);
+        });
+};
+
+TypedAllOf.prototype.normalize = function(value) {
+    return this.allOf.reduce((value, schema) => schema.normalize(value), value);
+};
+
+TypedAllOf.prototype.normalizeAsync = function(value) {
+    return this.allOf.reduce((promise, schema) => promise.then(v => schema.normalizeAsync(v)), Promise.resolve(value));
+};
+
+TypedAllOf.register = {
+    aliases: ['all-of', FullyTyped.AllOf],
+    dependencies: [],
+    options: {
+        allOf: { type: Array, minItems: 1, schema: { type: Object, allowNull: false } }
+    }
+};
+
+
+
+/**
+ * Determine whether the remaining schemas should be checked. Once a schema finds that the value has the wrong type
+ * the remaining schemas would only report more of the same.
+ */
+function isIncomplete(errors, context) {
+    return util.keepChecking(errors, context) && !util.hasTypeError(errors, context.path.length);
+}
\ No newline at end of file
@@ -15,7 +15,6 @@
  *    limitations under the License.
  **/
 'use strict';
-const FullyTyped            = require('./fully-typed');
 const util                  = require('./util');
 
 module.exports = TypedArray;
@@ -32,17 +31,17 @@ function TypedArray (config) {
 
     // validate min items
     if (config.hasOwnProperty('minItems') && (!util.isInteger(config.minItems) || config.minItems < 0)) {
-        throw Error('Invalid configuration value for property: minItems. Must be an integer that is greater than or equal to zero. Received: ' + config.minItems);
+        throw util.configError(util.propertyErrorMessage(array.FullyTyped, 'minItems', config.minItems, 'config.zeroOrMore'));
     }
     const minItems = config.hasOwnProperty('minItems') ? config.minItems : 0;
 
     // validate max items
     if (config.hasOwnProperty('maxItems') && (!util.isInteger(config.maxItems) || config.maxItems < minItems)) {
-        throw Error('Invalid configuration value for property: maxItems. Must be an integer that is greater than or equal to the minItems. Received: ' + config.maxItems);
+        throw util.configError(util.propertyErrorMessage(array.FullyTyped, 'maxItems', config.maxItems, 'config.maxItems'));
     }
 
     // validate schema
-    if (config.hasOwnProperty('schema')) config.schema = FullyTyped(config.schema);
+    if (config.hasOwnProperty('schema')) config.schema = array.FullyTyped(config.schema);
 
     // define properties
     Object.defineProperties(array, {
@@ -92,59 +91,104 @@ function TypedArray (config) {
     return array;
 }
 
-TypedArray.prototype.error = function(value, prefix) {
+TypedArray.prototype.coerce = function(value, context) {
+    if (value === undefined || value === null) return value;
 
-    if (!Array.isArray(value)) {
-        return prefix + util.valueErrorMessage(value, 'Expected an array.');
-    }
+    // a single value becomes an array with one item
+    const array = Array.isArray(value) ? value : util.coerced(context, value, [ value ]);
+    if (!Array.isArray(array)) return array;
+    const schema = this.schema;
+    return schema ? array.map((v, i) => schema.coerceValue(v, util.childContext(context, i))) : array;
+};
 
-    if (typeof this.maxItems !== 'undefined' && value.length > this.maxItems) {
-        return prefix + 'Invalid array length. Must contain at most ' + this.maxItems + ' items. Contains ' + value.length;
-    }
+TypedArray.prototype.error = function(value, prefix, context) {
+    const errors = getValueErrors(this, value, context);
 
-    if (typeof this.minItems !== 'undefined' && value.length < this.minItems) {
-        return prefix + 'Invalid array length. Must contain at least ' + this.minItems + ' items. Contains ' + value.length;
+    if (Array.isArray(value) && this.schema && util.keepChecking(errors, context)) {
+        const schema = this.schema;
+        for (let i = 0; i < value.length; i++) {
+            const result = util.childErrors(schema, value[i], context, i);
+            for (let j = 0; j < result.length; j++) errors.push(result[j]);
+        }
     }
 
-    if (this.uniqueItems) {
-        const map = new Map();
-        const duplicates = [];
-        value.forEach(function(v, i) {
-            if (!map.has(v)) {
-                map.set(v, [i]);
-            } else {
-                const store = map.get(v);
-                if (store.length === 1) duplicates.push(store);
-                store.push(i);
-            }
-        });
-        if (duplicates.length > 0) {
-            return prefix + 'Invalid array. All items must be unique. Duplicates found at indexes: [ ' + duplicates.join('], [') + ' ]';
-        }
+    return util.errorResult(errors, prefix, context);
+};
+
+TypedArray.prototype.errorAsync = function(value, prefix, context) {
+    const errors = getValueErrors(this, value, context);
+    if (!Array.isArray(value) || !this.schema || !util.keepChecking(errors, context)) {
+        return Promise.resolve(util.errorResult(errors, prefix, context));
     }
 
-    if (this.schema) {
-        const errors = [];
-        const schema = this.schema;
-        value.forEach(function(v, i) {
-            const err = schema.error(v, 'At index ' + i + ': ');
-            if (err) errors.push(err);
+    const schema = this.schema;
+    return Promise.all(value.map((v, i) => schema.errorsAsync(v, util.childContext(context, i))))
+        .then(function(results) {
+            results.forEach(list => list.forEach(err => errors.push(err)));
+            return util.errorResult(errors, prefix, context);
         });
-        if (errors.length > 0) {
-            const count = errors.length === 1 ? 'One error' : 'Multiple errors';
-            return prefix + count + ' with items in the array:\n  ' + errors.join('\n  ');
-        }
-    }
-    
-    return null;
 };
 
 TypedArray.prototype.normalize = function(value) {
     const schema = this.schema;
-    return value.map(v => schema.normalize(v));
+    return schema ? value.map(v => schema.normalize(v)) : value;
+};
+
+TypedArray.prototype.normalizeAsync = function(value) {
+    const schema = this.schema;
+    return schema ? Promise.all(value.map(v => schema.normalizeAsync(v))) : value;
 };
 
 TypedArray.register = {
     aliases: ['array', Array],
-    dependencies: []
-};
\ No newline at end of file
+    dependencies: [],
+    options: {
+        maxItems: { type: Number, integer: true, min: 0 },
+        minItems: { type: Number, integer: true, min: 0 },
+        schema: { type: Object, allowNull: false },
+        uniqueItems: { type: Boolean }
+    }
+};
+
+
+
+function getValueErrors(array, value, context) {
+    if (!Array.isArray(value)) return [ util.typeError(context, value, 'array', 'array.type') ];
+
+    const errors = [];
+
+    if (typeof array.maxItems !== 'undefined' && value.length > array.maxItems) {
+        errors.push(util.violation(context, {
+            code: util.errors.max.code,
+            constraint: 'maxItems',
+            expected: array.maxItems,
+            message: util.message(context, 'array.maxItems', { length: value.length, maxItems: array.maxItems }),
+            value: value
+        }));
+    }
+
+    if (util.keepChecking(errors, context) && typeof array.minItems !== 'undefined' && value.length < array.minItems) {
+        errors.push(util.violation(context, {
+            code: util.errors.min.code,
+            constraint: 'minItems',
+            expected: array.minItems,
+            message: util.message(context, 'array.minItems', { length: value.length, minItems: array.minItems }),
+            value: value
+        }));
+    }
+
+    if (util.keepChecking(errors, context) && array.uniqueItems) {
+        const duplicates = util.getDuplicates(value);
+        if (duplicates.length > 0) {
+            errors.push(util.violation(context, {
+                code: util.errors.unique.code,
+                constraint: 'uniqueItems',
+                expected: true,
+                message: util.message(context, 'array.uniqueItems', { duplicates: '[ ' + duplicates.join('], [') + ' ]' }),
+                value: value
+            }));
+        }
+    }
+
+    return errors;
+}
\ No newline at end of file
@@ -17,6 +17,8 @@
 'use strict';
 const util                  = require('./util');
 
+const booleans = { 'true': true, 'false': false, '1': true, '0': false };
+
 module.exports = TypedBoolean;
 
 /**
@@ -47,13 +49,18 @@ function TypedBoolean (config) {
     return boolean;
 }
 
-TypedBoolean.prototype.error = function (value, prefix) {
+TypedBoolean.prototype.coerce = function (value, context) {
+    return typeof value === 'string' && booleans.hasOwnProperty(value) ? util.coerced(context, value, booleans[value]) : value;
+};
+
+TypedBoolean.prototype.error = function (value, prefix, context) {
+    const errors = [];
 
     if (this.strict && typeof value !== 'boolean') {
-        return prefix + util.valueErrorMessage(value, 'Expected a boolean.');
+        errors.push(util.typeError(context, value, 'boolean', 'boolean.type'));
     }
 
-    return null;
+    return util.errorResult(errors, prefix, context);
 };
 
 TypedBoolean.prototype.normalize = function (value) {
@@ -62,5 +69,8 @@ TypedBoolean.prototype.normalize = function (value) {
 
 TypedBoolean.register = {
     aliases: ['boolean', Boolean],
-    dependencies: []
+    dependencies: [],
+    options: {
+        strict: { type: Boolean }
+    }
 };
\ No newline at end of file
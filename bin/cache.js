@@ -0,0 +1,177 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Schema                = require('./schema');
+const util                  = require('./util');
+
+module.exports = Cache;
+
+/**
+ * Create a store that shares one frozen schema between identical configurations. The store starts disabled.
+ * @returns {Cache}
+ * @constructor
+ */
+function Cache() {
+    const factory = Object.create(Cache.prototype);
+    const ids = new WeakMap();
+    const symbols = new Map();
+    const store = new Map();
+    let enabled = false;
+    let hits = 0;
+    let misses = 0;
+    let nextId = 0;
+
+    /**
+     * Remove all cached schemas and reset the statistics.
+     * @name Cache#clear
+     */
+    factory.clear = function() {
+        store.clear();
+        hits = 0;
+        misses = 0;
+    };
+
+    /**
+     * Stop sharing schemas and remove all cached schemas.
+     * @name Cache#disable
+     */
+    factory.disable = function() {
+        enabled = false;
+        factory.clear();
+    };
+
+    /**
+     * Start sharing schemas between identical configurations.
+     * @name Cache#enable
+     */
+    factory.enable = function() {
+        enabled = true;
+    };
+
+    /**
+     * Get the cached schema for a configuration, creating and caching it if needed. Configurations with references
+     * are not cached because a reference depends on the definitions that are in scope.
+     * @name Cache#get
+     * @param {object} config The schema configuration.
+     * @param {ControllerData} data The controller data for the configuration's type.
+     * @param {function} create The function that creates the schema.
+     * @returns {Schema}
+     */
+    factory.get = function(config, data, create) {
+        if (!enabled) return create();
+
+        const prepared = prepare(config);
+        if (prepared === undefined) return create();
+
+        // controller data is part of the key so that schemas are never shared between controller registries
+        const key = id(data) + ':' + JSON.stringify(prepared);
+        if (store.has(key)) {
+            hits++;
+            return store.get(key);
+        }
+
+        misses++;
+        const schema = freeze(create());
+        store.set(key, schema);
+        return schema;
+    };
+
+    /**
+     * Get the number of cached schemas and how often a schema was found in the cache.
+     * @name Cache#stats
+     * @returns {{ enabled: boolean, hits: number, misses: number, size: number }}
+     */
+    factory.stats = function() {
+        return {
+            enabled: enabled,
+            hits: hits,
+            misses: misses,
+            size: store.size
+        };
+    };
+
+    /**
+     * Get a unique identifier for an object, function, or symbol.
+     */
+    function id(value) {
+        const map = typeof value === 'symbol' ? symbols : ids;
+        if (!map.has(value)) map.set(value, ++nextId);
+        return map.get(value);
+    }
+
+    /**
+     * Convert a configuration into a value that can be stringified into the cache key. Returns undefined if the
+     * configuration cannot be cached.
+     */
+    function prepare(value) {
+        if (Array.isArray(value)) {
+            const result = [];
+            for (let i = 0; i < value.length; i++) {
+                const item = prepare(value[i]);
+                if (item === undefined) return;
+                result.push(item);
+            }
+            return result;
+        }
+
+        if (util.isPlainObject(value)) {
+            if (value.hasOwnProperty('$ref')) return;
+            const result = {};
+            const keys = Object.keys(value).sort();
+            for (let i = 0; i < keys.length; i++) {
+                const item = prepare(value[keys[i]]);
+                if (item === undefined) return;
+                result[keys[i]] = item;
+            }
+            return result;
+        }
+
+        if (value instanceof Date) return 'd:' + value.getTime();
+        if (value instanceof RegExp) return 'r:' + value.toString();
+
+        switch (typeof value) {
+            case 'boolean':
+                return 'b:' + value;
+            case 'number':
+                return 'n:' + value;
+            case 'string':
+                return 's:' + value;
+            case 'undefined':
+                return 'u';
+            default:
+                // functions, symbols, schemas, and other objects are only the same if they are the same instance
+                return value === null ? 'null' : 'i:' + id(value);
+        }
+    }
+
+    return factory;
+}
+
+/**
+ * Freeze a schema along with its enum and default values, properties, and other own arrays and plain objects, so
+ * that a change made through one handle to a cached schema cannot reach the others.
+ */
+function freeze(value) {
+    if (Object.isFrozen(value)) return value;
+    Object.freeze(value);
+    Object.getOwnPropertyNames(value).forEach(function(key) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        const item = descriptor.value;
+        if (Array.isArray(item) || util.isPlainObject(item) || item instanceof Schema) freeze(item);
+    });
+    return value;
+}
\ No newline at end of file
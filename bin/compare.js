@@ -0,0 +1,374 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Schema                = require('./schema');
+const util                  = require('./util');
+
+// configuration keys that are compared by a parent schema or that hold the nested schemas being walked
+const structural = ['$ref', '_extension_', 'allOf', 'definitions', 'not', 'oneOf', 'properties', 'required', 'schema', 'type'];
+
+// the keywords that each controller compares, keyed by alias
+const comparators = {
+    'all-of': {
+        keywords: [],
+        compare: function(a, b, path, state) {
+            compareList(a.allOf, b.allOf, path, 'allOf', true, state);
+        }
+    },
+    array: {
+        keywords: ['maxItems', 'minItems', 'uniqueItems'],
+        compare: function(a, b, path, state) {
+            compareLimit(state, path, 'maxItems', a.maxItems, b.maxItems, true);
+            compareLimit(state, path, 'minItems', a.minItems, b.minItems, false);
+            compareFlag(state, path, 'uniqueItems', a.uniqueItems, b.uniqueItems, true);
+            compareNested(a.schema, b.schema, path + '/schema', 'schema', state);
+        }
+    },
+    boolean: {
+        keywords: ['strict'],
+        compare: function(a, b, path, state) {
+            compareFlag(state, path, 'strict', a.strict, b.strict, true);
+        }
+    },
+    date: {
+        keywords: ['max', 'min'],
+        compare: function(a, b, path, state) {
+            compareLimit(state, path, 'max', a.max, b.max, true);
+            compareLimit(state, path, 'min', a.min, b.min, false);
+        }
+    },
+    function: {
+        keywords: ['constructable', 'kind', 'maxArguments', 'minArguments', 'named', 'parameters'],
+        compare: function(a, b, path, state) {
+            if (a.constructable !== b.constructable) {
+                const message = b.constructable === undefined ? 'Removed constructable.' : 'Changed constructable to ' + b.constructable + '.';
+                change(state, path, 'constructable', b.constructable !== undefined, message, a.constructable, b.constructable);
+            }
+            compareKind(a, b, path, state);
+            compareLimit(state, path, 'maxArguments', a.maxArguments, b.maxArguments, true);
+            compareLimit(state, path, 'minArguments', a.minArguments || undefined, b.minArguments || undefined, false);
+            compareFlag(state, path, 'named', a.named, b.named, true);
+            compareParameters(a, b, path, state);
+        }
+    },
+    not: {
+        keywords: [],
+        compare: function(a, b, path, state) {
+            if (a.not.hash() !== b.not.hash()) {
+                change(state, path, 'not', true, 'Changed the schema that values must not pass.', a.not.config, b.not.config);
+            }
+        }
+    },
+    number: {
+        keywords: ['exclusiveMax', 'exclusiveMin', 'integer', 'max', 'min'],
+        compare: function(a, b, path, state) {
+            compareLimit(state, path, 'max', a.max, b.max, true, a.exclusiveMax, b.exclusiveMax);
+            compareLimit(state, path, 'min', a.min, b.min, false, a.exclusiveMin, b.exclusiveMin);
+            compareFlag(state, path, 'integer', a.integer, b.integer, true);
+        }
+    },
+    object: {
+        keywords: ['allowNull', 'clean'],
+        compare: function(a, b, path, state) {
+            compareFlag(state, path, 'allowNull', a.allowNull, b.allowNull, false);
+            compareFlag(state, path, 'clean', a.clean, b.clean, true);
+            compareProperties(a, b, path, state);
+            compareNested(a.schema, b.schema, path + '/schema', 'schema', state);
+        }
+    },
+    'one-of': {
+        keywords: [],
+        compare: function(a, b, path, state) {
+            compareList(a.oneOf, b.oneOf, path, 'oneOf', false, state);
+        }
+    },
+    string: {
+        keywords: ['maxLength', 'minLength', 'pattern'],
+        compare: function(a, b, path, state) {
+            compareLimit(state, path, 'maxLength', a.maxLength, b.maxLength, true);
+            compareLimit(state, path, 'minLength', a.minLength || undefined, b.minLength || undefined, false);
+            comparePattern(a, b, path, state);
+        }
+    },
+    typed: {
+        keywords: ['allErrors', 'coerce', 'default', 'enum', 'errorMessages', 'transform', 'validator'],
+        compare: function(a, b, path, state) {
+            compareEnum(a, b, path, state);
+            if (a.validator !== b.validator) {
+                const message = !a.validator ? 'Added a validator.' : !b.validator ? 'Removed the validator.' : 'Changed the validator.';
+                change(state, path, 'validator', !!b.validator, message, a.validator, b.validator);
+            }
+            compareFlag(state, path, 'coerce', a.coerce, b.coerce, false);
+            if (a.transform !== b.transform) {
+                change(state, path, 'transform', false, 'Changed the transform. Normalized values may differ.', a.transform, b.transform);
+            }
+            if (a.hasDefault !== b.hasDefault || !util.same(a.default, b.default)) {
+                change(state, path, 'default', false, 'Changed the default value.', a.default, b.default);
+            }
+            compareFlag(state, path, 'allErrors', a.allErrors, b.allErrors, null);
+            if (!util.same(a.errorMessages, b.errorMessages)) {
+                change(state, path, 'errorMessages', false, 'Changed the error messages.', a.errorMessages, b.errorMessages);
+            }
+        }
+    }
+};
+
+/**
+ * Compare two versions of a schema and get each change between them. A change is breaking if the new schema can
+ * reject a value that the old schema accepts.
+ * @param {Schema} oldSchema
+ * @param {Schema} newSchema
+ * @returns {{ breaking: boolean, changes: { path: string, keyword: string, breaking: boolean, message: string, from: *, to: * }[] }}
+ */
+exports.compare = function(oldSchema, newSchema) {
+    if (!(oldSchema instanceof Schema) || !(newSchema instanceof Schema)) {
+        throw Error('Unable to compare. Expected two schemas. Received: ' + oldSchema + ' and ' + newSchema);
+    }
+
+    const state = {
+        changes: [],
+        comparators: new Map(),
+        visited: new Map()
+    };
+
+    Object.keys(comparators).forEach(function(alias) {
+        [oldSchema, newSchema].forEach(function(schema) {
+            const data = schema.FullyTyped.controllers.get(alias);
+            if (data) state.comparators.set(data.controller, comparators[alias]);
+        });
+    });
+
+    compareSchemas(oldSchema, newSchema, '#', state);
+    return {
+        breaking: state.changes.some(item => item.breaking),
+        changes: state.changes
+    };
+};
+
+
+
+function change(state, path, keyword, breaking, message, from, to) {
+    state.changes.push({ path: path, keyword: keyword, breaking: !!breaking, message: message, from: from, to: to });
+}
+
+/**
+ * Report configuration keys that no comparator knows about, like those of plugin types, if they changed.
+ */
+function compareConfig(a, b, path, keywords, state) {
+    const configA = a.config;
+    const configB = b.config;
+    const keys = Object.keys(configA);
+    Object.keys(configB).forEach(key => {
+        if (keys.indexOf(key) === -1) keys.push(key);
+    });
+    keys
+        .filter(key => structural.indexOf(key) === -1 && keywords.indexOf(key) === -1)
+        .forEach(function(key) {
+            if (!util.same(configA[key], configB[key])) {
+                change(state, path, key, true, 'Changed ' + key + '. The effect of this change is unknown.', configA[key], configB[key]);
+            }
+        });
+}
+
+function compareEnum(a, b, path, state) {
+    if (!a.enum && !b.enum) return;
+    if (!b.enum) return change(state, path, 'enum', false, 'Removed the enum.', a.enum, b.enum);
+    if (!a.enum) return change(state, path, 'enum', true, 'Added an enum.', a.enum, b.enum);
+
+    const removed = a.enum.filter(value => b.enum.indexOf(value) === -1);
+    const added = b.enum.filter(value => a.enum.indexOf(value) === -1);
+    if (removed.length > 0) {
+        change(state, path, 'enum', true, 'Removed enum values: ' + removed.map(String).join(', '), removed, undefined);
+    }
+    if (added.length > 0) {
+        change(state, path, 'enum', false, 'Added enum values: ' + added.map(String).join(', '), undefined, added);
+    }
+}
+
+/**
+ * Report a boolean option that changed.
+ * @param {object} state
+ * @param {string} path
+ * @param {string} keyword
+ * @param {boolean} from
+ * @param {boolean} to
+ * @param {boolean,null} breakingWhen The value that makes the change breaking, or null if it is never breaking.
+ */
+function compareFlag(state, path, keyword, from, to, breakingWhen) {
+    if (!!from === !!to) return;
+    change(state, path, keyword, !!to === breakingWhen, (to ? 'Enabled ' : 'Disabled ') + keyword + '.', !!from, !!to);
+}
+
+function compareKind(a, b, path, state) {
+    if (!a.kind && !b.kind) return;
+    if (!b.kind) return change(state, path, 'kind', false, 'Removed kind.', a.kind, b.kind);
+    if (!a.kind) return change(state, path, 'kind', true, 'Added kind: ' + b.kind.join(', '), a.kind, b.kind);
+
+    const removed = a.kind.filter(kind => b.kind.indexOf(kind) === -1);
+    const added = b.kind.filter(kind => a.kind.indexOf(kind) === -1);
+    if (removed.length > 0) change(state, path, 'kind', true, 'Removed kinds: ' + removed.join(', '), removed, undefined);
+    if (added.length > 0) change(state, path, 'kind', false, 'Added kinds: ' + added.join(', '), undefined, added);
+}
+
+/**
+ * Report a maximum or minimum that changed. An absent limit is undefined or NaN.
+ */
+function compareLimit(state, path, keyword, from, to, upper, exclusiveFrom, exclusiveTo) {
+    const hasFrom = from !== undefined && !isNaN(from);
+    const hasTo = to !== undefined && !isNaN(to);
+    if (!hasFrom && !hasTo) return;
+
+    if (!hasTo) return change(state, path, keyword, false, 'Removed ' + keyword + '.', from, undefined);
+    if (!hasFrom) return change(state, path, keyword, true, 'Added ' + keyword + ' of ' + display(to) + '.', undefined, to);
+
+    const a = Number(from);
+    const b = Number(to);
+    if (a !== b) {
+        const breaking = upper ? b < a : b > a;
+        const message = (b < a ? 'Lowered ' : 'Raised ') + keyword + ' from ' + display(from) + ' to ' + display(to) + '.';
+        change(state, path, keyword, breaking, message, from, to);
+    } else if (!!exclusiveFrom !== !!exclusiveTo) {
+        const exclusive = upper ? 'exclusiveMax' : 'exclusiveMin';
+        change(state, path, exclusive, !!exclusiveTo, (exclusiveTo ? 'Enabled ' : 'Disabled ') + exclusive + '.', !!exclusiveFrom, !!exclusiveTo);
+    }
+}
+
+/**
+ * Compare the schemas of a one-of or all-of by index. Adding a one-of schema accepts more values, adding an all-of
+ * schema accepts fewer.
+ */
+function compareList(listA, listB, path, keyword, addIsBreaking, state) {
+    const length = Math.max(listA.length, listB.length);
+    for (let i = 0; i < length; i++) {
+        const itemPath = path + '/' + keyword + '/' + i;
+        if (i >= listB.length) {
+            change(state, itemPath, keyword, !addIsBreaking, 'Removed ' + keyword + ' schema at index ' + i + '.', listA[i].config, undefined);
+        } else if (i >= listA.length) {
+            change(state, itemPath, keyword, addIsBreaking, 'Added ' + keyword + ' schema at index ' + i + '.', undefined, listB[i].config);
+        } else {
+            compareSchemas(listA[i], listB[i], itemPath, state);
+        }
+    }
+}
+
+/**
+ * Compare schemas that may not exist, like the schema for array items.
+ */
+function compareNested(a, b, path, keyword, state) {
+    if (!a && !b) return;
+    if (!b) return change(state, path, keyword, false, 'Removed ' + keyword + '.', a.config, undefined);
+    if (!a) return change(state, path, keyword, true, 'Added ' + keyword + '.', undefined, b.config);
+    compareSchemas(a, b, path, state);
+}
+
+function compareParameters(a, b, path, state) {
+    const from = a.parameters || [];
+    const to = b.parameters || [];
+    const removed = from.filter(name => to.indexOf(name) === -1);
+    const added = to.filter(name => from.indexOf(name) === -1);
+    if (added.length > 0) change(state, path, 'parameters', true, 'Added required parameters: ' + added.join(', '), undefined, added);
+    if (removed.length > 0) change(state, path, 'parameters', false, 'Removed required parameters: ' + removed.join(', '), removed, undefined);
+}
+
+function comparePattern(a, b, path, state) {
+    const from = a.pattern ? a.pattern.toString() : undefined;
+    const to = b.pattern ? b.pattern.toString() : undefined;
+    if (from === to) return;
+    if (!to) return change(state, path, 'pattern', false, 'Removed pattern.', a.pattern, undefined);
+    const message = from ? 'Changed pattern from ' + from + ' to ' + to + '.' : 'Added pattern ' + to + '.';
+    change(state, path, 'pattern', true, message, a.pattern, b.pattern);
+}
+
+function compareProperties(a, b, path, state) {
+    Object.keys(a.properties).forEach(function(key) {
+        const propertyPath = path + '/properties/' + escapePointer(key);
+        const schemaA = a.properties[key];
+        const schemaB = b.properties[key];
+        if (!b.properties.hasOwnProperty(key)) {
+            const message = 'Removed property.' + (b.clean ? ' The property is removed from normalized values.' : '');
+            change(state, propertyPath, 'properties', b.clean, message, schemaA.config, undefined);
+        } else {
+            compareFlag(state, propertyPath, 'required', schemaA.required, schemaB.required, true);
+            compareSchemas(schemaA, schemaB, propertyPath, state);
+        }
+    });
+
+    Object.keys(b.properties)
+        .filter(key => !a.properties.hasOwnProperty(key))
+        .forEach(function(key) {
+            const required = !!b.properties[key].required;
+            const message = 'Added ' + (required ? 'required' : 'optional') + ' property.';
+            change(state, path + '/properties/' + escapePointer(key), 'properties', required, message, undefined, b.properties[key].config);
+        });
+}
+
+function compareSchemas(a, b, path, state) {
+    a = resolve(a);
+    b = resolve(b);
+
+    // recursive definitions are only compared once
+    if (!state.visited.has(a)) state.visited.set(a, new Set());
+    if (state.visited.get(a).has(b)) return;
+    state.visited.get(a).add(b);
+    if (a.hash() === b.hash()) return;
+
+    const dataA = a.FullyTyped.controllers.get(a.type);
+    const dataB = b.FullyTyped.controllers.get(b.type);
+    const aliasA = dataA ? dataA.alias : a.type;
+    const aliasB = dataB ? dataB.alias : b.type;
+    const controllersA = dataA ? dataA.controllers : [];
+    const controllersB = dataB ? dataB.controllers : [];
+
+    if (aliasA !== aliasB) {
+        const message = 'Changed type from ' + typeName(aliasA) + ' to ' + typeName(aliasB) + '.';
+        change(state, path, 'type', aliasB !== 'typed', message, aliasA, aliasB);
+    }
+
+    // compare the keywords of each controller that both schemas use
+    let keywords = [];
+    controllersA
+        .filter(controller => controllersB.indexOf(controller) !== -1)
+        .forEach(function(controller) {
+            const comparator = state.comparators.get(controller);
+            if (comparator) {
+                comparator.compare(a, b, path, state);
+                keywords = keywords.concat(comparator.keywords);
+            }
+        });
+
+    if (aliasA === aliasB) compareConfig(a, b, path, keywords, state);
+}
+
+function display(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function escapePointer(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Get the schema that a reference resolves to.
+ */
+function resolve(schema) {
+    while (schema.FullyTyped.controllers.is('ref', schema.type) && schema.schema instanceof Schema) schema = schema.schema;
+    return schema;
+}
+
+function typeName(alias) {
+    return typeof alias === 'function' ? alias.name : String(alias);
+}
\ No newline at end of file
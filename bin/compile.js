@@ -0,0 +1,766 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Typed                 = require('./typed');
+const TypedAllOf            = require('./all-of');
+const TypedArray            = require('./array');
+const TypedBoolean          = require('./boolean');
+const TypedDate             = require('./date');
+const TypedFunction         = require('./function');
+const TypedNot              = require('./not');
+const TypedNumber           = require('./number');
+const TypedObject           = require('./object');
+const TypedOneOf            = require('./one-of');
+const TypedRef              = require('./ref');
+const TypedString           = require('./string');
+const TypedSymbol           = require('./symbol');
+const util                  = require('./util');
+
+// code generators for the built in controller functions, schemas that use any other function are not inlined
+const errorGenerators = new Map([
+    [Typed.prototype.error, typedErrorCode],
+    [TypedAllOf.prototype.error, allOfErrorCode],
+    [TypedArray.prototype.error, arrayErrorCode],
+    [TypedBoolean.prototype.error, booleanErrorCode],
+    [TypedDate.prototype.error, dateErrorCode],
+    [TypedFunction.prototype.error, functionErrorCode],
+    [TypedNot.prototype.error, notErrorCode],
+    [TypedNumber.prototype.error, numberErrorCode],
+    [TypedObject.prototype.error, objectErrorCode],
+    [TypedOneOf.prototype.error, oneOfErrorCode],
+    [TypedRef.prototype.error, refErrorCode],
+    [TypedString.prototype.error, stringErrorCode],
+    [TypedSymbol.prototype.error, symbolErrorCode]
+]);
+
+const normalizeGenerators = new Map([
+    [Typed.prototype.normalize, typedNormalizeCode],
+    [TypedAllOf.prototype.normalize, allOfNormalizeCode],
+    [TypedArray.prototype.normalize, arrayNormalizeCode],
+    [TypedBoolean.prototype.normalize, booleanNormalizeCode],
+    [TypedDate.prototype.normalize, dateNormalizeCode],
+    [TypedObject.prototype.normalize, objectNormalizeCode],
+    [TypedOneOf.prototype.normalize, oneOfNormalizeCode],
+    [TypedRef.prototype.normalize, refNormalizeCode]
+]);
+
+module.exports = compile;
+
+/**
+ * Generate specialized error and normalize functions for a schema and all of its nested schemas. The generated
+ * functions produce the same errors and values as the schema's own functions.
+ * @param {Schema} schema
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {{ error: function, errors: function, normalize: function, validate: function }}
+ */
+function compile(schema, options, getData) {
+    const state = {
+        count: 0,
+        functions: new Map(),
+        getData: getData,
+        refs: []
+    };
+    const context = { locale: options ? options.locale : undefined, messages: schema.FullyTyped.messages };
+    state.context = ref(state, context);
+    const errors = getErrorsFunction(state, schema, !!(options && options.allErrors));
+    const coerce = util.hasCoercion(schema);
+
+    // coercion is not compiled, the schema converts the value before the compiled validation
+    const body = 'if (value === undefined && ' + ref(state, schema) + '.hasDefault) value = ' + ref(state, schema) + '.default;\n' +
+        (coerce ? 'var cs = [];\nvalue = ' + ref(state, schema) + '.coerceValue(value, { coerce: false, coercions: cs });\n' : '') +
+        'var es = ' + errors.code + '(value, []);\n' +
+        'if (es.length > 0) throw u.validationError(' + (coerce ? 'u.coercedErrors(es, cs, ' + state.context + ')' : 'es') + ', \'\', ' + state.context + ');\n' +
+        normalizeCode(state, schema, 'value', false) +
+        'return value;';
+    const normalize = build(state, ['value'], body);
+
+    return {
+        error: function(value, prefix) {
+            const es = errors.fn(value, []);
+            return es.length > 0 ? util.errorMessage(es, prefix, 0, context) : null;
+        },
+        errors: function(value, options) {
+            return errors.fn(value, options && Array.isArray(options.path) ? options.path : []);
+        },
+        normalize: normalize,
+        validate: function(value, prefix) {
+            const es = errors.fn(value, []);
+            if (es.length > 0) throw util.validationError(es, prefix, context);
+        }
+    };
+}
+
+
+
+function build(state, params, body) {
+    const fn = new Function(['k', 'u'].concat(params).join(', '), '\'use strict\';\n' + body);
+    const refs = state.refs;
+    return function(a, b) {
+        return fn(refs, util, a, b);
+    };
+}
+
+function id(state, prefix) {
+    return prefix + (state.count++);
+}
+
+function isBuiltIn(data) {
+    return data.errorFunctions.every(fn => errorGenerators.has(fn)) &&
+        data.normalizeFunctions.every(fn => normalizeGenerators.has(fn));
+}
+
+function pathCode(segments) {
+    return segments.length === 0 ? 'base.slice()' : 'base.concat([' + segments.join(', ') + '])';
+}
+
+function ref(state, value) {
+    let index = state.refs.indexOf(value);
+    if (index === -1) {
+        index = state.refs.length;
+        state.refs.push(value);
+    }
+    return 'k[' + index + ']';
+}
+
+function str(value) {
+    return JSON.stringify(String(value));
+}
+
+
+
+/**
+ * Get a separately built errors function for a schema. The function is built on first use.
+ * @returns {{ code: string, fn: function }} The code to reference the function and the function itself.
+ */
+function getErrorsFunction(state, schema, allErrors) {
+    return getFunction(state, schema, allErrors ? 'all' : 'first', ['value', 'base'], () => 'var errors = [];\n' +
+        errorCode(state, schema, 'value', [], allErrors, 'errors') +
+        'return errors;');
+}
+
+/**
+ * Get a function from the functions store for a schema. The function body is not generated until the function is
+ * first called, so recursive schemas reference the function instead of generating their code endlessly.
+ * @returns {{ code: string, fn: function }}
+ */
+function getFunction(state, schema, key, params, getBody) {
+    if (!state.functions.has(schema)) state.functions.set(schema, {});
+    const store = state.functions.get(schema);
+    if (!store[key]) {
+        let built;
+        const fn = function(a, b) {
+            if (!built) built = build(state, params, getBody());
+            return built(a, b);
+        };
+        store[key] = { code: ref(state, fn), fn: fn };
+    }
+    return store[key];
+}
+
+/**
+ * Get a separately built function that validates then normalizes a value, like Schema#normalize.
+ * @returns {{ code: string, fn: function }}
+ */
+function getNormalizeFunction(state, schema) {
+    return getFunction(state, schema, 'normalize', ['value'], () => normalizeCode(state, schema, 'value', true) + 'return value;');
+}
+
+/**
+ * Generate the code that adds the errors for a value to an errors array.
+ * @param {object} state
+ * @param {Schema} schema
+ * @param {string} valueCode The code to get the value.
+ * @param {string[]} segments The code for each path segment from the base path to the value.
+ * @param {boolean} allErrors
+ * @param {string} errorsVar The name of the errors array variable.
+ * @returns {string}
+ */
+function errorCode(state, schema, valueCode, segments, allErrors, errorsVar) {
+    const data = state.getData(schema);
+    allErrors = allErrors || schema.allErrors;
+
+    // schemas with custom controllers use the schema's own function
+    if (!isBuiltIn(data)) {
+        return errorsVar + '.push.apply(' + errorsVar + ', ' + ref(state, schema) + '.errors(' + valueCode + ', ' +
+            '{ allErrors: ' + allErrors + ', path: ' + pathCode(segments) + ' }));\n';
+    }
+
+    const c = {
+        all: allErrors,
+        errors: errorsVar,
+        label: id(state, 'L'),
+        schema: schema,
+        segments: segments,
+        state: state,
+        type: data.alias,
+        v: id(state, 'v')
+    };
+    const last = data.errorFunctions.length - 1;
+    let code = 'var ' + c.v + ' = ' + valueCode + ';\n' + c.label + ': {\n';
+    data.errorFunctions.forEach(function(fn, index) {
+        const start = id(state, 'n');
+        c.controller = id(state, 'C');
+        code += 'var ' + start + ' = ' + errorsVar + '.length;\n' +
+            c.controller + ': {\n' + errorGenerators.get(fn)(c) + '}\n';
+        if (!allErrors && index < last) code += 'if (' + errorsVar + '.length > ' + start + ') break ' + c.label + ';\n';
+    });
+    return code + '}\n';
+}
+
+/**
+ * Generate the code that gets a message from the message catalog.
+ * @param {object} c The generator context.
+ * @param {string} key The message catalog key.
+ * @param {object} [params={}] The code for each placeholder value.
+ * @returns {string}
+ */
+function messageCode(c, key, params) {
+    const props = Object.keys(params || {}).map(name => name + ': ' + params[name]);
+    return 'u.message(' + c.state.context + ', ' + JSON.stringify(key) + ', { ' + props.join(', ') + ' })';
+}
+
+/**
+ * Generate the code that adds an error object to the errors array.
+ * @param {object} c The generator context.
+ * @param {object} details The code for each error detail property.
+ * @param {boolean} [halt=false] Whether the error stops all remaining checks on the value.
+ * @returns {string}
+ */
+function pushCode(c, details, halt) {
+    const props = Object.keys(details).map(key => key + ': ' + details[key]);
+    props.push('value: ' + c.v);
+    return c.errors + '.push(u.violation(' + violationContextCode(c, c.segments) + ', ' +
+        '{ ' + props.join(', ') + ' }));\n' +
+        (halt || !c.all ? 'break ' + c.label + ';\n' : '');
+}
+
+function typeCode(c, expected, key) {
+    return pushCode(c, {
+        code: JSON.stringify(util.errors.type.code),
+        constraint: '"type"',
+        expected: JSON.stringify(expected),
+        message: valueMessageCode(c, key)
+    }, true);
+}
+
+/**
+ * Generate the code that gets the message for an invalid value with an explanation from the message catalog.
+ */
+function valueMessageCode(c, key, params) {
+    const props = Object.keys(params || {}).map(name => name + ': ' + params[name]);
+    return 'u.valueMessage(' + c.state.context + ', ' + c.v + ', ' + JSON.stringify(key) + ', { ' + props.join(', ') + ' })';
+}
+
+/**
+ * Generate the code for the context that an error object is created with.
+ * @param {object} c The generator context.
+ * @param {string[]} segments The code for each segment of the error path.
+ * @param {object} [messages] The custom error messages to use instead of the schema's.
+ * @returns {string}
+ */
+function violationContextCode(c, segments, messages) {
+    messages = messages || c.schema.errorMessages;
+    const errorMessages = messages ? ', errorMessages: ' + ref(c.state, messages) : '';
+    return '{ path: ' + pathCode(segments) + ', schemaType: ' + JSON.stringify(c.type) + errorMessages + ' }';
+}
+
+function allOfErrorCode(c) {
+    const state = c.state;
+    const errors = id(state, 'e');
+    const label = id(state, 'A');
+    const depth = 'base.length + ' + c.segments.length;
+    const branches = c.schema.allOf.map(schema => errorCode(state, schema, c.v, c.segments, c.all, errors));
+
+    // stop checking once a schema fails, or when collecting all errors once the value has the wrong type
+    const stop = 'if (' + (c.all ? 'u.hasTypeError(' + errors + ', ' + depth + ')' : errors + '.length > 0') + ') break ' + label + ';\n';
+    return 'var ' + errors + ' = [];\n' +
+        label + ': {\n' + branches.join(stop) + '}\n' +
+        c.errors + '.push.apply(' + c.errors + ', ' + errors + ');\n';
+}
+
+function arrayErrorCode(c) {
+    const array = c.schema;
+    const v = c.v;
+    let code = 'if (!Array.isArray(' + v + ')) {\n' + typeCode(c, 'array', 'array.type') + '}\n';
+
+    if (!isNaN(array.maxItems)) {
+        code += 'if (' + v + '.length > ' + array.maxItems + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.max.code),
+            constraint: '"maxItems"',
+            expected: String(array.maxItems),
+            message: messageCode(c, 'array.maxItems', { length: v + '.length', maxItems: String(array.maxItems) })
+        }) + '}\n';
+    }
+
+    if (!isNaN(array.minItems)) {
+        code += 'if (' + v + '.length < ' + array.minItems + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.min.code),
+            constraint: '"minItems"',
+            expected: String(array.minItems),
+            message: messageCode(c, 'array.minItems', { length: v + '.length', minItems: String(array.minItems) })
+        }) + '}\n';
+    }
+
+    if (array.uniqueItems) {
+        const duplicates = id(c.state, 'd');
+        code += 'var ' + duplicates + ' = u.getDuplicates(' + v + ');\n' +
+            'if (' + duplicates + '.length > 0) {\n' + pushCode(c, {
+                code: JSON.stringify(util.errors.unique.code),
+                constraint: '"uniqueItems"',
+                expected: 'true',
+                message: messageCode(c, 'array.uniqueItems', { duplicates: '"[ " + ' + duplicates + '.join("], [") + " ]"' })
+            }) + '}\n';
+    }
+
+    if (array.schema) {
+        const i = id(c.state, 'i');
+        code += 'for (var ' + i + ' = 0; ' + i + ' < ' + v + '.length; ' + i + '++) {\n' +
+            'if (!(' + i + ' in ' + v + ')) continue;\n' +
+            errorCode(c.state, array.schema, v + '[' + i + ']', c.segments.concat([i]), c.all, c.errors) +
+            '}\n';
+    }
+
+    return code;
+}
+
+function booleanErrorCode(c) {
+    if (!c.schema.strict) return '';
+    return 'if (typeof ' + c.v + ' !== "boolean") {\n' + typeCode(c, 'boolean', 'boolean.type') + '}\n';
+}
+
+function dateErrorCode(c) {
+    const date = c.schema;
+    const d = id(c.state, 'd');
+    let code = 'var ' + d + ' = u.toDate(' + c.v + ');\n' +
+        'if (!' + d + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.type.code),
+            constraint: '"type"',
+            expected: '"date"',
+            message: messageCode(c, 'date.type', { value: c.v })
+        }, true) + '}\n';
+
+    if (date.max) {
+        code += 'if (' + d + ' > ' + ref(c.state, date.max) + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.max.code),
+            constraint: '"max"',
+            expected: ref(c.state, date.max),
+            message: messageCode(c, 'date.max', { max: ref(c.state, date.max) })
+        }) + '}\n';
+    }
+
+    if (date.min) {
+        code += 'if (' + d + ' < ' + ref(c.state, date.min) + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.min.code),
+            constraint: '"min"',
+            expected: ref(c.state, date.min),
+            message: messageCode(c, 'date.min', { min: ref(c.state, date.min) })
+        }) + '}\n';
+    }
+
+    return code;
+}
+
+function functionErrorCode(c) {
+    const fn = c.schema;
+    const v = c.v;
+    let code = 'if (typeof ' + v + ' !== "function"' + (fn.named ? ' || !' + v + '.name' : '') + ') {\n' +
+        typeCode(c, fn.named ? 'named function' : 'function', fn.named ? 'function.named' : 'function.type') + '}\n';
+
+    if (fn.kind) {
+        code += 'if (' + ref(c.state, fn.kind) + '.indexOf(' + ref(c.state, TypedFunction.kindOf) + '(' + v + ')) === -1) {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.type.code),
+            constraint: '"kind"',
+            expected: ref(c.state, fn.kind),
+            message: valueMessageCode(c, 'function.kind', { kinds: JSON.stringify(fn.kind.join(', ')) })
+        }) + '}\n';
+    }
+
+    if (typeof fn.constructable !== 'undefined') {
+        code += 'if (' + ref(c.state, TypedFunction.isConstructable) + '(' + v + ') !== ' + fn.constructable + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.type.code),
+            constraint: '"constructable"',
+            expected: String(fn.constructable),
+            message: valueMessageCode(c, 'function.constructable', { constructable: String(fn.constructable) })
+        }) + '}\n';
+    }
+
+    if (fn.minArguments > 0) {
+        code += 'if (' + v + '.length < ' + fn.minArguments + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.min.code),
+            constraint: '"minArguments"',
+            expected: String(fn.minArguments),
+            message: valueMessageCode(c, 'function.minArguments', { minArguments: String(fn.minArguments) })
+        }) + '}\n';
+    }
+
+    if (typeof fn.maxArguments !== 'undefined') {
+        code += 'if (' + v + '.length > ' + fn.maxArguments + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.max.code),
+            constraint: '"maxArguments"',
+            expected: String(fn.maxArguments),
+            message: valueMessageCode(c, 'function.maxArguments', { maxArguments: String(fn.maxArguments) })
+        }) + '}\n';
+    }
+
+    if (fn.parameters) {
+        const names = id(c.state, 'n');
+        const missing = id(c.state, 'm');
+        code += 'var ' + names + ' = ' + ref(c.state, TypedFunction.parameterNames) + '(' + v + ');\n' +
+            'var ' + missing + ' = ' + ref(c.state, fn.parameters) + '.filter(function(name) { return ' + names + '.indexOf(name) === -1; });\n' +
+            'if (' + missing + '.length > 0) {\n' + pushCode(c, {
+                code: JSON.stringify(util.errors.invalid.code),
+                constraint: '"parameters"',
+                expected: ref(c.state, fn.parameters),
+                message: valueMessageCode(c, 'function.parameters', {
+                    missing: missing + '.join(", ")',
+                    parameters: JSON.stringify(fn.parameters.join(', '))
+                })
+            }) + '}\n';
+    }
+
+    return code;
+}
+
+function notErrorCode(c) {
+    const not = c.schema;
+    return 'if (' + getErrorsFunction(c.state, not.not, false).code + '(' + c.v + ', []).length === 0) {\n' + pushCode(c, {
+        code: JSON.stringify(util.errors.not.code),
+        constraint: '"not"',
+        expected: JSON.stringify(not.description),
+        message: valueMessageCode(c, 'not', { description: JSON.stringify(not.description) })
+    }) + '}\n';
+}
+
+function numberErrorCode(c) {
+    const number = c.schema;
+    const v = c.v;
+    let code = 'if (typeof ' + v + ' !== "number") {\n' + typeCode(c, 'number', 'number.type') + '}\n';
+
+    if (number.integer) {
+        code += 'if (!Number.isInteger(' + v + ')) {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.integer.code),
+            constraint: '"integer"',
+            expected: 'true',
+            message: messageCode(c, 'number.integer', { value: v })
+        }) + '}\n';
+    }
+
+    if (!isNaN(number.max)) {
+        code += 'if (' + v + (number.exclusiveMax ? ' >= ' : ' > ') + ref(c.state, number.max) + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.max.code),
+            constraint: '"max"',
+            expected: ref(c.state, number.max),
+            message: messageCode(c, number.exclusiveMax ? 'number.exclusiveMax' : 'number.max', { max: ref(c.state, number.max), value: v })
+        }) + '}\n';
+    }
+
+    if (!isNaN(number.min)) {
+        code += 'if (' + v + (number.exclusiveMin ? ' <= ' : ' < ') + ref(c.state, number.min) + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.min.code),
+            constraint: '"min"',
+            expected: ref(c.state, number.min),
+            message: messageCode(c, number.exclusiveMin ? 'number.exclusiveMin' : 'number.min', { min: ref(c.state, number.min), value: v })
+        }) + '}\n';
+    }
+
+    return code;
+}
+
+function objectErrorCode(c) {
+    const object = c.schema;
+    const state = c.state;
+    const v = c.v;
+    let code = 'if (typeof ' + v + ' !== "object") {\n' + typeCode(c, 'object', 'object.type') + '}\n';
+
+    // null allowed - no other tests make a difference
+    code += 'if (!' + v + ') {\n' + (object.allowNull
+        ? 'break ' + c.controller + ';\n'
+        : pushCode(c, {
+            code: JSON.stringify(util.errors.null.code),
+            constraint: '"allowNull"',
+            expected: 'false',
+            message: messageCode(c, 'object.null')
+        }, true)) + '}\n';
+
+    // check that all required properties exist
+    const keys = Object.keys(object.properties);
+    keys.forEach(function(key) {
+        const schema = object.properties[key];
+        if (schema.required) {
+            const messages = schema.errorMessages && schema.errorMessages.hasOwnProperty('required') ? schema.errorMessages : null;
+            code += 'if (!' + v + '.hasOwnProperty(' + JSON.stringify(key) + ')) ' + c.errors + '.push(u.violation(' +
+                violationContextCode(c, c.segments.concat([JSON.stringify(key)]), messages) + ', ' +
+                '{ code: ' + JSON.stringify(util.errors.required.code) + ', constraint: "required", expected: true, ' +
+                'message: ' + messageCode(c, 'object.required', { property: JSON.stringify(key) }) + ', ' +
+                'schemaType: ' + JSON.stringify(state.getData(schema).alias) + ', value: undefined }));\n';
+        }
+    });
+
+    // validate each property value
+    if (keys.length > 0 || object.schema) {
+        const list = id(state, 'p');
+        const i = id(state, 'i');
+        const key = id(state, 'k');
+        code += 'var ' + list + ' = Object.keys(' + v + ');\n' +
+            'for (var ' + i + ' = 0; ' + i + ' < ' + list + '.length; ' + i + '++) {\n' +
+            'var ' + key + ' = ' + list + '[' + i + '];\n' +
+            'switch (' + key + ') {\n';
+        keys.forEach(function(name) {
+            code += 'case ' + JSON.stringify(name) + ':\n' +
+                errorCode(state, object.properties[name], v + '[' + JSON.stringify(name) + ']', c.segments.concat([JSON.stringify(name)]), c.all, c.errors) +
+                'break;\n';
+        });
+        if (object.schema) {
+            code += 'default:\n' +
+                errorCode(state, object.schema, v + '[' + key + ']', c.segments.concat([key]), c.all, c.errors);
+        }
+        code += '}\n}\n';
+    }
+
+    return code;
+}
+
+function oneOfErrorCode(c) {
+    const state = c.state;
+    const branches = id(state, 'b');
+    const label = id(state, 'O');
+    let code = 'var ' + branches + ' = [];\n' + label + ': {\n';
+    c.schema.oneOf.forEach(function(schema) {
+        const errors = id(state, 'e');
+        code += 'var ' + errors + ' = [];\n' +
+            errorCode(state, schema, c.v, c.segments, c.all, errors) +
+            'if (' + errors + '.length === 0) break ' + c.controller + ';\n' +
+            branches + '.push(' + errors + ');\n';
+    });
+    const expected = c.schema.oneOf.map(schema => state.getData(schema).alias);
+    code += pushCode(c, {
+        branches: branches,
+        code: JSON.stringify(util.errors.multi.code),
+        constraint: '"oneOf"',
+        expected: JSON.stringify(expected),
+        message: messageCode(c, 'one-of')
+    }) + '}\n';
+    return code;
+}
+
+function refErrorCode(c) {
+    const errors = getErrorsFunction(c.state, c.schema.schema, c.all);
+    return c.errors + '.push.apply(' + c.errors + ', ' + errors.code + '(' + c.v + ', ' + pathCode(c.segments) + '));\n';
+}
+
+function stringErrorCode(c) {
+    const string = c.schema;
+    const v = c.v;
+    let code = 'if (typeof ' + v + ' !== "string") {\n' + typeCode(c, 'string', 'string.type') + '}\n';
+
+    if (!isNaN(string.minLength)) {
+        code += 'if (' + v + '.length < ' + string.minLength + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.min.code),
+            constraint: '"minLength"',
+            expected: String(string.minLength),
+            message: messageCode(c, 'string.minLength', { length: v + '.length', minLength: String(string.minLength) })
+        }) + '}\n';
+    }
+
+    if (!isNaN(string.maxLength)) {
+        code += 'if (' + v + '.length > ' + string.maxLength + ') {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.max.code),
+            constraint: '"maxLength"',
+            expected: String(string.maxLength),
+            message: messageCode(c, 'string.maxLength', { length: v + '.length', maxLength: String(string.maxLength) })
+        }) + '}\n';
+    }
+
+    if (string.pattern) {
+        code += 'if (!' + ref(c.state, string.pattern) + '.test(' + v + ')) {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.pattern.code),
+            constraint: '"pattern"',
+            expected: str(string.pattern),
+            message: messageCode(c, 'string.pattern', { pattern: str(string.pattern), value: v })
+        }) + '}\n';
+    }
+
+    return code;
+}
+
+function symbolErrorCode(c) {
+    return 'if (typeof ' + c.v + ' !== "symbol") {\n' + typeCode(c, 'symbol', 'symbol.type') + '}\n';
+}
+
+function typedErrorCode(c) {
+    const typed = c.schema;
+    const v = c.v;
+    let code = '';
+
+    if (typed.enum) {
+        const values = ref(c.state, typed.enum);
+        code += 'if (' + values + '.indexOf(' + v + ') === -1) {\n' + pushCode(c, {
+            code: JSON.stringify(util.errors.enum.code),
+            constraint: '"enum"',
+            expected: values + '.slice()',
+            message: valueMessageCode(c, 'typed.enum', { values: values + '.join(", ")' })
+        }) + '}\n';
+    }
+
+    if (typed.validator) {
+        const valid = id(c.state, 'r');
+        code += 'var ' + valid + ' = ' + ref(c.state, typed) + '.validator(' + v + ');\n' +
+            'if (u.isPromise(' + valid + ')) throw Error(u.asyncValidatorMessage);\n' +
+            'if (!' + valid + ' || typeof ' + valid + ' === "string") {\n' + pushCode(c, {
+                code: JSON.stringify(util.errors.validator.code),
+                constraint: '"validator"',
+                message: valid + ' ? u.valueErrorMessage(' + v + ', ' + valid + ', ' + c.state.context + ') : ' + valueMessageCode(c, 'typed.validator')
+            }) + '}\n';
+    }
+
+    return code;
+}
+
+
+
+/**
+ * Generate the code that normalizes a variable in place. The value must already be validated unless check is true.
+ * @param {object} state
+ * @param {Schema} schema
+ * @param {string} v The name of the variable that holds the value.
+ * @param {boolean} check Whether the value must be validated before it is normalized.
+ * @returns {string}
+ */
+function normalizeCode(state, schema, v, check) {
+    const data = state.getData(schema);
+
+    // schemas with custom controllers use the schema's own function, which also validates
+    if (!isBuiltIn(data)) return v + ' = ' + ref(state, schema) + '.normalize(' + v + ');\n';
+
+    let code = '';
+
+    // validate the value if it has not already been validated with the same value
+    if (check) {
+        if (schema.hasDefault) code += 'if (' + v + ' === undefined) ' + v + ' = ' + ref(state, schema) + '.default;\n';
+        code += validationCode(state, schema, v);
+    } else if (schema.hasDefault) {
+        code += 'if (' + v + ' === undefined) {\n' + v + ' = ' + ref(state, schema) + '.default;\n' + validationCode(state, schema, v) + '}\n';
+    }
+
+    // nested values must be validated again once a transform may have changed them
+    const c = { check: false, schema: schema, state: state, v: v };
+    data.normalizeFunctions.forEach(function(fn) {
+        code += normalizeGenerators.get(fn)(c);
+    });
+    return code;
+}
+
+function validationCode(state, schema, v) {
+    const errors = id(state, 'es');
+    return 'var ' + errors + ' = ' + getErrorsFunction(state, schema, false).code + '(' + v + ', []);\n' +
+        'if (' + errors + '.length > 0) throw u.validationError(' + errors + ', \'\', ' + state.context + ');\n';
+}
+
+function allOfNormalizeCode(c) {
+    return c.schema.allOf.map(schema => normalizeCode(c.state, schema, c.v, true)).join('');
+}
+
+function arrayNormalizeCode(c) {
+    const schema = c.schema.schema;
+    if (!schema) return '';
+    const state = c.state;
+    const v = c.v;
+    const result = id(state, 'a');
+    const i = id(state, 'i');
+    const item = id(state, 'x');
+    return 'var ' + result + ' = new Array(' + v + '.length);\n' +
+        'for (var ' + i + ' = 0; ' + i + ' < ' + v + '.length; ' + i + '++) {\n' +
+        'if (!(' + i + ' in ' + v + ')) continue;\n' +
+        'var ' + item + ' = ' + v + '[' + i + '];\n' +
+        normalizeCode(state, schema, item, c.check) +
+        result + '[' + i + '] = ' + item + ';\n' +
+        '}\n' +
+        v + ' = ' + result + ';\n';
+}
+
+function booleanNormalizeCode(c) {
+    return c.v + ' = !!' + c.v + ';\n';
+}
+
+function dateNormalizeCode(c) {
+    return c.v + ' = u.toDate(' + c.v + ');\n';
+}
+
+function objectNormalizeCode(c) {
+    const object = c.schema;
+    const state = c.state;
+    const v = c.v;
+    const keys = Object.keys(object.properties);
+    const result = id(state, 'o');
+    const list = id(state, 'p');
+    const i = id(state, 'i');
+    const key = id(state, 'k');
+    let code = 'if (!' + v + ') {\n' + v + ' = null;\n} else {\n';
+
+    // apply defaults, the default values are validated when each property is normalized
+    keys.forEach(function(name) {
+        if (object.properties[name].hasDefault) {
+            code += 'if (!' + v + '.hasOwnProperty(' + JSON.stringify(name) + ')) ' + v + '[' + JSON.stringify(name) + '] = ' +
+                ref(state, object.properties[name]) + '.default;\n';
+        }
+    });
+
+    code += 'var ' + result + ' = {};\n' +
+        'var ' + list + ' = Object.keys(' + v + ');\n' +
+        'for (var ' + i + ' = 0; ' + i + ' < ' + list + '.length; ' + i + '++) {\n' +
+        'var ' + key + ' = ' + list + '[' + i + '];\n' +
+        'switch (' + key + ') {\n';
+    keys.forEach(function(name) {
+        const schema = object.properties[name];
+        const item = id(state, 'x');
+        code += 'case ' + JSON.stringify(name) + ':\n' +
+            'var ' + item + ' = ' + v + '[' + key + '];\n' +
+            normalizeCode(state, schema, item, c.check || schema.hasDefault) +
+            result + '[' + key + '] = ' + item + ';\n' +
+            'break;\n';
+    });
+    if (!object.clean) code += 'default:\n' + result + '[' + key + '] = ' + v + '[' + key + '];\n';
+    code += '}\n}\n' + v + ' = ' + result + ';\n}\n';
+    return code;
+}
+
+function oneOfNormalizeCode(c) {
+    const state = c.state;
+    const v = c.v;
+    const label = id(state, 'O');
+    let code = label + ': {\n';
+    c.schema.oneOf.forEach(function(schema) {
+        code += 'if (' + getErrorsFunction(state, schema, false).code + '(' + v + ', []).length === 0) {\n' +
+            normalizeCode(state, schema, v, false) +
+            'break ' + label + ';\n' +
+            '}\n';
+    });
+    return code + v + ' = undefined;\n}\n';
+}
+
+function refNormalizeCode(c) {
+    return c.v + ' = ' + getNormalizeFunction(c.state, c.schema.schema).code + '(' + c.v + ');\n';
+}
+
+function typedNormalizeCode(c) {
+    if (!c.schema.transform) return '';
+    c.check = true;
+    return c.v + ' = ' + ref(c.state, c.schema) + '.transform(' + c.v + ');\n';
+}
@@ -0,0 +1,131 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Schema                = require('./schema');
+const util                  = require('./util');
+
+/**
+ * Wrap a function so that its arguments are normalized and its return value, or the value that a returned promise
+ * resolves to, is normalized. A wrapped class is constructed when the wrapper is called with new.
+ * @param {object} options
+ * @param {boolean} [options.async=false] Normalize the arguments with Schema#normalizeAsync, for schemas with
+ * asynchronous validators or transforms. The wrapper then always returns a promise.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @param {Array} [options.params=[]] The schema or schema configuration for each argument, by index.
+ * @param {object} [options.rest] The schema or schema configuration for each argument after the params.
+ * @param {object} [options.returns] The schema or schema configuration for the return value.
+ * @param {function} fn The function to wrap.
+ * @param {FullyTyped} FullyTyped The function to create the schemas with.
+ * @returns {function}
+ */
+exports.contract = function(options, fn, FullyTyped) {
+    if (!util.isPlainObject(options)) throw util.configError('The contract options must be a plain object. Received: ' + options);
+    if (typeof fn !== 'function') throw util.configError('The contract must wrap a function. Received: ' + fn);
+    if (options.hasOwnProperty('params') && !Array.isArray(options.params)) {
+        throw util.configError(util.propertyErrorMessage(FullyTyped, 'params', options.params, 'config.schemaArray'));
+    }
+    if (options.hasOwnProperty('async') && typeof options.async !== 'boolean') {
+        throw util.configError(util.propertyErrorMessage(FullyTyped, 'async', options.async, 'config.boolean'));
+    }
+
+    const params = (options.params || []).map(item => toSchema(FullyTyped, item));
+    const rest = options.rest ? toSchema(FullyTyped, options.rest) : null;
+    const returns = options.returns ? toSchema(FullyTyped, options.returns) : null;
+    const context = { locale: options.locale, messages: FullyTyped.messages };
+    const normalizeOptions = { locale: options.locale };
+
+    const wrapped = function() {
+        const self = this;
+        const target = new.target;
+        const args = Array.prototype.slice.call(arguments);
+        const length = Math.max(args.length, params.length);
+        const call = args => target ? Reflect.construct(fn, args, target) : fn.apply(self, args);
+
+        if (options.async) {
+            let promise = Promise.resolve();
+            for (let i = 0; i < length; i++) {
+                const schema = i < params.length ? params[i] : rest;
+                if (schema) {
+                    promise = promise
+                        .then(() => schema.normalizeAsync(args[i], normalizeOptions))
+                        .then(value => args[i] = value, err => { throw contractError(err, context, 'contract.argument', i); });
+                }
+            }
+            return promise.then(function() {
+                const result = call(args);
+                if (!returns) return result;
+                const key = util.isPromise(result) ? 'contract.resolves' : 'contract.returns';
+                return Promise.resolve(result)
+                    .then(value => returns.normalizeAsync(value, normalizeOptions)
+                        .catch(err => { throw contractError(err, context, key); }));
+            });
+        }
+
+        for (let i = 0; i < length; i++) {
+            const schema = i < params.length ? params[i] : rest;
+            if (schema) {
+                try {
+                    args[i] = schema.normalize(args[i], normalizeOptions);
+                } catch (err) {
+                    throw contractError(err, context, 'contract.argument', i);
+                }
+            }
+        }
+
+        const result = call(args);
+        if (!returns) return result;
+
+        if (util.isPromise(result)) {
+            return result.then(value => returns.normalizeAsync(value, normalizeOptions)
+                .catch(err => { throw contractError(err, context, 'contract.resolves'); }));
+        }
+
+        try {
+            return returns.normalize(result, normalizeOptions);
+        } catch (err) {
+            throw contractError(err, context, 'contract.returns');
+        }
+    };
+
+    Object.defineProperty(wrapped, 'length', { value: fn.length });
+    Object.defineProperty(wrapped, 'name', { value: fn.name });
+
+    // instances constructed through the wrapper are instances of the wrapped function
+    if (fn.prototype) wrapped.prototype = fn.prototype;
+    return wrapped;
+};
+
+
+
+/**
+ * Get the error for a value that failed normalization, with a message that says which value failed. Errors that are
+ * not validation errors are returned unchanged.
+ */
+function contractError(err, context, key, index) {
+    if (err.message === util.asyncValidatorMessage) {
+        return Error('A validator returned a promise. Set the async option of the contract for asynchronous validators.');
+    }
+    if (!Array.isArray(err.errors)) return err;
+    const prefix = util.message(context, key, { index: index });
+    const result = util.validationError(err.errors, prefix, context);
+    if (index !== undefined) result.index = index;
+    return result;
+}
+
+function toSchema(FullyTyped, value) {
+    return value instanceof Schema ? value : FullyTyped(value);
+}
\ No newline at end of file
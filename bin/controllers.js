@@ -21,7 +21,7 @@ const util              = require('./util');
 
 /**
  * A controller data store object.
- * @typedef {{ alias: string, aliases: *[], controller: Function, controllers: Function[], errorFunctions: Function[], dependencies: *[], normalizeFunctions: Function[] }} ControllerData
+ * @typedef {{ alias: string, aliases: *[], asyncErrorFunctions: Function[], asyncNormalizeFunctions: Function[], coerceFunctions: Function[], controller: Function, controllers: Function[], errorFunctions: Function[], dependencies: *[], normalizeFunctions: Function[], options: object|null }} ControllerData
  */
 
 module.exports = Controllers;
@@ -99,8 +99,10 @@ function Controllers() {
     };
 
     /**
+     * Get the data for each registered controller. The options of each item map every configuration option that the
+     * controller accepts to the schema configuration for the option's value.
      * @name Controllers#list
-     * @returns {{constructor: Function, controller: Function, inherits: string[], name: string}[]}
+     * @returns {ControllerData[]}
      */
     factory.list = function() {
         const used = new Map();
@@ -131,6 +133,7 @@ function Controllers() {
         if (!controller.register || typeof controller.register !== 'object') throw Error('The controller must have a static property "register" that defines aliases and dependencies.');
         if (!Array.isArray(controller.register.aliases) || controller.register.aliases.length === 0) throw Error('The controller register aliases must be a non-empty array of aliases.');
         if (controller.register.hasOwnProperty('dependencies') && !Array.isArray(controller.register.dependencies)) throw Error('The controller register dependencies must be an array.');
+        if (controller.register.hasOwnProperty('options')) validateOptions(controller.register.options);
 
         // store aliases and dependencies
         const aliases = controller.register.aliases;
@@ -147,39 +150,68 @@ function Controllers() {
         });
 
         const controllers = [ Typed ];
-        const errorFunctions = [ Typed.prototype.error ];
-        const normalizeFunctions = [ Typed.prototype.normalize ];
+        const coerceFunctions = [];
+        const errorFunctions = [];
+        const normalizeFunctions = [];
+        const asyncErrorFunctions = [];
+        const asyncNormalizeFunctions = [];
+
+        // add the prototype functions for a controller, async functions fall back to their synchronous counterparts
+        function addPrototypeFunctions(proto) {
+            if (proto.hasOwnProperty('coerce')) coerceFunctions.push(proto.coerce);
+            if (proto.hasOwnProperty('error')) errorFunctions.push(proto.error);
+            if (proto.hasOwnProperty('normalize')) normalizeFunctions.push(proto.normalize);
+            if (proto.hasOwnProperty('errorAsync')) {
+                asyncErrorFunctions.push(proto.errorAsync);
+            } else if (proto.hasOwnProperty('error')) {
+                asyncErrorFunctions.push(proto.error);
+            }
+            if (proto.hasOwnProperty('normalizeAsync')) {
+                asyncNormalizeFunctions.push(proto.normalizeAsync);
+            } else if (proto.hasOwnProperty('normalize')) {
+                asyncNormalizeFunctions.push(proto.normalize);
+            }
+        }
+        addPrototypeFunctions(Typed.prototype);
 
         // build controllers and inheritance arrays
         inherits.forEach(function(dependency) {
             const ctrl = store.get(dependency).controller;
-            const proto = ctrl.prototype;
-
             if (ctrl !== Typed) {
                 controllers.push(ctrl);
-                if (proto.hasOwnProperty('error')) errorFunctions.push(proto.error);
-                if (proto.hasOwnProperty('normalize')) normalizeFunctions.push(proto.normalize);
+                addPrototypeFunctions(ctrl.prototype);
             }
         });
         if (controller !== Typed) {
             controllers.push(controller);
-            if (controller.prototype.hasOwnProperty('error')) errorFunctions.push(controller.prototype.error);
-            if (controller.prototype.hasOwnProperty('normalize')) normalizeFunctions.push(controller.prototype.normalize);
+            addPrototypeFunctions(controller.prototype);
         }
 
+        // merge the options along the controller chain, unless a controller does not declare its options
+        const options = controllers.every(ctrl => ctrl.register.hasOwnProperty('options'))
+            ? Object.freeze(Object.assign.apply(Object, [{}].concat(controllers.map(ctrl => ctrl.register.options))))
+            : null;
+
         // create data object to store
         const data = {
             alias: aliases
                 .map(a => typeof a === 'function' ? a.name : a)
                 .filter(a => typeof a === 'string' && a.length > 0)[0] || 'undefined',
             aliases: aliases,
+            asyncErrorFunctions: asyncErrorFunctions,
+            asyncNormalizeFunctions: asyncNormalizeFunctions,
+            coerceFunctions: coerceFunctions,
             controller: controller,
             controllers: controllers,
             errorFunctions: errorFunctions,
             dependencies: inherits,
-            normalizeFunctions: normalizeFunctions
+            normalizeFunctions: normalizeFunctions,
+            options: options
         };
         Object.freeze(data.aliases);
+        Object.freeze(data.asyncErrorFunctions);
+        Object.freeze(data.asyncNormalizeFunctions);
+        Object.freeze(data.coerceFunctions);
         Object.freeze(data.controllers);
         Object.freeze(data.errorFunctions);
         Object.freeze(data.dependencies);
@@ -202,4 +234,15 @@ function Controllers() {
     factory.register(Typed);
 
     return factory;
+}
+
+
+
+function validateOptions(options) {
+    if (!util.isPlainObject(options)) throw Error('The controller register options must be a plain object. Received: ' + options);
+    Object.keys(options).forEach(key => {
+        if (!options[key] || typeof options[key] !== 'object') {
+            throw Error('The controller register option ' + key + ' must be a schema configuration. Received: ' + options[key]);
+        }
+    });
 }
\ No newline at end of file
@@ -15,23 +15,24 @@
  *    limitations under the License.
  **/
 'use strict';
+const util                  = require('./util');
 
 module.exports = TypedDate;
 
 function TypedDate (config) {
-    const max = toDate(config.max);
-    const min = toDate(config.min);
+    const max = util.toDate(config.max);
+    const min = util.toDate(config.min);
 
     if (config.hasOwnProperty('max') && !max) {
-        throw Error('Property max could not be converted to a valid date. Received: ' + config.max);
+        throw util.configError(util.configMessage(this.FullyTyped, 'config.date', { property: 'max', value: config.max }));
     }
 
     if (config.hasOwnProperty('min') && !min) {
-        throw Error('Property min could not be converted to a valid date. Received: ' + config.min);
+        throw util.configError(util.configMessage(this.FullyTyped, 'config.date', { property: 'min', value: config.min }));
     }
 
     if (max !== undefined && min !== undefined && min > max) {
-        throw Error('The max date value must be greater than or equal to the min date value.');
+        throw util.configError(util.configMessage(this.FullyTyped, 'config.dateRange'));
     }
 
     Object.defineProperties(this, {
@@ -44,30 +45,61 @@ function TypedDate (config) {
     });
 }
 
-TypedDate.prototype.error = function(value, prefix) {
-    const d = toDate(value);
+TypedDate.prototype.coerce = function(value, context) {
+    if (typeof value !== 'string' && typeof value !== 'number') return value;
 
-    if (!d) return prefix + 'Value cannot be converted to a valid date: ' + value;
+    // strings of digits are the milliseconds since the epoch, like numbers
+    const d = util.toDate(typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value);
+    return d ? util.coerced(context, value, d) : value;
+};
+
+TypedDate.prototype.error = function(value, prefix, context) {
+    const d = util.toDate(value);
+
+    if (!d) {
+        return util.errorResult([ util.violation(context, {
+            code: util.errors.type.code,
+            constraint: 'type',
+            expected: 'date',
+            message: util.message(context, 'date.type', { value: value }),
+            value: value
+        }) ], prefix, context);
+    }
+
+    const errors = [];
 
-    if (this.max && d > this.max) return prefix + 'Value must be less than or equal to the max date value.';
+    if (this.max && d > this.max) {
+        errors.push(util.violation(context, {
+            code: util.errors.max.code,
+            constraint: 'max',
+            expected: this.max,
+            message: util.message(context, 'date.max', { max: this.max }),
+            value: value
+        }));
+    }
 
-    if (this.min && d < this.min) return prefix + 'Value must be greater than or equal to the min date value.';
+    if (util.keepChecking(errors, context) && this.min && d < this.min) {
+        errors.push(util.violation(context, {
+            code: util.errors.min.code,
+            constraint: 'min',
+            expected: this.min,
+            message: util.message(context, 'date.min', { min: this.min }),
+            value: value
+        }));
+    }
 
-    return null;
+    return util.errorResult(errors, prefix, context);
 };
 
 TypedDate.prototype.normalize = function(value) {
-    return toDate(value);
+    return util.toDate(value);
 };
 
 TypedDate.register = {
     aliases: ['date', Date],
-    dependencies: []
-};
-
-function toDate(value) {
-    const d = value instanceof Date
-        ? value
-        : new Date(value);
-    return isNaN(+d) ? undefined : d;
-}
\ No newline at end of file
+    dependencies: [],
+    options: {
+        max: { type: Date },
+        min: { type: Date }
+    }
+};
\ No newline at end of file
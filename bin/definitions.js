@@ -0,0 +1,97 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const util                  = require('./util');
+
+// the definitions of each schema configuration that is being constructed, innermost last
+const scopes = [];
+
+/**
+ * Get the definition name from a reference. The name can also be written as a JSON pointer to the definitions.
+ * @param {string} ref
+ * @returns {string}
+ */
+exports.name = function(ref) {
+    const match = /^#\/(?:definitions|\$defs)\/(.+)$/.exec(ref);
+    return match ? match[1] : ref;
+};
+
+/**
+ * Find a definition within the definitions that are in scope. Inner definitions hide outer definitions that share
+ * the same name.
+ * @param {string} name
+ * @returns {{ config: object, definitions: object, schema: Schema }|undefined}
+ */
+exports.resolve = function(name) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        if (scopes[i].entries.hasOwnProperty(name)) return scopes[i].entries[name];
+    }
+};
+
+/**
+ * Create a schema for each definition and then run the callback with the definitions in scope. Definitions can
+ * reference themselves and each other because references are not followed until a value is checked.
+ * @param {object} definitions A map of names to schema configurations.
+ * @param {function} create The function that creates a schema from a configuration.
+ * @param {function} callback
+ * @returns {*} The value returned by the callback.
+ */
+exports.scope = function(definitions, create, callback) {
+    if (!util.isPlainObject(definitions) || Object.keys(definitions).some(key => !util.isValidSchemaConfiguration(definitions[key]))) {
+        throw util.configError(util.propertyErrorMessage(create, 'definitions', definitions, 'config.schemaObject'));
+    }
+
+    // the definitions that a reference can reach, used to tell apart references that share a name
+    const parent = scopes.length > 0 ? scopes[scopes.length - 1] : null;
+    const visible = Object.freeze(Object.assign({}, parent ? parent.definitions : {}, definitions));
+
+    const scope = { definitions: visible, entries: {} };
+    Object.keys(definitions).forEach(function(name) {
+        scope.entries[name] = { config: definitions[name], definitions: visible, schema: undefined };
+    });
+
+    scopes.push(scope);
+    try {
+        Object.keys(definitions).forEach(name => validateReferenceChain(create, name));
+        Object.keys(definitions).forEach(function(name) {
+            scope.entries[name].schema = create(definitions[name]);
+        });
+        return callback();
+    } finally {
+        scopes.pop();
+    }
+};
+
+
+
+/**
+ * A definition that only references another definition, which eventually references the first, would never reach
+ * a schema that can check a value.
+ */
+function validateReferenceChain(create, name) {
+    const names = [ name ];
+    let entry = exports.resolve(name);
+    while (entry && typeof entry.config.$ref === 'string' && !entry.config.type) {
+        const next = exports.name(entry.config.$ref);
+        if (names.indexOf(next) !== -1) {
+            const chain = names.concat([next]).join(' -> ');
+            throw util.configError(util.configMessage(create, 'config.referenceCycle', { chain: chain, name: name }));
+        }
+        names.push(next);
+        entry = exports.resolve(next);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Schema                = require('./schema');
+const TypedObject           = require('./object');
+const TypedRef              = require('./ref');
+const util                  = require('./util');
+
+/**
+ * Create a schema from a schema's configuration with overrides applied. Properties and definitions are merged by
+ * name, every other override replaces the configured value.
+ * @param {Schema} schema
+ * @param {object} overrides
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {Schema}
+ */
+exports.extend = function(schema, overrides, getData) {
+    if (!util.isPlainObject(overrides)) {
+        throw Error('Unable to extend schema. Expected the overrides to be a plain object. Received: ' + overrides);
+    }
+    const config = getConfig(schema, getData);
+    const changes = toConfig(overrides);
+    Object.keys(changes).forEach(function(key) {
+        const merge = (key === 'definitions' || key === 'properties') && util.isPlainObject(config[key]) && util.isPlainObject(changes[key]);
+        config[key] = merge ? Object.assign({}, config[key], changes[key]) : changes[key];
+    });
+    return schema.FullyTyped(config);
+};
+
+/**
+ * Create an object schema without some of the properties.
+ * @param {Schema} schema
+ * @param {string[]} keys
+ * @param {function} getData
+ * @returns {Schema}
+ */
+exports.omit = function(schema, keys, getData) {
+    const config = getObjectConfig(schema, 'omit', keys, getData);
+    keys.forEach(key => delete config.properties[key]);
+    return schema.FullyTyped(config);
+};
+
+/**
+ * Create an object schema where none of the properties are required.
+ * @param {Schema} schema
+ * @param {function} getData
+ * @returns {Schema}
+ */
+exports.partial = function(schema, getData) {
+    const config = getObjectConfig(schema, 'partial', [], getData);
+    Object.keys(config.properties).forEach(key => config.properties[key].required = false);
+    return schema.FullyTyped(config);
+};
+
+/**
+ * Create an object schema with only some of the properties.
+ * @param {Schema} schema
+ * @param {string[]} keys
+ * @param {function} getData
+ * @returns {Schema}
+ */
+exports.pick = function(schema, keys, getData) {
+    const config = getObjectConfig(schema, 'pick', keys, getData);
+    Object.keys(config.properties)
+        .filter(key => keys.indexOf(key) === -1)
+        .forEach(key => delete config.properties[key]);
+    return schema.FullyTyped(config);
+};
+
+/**
+ * Create an object schema where all of the properties are required. A required property cannot have a default
+ * value so defaults are removed.
+ * @param {Schema} schema
+ * @param {function} getData
+ * @returns {Schema}
+ */
+exports.requiredAll = function(schema, getData) {
+    const config = getObjectConfig(schema, 'requiredAll', [], getData);
+    Object.keys(config.properties).forEach(function(key) {
+        config.properties[key].required = true;
+        delete config.properties[key].default;
+    });
+    return schema.FullyTyped(config);
+};
+
+
+
+/**
+ * Add the definitions that references within the schema use, since a nested schema's configuration does not
+ * include the definitions of the configurations that it is nested within.
+ */
+function addDefinitions(schema, definitions, getData) {
+    if (getData(schema).controllers.indexOf(TypedRef) !== -1) {
+        Object.keys(schema.definitions)
+            .filter(key => !definitions.hasOwnProperty(key))
+            .forEach(key => definitions[key] = schema.definitions[key]);
+        return;
+    }
+
+    Object.getOwnPropertyNames(schema).forEach(function(key) {
+        const descriptor = Object.getOwnPropertyDescriptor(schema, key);
+        const value = descriptor.get ? undefined : descriptor.value;
+        if (value instanceof Schema) {
+            addDefinitions(value, definitions, getData);
+        } else if (Array.isArray(value) || util.isPlainObject(value)) {
+            Object.keys(value)
+                .filter(k => value[k] instanceof Schema)
+                .forEach(k => addDefinitions(value[k], definitions, getData));
+        }
+    });
+}
+
+/**
+ * Get a configuration that can be used to create a new schema.
+ */
+function getConfig(schema, getData) {
+    const config = toConfig(schema.config);
+    const definitions = {};
+    addDefinitions(schema, definitions, getData);
+    if (Object.keys(definitions).length > 0) config.definitions = Object.assign(definitions, config.definitions);
+    return config;
+}
+
+function getObjectConfig(schema, method, keys, getData) {
+    if (getData(schema).controllers.indexOf(TypedObject) === -1) {
+        throw Error('Unable to ' + method + ' properties. Expected an object schema.');
+    }
+    if (!Array.isArray(keys)) throw Error('Unable to ' + method + ' properties. Expected an array of property names. Received: ' + keys);
+
+    const config = getConfig(schema, getData);
+    if (!config.properties) config.properties = {};
+    keys.filter(key => !config.properties.hasOwnProperty(key))
+        .forEach(function(key) {
+            throw Error('Unable to ' + method + ' properties. Unknown property: ' + key);
+        });
+    return config;
+}
+
+/**
+ * Copy a configuration, replacing each schema within it with the schema's configuration.
+ */
+function toConfig(value) {
+    if (value instanceof Schema) return toConfig(value.config);
+    if (Array.isArray(value)) return value.map(toConfig);
+    if (util.isPlainObject(value)) {
+        const result = {};
+        Object.keys(value).forEach(key => result[key] = toConfig(value[key]));
+        return result;
+    }
+    return value;
+}
\ No newline at end of file
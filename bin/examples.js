@@ -0,0 +1,279 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const sample                = require('./sample').sample;
+const util                  = require('./util');
+
+// values of each type that the examples are checked with
+const fn = util.createFunction({ name: 'example' });
+const symbol = Symbol('example');
+
+// functions that produce the edge values for each built in controller
+const candidateGenerators = {
+    'all-of': allOfCandidates,
+    array: arrayCandidates,
+    boolean: () => [ true, false ],
+    date: dateCandidates,
+    function: functionCandidates,
+    not: (not, state, depth) => all(examples(not.not, state, depth)),
+    number: numberCandidates,
+    object: objectCandidates,
+    'one-of': (oneOf, state, depth) => oneOf.oneOf.reduce((prev, schema) => prev.concat(all(examples(schema, state, depth))), []),
+    ref: (ref, state, depth) => all(examples(ref.schema, state, depth)),
+    string: stringCandidates,
+    symbol: () => [ symbol ]
+};
+
+/**
+ * Get values on each side of the schema's constraints, sorted by whether the schema accepts them.
+ * @param {Schema} schema
+ * @param {object} [options={}]
+ * @param {number} [options.maxDepth=3] The depth after which nested schemas only get a sample value and values of
+ * other types.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {{ valid: Array, invalid: Array }}
+ */
+exports.examples = function(schema, options, getData) {
+    if (!options) options = {};
+
+    const state = {
+        cache: new Map(),
+        generators: new Map(),
+        getData: getData,
+        maxDepth: options.hasOwnProperty('maxDepth') ? options.maxDepth : 3
+    };
+    Object.keys(candidateGenerators).forEach(function(alias) {
+        const data = schema.FullyTyped.controllers.get(alias);
+        if (data) state.generators.set(data.controller, candidateGenerators[alias]);
+    });
+
+    const result = examples(schema, state, 0);
+    return { valid: result.valid.slice(), invalid: result.invalid.slice() };
+};
+
+
+
+function all(result) {
+    return result.valid.concat(result.invalid);
+}
+
+function allOfCandidates(allOf, state, depth) {
+    const results = allOf.allOf.map(schema => examples(schema, state, depth));
+    const candidates = results.reduce((prev, result) => prev.concat(all(result)), []);
+
+    // object values from each schema are combined
+    const first = results.map(result => result.valid[0]);
+    if (first.every(util.isPlainObject)) candidates.unshift(first.reduce((prev, value) => Object.assign(prev, value), {}));
+    return candidates;
+}
+
+function arrayCandidates(array, state, depth) {
+    const items = array.schema ? examples(array.schema, state, depth + 1) : { valid: [ 0, 1, 2, 3, 4 ], invalid: [] };
+    const min = isFinite(array.minItems) ? array.minItems : 0;
+    const max = array.maxItems;
+
+    function fill(length) {
+        if (length > 0 && items.valid.length === 0) return;
+        if (array.uniqueItems && length > items.valid.length) return;
+        const result = [];
+        for (let i = 0; i < length; i++) result.push(items.valid[i % items.valid.length]);
+        return result;
+    }
+
+    const candidates = [ fill(min), fill(min + 1) ];
+    if (min > 0) candidates.push(fill(min - 1));
+    if (isFinite(max)) candidates.push(fill(max), fill(max + 1));
+
+    // an array with a repeated item
+    if (array.uniqueItems && items.valid.length > 0) {
+        const duplicates = [];
+        for (let i = 0; i < Math.max(min, 2); i++) duplicates.push(items.valid[0]);
+        candidates.push(duplicates);
+    }
+
+    // an array with an item that the item schema does not accept
+    items.invalid.forEach(function(item) {
+        const result = fill(Math.max(min, 1) - 1);
+        if (result) candidates.push([ item ].concat(result));
+    });
+
+    return candidates.filter(candidate => candidate !== undefined);
+}
+
+function dateCandidates(date) {
+    const candidates = [];
+    if (date.min) candidates.push(new Date(+date.min), new Date(+date.min - 1));
+    if (date.max) candidates.push(new Date(+date.max), new Date(+date.max + 1));
+    candidates.push(new Date(NaN));
+    return candidates;
+}
+
+/**
+ * Get the sorted candidate values for a schema. Each schema's result is kept so that repeated schemas, like
+ * recursive definitions, are only worked out once.
+ */
+function examples(schema, state, depth) {
+    const key = schema.hash() + ':' + Math.min(depth, state.maxDepth);
+    if (state.cache.has(key)) return state.cache.get(key);
+
+    const result = { valid: [], invalid: [] };
+    state.cache.set(key, result);
+
+    const candidates = [];
+    if (schema.enum) candidates.push.apply(candidates, schema.enum.concat(outsideEnum(schema.enum)));
+
+    // plugins get the candidates of the last built in controller that they inherit from
+    if (depth < state.maxDepth) {
+        const controllers = state.getData(schema).controllers;
+        for (let i = controllers.length - 1; i >= 0; i--) {
+            const generator = state.generators.get(controllers[i]);
+            if (generator) {
+                candidates.push.apply(candidates, generator(schema, state, depth));
+                break;
+            }
+        }
+    }
+
+    // a typical value, for schemas with constraints that the edge values do not satisfy
+    try {
+        candidates.push(sample(schema, { maxDepth: Math.max(state.maxDepth - depth, 0), seed: 0 }, state.getData));
+    } catch (err) {}
+
+    // a value of each type
+    candidates.push(null, true, 0, 'a', [], {}, new Date(0), fn, symbol);
+
+    candidates.forEach(function(value) {
+        const list = schema.errors(value).length === 0 ? result.valid : result.invalid;
+        if (!list.some(item => util.same(item, value))) list.push(value);
+    });
+    return result;
+}
+
+function functionCandidates(fn) {
+    const min = fn.minArguments || 0;
+    const kinds = (fn.kind || ['function']).filter(kind => fn.constructable === undefined ||
+        (fn.constructable ? kind === 'class' || kind === 'function' : kind !== 'class'));
+    const base = {
+        constructable: fn.constructable,
+        kind: kinds[0],
+        length: min,
+        name: fn.named ? 'example' : '',
+        parameters: fn.parameters
+    };
+    const create = options => util.createFunction(Object.assign({}, base, options));
+
+    const candidates = [ create({}) ];
+    if (min > 0) candidates.push(create({ length: min - 1 }));
+    if (typeof fn.maxArguments !== 'undefined') candidates.push(create({ length: fn.maxArguments }), create({ length: fn.maxArguments + 1 }));
+    if (fn.named) candidates.push(create({ name: '' }));
+    if (fn.kind || typeof fn.constructable !== 'undefined') {
+        ['arrow', 'async', 'async-generator', 'class', 'function', 'generator']
+            .filter(kind => kind !== base.kind)
+            .forEach(kind => candidates.push(create({ kind: kind })));
+    }
+    if (typeof fn.constructable !== 'undefined') candidates.push(create({ kind: 'function', constructable: !fn.constructable }));
+    if (fn.parameters) candidates.push(create({ parameters: fn.parameters.slice(1) }));
+    return candidates;
+}
+
+function numberCandidates(number) {
+    const candidates = [];
+    const step = value => number.integer ? 1 : Math.max(Math.abs(value), 1) * Number.EPSILON;
+    const hasMin = isFinite(number.min);
+    const hasMax = isFinite(number.max);
+
+    if (hasMin) candidates.push(number.min, number.exclusiveMin ? number.min + step(number.min) : number.min - step(number.min));
+    if (hasMax) candidates.push(number.max, number.exclusiveMax ? number.max - step(number.max) : number.max + step(number.max));
+    if (!hasMin && !hasMax) candidates.push(0, -1, 1);
+    if (number.integer) candidates.push((hasMin ? number.min : 0) + 0.5);
+    return candidates;
+}
+
+function objectCandidates(object, state, depth) {
+    const keys = Object.keys(object.properties);
+    const properties = {};
+    keys.forEach(key => properties[key] = examples(object.properties[key], state, depth + 1));
+
+    // one object with only the required properties and one object with every property
+    const required = {};
+    const full = {};
+    keys.forEach(function(key) {
+        const value = properties[key].valid[0];
+        if (properties[key].valid.length === 0) return;
+        if (object.properties[key].required) required[key] = value;
+        full[key] = value;
+    });
+    const candidates = [ required, full ];
+
+    // objects that are missing a required property
+    keys
+        .filter(key => object.properties[key].required)
+        .forEach(function(key) {
+            const value = Object.assign({}, full);
+            delete value[key];
+            candidates.push(value);
+        });
+
+    // objects with a property value that the property schema does not accept
+    keys.forEach(function(key) {
+        properties[key].invalid.forEach(function(item) {
+            const value = Object.assign({}, full);
+            value[key] = item;
+            candidates.push(value);
+        });
+    });
+
+    // objects with an additional property for the general schema
+    if (object.schema) {
+        let extra = 'extra';
+        for (let i = 2; object.properties.hasOwnProperty(extra); i++) extra = 'extra' + i;
+        all(examples(object.schema, state, depth + 1)).forEach(function(item) {
+            const value = Object.assign({}, full);
+            value[extra] = item;
+            candidates.push(value);
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * Get values of the same types as the enum values that are not in the enum.
+ */
+function outsideEnum(values) {
+    const candidates = [];
+    const numbers = values.filter(util.isNumber);
+    const strings = values.filter(value => typeof value === 'string');
+    if (numbers.length > 0) candidates.push(Math.max.apply(Math, numbers) + 1);
+    if (strings.length > 0) candidates.push(strings.join('') + '_');
+    return candidates;
+}
+
+function repeat(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) result += 'a';
+    return result;
+}
+
+function stringCandidates(string) {
+    const candidates = [];
+    const min = isFinite(string.minLength) ? string.minLength : 0;
+    candidates.push(repeat(min));
+    if (min > 0) candidates.push(repeat(min - 1));
+    if (isFinite(string.maxLength)) candidates.push(repeat(string.maxLength), repeat(string.maxLength + 1));
+    return candidates;
+}
\ No newline at end of file
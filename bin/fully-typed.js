@@ -15,9 +15,24 @@
  *    limitations under the License.
  **/
 'use strict';
+const definitions       = require('./definitions');
 const Schema            = require('./schema');
 const util              = require('./util');
 
+// the controllers that every FullyTyped function starts with
+const builtIns = ['all-of', 'array', 'boolean', 'date', 'function', 'not', 'number', 'object', 'one-of', 'ref', 'string', 'symbol'];
+
+// configuration keys that are set internally rather than by the user
+const reserved = ['_extension_'];
+
+// the symbol aliases are shared so that the built in controllers have the same aliases in every registry
+const symbols = {
+    AllOf: Symbol('all-of'),
+    Not: Symbol('not'),
+    OneOf: Symbol('one-of'),
+    Typed: Symbol('typed')
+};
+
 module.exports = FullyTyped;
 
 /**
@@ -26,15 +41,77 @@ module.exports = FullyTyped;
  * @name FullyTyped#config
  */
 
+/**
+ * Convert a value into the types that the schema expects, without validating it.
+ * @function
+ * @name FullyTyped#coerceValue
+ * @param {*} value The value to convert.
+ * @param {object} [options={}]
+ * @param {Array} [options.coercions] An array that each conversion is added to.
+ * @param {Array} [options.path=[]] The base path for each conversion.
+ * @returns {*}
+ */
+
+/**
+ * Generate specialized error, errors, normalize, and validate functions for the schema tree.
+ * @function
+ * @name FullyTyped#compile
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @returns {{ error: function, errors: function, normalize: function, validate: function }}
+ */
+
 /**
  * Check a value against the schema for errors.
  * @function
  * @name FullyTyped#error
  * @param {*} value The value to test.
  * @param {string} [prefix=''] The prefix to add at the start of any errors.
+ * @param {object} [options={}] The same options as for FullyTyped#errors.
  * @returns {string|null}
  */
 
+/**
+ * Check a value against the schema and get an array of error objects.
+ * @function
+ * @name FullyTyped#errors
+ * @param {*} value The value to test.
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @param {Array} [options.path=[]] The base path for the error objects.
+ * @returns {object[]}
+ */
+
+/**
+ * Check a value against the schema and get a promise that resolves to an array of error objects.
+ * @function
+ * @name FullyTyped#errorsAsync
+ * @param {*} value The value to test.
+ * @param {object} [options={}]
+ * @returns {Promise<object[]>}
+ */
+
+/**
+ * Get values on each side of the schema's constraints, sorted by whether the schema accepts them.
+ * @function
+ * @name FullyTyped#examples
+ * @param {object} [options={}]
+ * @param {number} [options.maxDepth=3] The depth after which nested schemas only get a sample value and values of
+ * other types.
+ * @returns {{ valid: Array, invalid: Array }}
+ */
+
+/**
+ * Create a new schema from the configuration with overrides applied. Object properties and definitions are merged
+ * by name.
+ * @function
+ * @name FullyTyped#extend
+ * @param {object} overrides
+ * @returns {FullyTyped}
+ */
+
 /**
  * Get the hash that represents this fully typed configuration.
  * @function
@@ -49,18 +126,106 @@ module.exports = FullyTyped;
  * @function
  * @name FullyTyped#normalize
  * @param {*} value The value to normalize.
+ * @param {object} [options={}]
+ * @param {boolean} [options.coerce=false] Convert the value into the types that the schema expects before validation.
+ * @param {Array} [options.coercions] An array that each conversion is added to.
+ * @returns {*}
+ */
+
+/**
+ * Normalize a value against the configuration, waiting for asynchronous validators and transforms.
+ * @function
+ * @name FullyTyped#normalizeAsync
+ * @param {*} value The value to normalize.
+ * @returns {Promise<*>}
+ */
+
+/**
+ * Create a new object schema without the specified properties.
+ * @function
+ * @name FullyTyped#omit
+ * @param {string[]} keys
+ * @returns {FullyTyped}
+ */
+
+/**
+ * Create a new object schema where none of the properties are required.
+ * @function
+ * @name FullyTyped#partial
+ * @returns {FullyTyped}
+ */
+
+/**
+ * Create a new object schema with only the specified properties.
+ * @function
+ * @name FullyTyped#pick
+ * @param {string[]} keys
+ * @returns {FullyTyped}
+ */
+
+/**
+ * Create a new object schema where every property is required.
+ * @function
+ * @name FullyTyped#requiredAll
+ * @returns {FullyTyped}
+ */
+
+/**
+ * Generate a random value that the schema accepts.
+ * @function
+ * @name FullyTyped#sample
+ * @param {object} [options={}]
+ * @param {number} [options.attempts=100] The number of values to try for each schema before giving up.
+ * @param {number} [options.maxDepth=3] The depth after which nested values are kept as small as possible.
+ * @param {number,string} [options.seed] The seed for the random values.
+ * @returns {*}
+ */
+
+/**
+ * Find the smallest version of a value that the schema accepts and that the predicate returns true for.
+ * @function
+ * @name FullyTyped#shrink
+ * @param {*} value
+ * @param {function} predicate
  * @returns {*}
  */
 
+/**
+ * Get a JSON Schema document that describes the schema.
+ * @function
+ * @name FullyTyped#toJSONSchema
+ * @param {object} [options={}]
+ * @param {function} [options.onUnsupported] Called with the parts of the schema that JSON Schema cannot express.
+ * @returns {object}
+ */
+
+/**
+ * Get a TypeScript declaration for the values that the schema produces.
+ * @function
+ * @name FullyTyped#toTypeScript
+ * @param {string} name The name of the declared type.
+ * @returns {string}
+ */
+
 /**
  * Validate a value against the schema and throw an error if encountered.
  * @function
  * @name FullyTyped#validate
  * @param {*} value
  * @param {string} [prefix='']
+ * @param {object} [options={}]
  * @throws {Error}
  */
 
+/**
+ * Validate a value against the schema and get a promise that is rejected if an error is encountered.
+ * @function
+ * @name FullyTyped#validateAsync
+ * @param {*} value
+ * @param {string} [prefix='']
+ * @returns {Promise}
+ */
+
 
 /**
  * Get a typed schema.
@@ -69,16 +234,48 @@ module.exports = FullyTyped;
  * @returns {FullyTyped}
  */
 function FullyTyped (configuration) {
-    if (arguments.length === 0 || configuration === null) configuration = {};
+    return createSchema(FullyTyped, arguments.length === 0 ? null : configuration);
+}
+
+initialize(FullyTyped);
+builtIns.forEach(name => FullyTyped.controllers.register(require('./' + name)));
+
+
+
+/**
+ * Create a FullyTyped function with its own controllers, message catalogs, and cache. The built in controllers are
+ * registered with it.
+ * @returns {FullyTyped}
+ */
+function create() {
+    const instance = function FullyTyped(configuration) {
+        return createSchema(instance, arguments.length === 0 ? null : configuration);
+    };
+    initialize(instance);
+    builtIns.forEach(name => instance.controllers.register(require('./' + name)));
+    return instance;
+}
+
+/**
+ * Create a schema that is owned by a FullyTyped function. Nested schemas are created with the same function.
+ * @param {FullyTyped} FullyTyped
+ * @param {object} configuration
+ * @returns {Schema}
+ */
+function createSchema(FullyTyped, configuration) {
+    if (configuration === null) configuration = {};
 
     // validate input parameter
     if (!util.isPlainObject(configuration)) {
-        throw Error('If provided, the schema configuration must be a plain object. Received: ' + configuration);
+        throw util.configError(util.configMessage(FullyTyped, 'config.configuration', { value: configuration }));
     }
 
     // get a copy of the configuration
     const config = util.copy(configuration);
 
+    // a reference to a definition does not need a type
+    if (!config.type && config.hasOwnProperty('$ref')) config.type = 'ref';
+
     // if type is not specified then use the default
     if (!config.type) config.type = 'typed';
 
@@ -86,18 +283,207 @@ function FullyTyped (configuration) {
     const data = FullyTyped.controllers.get(config.type);
 
     // type is invalid
-    if (!data) throw Error('Unknown type: ' + config.type);
+    if (!data) throw util.configError(util.configMessage(FullyTyped, 'config.type', { type: config.type }));
 
-    // return a schema object
-    return new Schema(config, data);
+    // reject keys that no controller in the chain accepts
+    if (data.options) validateKeys(FullyTyped, config, data.options);
+
+    // return a schema object, with any definitions in scope for the schema and its nested schemas
+    if (!config.hasOwnProperty('definitions')) return FullyTyped.cache.get(config, data, () => new Schema(config, data, FullyTyped));
+    return definitions.scope(config.definitions, FullyTyped, () => new Schema(config, data, FullyTyped));
 }
 
 /**
- * @static
- * @name FullyTyped.controllers
- * @type {Controllers}
+ * Add the static properties and functions to a FullyTyped function.
+ * @param {FullyTyped} FullyTyped
  */
-FullyTyped.controllers = require('./controllers')();
+function initialize(FullyTyped) {
+
+    // the symbols must exist before the controllers that use them as aliases are loaded
+    FullyTyped.AllOf = symbols.AllOf;
+    FullyTyped.Not = symbols.Not;
+    FullyTyped.OneOf = symbols.OneOf;
+    FullyTyped.Typed = symbols.Typed;
+
+    /**
+     * The store that shares one frozen schema between identical configurations when enabled.
+     * @static
+     * @name FullyTyped.cache
+     * @type {Cache}
+     */
+    FullyTyped.cache = require('./cache')();
+
+    /**
+     * @static
+     * @name FullyTyped.controllers
+     * @type {Controllers}
+     */
+    FullyTyped.controllers = require('./controllers')();
+
+    /**
+     * The message catalogs for the error messages in each locale.
+     * @static
+     * @name FullyTyped.messages
+     * @type {Messages}
+     */
+    FullyTyped.messages = require('./messages')();
+
+    /**
+     * Compare two versions of a schema and get each change between them, classified as breaking if the new schema
+     * can reject a value that the old schema accepts.
+     * @static
+     * @name FullyTyped.compare
+     * @param {FullyTyped} oldSchema
+     * @param {FullyTyped} newSchema
+     * @returns {{ breaking: boolean, changes: object[] }}
+     */
+    FullyTyped.compare = require('./compare').compare;
 
-FullyTyped.OneOf = Symbol('one-of');
-FullyTyped.Typed = Symbol('typed');
\ No newline at end of file
+    /**
+     * Wrap a function so that its arguments are normalized and its return value, or the value that a returned promise
+     * resolves to, is normalized. Errors for arguments say which argument failed.
+     * @static
+     * @name FullyTyped.contract
+     * @param {object} options
+     * @param {boolean} [options.async=false] Normalize the arguments asynchronously and always return a promise.
+     * @param {Array} [options.params=[]] The schema or schema configuration for each argument, by index.
+     * @param {object} [options.rest] The schema or schema configuration for each argument after the params.
+     * @param {object} [options.returns] The schema or schema configuration for the return value.
+     * @param {function} fn
+     * @returns {function}
+     */
+    FullyTyped.contract = function(options, fn) {
+        return require('./contract').contract(options, fn, FullyTyped);
+    };
+
+    /**
+     * Create a FullyTyped function with its own controllers, message catalogs, and cache, so that registering a
+     * controller or messages with it does not affect any other FullyTyped function.
+     * @static
+     * @name FullyTyped.create
+     * @returns {FullyTyped}
+     */
+    FullyTyped.create = create;
+
+    /**
+     * Create a schema from a JSON Schema document.
+     * @static
+     * @name FullyTyped.fromJSONSchema
+     * @param {object} document
+     * @param {object} [options={}]
+     * @param {boolean} [options.strict=true] Throw an error if the document has keywords that cannot be converted.
+     * @param {function} [options.onUnsupported] Called with the unsupported keywords when not strict.
+     * @returns {FullyTyped}
+     */
+    FullyTyped.fromJSONSchema = function(document, options) {
+        return require('./json-schema').fromJSONSchema(document, options, FullyTyped);
+    };
+
+    /**
+     * Create a schema from a string produced by FullyTyped.serialize.
+     * @static
+     * @name FullyTyped.deserialize
+     * @param {string, object} json
+     * @param {object} [options={}]
+     * @param {object} [options.functions={}] The functions to use for each function name in the serialized schema.
+     * @returns {FullyTyped}
+     */
+    FullyTyped.deserialize = function(json, options) {
+        return require('./serialize').deserialize(json, options, FullyTyped);
+    };
+
+    /**
+     * Create a connect style middleware function that normalizes the parts of a request and responds with a 400
+     * status code and a JSON error body if any part is invalid.
+     * @static
+     * @name FullyTyped.middleware
+     * @param {object} [options={}]
+     * @param {object} [options.body] The schema or schema configuration for the JSON request body.
+     * @param {object} [options.headers] The schema or schema configuration for the request headers.
+     * @param {object} [options.params] The schema or schema configuration for the route parameters.
+     * @param {object} [options.query] The schema or schema configuration for the query string parameters.
+     * @param {object} [options.response] The schema or schema configuration for the JSON response body.
+     * @returns {function}
+     */
+    FullyTyped.middleware = function(options) {
+        return require('./middleware').middleware(options, FullyTyped);
+    };
+
+    /**
+     * Convert a schema into a JSON string that can be stored or sent to another process.
+     * @static
+     * @name FullyTyped.serialize
+     * @param {FullyTyped} schema
+     * @param {object} [options={}]
+     * @param {object} [options.functions={}] Functions, like validators and transforms, mapped by the name to store them by.
+     * @returns {string}
+     */
+    FullyTyped.serialize = require('./serialize').serialize;
+}
+
+/**
+ * Get the number of single character insertions, deletions, substitutions, and adjacent transpositions that turn
+ * one string into another.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+        d[i] = [i];
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                d[i][j] = j;
+            } else {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Get a message that suggests the closest accepted key for an unknown key, or an empty string if none are close.
+ * @param {FullyTyped} FullyTyped
+ * @param {string} unknown
+ * @param {string[]} keys The accepted keys.
+ * @returns {string}
+ */
+function suggest(FullyTyped, unknown, keys) {
+    const limit = Math.max(1, Math.floor(unknown.length / 3));
+    const suggestion = keys
+        .map(key => ({ key: key, distance: editDistance(unknown.toLowerCase(), key.toLowerCase()) }))
+        .filter(item => item.distance <= limit)
+        .sort((a, b) => a.distance - b.distance)[0];
+    return suggestion ? ' ' + util.configMessage(FullyTyped, 'config.suggestion', { key: suggestion.key }) : '';
+}
+
+/**
+ * Throw an error for the first configuration key that is not an accepted option, suggesting the closest option.
+ * Error messages can only be set for constraints, which are named after the options that define them.
+ * @param {FullyTyped} FullyTyped
+ * @param {object} config
+ * @param {object} options The accepted options for the controller chain.
+ */
+function validateKeys(FullyTyped, config, options) {
+    const keys = Object.keys(options);
+    let unknown = Object.keys(config).filter(key => !options.hasOwnProperty(key) && reserved.indexOf(key) === -1)[0];
+    let messageKey = 'config.unknownProperty';
+    let property = unknown;
+
+    if (unknown === undefined && util.isPlainObject(config.errorMessages)) {
+        unknown = Object.keys(config.errorMessages).filter(key => !options.hasOwnProperty(key))[0];
+        messageKey = 'config.unknownConstraint';
+        property = 'errorMessages.' + unknown;
+    }
+    if (unknown === undefined) return;
+
+    const err = util.configError(util.configMessage(FullyTyped, messageKey, { property: unknown }) + suggest(FullyTyped, unknown, keys));
+    err.property = property;
+    throw err;
+}
@@ -15,8 +15,12 @@
  *    limitations under the License.
  **/
 'use strict';
+const FullyTyped            = require('./fully-typed');
 const util                  = require('./util');
 
+// the kinds of functions, as returned by TypedFunction.kindOf
+const kinds = ['arrow', 'async', 'async-generator', 'class', 'function', 'generator'];
+
 module.exports = TypedFunction;
 
 /**
@@ -30,19 +34,58 @@ function TypedFunction (config) {
     const fn = this;
 
     if (config.hasOwnProperty('minArguments') && (!util.isInteger(config.minArguments) || config.minArguments < 0)) {
-        const message = util.propertyErrorMessage('minArguments', config.minArguments, 'Expected a non-negative integer.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(fn.FullyTyped, 'minArguments', config.minArguments, 'config.nonNegativeInteger');
+        throw util.configError(message);
     }
     const min = config.hasOwnProperty('minArguments') ? config.minArguments : 0;
 
     if (config.hasOwnProperty('maxArguments') && (!util.isInteger(config.maxArguments) || config.maxArguments < min)) {
-        const message = util.propertyErrorMessage('minArguments', config.maxArguments, 'Expected a integer greater than minArgument value of ' + min + '.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(fn.FullyTyped, 'maxArguments', config.maxArguments, 'config.maxArguments', { minArguments: min });
+        throw util.configError(message);
+    }
+
+    const kind = typeof config.kind === 'string' ? [ config.kind ] : config.kind;
+    if (config.hasOwnProperty('kind') && (!Array.isArray(kind) || kind.length === 0 || kind.some(k => kinds.indexOf(k) === -1))) {
+        const message = util.propertyErrorMessage(fn.FullyTyped, 'kind', config.kind, 'config.kind', { kinds: kinds.join(', ') });
+        throw util.configError(message);
+    }
+
+    if (config.hasOwnProperty('parameters') && (!Array.isArray(config.parameters) || config.parameters.some(p => typeof p !== 'string' || !p))) {
+        const message = util.propertyErrorMessage(fn.FullyTyped, 'parameters', config.parameters, 'config.parameters');
+        throw util.configError(message);
+    }
+
+    // only classes and plain functions can be constructable and classes always are
+    const constructable = config.hasOwnProperty('constructable') ? !!config.constructable : undefined;
+    if (kind && ((constructable === true && kind.indexOf('class') === -1 && kind.indexOf('function') === -1) ||
+            (constructable === false && kind.length === 1 && kind[0] === 'class'))) {
+        const message = util.propertyErrorMessage(fn.FullyTyped, 'constructable', config.constructable, 'config.constructable', { constructable: constructable, kinds: kind.join(', ') });
+        throw util.configError(message);
     }
 
     // define properties
     Object.defineProperties(fn, {
 
+        constructable: {
+            /**
+             * @property
+             * @name TypedFunction#constructable
+             * @type {boolean, undefined}
+             */
+            value: constructable,
+            writable: false
+        },
+
+        kind: {
+            /**
+             * @property
+             * @name TypedFunction#kind
+             * @type {string[], undefined}
+             */
+            value: kind ? Object.freeze(kind.slice()) : undefined,
+            writable: false
+        },
+
         maxArguments: {
             /**
              * @property
@@ -71,6 +114,16 @@ function TypedFunction (config) {
              */
             value: config.hasOwnProperty('named') ? !!config.named : false,
             writable: false
+        },
+
+        parameters: {
+            /**
+             * @property
+             * @name TypedFunction#parameters
+             * @type {string[], undefined}
+             */
+            value: config.parameters ? Object.freeze(config.parameters.slice()) : undefined,
+            writable: false
         }
 
     });
@@ -78,27 +131,248 @@ function TypedFunction (config) {
     return fn;
 }
 
-TypedFunction.prototype.error = function (value, prefix) {
+TypedFunction.prototype.error = function (value, prefix, context) {
 
     if (typeof value !== 'function' || (this.named && !value.name)) {
-        const expected = 'Expected a ' + (this.named ? 'named ' : '') + 'function.';
-        return prefix + util.valueErrorMessage(value, expected);
+        const key = this.named ? 'function.named' : 'function.type';
+        return util.errorResult([ util.typeError(context, value, this.named ? 'named function' : 'function', key) ], prefix, context);
+    }
+
+    const errors = [];
+
+    if (this.kind && this.kind.indexOf(TypedFunction.kindOf(value)) === -1) {
+        errors.push(util.violation(context, {
+            code: util.errors.type.code,
+            constraint: 'kind',
+            expected: this.kind,
+            message: util.valueMessage(context, value, 'function.kind', { kinds: this.kind.join(', ') }),
+            value: value
+        }));
+    }
+
+    if (util.keepChecking(errors, context) && this.constructable !== undefined && TypedFunction.isConstructable(value) !== this.constructable) {
+        errors.push(util.violation(context, {
+            code: util.errors.type.code,
+            constraint: 'constructable',
+            expected: this.constructable,
+            message: util.valueMessage(context, value, 'function.constructable', { constructable: this.constructable }),
+            value: value
+        }));
     }
 
-    if (typeof this.minArguments !== 'undefined' && value.length < this.minArguments) {
-        const expected = 'Expected the function to have at least ' + this.minArguments + ' parameter' + (this.minArguments !== 1 ? 's' : '') + '.';
-        return prefix + util.valueErrorMessage(value, expected);
+    if (util.keepChecking(errors, context) && typeof this.minArguments !== 'undefined' && value.length < this.minArguments) {
+        errors.push(util.violation(context, {
+            code: util.errors.min.code,
+            constraint: 'minArguments',
+            expected: this.minArguments,
+            message: util.valueMessage(context, value, 'function.minArguments', { minArguments: this.minArguments }),
+            value: value
+        }));
     }
 
-    if (typeof this.maxArguments !== 'undefined' && value.length > this.maxArguments) {
-        const expected = 'Expected the function to have at most ' + this.maxArguments + ' parameter' + (this.maxArguments !== 1 ? 's' : '') + '.';
-        return prefix + util.valueErrorMessage(value, expected);
+    if (util.keepChecking(errors, context) && typeof this.maxArguments !== 'undefined' && value.length > this.maxArguments) {
+        errors.push(util.violation(context, {
+            code: util.errors.max.code,
+            constraint: 'maxArguments',
+            expected: this.maxArguments,
+            message: util.valueMessage(context, value, 'function.maxArguments', { maxArguments: this.maxArguments }),
+            value: value
+        }));
     }
 
-    return null;
+    if (util.keepChecking(errors, context) && this.parameters) {
+        const names = TypedFunction.parameterNames(value);
+        const missing = this.parameters.filter(name => names.indexOf(name) === -1);
+        if (missing.length > 0) {
+            errors.push(util.violation(context, {
+                code: util.errors.invalid.code,
+                constraint: 'parameters',
+                expected: this.parameters,
+                message: util.valueMessage(context, value, 'function.parameters', { missing: missing.join(', '), parameters: this.parameters.join(', ') }),
+                value: value
+            }));
+        }
+    }
+
+    return util.errorResult(errors, prefix, context);
 };
 
 TypedFunction.register = {
     aliases: ['function', Function],
-    dependencies: []
-};
\ No newline at end of file
+    dependencies: [],
+    options: {
+        constructable: { type: Boolean },
+        kind: { type: FullyTyped.OneOf, oneOf: [{ type: String, enum: kinds }, { type: Array, minItems: 1, schema: { type: String, enum: kinds } }] },
+        maxArguments: { type: Number, integer: true, min: 0 },
+        minArguments: { type: Number, integer: true, min: 0 },
+        named: { type: Boolean },
+        parameters: { type: Array, schema: { type: String, minLength: 1 } }
+    }
+};
+
+/**
+ * Determine whether a function can be called with new.
+ * @param {function} fn
+ * @returns {boolean}
+ */
+TypedFunction.isConstructable = function(fn) {
+    try {
+        Reflect.construct(String, [], fn);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Get the kind of a function: 'arrow', 'async', 'async-generator', 'class', 'generator', or 'function' for any other
+ * function, including methods and bound and built in functions. Async arrow functions are 'async'.
+ * @param {function} fn
+ * @returns {string}
+ */
+TypedFunction.kindOf = function(fn) {
+    const tag = Object.prototype.toString.call(fn);
+    if (tag === '[object AsyncGeneratorFunction]') return 'async-generator';
+    if (tag === '[object AsyncFunction]') return 'async';
+    if (tag === '[object GeneratorFunction]') return 'generator';
+
+    const source = Function.prototype.toString.call(fn);
+    if (/^class\b/.test(source)) return 'class';
+    if (!fn.hasOwnProperty('prototype') && (source[0] === '(' || /^[\w$]+\s*=>/.test(source))) return 'arrow';
+    return 'function';
+};
+
+/**
+ * Get the names of a function's parameters from its source. The parameters of a class are those of its
+ * constructor. Destructured parameters have no name and are left out.
+ * @param {function} fn
+ * @returns {string[]}
+ */
+TypedFunction.parameterNames = function(fn) {
+    const source = Function.prototype.toString.call(fn).replace(/^async(?=\s|\()\s*/, '');
+
+    // a single arrow function parameter does not need parentheses
+    const single = /^([\w$]+)\s*=>/.exec(source);
+    if (single) return [ single[1] ];
+
+    const start = /^class\b/.test(source) ? constructorIndex(source) : source.indexOf('(');
+    if (start === -1) return [];
+
+    return splitParameters(source, start + 1)
+        .map(param => /^(?:\.\.\.)?\s*([\w$]+)/.exec(param))
+        .filter(match => match)
+        .map(match => match[1]);
+};
+
+
+
+/**
+ * Get the index of the opening parenthesis of the constructor's parameters within the source of a class, or -1 if
+ * the class has no constructor. Only a method defined in the class body counts, not calls like this.constructor().
+ */
+function constructorIndex(source) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quote) {
+            if (ch === '\\') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '/' && source[i + 1] === '*') {
+            i = source.indexOf('*/', i + 2) + 1;
+            if (i === 0) break;
+            continue;
+        } else if (ch === '/' && source[i + 1] === '/') {
+            i = source.indexOf('\n', i);
+            if (i === -1) break;
+            continue;
+        } else if (ch === '/' && startsRegExp(source.slice(0, i))) {
+            i = regExpEnd(source, i);
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            quote = ch;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+        } else if (depth === 1 && !/[\w$.]/.test(source[i - 1])) {
+            const match = /^constructor\s*\(/.exec(source.substr(i, 64));
+            if (match) return i + match[0].length - 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Get the index of the slash that ends the regular expression literal that starts at an index.
+ */
+function regExpEnd(source, index) {
+    let charClass = false;
+    for (let i = index + 1; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '\\') i++;
+        else if (ch === '[') charClass = true;
+        else if (ch === ']') charClass = false;
+        else if (ch === '/' && !charClass) return i;
+        else if (ch === '\n') return i - 1;
+    }
+    return source.length - 1;
+}
+
+/**
+ * Determine whether a slash that follows some source starts a regular expression literal rather than a division.
+ */
+function startsRegExp(before) {
+    return /(?:^|[(,=:[!&|?{};+\-*%<>~^]|(?:^|[^\w$.])(?:await|case|delete|in|instanceof|new|of|return|throw|typeof|void|yield))\s*$/
+        .test(before);
+}
+
+/**
+ * Split the parameter list that starts at an index into the source for each parameter, without comments.
+ */
+function splitParameters(source, index) {
+    const params = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    for (let i = index; i < source.length; i++) {
+        const ch = source[i];
+        if (quote) {
+            if (ch === '\\') {
+                current += ch + source[++i];
+                continue;
+            }
+            if (ch === quote) quote = null;
+        } else if (ch === '/' && source[i + 1] === '*') {
+            i = source.indexOf('*/', i + 2) + 1;
+            if (i === 0) break;
+            continue;
+        } else if (ch === '/' && source[i + 1] === '/') {
+            i = source.indexOf('\n', i);
+            if (i === -1) break;
+            continue;
+        } else if (ch === '/' && startsRegExp(current)) {
+            const end = regExpEnd(source, i);
+            current += source.slice(i, end + 1);
+            i = end;
+            continue;
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            quote = ch;
+        } else if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ')' && depth === 0) {
+            break;
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            params.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+
+    if (current.trim()) params.push(current.trim());
+    return params;
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const TypedArray            = require('./array');
+const TypedObject           = require('./object');
+const TypedRef              = require('./ref');
+const util                  = require('./util');
+
+// the array methods that change the array in place
+const mutators = ['copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift'];
+
+/**
+ * Get a proxy for an object or array that validates every change against the schema. Nested objects and arrays are
+ * proxied when they are read.
+ * @param {Schema} schema An object or array schema.
+ * @param {object} value The object or array to guard. It must be valid for the schema.
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {object}
+ */
+exports.guard = function(schema, value, options, getData) {
+    const resolved = resolve(schema, getData);
+    if (!isObjectSchema(resolved, getData) && !isArraySchema(resolved, getData)) {
+        throw Error('Unable to guard value. Expected an object or array schema.');
+    }
+    if (!value || typeof value !== 'object') throw Error('Unable to guard value. Expected an object or array. Received: ' + value);
+
+    const locale = options ? options.locale : undefined;
+    const state = {
+        context: { locale: locale, messages: schema.FullyTyped.messages },
+        errorOptions: { allErrors: !!(options && options.allErrors), locale: locale },
+        getData: getData
+    };
+
+    schema.validate(value, '', state.errorOptions);
+    return createProxy(state, resolved, value, []);
+};
+
+
+
+/**
+ * Create the proxy for a value. Changes are made to a copy of the value first and the whole copy is checked, because
+ * a change to one property or item can break a constraint of the whole value, like a validator or uniqueItems. The
+ * copy is then put into a copy of each parent value and checked against the parent's schema.
+ */
+function createProxy(state, schema, target, path, checkParent) {
+    const isArray = isArraySchema(schema, state.getData);
+    const children = new Map();
+    const methods = new Map();
+
+    function copyTarget() {
+        return isArray ? target.slice() : Object.assign({}, target);
+    }
+
+    // make a change to a copy of the value and throw an error if the copy is not valid
+    function changeCopy(change, key) {
+        const copy = copyTarget();
+        const result = change(copy);
+        validateCopy(copy, key);
+        return { copy: copy, result: result };
+    }
+
+    function check(key, value) {
+        if (typeof key !== 'symbol') changeCopy(copy => copy[key] = value, key);
+    }
+
+    function validateCopy(copy, key) {
+        const errors = schema.errors(copy, errorOptions(state, path));
+        if (errors.length > 0) {
+            const keyPath = isArray ? (isIndex(key) ? [ Number(key) ] : []) : (key !== undefined ? [ key ] : []);
+            throw guardError(state, errors, path.concat(keyPath));
+        }
+        if (checkParent) checkParent(copy);
+    }
+
+    return new Proxy(target, {
+
+        defineProperty: function(target, key, descriptor) {
+            if (descriptor.get || descriptor.set) {
+                throw Error('Unable to define property: ' + String(key) + '. Guarded values cannot have accessor properties.');
+            }
+            if (descriptor.hasOwnProperty('value')) check(key, descriptor.value);
+            return Reflect.defineProperty(target, key, descriptor);
+        },
+
+        deleteProperty: function(target, key) {
+            if (typeof key !== 'symbol' && hasOwnProperty(target, key)) changeCopy(copy => delete copy[key], key);
+            return Reflect.deleteProperty(target, key);
+        },
+
+        get: function(target, key, receiver) {
+            if (isArray && mutators.indexOf(key) !== -1) {
+                if (!methods.has(key)) {
+                    methods.set(key, function() {
+                        const args = arguments;
+                        const change = changeCopy(copy => Array.prototype[key].apply(copy, args));
+                        Array.prototype.splice.apply(target, [ 0, target.length ].concat(change.copy));
+                        return change.result === change.copy ? receiver : change.result;
+                    });
+                }
+                return methods.get(key);
+            }
+
+            const value = Reflect.get(target, key, receiver);
+            if (!value || typeof value !== 'object' || typeof key === 'symbol' || !hasOwnProperty(target, key)) return value;
+
+            const child = getChildSchema(state, schema, key);
+            if (!isObjectSchema(child, state.getData) && !isArraySchema(child, state.getData)) return value;
+
+            // reuse the proxy until the property is given a different value
+            const cached = children.get(key);
+            if (cached && cached.target === value) return cached.proxy;
+            const proxy = createProxy(state, child, value, path.concat([ isArray ? Number(key) : key ]), function(copy) {
+                const parent = copyTarget();
+                parent[key] = copy;
+                validateCopy(parent);
+            });
+            children.set(key, { target: value, proxy: proxy });
+            return proxy;
+        },
+
+        set: function(target, key, value) {
+            check(key, value);
+            return Reflect.set(target, key, value);
+        }
+
+    });
+}
+
+function errorOptions(state, path) {
+    return Object.assign({}, state.errorOptions, { path: path });
+}
+
+/**
+ * Get the schema for a property or item, with references resolved.
+ */
+function getChildSchema(state, schema, key) {
+    let child;
+    if (isArraySchema(schema, state.getData)) {
+        child = isIndex(key) ? schema.schema : undefined;
+    } else {
+        child = schema.properties.hasOwnProperty(key) ? schema.properties[key] : schema.schema;
+    }
+    return resolve(child, state.getData);
+}
+
+/**
+ * Get the error for an invalid change, with a message that says which property was changed.
+ */
+function guardError(state, errors, path) {
+    const prefix = path.length > 0
+        ? util.message(state.context, 'guard.property', { path: path.join('.') })
+        : util.message(state.context, 'guard.value');
+    const err = Error(util.errorMessage(errors, prefix, path.length, state.context));
+    err.errors = errors;
+    err.path = path;
+    return err;
+}
+
+function hasOwnProperty(value, key) {
+    return Object.prototype.hasOwnProperty.call(value, key);
+}
+
+function isArraySchema(schema, getData) {
+    return !!schema && getData(schema).controllers.indexOf(TypedArray) !== -1;
+}
+
+function isIndex(key) {
+    return typeof key === 'string' && /^(?:0|[1-9]\d*)$/.test(key);
+}
+
+function isObjectSchema(schema, getData) {
+    return !!schema && getData(schema).controllers.indexOf(TypedObject) !== -1;
+}
+
+function resolve(schema, getData) {
+    while (schema && getData(schema).controllers.indexOf(TypedRef) !== -1) schema = schema.schema;
+    return schema;
+}
\ No newline at end of file
@@ -0,0 +1,632 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const util                  = require('./util');
+
+// keywords that describe a schema without affecting validation
+const annotations = ['$comment', '$defs', '$id', '$schema', 'definitions', 'deprecated', 'description', 'examples',
+    'readOnly', 'title', 'writeOnly'];
+
+// keywords that apply to values of any type
+const generalKeywords = ['$ref', 'allOf', 'anyOf', 'const', 'default', 'enum', 'not', 'oneOf', 'type'];
+
+// keywords that only apply to values of a specific type
+const typeKeywords = {
+    array: ['items', 'maxItems', 'minItems', 'uniqueItems'],
+    number: ['exclusiveMaximum', 'exclusiveMinimum', 'maximum', 'minimum'],
+    object: ['additionalProperties', 'properties', 'required'],
+    string: ['maxLength', 'minLength', 'pattern']
+};
+
+const types = ['array', 'boolean', 'integer', 'null', 'number', 'object', 'string'];
+
+// custom keywords that toJSONSchema adds for the types that JSON Schema cannot describe
+const customTypes = ['date', 'function', 'symbol'];
+
+// functions that add the JSON Schema keywords for each built in controller
+const keywordGenerators = {
+    'all-of': allOfKeywords,
+    array: arrayKeywords,
+    boolean: booleanKeywords,
+    date: dateKeywords,
+    function: functionKeywords,
+    not: notKeywords,
+    number: numberKeywords,
+    object: objectKeywords,
+    'one-of': oneOfKeywords,
+    ref: refKeywords,
+    string: stringKeywords,
+    symbol: symbolKeywords,
+    typed: typedKeywords
+};
+
+/**
+ * Create a schema from a JSON Schema document.
+ * @param {object} document A draft-07 or 2020-12 JSON Schema document.
+ * @param {object} [options={}]
+ * @param {boolean} [options.strict=true] Throw an error if the document has keywords that cannot be converted.
+ * @param {function} [options.onUnsupported] Called with the unsupported keywords when not strict.
+ * @param {FullyTyped} FullyTyped The function to create the schema with.
+ * @returns {Schema}
+ */
+exports.fromJSONSchema = function(document, options, FullyTyped) {
+    if (!options) options = {};
+    const state = {
+        definitions: {},
+        definitionNames: {},
+        refs: [],
+        root: document,
+        unsupported: []
+    };
+
+    const config = toConfig(document, '#', state);
+    if (Object.keys(state.definitions).length > 0) config.definitions = state.definitions;
+
+    if (state.unsupported.length > 0) {
+        if (options.strict !== false) {
+            const err = util.configError('Unable to convert the JSON Schema. Unsupported keywords:\n  ' +
+                state.unsupported.map(item => item.keyword + ' at ' + item.path + ': ' + item.message).join('\n  '));
+            err.unsupported = state.unsupported;
+            throw err;
+        } else if (typeof options.onUnsupported === 'function') {
+            options.onUnsupported(state.unsupported);
+        }
+    }
+
+    return FullyTyped(config);
+};
+
+/**
+ * Create a JSON Schema document that describes a schema.
+ * @param {Schema} schema
+ * @param {object} [options={}]
+ * @param {function} [options.onUnsupported] Called with the parts of the schema that JSON Schema cannot express.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {object}
+ */
+exports.toJSONSchema = function(schema, options, getData) {
+    if (!options) options = {};
+    const state = {
+        definitions: {},
+        definitionNames: new Map(),
+        generators: new Map(),
+        getData: getData,
+        unsupported: []
+    };
+
+    Object.keys(keywordGenerators).forEach(function(alias) {
+        const data = schema.FullyTyped.controllers.get(alias);
+        if (data) state.generators.set(data.controller, keywordGenerators[alias]);
+    });
+
+    const document = Object.assign({ $schema: 'https://json-schema.org/draft/2020-12/schema' }, toDocument(schema, '#', state));
+    if (Object.keys(state.definitions).length > 0) document.$defs = state.definitions;
+    if (state.unsupported.length > 0 && typeof options.onUnsupported === 'function') {
+        options.onUnsupported(state.unsupported);
+    }
+    return document;
+};
+
+
+
+function additionalPropertiesValidator(keys) {
+    return function(value) {
+        if (!value || typeof value !== 'object') return true;
+        const extra = Object.keys(value).filter(key => keys.indexOf(key) === -1);
+        return extra.length === 0 ||
+            'Unexpected propert' + (extra.length === 1 ? 'y' : 'ies') + ': ' + extra.join(', ') + '.';
+    };
+}
+
+function allOfKeywords(allOf, result, pointer, state) {
+    result.allOf = allOf.allOf.map((schema, index) => toDocument(schema, pointer + '/allOf/' + index, state));
+}
+
+function arrayConfig(schema, pointer, state) {
+    const config = { type: 'array' };
+    if (schema.hasOwnProperty('items')) {
+        if (Array.isArray(schema.items)) {
+            unsupported(state, pointer, 'items', 'Tuple validation is not supported.');
+        } else {
+            config.schema = toConfig(schema.items, pointer + '/items', state);
+        }
+    }
+    copy(schema, config, { maxItems: 'maxItems', minItems: 'minItems', uniqueItems: 'uniqueItems' });
+
+    // uniqueItems compares objects by instance, but JSON Schema compares them by value
+    if (config.uniqueItems === true) config.validator = uniqueJsonItems;
+    return config;
+}
+
+function arrayKeywords(array, result, pointer, state) {
+    result.type = 'array';
+    if (array.schema) result.items = toDocument(array.schema, pointer + '/items', state);
+    if (!isNaN(array.maxItems)) result.maxItems = array.maxItems;
+    if (array.minItems > 0) result.minItems = array.minItems;
+    if (array.uniqueItems) result.uniqueItems = true;
+}
+
+function booleanKeywords(boolean, result) {
+    if (boolean.strict) result.type = 'boolean';
+}
+
+function copy(schema, config, map) {
+    Object.keys(map).forEach(function(key) {
+        if (schema.hasOwnProperty(key)) config[map[key]] = schema[key];
+    });
+}
+
+function customTypeConfig(schema, pointer, state) {
+    const type = schema['x-type'];
+    if (customTypes.indexOf(type) === -1) {
+        unsupported(state, pointer, 'x-type', 'Unknown type: ' + type);
+        return typesConfig(schema, pointer, state);
+    }
+    const config = { type: type };
+    if (type === 'date') copy(schema, config, { 'x-maximum-date': 'max', 'x-minimum-date': 'min' });
+    return config;
+}
+
+function dateKeywords(date, result, pointer, state) {
+    result.type = ['string', 'number'];
+    result['x-type'] = 'date';
+    unsupported(state, pointer, 'x-type', 'Dates are described as strings or numbers that are not checked to be valid dates.');
+    if (date.max) result['x-maximum-date'] = date.max.toISOString();
+    if (date.min) result['x-minimum-date'] = date.min.toISOString();
+}
+
+/**
+ * Convert the definition that a reference points to, once, and get the name of the FullyTyped definition.
+ */
+function definitionConfig(ref, name, target, state) {
+    if (!state.definitionNames.hasOwnProperty(ref)) {
+        let unique = name;
+        for (let i = 2; state.definitions.hasOwnProperty(unique); i++) unique = name + i;
+        state.definitionNames[ref] = unique;
+        state.definitions[unique] = {};
+        state.definitions[unique] = toConfig(target, ref, state);
+    }
+    return { $ref: state.definitionNames[ref] };
+}
+
+/**
+ * Add the document for a schema to the $defs, once, and get the name that it is stored under.
+ */
+function definitionDocument(schema, name, state) {
+    if (!state.definitionNames.has(schema)) {
+        let unique = name;
+        for (let i = 2; state.definitions.hasOwnProperty(unique); i++) unique = name + i;
+        state.definitionNames.set(schema, unique);
+        state.definitions[unique] = {};
+        state.definitions[unique] = toDocument(schema, '#/$defs/' + escapePointer(unique), state);
+    }
+    return state.definitionNames.get(schema);
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Require that no more than one schema of an imported oneOf passes. The export recognizes this function.
+ */
+function exactlyOne(value) {
+    return this.oneOf.filter(schema => schema.errors(value).length === 0).length <= 1 || 'Must match exactly one schema.';
+}
+
+function functionKeywords(fn, result, pointer, state) {
+    result['x-type'] = 'function';
+    unsupported(state, pointer, 'x-type', 'Functions cannot be described by JSON Schema.');
+}
+
+/**
+ * Get a string that is the same for JSON values that are equal, whatever the order of their object keys.
+ */
+function jsonKey(value) {
+    if (Array.isArray(value)) return '[' + value.map(jsonKey).join(',') + ']';
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + jsonKey(value[key])).join(',') + '}';
+    }
+    return String(JSON.stringify(value));
+}
+
+/**
+ * Get the JSON value for a value or undefined if it does not have one.
+ */
+function jsonValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number' && !isFinite(value)) return undefined;
+    if (Array.isArray(value)) {
+        const items = value.map(jsonValue);
+        return items.some(item => item === undefined) ? undefined : items;
+    }
+    if (value && typeof value === 'object') {
+        if (!util.isPlainObject(value)) return undefined;
+        const result = {};
+        const keys = Object.keys(value);
+        const length = keys.length;
+        for (let i = 0; i < length; i++) {
+            result[keys[i]] = jsonValue(value[keys[i]]);
+            if (result[keys[i]] === undefined) return undefined;
+        }
+        return result;
+    }
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+}
+
+function notKeywords(not, result, pointer, state) {
+    result.not = toDocument(not.not, pointer + '/not', state);
+}
+
+function numberConfig(schema, integer) {
+    const config = { type: 'number' };
+    if (integer) config.integer = true;
+    copy(schema, config, { maximum: 'max', minimum: 'min' });
+
+    // draft-04 uses booleans, later drafts use numbers
+    if (typeof schema.exclusiveMaximum === 'boolean') {
+        config.exclusiveMax = schema.exclusiveMaximum;
+    } else if (typeof schema.exclusiveMaximum === 'number' && !(config.max < schema.exclusiveMaximum)) {
+        config.max = schema.exclusiveMaximum;
+        config.exclusiveMax = true;
+    }
+    if (typeof schema.exclusiveMinimum === 'boolean') {
+        config.exclusiveMin = schema.exclusiveMinimum;
+    } else if (typeof schema.exclusiveMinimum === 'number' && !(config.min > schema.exclusiveMinimum)) {
+        config.min = schema.exclusiveMinimum;
+        config.exclusiveMin = true;
+    }
+
+    return config;
+}
+
+function numberKeywords(number, result) {
+    result.type = number.integer ? 'integer' : 'number';
+    if (isFinite(number.max)) result[number.exclusiveMax ? 'exclusiveMaximum' : 'maximum'] = number.max;
+    if (isFinite(number.min)) result[number.exclusiveMin ? 'exclusiveMinimum' : 'minimum'] = number.min;
+}
+
+function objectConfig(schema, pointer, state, allowNull) {
+    const config = { type: 'object', allowNull: allowNull };
+    const properties = {};
+    const keys = schema.properties && typeof schema.properties === 'object' ? Object.keys(schema.properties) : [];
+
+    keys.forEach(function(key) {
+        properties[key] = toConfig(schema.properties[key], pointer + '/properties/' + escapePointer(key), state);
+    });
+
+    if (Array.isArray(schema.required)) {
+        schema.required.forEach(function(key) {
+            if (!properties[key]) properties[key] = {};
+            if (properties[key].hasOwnProperty('default')) {
+                unsupported(state, pointer + '/properties/' + escapePointer(key), 'default', 'A required property cannot have a default value.');
+                delete properties[key].default;
+            }
+            properties[key].required = true;
+        });
+    }
+
+    if (Object.keys(properties).length > 0) config.properties = properties;
+
+    if (schema.additionalProperties === false) {
+        config.validator = additionalPropertiesValidator(Object.keys(properties));
+    } else if (schema.hasOwnProperty('additionalProperties') && schema.additionalProperties !== true) {
+        if (keys.length > 0) {
+            unsupported(state, pointer, 'additionalProperties', 'A schema for additional properties is only supported when there are no properties.');
+        } else {
+            config.schema = toConfig(schema.additionalProperties, pointer + '/additionalProperties', state);
+        }
+    }
+
+    return config;
+}
+
+function objectKeywords(object, result, pointer, state) {
+    const keys = Object.keys(object.properties);
+    result.type = object.allowNull ? ['object', 'null'] : 'object';
+    if (keys.length > 0) {
+        result.properties = {};
+        keys.forEach(function(key) {
+            result.properties[key] = toDocument(object.properties[key], pointer + '/properties/' + escapePointer(key), state);
+        });
+        const required = keys.filter(key => object.properties[key].required);
+        if (required.length > 0) result.required = required;
+    }
+    if (object.schema) result.additionalProperties = toDocument(object.schema, pointer + '/additionalProperties', state);
+}
+
+function oneOfKeywords(oneOf, result, pointer, state) {
+    const keyword = oneOf.validator === exactlyOne ? 'oneOf' : 'anyOf';
+    result[keyword] = oneOf.oneOf.map((schema, index) => toDocument(schema, pointer + '/' + keyword + '/' + index, state));
+}
+
+function refKeywords(ref, result, pointer, state) {
+    result.$ref = '#/$defs/' + escapePointer(definitionDocument(ref.schema, ref.ref, state));
+}
+
+function resolve(ref, state) {
+    if (ref === '#') return state.root;
+    if (ref.indexOf('#/') !== 0) return undefined;
+    return ref.substr(2).split('/')
+        .map(unescapePointer)
+        .reduce((value, segment) => value && typeof value === 'object' && value.hasOwnProperty(segment) ? value[segment] : undefined, state.root);
+}
+
+function stringConfig(schema, pointer, state) {
+    const config = { type: 'string' };
+    copy(schema, config, { maxLength: 'maxLength', minLength: 'minLength' });
+    if (schema.hasOwnProperty('pattern')) {
+        const flags = typeof schema['x-pattern-flags'] === 'string' ? schema['x-pattern-flags'] : '';
+
+        // JSON Schema patterns are unicode patterns, but patterns that are only valid without the flag are accepted
+        try {
+            config.pattern = new RegExp(schema.pattern, flags + 'u');
+        } catch (err) {
+            try {
+                config.pattern = new RegExp(schema.pattern, flags);
+            } catch (err) {
+                unsupported(state, pointer, 'pattern', 'Invalid regular expression: /' + schema.pattern + '/' + flags);
+            }
+        }
+    }
+    return config;
+}
+
+function stringKeywords(string, result, pointer, state) {
+    result.type = 'string';
+    if (!isNaN(string.minLength)) result.minLength = string.minLength;
+    if (!isNaN(string.maxLength)) result.maxLength = string.maxLength;
+    if (string.pattern) {
+        result.pattern = string.pattern.source;
+        const flags = string.pattern.flags.replace('u', '');
+        if (flags) {
+            result['x-pattern-flags'] = flags;
+            unsupported(state, pointer, 'x-pattern-flags', 'Regular expression flags cannot be described by JSON Schema.');
+        }
+    }
+}
+
+function symbolKeywords(symbol, result, pointer, state) {
+    result['x-type'] = 'symbol';
+    unsupported(state, pointer, 'x-type', 'Symbols cannot be described by JSON Schema.');
+}
+
+/**
+ * Convert a JSON Schema into a FullyTyped configuration.
+ * @param {*} schema
+ * @param {string} pointer The JSON pointer to the schema within the document.
+ * @param {object} state
+ * @returns {object}
+ */
+function toConfig(schema, pointer, state) {
+    if (schema === true) return {};
+    if (!util.isPlainObject(schema)) {
+        unsupported(state, pointer, String(schema), 'Only object schemas and the true schema are supported.');
+        return {};
+    }
+
+    // replace local references with the schema they point to
+    if (schema.hasOwnProperty('$ref')) {
+        const ref = schema.$ref;
+        const target = typeof ref === 'string' ? resolve(ref, state) : undefined;
+        const definition = typeof ref === 'string' ? /^#\/(?:definitions|\$defs)\/([^/]+)$/.exec(ref) : null;
+        if (target === undefined) {
+            unsupported(state, pointer, '$ref', 'Only local references can be resolved. Received: ' + ref);
+            return {};
+        } else if (definition && Object.keys(schema).length === 1) {
+
+            // a reference to a definition becomes a FullyTyped definition, which can be recursive
+            return definitionConfig(ref, unescapePointer(definition[1]), target === true ? {} : target, state);
+        } else if (state.refs.indexOf(ref) !== -1) {
+            unsupported(state, pointer, '$ref', 'Recursive references are not supported: ' + ref);
+            return {};
+        }
+        const merged = Object.assign({}, target === true ? {} : target, schema);
+        delete merged.$ref;
+        state.refs.push(ref);
+        const config = toConfig(merged, Object.keys(schema).length === 1 ? ref : pointer, state);
+        state.refs.pop();
+        return config;
+    }
+
+    // the other keywords are a schema that the value must pass along with not passing the not schema
+    if (schema.hasOwnProperty('not')) {
+        const rest = Object.assign({}, schema);
+        delete rest.not;
+        const not = { type: 'not', not: toConfig(schema.not, pointer + '/not', state) };
+        return Object.keys(rest).some(key => annotations.indexOf(key) === -1)
+            ? { type: 'all-of', allOf: [ toConfig(rest, pointer, state), not ] }
+            : not;
+    }
+
+    // report keywords that cannot be converted, other than the custom keywords that toJSONSchema adds
+    const known = annotations.concat(generalKeywords,
+        typeKeywords.array, typeKeywords.number, typeKeywords.object, typeKeywords.string);
+    Object.keys(schema)
+        .filter(key => known.indexOf(key) === -1 && !/^x-/.test(key))
+        .forEach(key => unsupported(state, pointer, key, 'Keyword is not supported.'));
+
+    let config;
+    if (schema.hasOwnProperty('allOf')) {
+        const branches = Array.isArray(schema.allOf) ? schema.allOf : [];
+
+        // the other keywords are another schema that must also pass
+        const shared = Object.assign({}, schema);
+        ['allOf', 'const', 'default', 'enum'].concat(annotations).forEach(key => delete shared[key]);
+        config = {
+            type: 'all-of',
+            allOf: (Object.keys(shared).length > 0 ? [ toConfig(shared, pointer, state) ] : [])
+                .concat(branches.map((branch, index) => toConfig(branch, pointer + '/allOf/' + index, state)))
+        };
+    } else if (schema.hasOwnProperty('oneOf') || schema.hasOwnProperty('anyOf')) {
+        const keyword = schema.hasOwnProperty('oneOf') ? 'oneOf' : 'anyOf';
+        if (keyword === 'oneOf' && schema.hasOwnProperty('anyOf')) {
+            unsupported(state, pointer, 'anyOf', 'Cannot be combined with oneOf.');
+        }
+
+        // the other keywords apply to every branch
+        const shared = Object.assign({}, schema);
+        ['anyOf', 'const', 'default', 'enum', 'oneOf'].forEach(key => delete shared[key]);
+        config = {
+            type: 'one-of',
+            oneOf: (Array.isArray(schema[keyword]) ? schema[keyword] : []).map(function(branch, index) {
+                const merged = util.isPlainObject(branch) ? Object.assign({}, shared, branch) : branch;
+                return toConfig(merged, pointer + '/' + keyword + '/' + index, state);
+            })
+        };
+
+        // a one-of passes when any of its schemas pass, but a JSON Schema oneOf must match exactly one
+        if (keyword === 'oneOf') config.validator = exactlyOne;
+    } else if (schema.hasOwnProperty('x-type')) {
+        config = customTypeConfig(schema, pointer, state);
+    } else {
+        config = typesConfig(schema, pointer, state);
+    }
+
+    // keywords for any type
+    if (schema.hasOwnProperty('const')) schema = Object.assign({}, schema, { enum: [ schema.const ] });
+    if (Array.isArray(schema.enum)) {
+        if (schema.enum.some(value => value !== null && typeof value === 'object')) {
+            unsupported(state, pointer, 'enum', 'Only primitive enum values are supported.');
+        } else {
+            config.enum = schema.enum.slice();
+        }
+    }
+    if (schema.hasOwnProperty('default')) config.default = util.copy(schema.default);
+
+    return config;
+}
+
+/**
+ * Convert a schema into a JSON Schema.
+ * @param {Schema} schema
+ * @param {string} pointer The JSON pointer to the schema within the document.
+ * @param {object} state
+ * @returns {object}
+ */
+function toDocument(schema, pointer, state) {
+    const data = state.getData(schema);
+    const result = {};
+
+    // add the type keywords before the shared keywords
+    data.controllers.slice(1).concat(data.controllers.slice(0, 1))
+        .forEach(function(controller) {
+            const generator = state.generators.get(controller);
+            if (generator) {
+                generator(schema, result, pointer, state);
+            } else {
+                result['x-type'] = data.alias;
+                unsupported(state, pointer, 'x-type', 'The ' + data.alias + ' controller cannot be described by JSON Schema.');
+            }
+        });
+
+    return result;
+}
+
+function typeConfig(type, schema, pointer, state, allowNull) {
+    switch (type) {
+        case 'array': return arrayConfig(schema, pointer, state);
+        case 'boolean': return { type: 'boolean', strict: true };
+        case 'integer': return numberConfig(schema, true);
+        case 'null': return { enum: [ null ] };
+        case 'number': return numberConfig(schema, false);
+        case 'object': return objectConfig(schema, pointer, state, allowNull);
+        case 'string': return stringConfig(schema, pointer, state);
+    }
+}
+
+function typesConfig(schema, pointer, state) {
+    let list;
+    if (schema.hasOwnProperty('type')) {
+        list = Array.isArray(schema.type) ? schema.type.slice() : [ schema.type ];
+        list.filter(type => types.indexOf(type) === -1)
+            .forEach(type => unsupported(state, pointer, 'type', 'Unknown type: ' + type));
+        list = list.filter(type => types.indexOf(type) !== -1);
+    } else {
+        // without a type use the types that the keywords apply to
+        list = Object.keys(typeKeywords)
+            .filter(type => typeKeywords[type].some(key => schema.hasOwnProperty(key)));
+    }
+
+    // integer is a subset of number
+    if (list.indexOf('integer') !== -1 && list.indexOf('number') !== -1) list.splice(list.indexOf('integer'), 1);
+
+    // objects allow null in a single schema
+    const allowNull = list.indexOf('null') !== -1 && list.indexOf('object') !== -1;
+    if (allowNull) list.splice(list.indexOf('null'), 1);
+
+    if (list.length === 0) return {};
+    if (list.length === 1) return typeConfig(list[0], schema, pointer, state, allowNull);
+    return {
+        type: 'one-of',
+        oneOf: list.map(type => typeConfig(type, schema, pointer, state, allowNull))
+    };
+}
+
+function typedKeywords(typed, result, pointer, state) {
+    if (typed.enum) {
+        const values = typed.enum.map(jsonValue);
+        if (values.indexOf(undefined) === -1) {
+            result.enum = values;
+        } else {
+            unsupported(state, pointer, 'enum', 'One or more enum values cannot be described by JSON Schema.');
+        }
+    }
+    if (typed.hasDefault) {
+        const value = jsonValue(typed.default);
+        if (value !== undefined) {
+            result.default = value;
+        } else {
+            unsupported(state, pointer, 'default', 'The default value cannot be described by JSON Schema.');
+        }
+    }
+    if (typed.validator && typed.validator !== exactlyOne && typed.validator !== uniqueJsonItems) {
+        result['x-validator'] = typed.validator.name || true;
+        unsupported(state, pointer, 'x-validator', 'Validator functions cannot be described by JSON Schema.');
+    }
+    if (typed.transform) {
+        result['x-transform'] = typed.transform.name || true;
+        unsupported(state, pointer, 'x-transform', 'Transform functions cannot be described by JSON Schema.');
+    }
+}
+
+function unescapePointer(segment) {
+    return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Require that the objects and arrays in an imported array with uniqueItems are not equal. The export recognizes
+ * this function.
+ */
+function uniqueJsonItems(value) {
+    if (!Array.isArray(value)) return true;
+    const indexes = new Map();
+    value.forEach(function(item, index) {
+        if (!item || typeof item !== 'object') return;
+        const key = jsonKey(item);
+        if (indexes.has(key)) indexes.get(key).push(index);
+        else indexes.set(key, [ index ]);
+    });
+    const duplicates = Array.from(indexes.values()).filter(list => list.length > 1);
+    return duplicates.length === 0 ||
+        'All items must be unique. Duplicates found at indexes: [ ' + duplicates.join('], [') + ' ]';
+}
+
+function unsupported(state, path, keyword, message) {
+    const exists = state.unsupported.some(item => item.keyword === keyword && item.path === path);
+    if (!exists) state.unsupported.push({ keyword: keyword, path: path, message: message });
+}
@@ -0,0 +1,251 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+/**
+ * A message is a string with {name} placeholders or a function that receives the placeholder values.
+ * @typedef {string|function} Message
+ */
+
+// the built in messages, these are also used for any message that a locale does not define
+const en = {
+    'array.maxItems': 'Invalid array length. Must contain at most {maxItems} items. Contains {length}',
+    'array.minItems': 'Invalid array length. Must contain at least {minItems} items. Contains {length}',
+    'array.type': 'Expected an array.',
+    'array.uniqueItems': 'Invalid array. All items must be unique. Duplicates found at indexes: {duplicates}',
+    'boolean.type': 'Expected a boolean.',
+    'coerced': '{message} (coerced from {value})',
+    'config.boolean': 'Must be a boolean.',
+    'config.configuration': 'If provided, the schema configuration must be a plain object. Received: {value}',
+    'config.constructable': params => 'The function kind ' + params.kinds + ' cannot be ' + (params.constructable ? '' : 'not ') + 'constructable.',
+    'config.date': 'Property {property} could not be converted to a valid date. Received: {value}',
+    'config.dateRange': 'The max date value must be greater than or equal to the min date value.',
+    'config.definition': 'No definition found with the name: {name}.',
+    'config.expectedPlainObject': 'Expected a plain object',
+    'config.function': 'Expected a function',
+    'config.kind': 'Expected one or an array of: {kinds}.',
+    'config.max': 'Must be a number that is less than the minimum: {min}.',
+    'config.maxArguments': 'Expected a integer greater than minArgument value of {minArguments}.',
+    'config.maxItems': 'Must be an integer that is greater than or equal to the minItems.',
+    'config.maxLength': 'Must be an integer that is greater than or equal to the minLength.',
+    'config.message': 'Expected a string or a function',
+    'config.missing': 'Invalid configuration. Missing required {type} property: {property}. {expected}',
+    'config.nonEmptyArray': 'Expected a non-empty array',
+    'config.nonEmptyString': 'Must be a non-empty string.',
+    'config.nonNegativeInteger': 'Expected a non-negative integer.',
+    'config.number': 'Must be a number.',
+    'config.parameters': 'Expected an array of parameter names.',
+    'config.plainObject': 'Must be a plain object.',
+    'config.property': 'Invalid configuration value for property: {property}. {expected} Received: {value}',
+    'config.referenceCycle': 'Invalid configuration value for property: definitions. The definition "{name}" only references itself: {chain}',
+    'config.regExp': 'Must be a regular expression object.',
+    'config.requiredDefault': 'Invalid configuration for property: {property}. Cannot make required and provide a default value.',
+    'config.schema': 'Must be a schema configuration.',
+    'config.schemaArray': 'Must be an array of schema configurations.',
+    'config.schemaObject': 'Must be a plain object of schema configurations.',
+    'config.suggestion': 'Did you mean {key}?',
+    'config.type': 'Unknown type: {type}',
+    'config.unknownConstraint': 'Unknown constraint for property errorMessages: {property}.',
+    'config.unknownProperty': 'Unknown configuration property: {property}.',
+    'config.zeroOrMore': 'Must be an integer that is greater than or equal to zero.',
+    'contract.argument': 'Invalid argument at index {index}: ',
+    'contract.resolves': 'Invalid resolved value: ',
+    'contract.returns': 'Invalid return value: ',
+    'date.max': 'Value must be less than or equal to the max date value.',
+    'date.min': 'Value must be greater than or equal to the min date value.',
+    'date.type': 'Value cannot be converted to a valid date: {value}',
+    'errors.index': 'At index {index}: ',
+    'errors.items': params => (params.count === 1 ? 'One error' : 'Multiple errors') + ' with items in the array:',
+    'errors.properties': params => (params.count === 1 ? 'One error with property' : 'Multiple errors with properties') + ' in the object:',
+    'function.constructable': params => 'Expected a function that can' + (params.constructable ? '' : 'not') + ' be called with new.',
+    'function.kind': 'Expected a function of kind: {kinds}.',
+    'function.maxArguments': params => 'Expected the function to have at most ' + params.maxArguments + ' parameter' + (params.maxArguments !== 1 ? 's' : '') + '.',
+    'function.minArguments': params => 'Expected the function to have at least ' + params.minArguments + ' parameter' + (params.minArguments !== 1 ? 's' : '') + '.',
+    'function.named': 'Expected a named function.',
+    'function.parameters': 'Expected the function to have the parameters: {parameters}. Missing: {missing}.',
+    'function.type': 'Expected a function.',
+    'guard.property': 'Invalid change to property {path}: ',
+    'guard.value': 'Invalid change: ',
+    'not': 'Must not be {description}.',
+    'number.exclusiveMax': 'Invalid number. Must be less than {max}. Received: {value}',
+    'number.exclusiveMin': 'Invalid number. Must be greater than {min}. Received: {value}',
+    'number.integer': 'Invalid number. Must be an integer. Received: {value}',
+    'number.max': 'Invalid number. Must be less than or equal to {max}. Received: {value}',
+    'number.min': 'Invalid number. Must be greater than or equal to {min}. Received: {value}',
+    'number.type': 'Expected a number.',
+    'object.null': 'Object cannot be null.',
+    'object.required': 'Missing required value for property: {property}',
+    'object.type': 'Expected an object.',
+    'one-of': 'All possible schemas have errors',
+    'string.maxLength': 'Invalid string length. Must contain at most {maxLength} items. Contains {length}',
+    'string.minLength': 'Invalid string length. Must contain at least {minLength} characters. Contains {length}',
+    'string.pattern': 'Invalid string. Does not match required pattern {pattern} with value: {value}',
+    'string.type': 'Expected a string.',
+    'symbol.type': 'Expected a symbol.',
+    'typed.enum': 'Expected one of: [{values}]',
+    'typed.validator': 'Validator did not pass.',
+    'value': 'Invalid value. {expected} Received: {value}'
+};
+
+module.exports = Messages;
+
+/**
+ * Create a store of message catalogs, one for each locale.
+ * @returns {Messages}
+ * @constructor
+ */
+function Messages() {
+    const factory = Object.create(Messages.prototype);
+    const store = new Map();
+    let defaultLocale = 'en';
+
+    // the formatter for each key that has been formatted, by locale
+    const cache = new Map();
+
+    /**
+     * Get the message for a key with its placeholders replaced. The message comes from the locale, then from the
+     * locale's language, then from the built in English messages.
+     * @name Messages#format
+     * @param {string} key
+     * @param {object} [params={}] The values for the placeholders.
+     * @param {string} [locale] Defaults to Messages#locale.
+     * @returns {string}
+     */
+    factory.format = function(key, params, locale) {
+        if (!locale) locale = defaultLocale;
+        let formatters = cache.get(locale);
+        if (!formatters) {
+            formatters = new Map();
+            cache.set(locale, formatters);
+        }
+        let formatter = formatters.get(key);
+        if (!formatter) {
+            formatter = compile(key, lookup(locale, key));
+            formatters.set(key, formatter);
+        }
+        return formatter(params || {});
+    };
+
+    /**
+     * Get a copy of the messages registered for a locale.
+     * @name Messages#get
+     * @param {string} locale
+     * @returns {null,Object.<string, Message>}
+     */
+    factory.get = function(locale) {
+        if (locale === 'en') return Object.assign({}, en, store.get(locale));
+        return store.has(locale) ? Object.assign({}, store.get(locale)) : null;
+    };
+
+    /**
+     * @name Messages#has
+     * @param {string} locale
+     * @returns {boolean}
+     */
+    factory.has = function(locale) {
+        return locale === 'en' || store.has(locale);
+    };
+
+    /**
+     * The locale for messages when no locale is given. This includes the errors thrown for invalid schema
+     * configurations, which are thrown before any other locale is known.
+     * @name Messages#locale
+     * @type {string}
+     */
+    Object.defineProperty(factory, 'locale', {
+        get: () => defaultLocale,
+        set: function(locale) {
+            if (typeof locale !== 'string' || !locale) throw Error('The locale must be a non-empty string. Received: ' + locale);
+            defaultLocale = locale;
+        }
+    });
+
+    /**
+     * Get the locales that have registered messages.
+     * @name Messages#list
+     * @returns {string[]}
+     */
+    factory.list = function() {
+        const result = [ 'en' ];
+        store.forEach((messages, locale) => {
+            if (locale !== 'en') result.push(locale);
+        });
+        return result;
+    };
+
+    /**
+     * Add messages for a locale. Messages that are already registered for the locale are replaced.
+     * @name Messages#register
+     * @param {string} locale A locale like 'es' or 'pt-BR'.
+     * @param {Object.<string, Message>} messages
+     */
+    factory.register = function(locale, messages) {
+        if (typeof locale !== 'string' || !locale) throw Error('The locale must be a non-empty string. Received: ' + locale);
+        if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+            throw Error('The messages must be an object of message strings or functions. Received: ' + messages);
+        }
+        Object.keys(messages).forEach(function(key) {
+            const message = messages[key];
+            if (typeof message !== 'string' && typeof message !== 'function') {
+                throw Error('The message for ' + key + ' must be a string or a function. Received: ' + message);
+            }
+        });
+        store.set(locale, Object.assign({}, store.get(locale), messages));
+        cache.clear();
+    };
+
+    function lookup(locale, key) {
+        const locales = [];
+        if (typeof locale === 'string' && locale) {
+            locales.push(locale);
+            const language = locale.split(/[-_]/)[0];
+            if (language !== locale) locales.push(language);
+        }
+        locales.push('en');
+
+        for (let i = 0; i < locales.length; i++) {
+            const messages = store.get(locales[i]);
+            if (messages && messages.hasOwnProperty(key)) return messages[key];
+        }
+        return en[key];
+    }
+
+    return factory;
+}
+
+/**
+ * Create the function that formats a message. A message string is split at its placeholders once so that formatting
+ * only joins the parts with the placeholder values.
+ * @param {string} key
+ * @param {Message} [message] Without a message the key is the formatted message.
+ * @returns {function}
+ */
+function compile(key, message) {
+    if (message === undefined) return () => key;
+    if (typeof message === 'function') return params => String(message(params));
+
+    const parts = message.split(/\{(\w+)\}/);
+    if (parts.length === 1) return () => message;
+    return function(params) {
+        let result = parts[0];
+        for (let i = 1; i < parts.length; i += 2) {
+            const name = parts[i];
+            result += (params.hasOwnProperty(name) ? String(params[name]) : '{' + name + '}') + parts[i + 1];
+        }
+        return result;
+    };
+}
\ No newline at end of file
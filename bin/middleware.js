@@ -0,0 +1,238 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Schema                = require('./schema');
+const url                   = require('url');
+const util                  = require('./util');
+
+// the parts of a request that can be validated, in the order that their errors are reported
+const parts = ['body', 'headers', 'params', 'query'];
+
+// parts that always arrive as strings and are therefore coerced
+const coerced = ['headers', 'params', 'query'];
+
+/**
+ * Create a middleware function that normalizes the parts of a request and responds with a 400 status code if any
+ * part is invalid.
+ * @param {object} [options={}]
+ * @param {object} [options.body] The schema or schema configuration for the JSON request body.
+ * @param {object} [options.headers] The schema or schema configuration for the request headers.
+ * @param {number} [options.limit=1048576] The maximum number of bytes to read from the request body.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @param {function} [options.onResponseError] Called with the error, request, and response if the response body is
+ * invalid. The response is then sent unchanged.
+ * @param {object} [options.params] The schema or schema configuration for the route parameters.
+ * @param {object} [options.query] The schema or schema configuration for the query string parameters.
+ * @param {object} [options.response] The schema or schema configuration for the JSON response body.
+ * @param {FullyTyped} FullyTyped The function to create the schemas with.
+ * @returns {function}
+ */
+exports.middleware = function(options, FullyTyped) {
+    if (!options) options = {};
+    if (!util.isPlainObject(options)) throw util.configError('The middleware options must be a plain object. Received: ' + options);
+
+    const schemas = {};
+    parts.concat(['response']).forEach(function(part) {
+        if (options.hasOwnProperty(part) && options[part] !== undefined) {
+            schemas[part] = options[part] instanceof Schema ? options[part] : FullyTyped(options[part]);
+        }
+    });
+
+    if (options.hasOwnProperty('limit') && (!util.isInteger(options.limit) || options.limit < 0)) {
+        throw util.configError(util.propertyErrorMessage(FullyTyped, 'limit', options.limit, 'config.zeroOrMore'));
+    }
+    if (options.onResponseError && typeof options.onResponseError !== 'function') {
+        throw util.configError(util.propertyErrorMessage(FullyTyped, 'onResponseError', options.onResponseError, 'config.function'));
+    }
+
+    const limit = options.hasOwnProperty('limit') ? options.limit : 1048576;
+    const normalizeOptions = { locale: options.locale };
+
+    return function(req, res, next) {
+        readBody(req, schemas.body ? limit : 0)
+            .then(function(body) {
+                // copies are used because the parsed query string has no prototype and normalization may change values
+                const values = {
+                    body: body,
+                    headers: Object.assign({}, req.headers),
+                    params: Object.assign({}, req.params),
+                    query: Object.assign({}, req.query && typeof req.query === 'object' ? req.query : url.parse(req.url || '', true).query)
+                };
+                const errors = [];
+                const normalized = {};
+                const promises = parts
+                    .filter(part => schemas[part])
+                    .map(function(part) {
+                        const config = Object.assign({ coerce: coerced.indexOf(part) !== -1 }, normalizeOptions);
+                        return schemas[part].normalizeAsync(values[part], config)
+                            .then(
+                                value => normalized[part] = value,
+                                function(err) {
+                                    if (!Array.isArray(err.errors)) throw err;
+                                    err.errors.forEach(error => errors.push(errorBody(part, error)));
+                                }
+                            );
+                    });
+                return Promise.all(promises).then(function() {
+                    if (errors.length > 0) return send(res, 400, { message: 'The request is invalid.', errors: errors });
+                    req.normalized = normalized;
+
+                    // the wrapper is installed last so that the responses for invalid requests are not checked
+                    if (schemas.response) validateResponse(schemas.response, req, res, normalizeOptions, options.onResponseError);
+                    next();
+                });
+            })
+            .catch(function(err) {
+                if (err.status) return send(res, err.status, { message: err.message, errors: [] });
+                next(err);
+            });
+    };
+};
+
+
+
+function errorBody(part, error) {
+    return {
+        in: part,
+        path: error.path,
+        code: error.code,
+        constraint: error.constraint,
+        message: error.message
+    };
+}
+
+/**
+ * Get a promise for the parsed JSON request body. The body is read from the request stream unless an earlier
+ * middleware has already set the body property of the request.
+ */
+function readBody(req, limit) {
+    if (req.body !== undefined || limit === 0 || typeof req.on !== 'function') return Promise.resolve(req.body);
+    return new Promise(function(resolve, reject) {
+        const chunks = [];
+        let length = 0;
+        let done = false;
+
+        function finish(err, value) {
+            if (done) return;
+            done = true;
+            if (err) return reject(err);
+            resolve(value);
+        }
+
+        function onData(chunk) {
+            length += chunk.length;
+            if (length > limit) {
+                // stop buffering and discard the rest of the body so that the stream still ends
+                req.removeListener('data', onData);
+                chunks.length = 0;
+                req.resume();
+                return finish(statusError(413, 'The request body is too large.'));
+            }
+            chunks.push(chunk);
+        }
+
+        req.on('data', onData);
+        req.on('end', function() {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (text.length === 0) return finish(null, undefined);
+            try {
+                finish(null, JSON.parse(text));
+            } catch (err) {
+                finish(statusError(400, 'The request body is not valid JSON. ' + err.message));
+            }
+        });
+        req.on('error', finish);
+    });
+}
+
+function send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Length', Buffer.byteLength(json));
+    res.end(json);
+}
+
+function statusError(status, message) {
+    const err = Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Hold the response until it ends, then check the JSON body against the response schema. An invalid response is
+ * replaced with a 500 status code unless an onResponseError function is provided.
+ */
+function validateResponse(schema, req, res, options, onResponseError) {
+    const end = res.end;
+    const write = res.write;
+    const writeHead = res.writeHead;
+    const chunks = [];
+    let head = null;
+
+    function toBuffer(chunk, encoding) {
+        return Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+    }
+
+    res.writeHead = function() {
+        head = Array.prototype.slice.call(arguments);
+        return res;
+    };
+
+    res.write = function(chunk, encoding) {
+        if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') chunks.push(toBuffer(chunk, encoding));
+        return true;
+    };
+
+    res.end = function(chunk, encoding) {
+        if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') chunks.push(toBuffer(chunk, encoding));
+        res.end = end;
+        res.write = write;
+        res.writeHead = writeHead;
+
+        const body = Buffer.concat(chunks);
+        let value = body.toString('utf8');
+        try {
+            value = value.length > 0 ? JSON.parse(value) : undefined;
+        } catch (err) {
+            // a body that is not JSON is checked as a string
+        }
+
+        schema.validateAsync(value, '', options)
+            .then(
+                () => null,
+                function(err) {
+                    if (!Array.isArray(err.errors)) throw err;
+                    if (onResponseError) {
+                        onResponseError(err, req, res);
+                        return null;
+                    }
+                    return err.errors.map(error => errorBody('response', error));
+                }
+            )
+            .then(function(errors) {
+                if (errors) return send(res, 500, { message: 'The response is invalid.', errors: errors });
+                if (head) writeHead.apply(res, head);
+                end.call(res, body);
+            })
+            .catch(function(err) {
+                res.statusCode = 500;
+                end.call(res, err.message);
+            });
+        return res;
+    };
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const FullyTyped            = require('./fully-typed');
+const util                  = require('./util');
+
+module.exports = TypedNot;
+
+/**
+ * Create a TypedNot instance.
+ * @param {object} config
+ * @returns {TypedNot}
+ * @augments Typed
+ * @constructor
+ */
+function TypedNot (config) {
+    const not = this;
+
+    // validate not
+    if (!config.hasOwnProperty('not')) {
+        throw util.configError(util.configMessage(not.FullyTyped, 'config.missing', {
+            expected: util.configMessage(not.FullyTyped, 'config.schema'),
+            property: 'not',
+            type: 'not'
+        }));
+    }
+    if (!util.isValidSchemaConfiguration(config.not)) {
+        throw util.configError(util.propertyErrorMessage(not.FullyTyped, 'not', config.not, 'config.schema'));
+    }
+    const schema = not.FullyTyped(config.not);
+
+    // define properties
+    Object.defineProperties(not, {
+
+        description: {
+            /**
+             * @property
+             * @name TypedNot#description
+             * @type {string}
+             */
+            value: describe(schema),
+            writable: false
+        },
+
+        not: {
+            /**
+             * @property
+             * @name TypedNot#not
+             * @type {object}
+             */
+            value: schema,
+            writable: false
+        }
+
+    });
+
+    return not;
+}
+
+TypedNot.prototype.error = function(value, prefix, context) {
+    const errors = this.not.errors(value).length === 0 ? [ getNotError(this, value, context) ] : [];
+    return util.errorResult(errors, prefix, context);
+};
+
+TypedNot.prototype.errorAsync = function(value, prefix, context) {
+    const not = this;
+    return not.not.errorsAsync(value)
+        .then(errors => util.errorResult(errors.length === 0 ? [ getNotError(not, value, context) ] : [], prefix, context));
+};
+
+TypedNot.register = {
+    aliases: ['not', FullyTyped.Not],
+    dependencies: [],
+    options: {
+        not: { type: Object, allowNull: false }
+    }
+};
+
+
+
+/**
+ * Get a short description of the values that a schema allows, used in the error message.
+ * @param {Schema} schema
+ * @returns {string}
+ */
+function describe(schema) {
+    const alias = schema.FullyTyped.controllers.get(schema.type).alias;
+    switch (alias) {
+        case 'all-of': return schema.allOf.map(describe).join(' and ');
+        case 'not': return 'anything except ' + schema.description;
+        case 'one-of': return schema.oneOf.map(describe).join(' or ');
+        case 'ref': return 'the definition ' + schema.ref;
+    }
+
+    const typed = alias === 'typed' || typeof alias !== 'string';
+    const enums = schema.enum ? '[' + schema.enum.map(String).join(', ') + ']' : '';
+    if (typed) return schema.enum ? 'one of: ' + enums : 'any value';
+
+    let description = util.aOrAn(alias);
+    if (schema.enum) description += ' that is one of: ' + enums;
+    if (schema.pattern instanceof RegExp) description += ' that matches ' + schema.pattern;
+    if (schema.properties && Object.keys(schema.properties).length > 0) {
+        description += ' with the properties: ' + Object.keys(schema.properties).join(', ');
+    }
+    const limits = describeLimits(schema);
+    if (limits.length > 0) description += ' that ' + limits.join(' and ');
+    return description;
+}
+
+/**
+ * Describe the integer, range, length, item, and validator constraints of a schema.
+ * @param {Schema} schema
+ * @returns {string[]}
+ */
+function describeLimits(schema) {
+    const limits = [];
+    if (schema.integer) limits.push('is an integer');
+    if (typeof schema.min === 'number' && !isNaN(schema.min)) {
+        limits.push('is greater than ' + (schema.exclusiveMin ? '' : 'or equal to ') + schema.min);
+    }
+    if (typeof schema.max === 'number' && !isNaN(schema.max)) {
+        limits.push('is less than ' + (schema.exclusiveMax ? '' : 'or equal to ') + schema.max);
+    }
+    if (schema.min instanceof Date) limits.push('is on or after ' + schema.min.toISOString());
+    if (schema.max instanceof Date) limits.push('is on or before ' + schema.max.toISOString());
+    if (schema.minLength > 0) limits.push('has a length of at least ' + schema.minLength);
+    if (schema.maxLength >= 0) limits.push('has a length of at most ' + schema.maxLength);
+    if (schema.minItems > 0) limits.push('has at least ' + schema.minItems + ' items');
+    if (schema.maxItems >= 0) limits.push('has at most ' + schema.maxItems + ' items');
+    if (schema.uniqueItems) limits.push('has unique items');
+    if (schema.validator) limits.push('passes its validator');
+    return limits;
+}
+
+function getNotError(not, value, context) {
+    return util.violation(context, {
+        code: util.errors.not.code,
+        constraint: 'not',
+        expected: not.description,
+        message: util.valueMessage(context, value, 'not', { description: not.description }),
+        value: value
+    });
+}
\ No newline at end of file
@@ -17,6 +17,8 @@
 'use strict';
 const util                  = require('./util');
 
+const numeric = /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i;
+
 module.exports = TypedNumber;
 
 /**
@@ -31,20 +33,20 @@ function TypedNumber (config) {
 
     // validate min
     if (config.hasOwnProperty('min') && !util.isNumber(config.min)) {
-        const message = util.propertyErrorMessage('min', config.min, 'Must be a number.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(number.FullyTyped, 'min', config.min, 'config.number');
+        throw util.configError(message);
     }
 
     // validate max
     if (config.hasOwnProperty('max') && !util.isNumber(config.max)) {
-        const message = util.propertyErrorMessage('max', config.max, 'Must be a number.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(number.FullyTyped, 'max', config.max, 'config.number');
+        throw util.configError(message);
     }
 
     // validate max is greater than min
     if (config.hasOwnProperty('max') && config.hasOwnProperty('min') && config.min > config.max) {
-        const message = util.propertyErrorMessage('max', config.max, 'Must be a number that is less than the minimum: ' + config.min + '.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(number.FullyTyped, 'max', config.max, 'config.max', { min: config.min });
+        throw util.configError(message);
     }
 
     // define properties
@@ -105,30 +107,63 @@ function TypedNumber (config) {
     return number;
 }
 
-TypedNumber.prototype.error = function (value, prefix) {
+TypedNumber.prototype.coerce = function (value, context) {
+    if (typeof value !== 'string' || !numeric.test(value)) return value;
+
+    // a string that does not hold an integer is left for the integer check to report
+    const number = Number(value);
+    return this.integer && !Number.isInteger(number) ? value : util.coerced(context, value, number);
+};
+
+TypedNumber.prototype.error = function (value, prefix, context) {
 
     if (typeof value !== 'number') {
-        return prefix + util.valueErrorMessage(value, 'Expected a number.');
+        return util.errorResult([ util.typeError(context, value, 'number', 'number.type') ], prefix, context);
     }
 
+    const errors = [];
+
     if (this.integer && !Number.isInteger(value)) {
-        return prefix + 'Invalid number. Must be an integer. Received: ' + value;
+        errors.push(util.violation(context, {
+            code: util.errors.integer.code,
+            constraint: 'integer',
+            expected: true,
+            message: util.message(context, 'number.integer', { value: value }),
+            value: value
+        }));
     }
 
-    if (typeof this.max !== 'undefined' && (value > this.max || (this.exclusiveMax && value === this.max))) {
-        const extra = this.exclusiveMax ? '' : 'or equal to ';
-        return prefix + 'Invalid number. Must be less than ' + extra + this.max + '. Received: ' + value;
+    if (util.keepChecking(errors, context) && typeof this.max !== 'undefined' && (value > this.max || (this.exclusiveMax && value === this.max))) {
+        errors.push(util.violation(context, {
+            code: util.errors.max.code,
+            constraint: 'max',
+            expected: this.max,
+            message: util.message(context, this.exclusiveMax ? 'number.exclusiveMax' : 'number.max', { max: this.max, value: value }),
+            value: value
+        }));
     }
 
-    if (typeof this.min !== 'undefined' && (value < this.min || (this.exclusiveMin && value === this.min))) {
-        const extra = this.exclusiveMin ? '' : 'or equal to ';
-        return prefix + 'Invalid number. Must be greater than ' + extra + this.min + '. Received: ' + value;
+    if (util.keepChecking(errors, context) && typeof this.min !== 'undefined' && (value < this.min || (this.exclusiveMin && value === this.min))) {
+        errors.push(util.violation(context, {
+            code: util.errors.min.code,
+            constraint: 'min',
+            expected: this.min,
+            message: util.message(context, this.exclusiveMin ? 'number.exclusiveMin' : 'number.min', { min: this.min, value: value }),
+            value: value
+        }));
     }
 
-    return null;
+    return util.errorResult(errors, prefix, context);
 };
 
 TypedNumber.register = {
     aliases: ['number', Number],
-    dependencies: []
+    dependencies: [],
+    options: {
+        exclusiveMax: { type: Boolean },
+        exclusiveMin: { type: Boolean },
+        integer: { type: Boolean },
+        max: { type: Number },
+        min: { type: Number }
+    }
 };
\ No newline at end of file
@@ -15,7 +15,6 @@
  *    limitations under the License.
  **/
 'use strict';
-const FullyTyped            = require('./fully-typed');
 const util                  = require('./util');
 
 module.exports = TypedObject;
@@ -33,19 +32,19 @@ function TypedObject (config) {
     const hasProperties = config.hasOwnProperty('properties');
 
     if (hasProperties && !util.isValidSchemaConfiguration(config.properties)) {
-        const message = util.propertyErrorMessage('properties', config.properties, 'Must be a plain object.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(object.FullyTyped, 'properties', config.properties, 'config.plainObject');
+        throw util.configError(message);
     }
 
     if (config.hasOwnProperty('schema')) {
         if (!util.isValidSchemaConfiguration(config.schema)) {
-            const message = util.propertyErrorMessage('schema', config.schema, 'Must be a plain object.');
-            throw Error(message);
+            const message = util.propertyErrorMessage(object.FullyTyped, 'schema', config.schema, 'config.plainObject');
+            throw util.configError(message);
         }
-        validateSchemaConfiguration('schema', config.schema);
+        validateSchemaConfiguration(object, 'schema', config.schema);
     }
 
-    const schemaIsNotOneOf = config.hasOwnProperty('schema') ? !FullyTyped.controllers.is('one-of', config.schema.type) : true;
+    const schemaIsNotOneOf = config.hasOwnProperty('schema') ? !object.FullyTyped.controllers.is('one-of', config.schema.type) : true;
 
     Object.defineProperties(object, {
 
@@ -85,7 +84,7 @@ function TypedObject (config) {
              * @name TypedObject#schema
              * @type {object, undefined}
              */
-            value: config.schema ? FullyTyped(mergeSchemas(config.schema)) : undefined,
+            value: config.schema ? object.FullyTyped(getGeneralSchema(object, config)) : undefined,
             writable: false
         }
 
@@ -95,20 +94,20 @@ function TypedObject (config) {
     Object.keys(object.properties)
         .forEach(function(key) {
             let options = object.properties[key] || {};
-            const optionsIsNotOneOf = !FullyTyped.controllers.is('one-of', options.type);
+            const optionsIsNotOneOf = !object.FullyTyped.controllers.is('one-of', options.type);
 
             if (!util.isValidSchemaConfiguration(options)) {
-                throw Error('Invalid configuration for property: ' + key + '. Must be a plain object.');
+                throw util.configError(util.propertyErrorMessage(object.FullyTyped, 'properties.' + key, options, 'config.plainObject'));
             }
 
             // merge generic schema with property specific schemas
             if (config.schema) {
                 if (schemaIsNotOneOf && optionsIsNotOneOf) {
-                    options = mergeSchemas(config.schema, options);
+                    options = mergeSchemas(object, config.schema, options);
                 } else if (schemaIsNotOneOf) {
-                    options.oneOf = options.oneOf.map(item => mergeSchemas(config.schema, item));
+                    options.oneOf = options.oneOf.map(item => mergeSchemas(object, config.schema, item));
                 } else if (optionsIsNotOneOf) {
-                    options.oneOf = config.schema.oneOf.map(item => mergeSchemas(item, options));
+                    options.oneOf = config.schema.oneOf.map(item => mergeSchemas(object, item, options));
                     options.type = 'one-of';
                 } else {
                     const array = [];
@@ -116,7 +115,7 @@ function TypedObject (config) {
                     const schemaLength = config.schema.oneOf.length;
                     for (let i = 0; i < optionsLength; i++) {
                         for (let j = 0; j < schemaLength; j++) {
-                            array.push(mergeSchemas(config.schema.oneOf[j], options.oneOf[i]));
+                            array.push(mergeSchemas(object, config.schema.oneOf[j], options.oneOf[i]));
                         }
                     }
                     options.oneOf = array;
@@ -129,61 +128,68 @@ function TypedObject (config) {
             }
 
             // create a schema instance for each property
-            const schema = FullyTyped(options);
+            const schema = object.FullyTyped(options);
             object.properties[key] = schema;
 
             // validate that not required and has default
-            validateSchemaConfiguration(key, schema);
+            validateSchemaConfiguration(object, key, schema);
         });
 
     return object;
 }
 
-TypedObject.prototype.error = function(value, prefix) {
-
-    if (typeof value !== 'object') {
-        return prefix + util.valueErrorMessage(value, 'Expected an object.');
+TypedObject.prototype.coerce = function(value, context) {
+    if (typeof value === 'string' && /^\s*\{/.test(value)) {
+        let parsed;
+        try {
+            parsed = JSON.parse(value);
+        } catch (err) {
+            return value;
+        }
+        value = util.coerced(context, value, parsed);
     }
+    if (!util.isPlainObject(value)) return value;
 
-    if (!value && !this.allowNull) {
-        return prefix + 'Object cannot be null.';
-    }
+    const result = Object.assign({}, value);
+    getPropertySchemas(this, value)
+        .forEach(item => result[item.key] = item.schema.coerceValue(value[item.key], util.childContext(context, item.key)));
+    return result;
+};
 
-    // null allowed - no other tests make a difference
-    if (!value) return null;
+TypedObject.prototype.error = function(value, prefix, context) {
+    const valueError = getValueError(this, value, context);
+    if (valueError) return util.errorResult([ valueError ], prefix, context);
 
-    const errors = [];
-    const object = this;
+    // null allowed - no other tests make a difference
+    if (!value) return util.errorResult([], prefix, context);
+
+    // check that all required properties exist then validate each property value
+    const errors = getRequiredErrors(this, value, context);
+    const properties = this.properties;
+    for (let key in value) {
+        if (!value.hasOwnProperty(key)) continue;
+        const schema = properties.hasOwnProperty(key) ? properties[key] : this.schema;
+        if (!schema) continue;
+        const result = util.childErrors(schema, value[key], context, key);
+        for (let i = 0; i < result.length; i++) errors.push(result[i]);
+    }
 
-    // check that all required properties exist
-    Object.keys(object.properties)
-        .forEach(function(key) {
-            const schema = object.properties[key];
-            if (schema.required && !value.hasOwnProperty(key)) {
-                const err = 'Missing required value for property: ' + key;
-                errors.push(err);
-            }
-        });
+    return util.errorResult(errors, prefix, context);
+};
 
-    // validate each property value
-    Object.keys(value)
-        .forEach(key => {
-            const schema = object.properties.hasOwnProperty(key)
-                ? object.properties[key]
-                : object.schema;
-            if (!schema) return;
-
-            // run inherited error check on property
-            const err = schema.error(value[key]);
-            if (err) errors.push(err);
+TypedObject.prototype.errorAsync = function(value, prefix, context) {
+    const valueError = getValueError(this, value, context);
+    if (valueError) return Promise.resolve(util.errorResult([ valueError ], prefix, context));
+    if (!value) return Promise.resolve(util.errorResult([], prefix, context));
+
+    const errors = getRequiredErrors(this, value, context);
+    const promises = getPropertySchemas(this, value)
+        .map(item => item.schema.errorsAsync(value[item.key], util.childContext(context, item.key)));
+    return Promise.all(promises)
+        .then(function(results) {
+            results.forEach(list => list.forEach(err => errors.push(err)));
+            return util.errorResult(errors, prefix, context);
         });
-
-    if (errors.length > 0) {
-        const count = errors.length === 1 ? 'One error with property' : 'Multiple errors with properties';
-        return prefix + count + ' in the object:\n  ' + errors.join('\n  ');
-    }
-
-    return null;
 };
 
 TypedObject.prototype.normalize = function(value) {
@@ -192,11 +198,7 @@ TypedObject.prototype.normalize = function(value) {
 
     if (!value) return null;
 
-    Object.keys(object.properties)
-        .forEach(function(key) {
-            const item = object.properties[key];
-            if (item.hasDefault && !value.hasOwnProperty(key)) value[key] = item.default;
-        });
+    applyDefaults(object, value);
 
     Object.keys(value)
         .forEach(function (key) {
@@ -211,29 +213,157 @@ TypedObject.prototype.normalize = function(value) {
     return result;
 };
 
+TypedObject.prototype.normalizeAsync = function(value) {
+    const object = this;
+
+    if (!value) return null;
+
+    applyDefaults(object, value);
+
+    const keys = Object.keys(value)
+        .filter(key => object.properties.hasOwnProperty(key) || !object.clean);
+    const promises = keys
+        .map(key => object.properties.hasOwnProperty(key) ? object.properties[key].normalizeAsync(value[key]) : value[key]);
+    return Promise.all(promises)
+        .then(function(values) {
+            const result = {};
+            keys.forEach((key, index) => result[key] = values[index]);
+            return result;
+        });
+};
+
 TypedObject.register = {
     aliases: ['object', Object],
-    dependencies: []
+    dependencies: [],
+    options: {
+        allowNull: { type: Boolean },
+        clean: { type: Boolean },
+        properties: { type: Object, allowNull: false, schema: { type: Object, allowNull: false } },
+        schema: { type: Object, allowNull: false }
+    }
 };
 
 
 
 
+function applyDefaults(object, value) {
+    Object.keys(object.properties)
+        .forEach(function(key) {
+            const item = object.properties[key];
+            if (item.hasDefault && !value.hasOwnProperty(key)) value[key] = item.default;
+        });
+}
+
+/**
+ * The general schema applies to properties of every type, so remove the options that the configuration's type does
+ * not accept and that the drop function returns true for.
+ */
+function dropUnacceptedOptions(object, config, drop) {
+    const data = object.FullyTyped.controllers.get(getType(config));
+    if (!data || !data.options) return config;
+
+    Object.keys(config).forEach(key => {
+        if (!data.options.hasOwnProperty(key) && drop(key)) delete config[key];
+    });
+    return config;
+}
+
 function extend(obj) {
     if (!obj._extension_ || typeof obj._extension_ !== 'object') obj._extension_ = {};
     obj._extension_.required = !!obj.required;
 }
 
-function mergeSchemas(general, specific) {
-    const merged = Object.assign({}, general, specific);
+/**
+ * Get the configuration for the general schema itself, which is used as it is for properties without their own
+ * schema. Options that its type does not accept are left out if the type of a property that it is merged into
+ * accepts them, and any other unknown option is kept so that it is rejected like a typo in any configuration. The
+ * items of a general one-of are handled the same.
+ */
+function getGeneralSchema(object, config) {
+    const accepted = getPropertyOptions(object, config.properties);
+    const drop = key => accepted.hasOwnProperty(key);
+    const general = dropUnacceptedOptions(object, Object.assign({}, config.schema), drop);
+    if (object.FullyTyped.controllers.is('one-of', getType(general)) && Array.isArray(general.oneOf)) {
+        general.oneOf = general.oneOf.map(item => util.isPlainObject(item) ? dropUnacceptedOptions(object, Object.assign({}, item), drop) : item);
+    }
+    extend(general);
+    return general;
+}
+
+/**
+ * Get the options that the types of the property configurations accept, including the types of one-of items.
+ */
+function getPropertyOptions(object, properties) {
+    const options = {};
+    const add = config => {
+        const data = util.isPlainObject(config) ? object.FullyTyped.controllers.get(getType(config)) : null;
+        if (data && data.options) Object.assign(options, data.options);
+        if (data && object.FullyTyped.controllers.is('one-of', getType(config)) && Array.isArray(config.oneOf)) config.oneOf.forEach(add);
+    };
+    if (util.isPlainObject(properties)) Object.keys(properties).forEach(key => add(properties[key]));
+    return options;
+}
+
+function getPropertySchemas(object, value) {
+    return Object.keys(value)
+        .map(key => ({
+            key: key,
+            schema: object.properties.hasOwnProperty(key) ? object.properties[key] : object.schema
+        }))
+        .filter(item => item.schema);
+}
+
+function getType(config) {
+    return config.type || (config.hasOwnProperty('$ref') ? 'ref' : 'typed');
+}
+
+function getRequiredErrors(object, value, context) {
+    const errors = [];
+    const properties = object.properties;
+    for (let key in properties) {
+        const schema = properties[key];
+        if (!schema.required || value.hasOwnProperty(key)) continue;
+
+        // the property's own message for the required constraint replaces the object's
+        const child = util.childContext(context, key);
+        if (schema.errorMessages && schema.errorMessages.hasOwnProperty('required')) child.errorMessages = schema.errorMessages;
+        errors.push(util.violation(child, {
+            code: util.errors.required.code,
+            constraint: 'required',
+            expected: true,
+            message: util.message(context, 'object.required', { property: key }),
+            schemaType: object.FullyTyped.controllers.get(schema.type).alias,
+            value: undefined
+        }));
+    }
+    return errors;
+}
+
+function getValueError(object, value, context) {
+    if (typeof value !== 'object') {
+        return util.typeError(context, value, 'object', 'object.type');
+    } else if (!value && !object.allowNull) {
+        return util.violation(context, {
+            code: util.errors.null.code,
+            constraint: 'allowNull',
+            expected: false,
+            message: util.message(context, 'object.null'),
+            value: value
+        });
+    }
+    return null;
+}
+
+function mergeSchemas(object, general, specific) {
+    const merged = dropUnacceptedOptions(object, Object.assign({}, general, specific), key => !specific.hasOwnProperty(key));
     extend(merged);
     return merged;
 }
 
-function validateSchemaConfiguration (key, schema) {
+function validateSchemaConfiguration (object, key, schema) {
 
     // required
     if (schema.required && schema.hasDefault) {
-        throw Error('Invalid configuration for property: ' + key + '. Cannot make required and provide a default value.');
+        throw util.configError(util.configMessage(object.FullyTyped, 'config.requiredDefault', { property: key }));
     }
 }
\ No newline at end of file
@@ -16,6 +16,7 @@
  **/
 'use strict';
 const FullyTyped            = require('./fully-typed');
+const util                  = require('./util');
 
 module.exports = TypedOneOf;
 
@@ -31,16 +32,20 @@ function TypedOneOf (config) {
 
     // validate oneOf
     if (!config.hasOwnProperty('oneOf')) {
-        throw Error('Invalid configuration. Missing required one-of property: oneOf. Must be an array of schema configurations.');
+        throw util.configError(util.configMessage(oneOf.FullyTyped, 'config.missing', {
+            expected: util.configMessage(oneOf.FullyTyped, 'config.schemaArray'),
+            property: 'oneOf',
+            type: 'one-of'
+        }));
     }
     if (!Array.isArray(config.oneOf) || config.oneOf.filter(v => !v || typeof v !== 'object').length) {
-        throw Error('Invalid configuration value for property: oneOf. Must be an array of schema configurations.');
+        throw util.configError(util.propertyErrorMessage(oneOf.FullyTyped, 'oneOf', config.oneOf, 'config.schemaArray'));
     }
 
     // create each unique schema
     const hashes = {};
     const schemas = config.oneOf
-        .map(item => FullyTyped(item))
+        .map(item => oneOf.FullyTyped(item))
         .filter(schema => {
             const hash = schema.hash();
             if (hashes[hash]) return false;
@@ -66,16 +71,39 @@ function TypedOneOf (config) {
     return oneOf;
 }
 
-TypedOneOf.prototype.error = function(value, prefix) {
+TypedOneOf.prototype.coerce = function(value, context) {
     const length = this.oneOf.length;
-    const errors = [];
+
+    // use the coercion of the first schema that accepts its coerced value
+    for (let i = 0; i < length; i++) {
+        const coercions = [];
+        const coerced = this.oneOf[i].coerceValue(value, Object.assign({}, context, { coercions: coercions }));
+        if (this.oneOf[i].errors(coerced).length === 0) {
+            if (context && context.coercions) coercions.forEach(coercion => context.coercions.push(coercion));
+            return coerced;
+        }
+    }
+    return value;
+};
+
+TypedOneOf.prototype.error = function(value, prefix, context) {
+    const length = this.oneOf.length;
+    const branches = [];
     for (let i = 0; i < length; i++) {
-        const error = this.oneOf[i].error(value, prefix);
-        if (!error) return null;
-        errors.push(error);
+        const errors = this.oneOf[i].errors(value, context);
+        if (errors.length === 0) return util.errorResult([], prefix, context);
+        branches.push(errors);
     }
+    return util.errorResult([ getMultiError(this, value, branches, context) ], prefix, context);
+};
 
-    return prefix + 'All possible schemas have errors:\n  ' + errors.join('\n  ');
+TypedOneOf.prototype.errorAsync = function(value, prefix, context) {
+    const oneOf = this;
+    return Promise.all(oneOf.oneOf.map(schema => schema.errorsAsync(value, context)))
+        .then(function(branches) {
+            const passed = branches.filter(errors => errors.length === 0).length > 0;
+            return util.errorResult(passed ? [] : [ getMultiError(oneOf, value, branches, context) ], prefix, context);
+        });
 };
 
 TypedOneOf.prototype.normalize = function(value) {
@@ -86,7 +114,34 @@ TypedOneOf.prototype.normalize = function(value) {
     }
 };
 
+TypedOneOf.prototype.normalizeAsync = function(value) {
+    const oneOf = this.oneOf;
+    return Promise.all(oneOf.map(schema => schema.errorsAsync(value)))
+        .then(function(branches) {
+            const length = branches.length;
+            for (let i = 0; i < length; i++) {
+                if (branches[i].length === 0) return oneOf[i].normalizeAsync(value);
+            }
+        });
+};
+
 TypedOneOf.register = {
     aliases: ['one-of', FullyTyped.OneOf],
-    dependencies: []
-};
\ No newline at end of file
+    dependencies: [],
+    options: {
+        oneOf: { type: Array, minItems: 1, schema: { type: Object, allowNull: false } }
+    }
+};
+
+
+
+function getMultiError(oneOf, value, branches, context) {
+    return util.violation(context, {
+        branches: branches,
+        code: util.errors.multi.code,
+        constraint: 'oneOf',
+        expected: oneOf.oneOf.map(schema => oneOf.FullyTyped.controllers.get(schema.type).alias),
+        message: util.message(context, 'one-of'),
+        value: value
+    });
+}
\ No newline at end of file
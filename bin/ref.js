@@ -0,0 +1,109 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const definitions           = require('./definitions');
+const util                  = require('./util');
+
+module.exports = TypedRef;
+
+/**
+ * Create a TypedRef instance. A reference checks and normalizes values with a schema from the definitions that are
+ * in scope.
+ * @param {object} config
+ * @returns {TypedRef}
+ * @augments Typed
+ * @constructor
+ */
+function TypedRef (config) {
+    const ref = this;
+
+    // validate $ref
+    if (typeof config.$ref !== 'string' || !config.$ref) {
+        throw util.configError(util.propertyErrorMessage(ref.FullyTyped, '$ref', config.$ref, 'config.nonEmptyString'));
+    }
+    const name = definitions.name(config.$ref);
+    const entry = definitions.resolve(name);
+    if (!entry) throw util.configError(util.propertyErrorMessage(ref.FullyTyped, '$ref', config.$ref, 'config.definition', { name: name }));
+
+    // define properties
+    Object.defineProperties(ref, {
+
+        definitions: {
+            /**
+             * @property
+             * @name TypedRef#definitions
+             * @type {object}
+             */
+            value: entry.definitions,
+            writable: false
+        },
+
+        ref: {
+            /**
+             * @property
+             * @name TypedRef#ref
+             * @type {string}
+             */
+            value: name,
+            writable: false
+        },
+
+        schema: {
+            /**
+             * The schema for the definition. It is not available until all definitions in scope have been created.
+             * @property
+             * @name TypedRef#schema
+             * @type {object}
+             */
+            get: function() {
+                return entry.schema;
+            }
+        }
+
+    });
+
+    return ref;
+}
+
+TypedRef.prototype.coerce = function(value, context) {
+    return this.schema.coerceValue(value, context);
+};
+
+TypedRef.prototype.error = function(value, prefix, context) {
+    return util.errorResult(this.schema.errors(value, context), prefix, context);
+};
+
+TypedRef.prototype.errorAsync = function(value, prefix, context) {
+    return this.schema.errorsAsync(value, context)
+        .then(errors => util.errorResult(errors, prefix, context));
+};
+
+TypedRef.prototype.normalize = function(value) {
+    return this.schema.normalize(value);
+};
+
+TypedRef.prototype.normalizeAsync = function(value) {
+    return this.schema.normalizeAsync(value);
+};
+
+TypedRef.register = {
+    aliases: ['ref'],
+    dependencies: [],
+    options: {
+        $ref: { type: String, minLength: 1 }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,617 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const util                  = require('./util');
+
+const alphanumeric = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const day = 86400000;
+const digits = '0123456789';
+const printable = characters(32, 126);
+const whitespace = ' ';
+const word = alphanumeric + '_';
+
+// functions that produce a random value for each built in controller
+const valueGenerators = {
+    'all-of': allOfValue,
+    array: arrayValue,
+    boolean: booleanValue,
+    date: dateValue,
+    function: functionValue,
+    not: notValue,
+    number: numberValue,
+    object: objectValue,
+    'one-of': (oneOf, state, depth) => generate(oneOf.oneOf[integer(state, 0, oneOf.oneOf.length - 1)], state, depth),
+    ref: (ref, state, depth) => generate(ref.schema, state, depth),
+    string: stringValue,
+    symbol: () => Symbol('sample'),
+    typed: anyValue
+};
+
+// generators that only read the bounds of a schema and can therefore use bounds merged from several schemas
+const bounded = [arrayValue, dateValue, numberValue, stringValue];
+
+/**
+ * Generate a random value that the schema accepts.
+ * @param {Schema} schema
+ * @param {object} [options={}]
+ * @param {number} [options.attempts=100] The number of values to try for each schema before giving up.
+ * @param {number} [options.maxDepth=3] The depth after which arrays have their fewest items and objects only have
+ * required properties.
+ * @param {number,string} [options.seed] The seed for the random values. The same seed produces the same value.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {*}
+ */
+exports.sample = function(schema, options, getData) {
+    if (!options) options = {};
+    const seed = options.hasOwnProperty('seed') ? options.seed : Math.floor(Math.random() * 4294967296);
+    if (typeof seed !== 'number' && typeof seed !== 'string') throw Error('The seed must be a number or a string. Received: ' + seed);
+
+    const state = {
+        attempts: options.hasOwnProperty('attempts') ? options.attempts : 100,
+        generators: new Map(),
+        getData: getData,
+        maxDepth: options.hasOwnProperty('maxDepth') ? options.maxDepth : 3,
+        random: random(seed)
+    };
+    Object.keys(valueGenerators).forEach(function(alias) {
+        const data = schema.FullyTyped.controllers.get(alias);
+        if (data) state.generators.set(data.controller, valueGenerators[alias]);
+    });
+
+    return generate(schema, state, 0);
+};
+
+/**
+ * Find a smaller value that the schema accepts and that the predicate still returns true for.
+ * @param {Schema} schema
+ * @param {*} value A value that the schema accepts.
+ * @param {function} predicate A function that returns true for values that still show the problem.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {*}
+ */
+exports.shrink = function(schema, value, predicate, getData) {
+    if (typeof predicate !== 'function') throw Error('Unable to shrink. Expected a predicate function. Received: ' + predicate);
+    schema.validate(value);
+
+    const state = { getData: getData };
+    const keep = candidate => schema.errors(candidate).length === 0 && !!predicate(candidate);
+    let current = value;
+    for (let i = 0; i < 1000; i++) {
+        const list = candidates(schema, current, state).filter(candidate => !util.same(candidate, current));
+        const index = list.findIndex(keep);
+        if (index === -1) break;
+        current = list[index];
+    }
+    return current;
+};
+
+
+
+function allOfValue(allOf, state, depth) {
+    const schemas = allOf.allOf;
+    const generators = schemas.map(schema => getGenerator(schema, state));
+
+    // object values from each schema are combined
+    if (generators.every(generator => generator === objectValue)) {
+        const values = schemas.map(schema => generate(schema, state, depth));
+        return values.every(util.isPlainObject)
+            ? values.reduce((result, value) => Object.assign(result, value), {})
+            : values[0];
+    }
+
+    // an enum is the most constrained schema, otherwise the bounds of schemas of the same type are merged
+    const listed = schemas.find(schema => schema.enum);
+    if (listed) return generateOnce(listed, state, depth);
+
+    const index = Math.max(0, generators.findIndex(generator => generator !== anyValue));
+    const generator = generators[index];
+    if (bounded.indexOf(generator) === -1) return generate(schemas[index], state, depth);
+    return generator(mergeBounds(schemas.filter((schema, i) => generators[i] === generator)), state, depth);
+}
+
+function anyValue(typed, state, depth) {
+    switch (integer(state, 0, 3)) {
+        case 0: return null;
+        case 1: return state.random() < 0.5;
+        case 2: return integer(state, -1000, 1000);
+        default: return text(state, 0, 10);
+    }
+}
+
+function arrayValue(array, state, depth) {
+    const min = array.minItems || 0;
+    let max = isNaN(array.maxItems) ? min + 5 : Math.min(array.maxItems, min + 5);
+
+    // unique items cannot outnumber the distinct values that the item schema allows
+    if (array.uniqueItems) max = Math.max(min, Math.min(max, distinctValues(array.schema, state)));
+
+    const length = depth >= state.maxDepth ? min : integer(state, min, max);
+    const result = [];
+    for (let i = 0; result.length < length; i++) {
+        if (i >= state.attempts + length) {
+            if (result.length >= min) break;
+            throw Error('Unable to generate ' + length + ' unique array items.');
+        }
+        const item = array.schema ? generate(array.schema, state, depth + 1) : anyValue(null, state, depth + 1);
+        if (!array.uniqueItems || !includes(result, item)) result.push(item);
+    }
+    return result;
+}
+
+function booleanValue(boolean, state) {
+    return state.random() < 0.5;
+}
+
+function characters(from, to) {
+    let result = '';
+    for (let code = from; code <= to; code++) result += String.fromCharCode(code);
+    return result;
+}
+
+function dateValue(date, state) {
+    const min = date.min ? +date.min : (date.max ? +date.max - 3650 * day : Date.UTC(2000, 0, 1));
+    const max = date.max ? +date.max : min + 3650 * day;
+    return new Date(min + Math.floor(state.random() * (max - min + 1)));
+}
+
+/**
+ * Get the number of distinct values that can be generated for a schema, or Infinity when there is no practical limit.
+ */
+function distinctValues(schema, state) {
+    if (!schema) return Infinity;
+    if (schema.enum) return schema.enum.length;
+
+    const generator = getGenerator(schema, state);
+    if (generator === booleanValue) return 2;
+    if (generator === numberValue && schema.integer && isFinite(schema.min) && isFinite(schema.max)) {
+        const range = integerRange(schema);
+        return Math.max(0, range.max - range.min + 1);
+    }
+    return Infinity;
+}
+
+function functionValue(fn, state) {
+    const max = typeof fn.maxArguments === 'undefined' ? fn.minArguments + 2 : fn.maxArguments;
+    const length = integer(state, fn.minArguments, max);
+
+    // classes are always constructable and only plain functions can be either
+    const kinds = (fn.kind || ['function']).filter(kind => fn.constructable === undefined ||
+        (fn.constructable ? kind === 'class' || kind === 'function' : kind !== 'class'));
+    return util.createFunction({
+        constructable: fn.constructable,
+        kind: kinds.length > 1 ? kinds[integer(state, 0, kinds.length - 1)] : kinds[0],
+        length: length,
+        name: 'sample',
+        parameters: fn.parameters
+    });
+}
+
+/**
+ * Generate a value for a schema and check it, trying again if the schema does not accept it.
+ */
+function generate(schema, state, depth) {
+    for (let i = 0; i < state.attempts; i++) {
+        const value = generateOnce(schema, state, depth);
+        if (schema.errors(value).length === 0) return value;
+    }
+    throw Error('Unable to generate a valid value for the schema after ' + state.attempts + ' attempts.');
+}
+
+function generateOnce(schema, state, depth) {
+    if (schema.enum) return schema.enum[integer(state, 0, schema.enum.length - 1)];
+    return getGenerator(schema, state)(schema, state, depth);
+}
+
+/**
+ * Get the generator of the last built in controller that a schema inherits from. Plugins get the value of that
+ * controller.
+ */
+function getGenerator(schema, state) {
+    const controllers = state.getData(schema).controllers;
+    for (let i = controllers.length - 1; i >= 0; i--) {
+        const generator = state.generators.get(controllers[i]);
+        if (generator) return generator;
+    }
+    return anyValue;
+}
+
+function includes(array, value) {
+    return array.some(item => item === value || (item !== item && value !== value));
+}
+
+function integer(state, min, max) {
+    return min + Math.floor(state.random() * (max - min + 1));
+}
+
+/**
+ * Get the smallest and largest integers that a number schema allows.
+ */
+function integerRange(number) {
+    const hasMin = isFinite(number.min);
+    const hasMax = isFinite(number.max);
+    const min = hasMin ? number.min : (hasMax ? number.max - 1000 : -1000);
+    const max = hasMax ? number.max : min + (hasMin ? 1000 : 2000);
+    return {
+        min: hasMin && number.exclusiveMin ? Math.floor(min) + 1 : Math.ceil(min),
+        max: hasMax && number.exclusiveMax ? Math.ceil(max) - 1 : Math.floor(max)
+    };
+}
+
+/**
+ * Combine the bounds of several schemas of the same type into the tightest bounds that all of them allow.
+ */
+function mergeBounds(schemas) {
+    const result = {};
+    schemas.forEach(function(schema) {
+        tighten(result, schema, 'min', 'exclusiveMin', 1);
+        tighten(result, schema, 'max', 'exclusiveMax', -1);
+        tighten(result, schema, 'minItems', null, 1);
+        tighten(result, schema, 'maxItems', null, -1);
+        tighten(result, schema, 'minLength', null, 1);
+        tighten(result, schema, 'maxLength', null, -1);
+        if (schema.integer) result.integer = true;
+        if (schema.uniqueItems) result.uniqueItems = true;
+        if (!result.pattern && schema.pattern) result.pattern = schema.pattern;
+        if (!result.schema && schema.schema) result.schema = schema.schema;
+    });
+    return result;
+}
+
+function notValue(not, state, depth) {
+    return anyValue(not, state, depth);
+}
+
+function numberValue(number, state) {
+    if (number.integer) {
+        const range = integerRange(number);
+        if (range.min > range.max) throw Error('Unable to generate an integer between ' + number.min + ' and ' + number.max + '.');
+        return integer(state, range.min, range.max);
+    }
+
+    const hasMin = isFinite(number.min);
+    const hasMax = isFinite(number.max);
+    const min = hasMin ? number.min : (hasMax ? number.max - 1000 : -1000);
+    const max = hasMax ? number.max : min + (hasMin ? 1000 : 2000);
+    return min + state.random() * (max - min);
+}
+
+function objectValue(object, state, depth) {
+    if (object.allowNull && state.random() < 0.1) return null;
+
+    const deep = depth >= state.maxDepth;
+    const result = {};
+    Object.keys(object.properties).forEach(function(key) {
+        const schema = object.properties[key];
+        if (schema.required || (!deep && state.random() < 0.5)) result[key] = generate(schema, state, depth + 1);
+    });
+
+    // additional properties for the object's general schema
+    if (object.schema && !deep) {
+        const count = integer(state, 0, 2);
+        for (let i = 0; i < count; i++) {
+            const key = text(state, 1, 8);
+            if (!object.properties.hasOwnProperty(key)) result[key] = generate(object.schema, state, depth + 1);
+        }
+    }
+    return result;
+}
+
+function parseAlternation(parser) {
+    const alternatives = [ parseSequence(parser) ];
+    while (parser.source[parser.index] === '|') {
+        parser.index++;
+        alternatives.push(parseSequence(parser));
+    }
+    return { alternatives: alternatives };
+}
+
+function parseAtom(parser) {
+    const source = parser.source;
+    const ch = source[parser.index++];
+    switch (ch) {
+        case '(':
+            if (source.substr(parser.index, 2) === '?:') {
+                parser.index += 2;
+            } else if (source[parser.index] === '?') {
+                unsupportedPattern(parser);
+            }
+            const group = parseAlternation(parser);
+            if (source[parser.index++] !== ')') unsupportedPattern(parser);
+            return group;
+        case '[':
+            return parseClass(parser);
+        case '.':
+            return { chars: printable };
+        case '^':
+        case '$':
+            return { chars: '' };
+        case '\\':
+            return parseEscape(parser);
+        default:
+            return { chars: ch };
+    }
+}
+
+function parseClass(parser) {
+    const source = parser.source;
+    const negate = source[parser.index] === '^';
+    if (negate) parser.index++;
+
+    let chars = '';
+    while (parser.index < source.length && source[parser.index] !== ']') {
+        const start = source[parser.index] === '\\' ? (parser.index++, parseEscape(parser).chars) : source[parser.index++];
+        if (start.length === 1 && source[parser.index] === '-' && source[parser.index + 1] && source[parser.index + 1] !== ']') {
+            parser.index++;
+            const end = source[parser.index] === '\\' ? (parser.index++, parseEscape(parser).chars) : source[parser.index++];
+            if (end.length !== 1) unsupportedPattern(parser);
+            chars += characters(start.charCodeAt(0), end.charCodeAt(0));
+        } else {
+            chars += start;
+        }
+    }
+    if (source[parser.index++] !== ']') unsupportedPattern(parser);
+    return { chars: negate ? printable.split('').filter(c => chars.indexOf(c) === -1).join('') : chars };
+}
+
+function parseEscape(parser) {
+    const source = parser.source;
+    const ch = source[parser.index++];
+    const complement = set => printable.split('').filter(c => set.indexOf(c) === -1).join('');
+    switch (ch) {
+        case 'd': return { chars: digits };
+        case 'D': return { chars: complement(digits) };
+        case 'w': return { chars: word };
+        case 'W': return { chars: complement(word) };
+        case 's': return { chars: whitespace };
+        case 'S': return { chars: complement(whitespace) };
+        case 'b':
+        case 'B': return { chars: '' };
+        case 'n': return { chars: '\n' };
+        case 'r': return { chars: '\r' };
+        case 't': return { chars: '\t' };
+        case 'f': return { chars: '\f' };
+        case 'v': return { chars: '\v' };
+        case '0': return { chars: '\0' };
+        case 'x':
+        case 'u':
+            const length = ch === 'x' ? 2 : 4;
+            const hex = source.substr(parser.index, length);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) return { chars: ch };
+            parser.index += length;
+            return { chars: String.fromCharCode(parseInt(hex, 16)) };
+        default:
+            if (/[1-9c]/.test(ch)) unsupportedPattern(parser);
+            return { chars: ch };
+    }
+}
+
+function parseSequence(parser) {
+    const source = parser.source;
+    const items = [];
+    while (parser.index < source.length && source[parser.index] !== '|' && source[parser.index] !== ')') {
+        const item = { atom: parseAtom(parser), max: 1, min: 1 };
+        const quantifier = /^(?:([*+?])|\{(\d+)(,(\d*))?\})/.exec(source.substr(parser.index));
+        if (quantifier) {
+            parser.index += quantifier[0].length;
+            if (quantifier[1]) {
+                item.min = quantifier[1] === '+' ? 1 : 0;
+                item.max = quantifier[1] === '?' ? 1 : item.min + 3;
+            } else {
+                item.min = Number(quantifier[2]);
+                item.max = !quantifier[3] ? item.min : (quantifier[4] ? Number(quantifier[4]) : item.min + 3);
+            }
+            if (source[parser.index] === '?') parser.index++;
+        }
+        items.push(item);
+    }
+    return { sequence: items };
+}
+
+/**
+ * Generate a string that matches a regular expression. Literals, character classes, groups, alternation, and
+ * quantifiers are supported. Lookarounds and backreferences are not.
+ */
+function patternValue(pattern, state) {
+    const parser = { index: 0, pattern: pattern, source: pattern.source };
+    const node = parseAlternation(parser);
+    if (parser.index < parser.source.length) unsupportedPattern(parser);
+    return renderPattern(node, state);
+}
+
+/**
+ * Create a seeded random number generator that produces numbers from 0 up to but not including 1.
+ */
+function random(seed) {
+    let a = typeof seed === 'number' ? seed : 0;
+    if (typeof seed === 'string') {
+        for (let i = 0; i < seed.length; i++) a = Math.imul(a ^ seed.charCodeAt(i), 16777619);
+    }
+    a = a >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function renderPattern(node, state) {
+    if (node.alternatives) return renderPattern(node.alternatives[integer(state, 0, node.alternatives.length - 1)], state);
+    if (node.sequence) {
+        return node.sequence
+            .map(function(item) {
+                const count = integer(state, item.min, item.max);
+                let result = '';
+                for (let i = 0; i < count; i++) result += renderPattern(item.atom, state);
+                return result;
+            })
+            .join('');
+    }
+    return node.chars.length > 0 ? node.chars[integer(state, 0, node.chars.length - 1)] : '';
+}
+
+function stringValue(string, state) {
+    const min = string.minLength || 0;
+    const max = isNaN(string.maxLength) ? min + 10 : string.maxLength;
+    return string.pattern ? patternValue(string.pattern, state) : text(state, min, max);
+}
+
+/**
+ * Replace a bound of the result with the schema's bound when the schema's is tighter. The sign is 1 for lower bounds
+ * and -1 for upper bounds.
+ */
+function tighten(result, schema, key, exclusive, sign) {
+    const value = schema[key];
+    if (value === undefined || value === null || isNaN(+value)) return;
+
+    const current = result[key];
+    const tighter = current === undefined || sign * (+value - +current) > 0 ||
+        (exclusive && +value === +current && schema[exclusive]);
+    if (tighter) {
+        result[key] = value;
+        if (exclusive) result[exclusive] = !!schema[exclusive];
+    }
+}
+
+function text(state, min, max) {
+    const length = integer(state, min, max);
+    let result = '';
+    for (let i = 0; i < length; i++) result += alphanumeric[integer(state, 0, alphanumeric.length - 1)];
+    return result;
+}
+
+function unsupportedPattern(parser) {
+    throw Error('Unable to generate a string for the pattern ' + parser.pattern + '. Unsupported syntax at index ' +
+        (parser.index - 1) + '.');
+}
+
+
+
+/**
+ * Get smaller versions of a value, simplest first.
+ * @param {Schema} schema
+ * @param {*} value
+ * @param {object} state
+ * @returns {Array}
+ */
+function candidates(schema, value, state) {
+    const results = [];
+    if (schema.enum) schema.enum.slice(0, schema.enum.indexOf(value)).forEach(v => results.push(v));
+
+    const structure = getStructure(schema, value, state);
+    if (value === null || value === undefined) return results;
+
+    if (typeof value === 'boolean') {
+        if (value) results.push(false);
+    } else if (typeof value === 'number') {
+        numberCandidates(value, structure).forEach(v => results.push(v));
+    } else if (typeof value === 'string') {
+        stringCandidates(value).forEach(v => results.push(v));
+    } else if (value instanceof Date) {
+        const target = structure.min ? +structure.min : 0;
+        if (+value !== target) results.push(new Date(target), new Date(Math.round((+value + target) / 2)));
+    } else if (Array.isArray(value)) {
+        arrayCandidates(value, structure, state).forEach(v => results.push(v));
+    } else if (util.isPlainObject(value)) {
+        objectCandidates(value, structure, state).forEach(v => results.push(v));
+    }
+    return results;
+}
+
+function arrayCandidates(value, structure, state) {
+    const results = [ [], value.slice(0, Math.floor(value.length / 2)) ];
+    value.forEach((item, index) => results.push(value.slice(0, index).concat(value.slice(index + 1))));
+    if (structure.schema) {
+        value.forEach(function(item, index) {
+            candidates(structure.schema, item, state)
+                .forEach(v => results.push(value.slice(0, index).concat([ v ], value.slice(index + 1))));
+        });
+    }
+    return results;
+}
+
+/**
+ * Get the properties of the schemas that describe a value: the matching one-of schema, every all-of schema, and
+ * the definition of a reference.
+ */
+function getStructure(schema, value, state) {
+    const alias = state.getData(schema).alias;
+    if (alias === 'ref') return getStructure(schema.schema, value, state);
+    if (alias === 'one-of') {
+        const match = schema.oneOf.find(item => item.errors(value).length === 0);
+        return match ? getStructure(match, value, state) : {};
+    }
+    if (alias === 'all-of') {
+        const structures = schema.allOf.map(item => getStructure(item, value, state));
+        return {
+            min: structures.map(item => item.min).find(v => v !== undefined),
+            properties: structures.reduce((properties, item) => Object.assign({}, item.properties, properties), {}),
+            schema: structures.map(item => item.schema).find(v => v)
+        };
+    }
+    return schema;
+}
+
+function numberCandidates(value, structure) {
+    let target = 0;
+    if (structure.min > 0) target = structure.min;
+    if (structure.max < 0) target = structure.max;
+
+    // move toward the target by smaller and smaller steps
+    const results = [ target, Math.trunc(value) ];
+    for (let step = Math.trunc((value - target) / 2); step !== 0; step = Math.trunc(step / 2)) results.push(value - step);
+    return results;
+}
+
+function objectCandidates(value, structure, state) {
+    const properties = structure.properties || {};
+    const keys = Object.keys(value);
+    const results = [];
+
+    // remove properties that are not required
+    keys.filter(key => !properties[key] || !properties[key].required)
+        .forEach(function(key) {
+            const copy = Object.assign({}, value);
+            delete copy[key];
+            results.push(copy);
+        });
+
+    // shrink each property value
+    keys.forEach(function(key) {
+        const schema = properties[key] || structure.schema;
+        if (!schema) return;
+        candidates(schema, value[key], state).forEach(function(v) {
+            const copy = Object.assign({}, value);
+            copy[key] = v;
+            results.push(copy);
+        });
+    });
+    return results;
+}
+
+function stringCandidates(value) {
+    const results = [ '', value.substr(0, Math.floor(value.length / 2)), value.substr(Math.ceil(value.length / 2)) ];
+    for (let i = 0; i < value.length; i++) results.push(value.substr(0, i) + value.substr(i + 1));
+
+    // replace characters with the simplest character of the same kind
+    for (let i = 0; i < value.length; i++) {
+        const ch = value[i];
+        const simple = /[a-z]/.test(ch) ? 'a' : /[A-Z]/.test(ch) ? 'A' : /\d/.test(ch) ? '0' : ch;
+        if (simple !== ch) results.push(value.substr(0, i) + simple + value.substr(i + 1));
+    }
+    return results;
+}
\ No newline at end of file
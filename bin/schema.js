@@ -16,20 +16,34 @@
  **/
 'use strict';
 const crypto            = require('crypto');
-const FullyTyped        = require('./fully-typed');
 const util              = require('./util');
 
 const instances = new WeakMap();
 
+// marks the contexts that Schema#errors creates, which it shares with nested schemas instead of copying them
+const sharedContext = Symbol('sharedContext');
+
+// options added after the hash format was set, left out of the hash while they have their default values so that
+// the hashes of schemas that do not use them stay the same
+const hashDefaults = {
+    allErrors: false,
+    coerce: false,
+    constructable: undefined,
+    errorMessages: undefined,
+    kind: undefined,
+    parameters: undefined
+};
+
 module.exports = Schema;
 
 /**
  * Create a schema instance.
  * @param {Object} config The configuration for the schema.
  * @param {ControllerData} data
+ * @param {FullyTyped} FullyTyped The function that owns the schema, used to create any nested schemas.
  * @constructor
  */
-function Schema(config, data) {
+function Schema(config, data, FullyTyped) {
     const controllers = data.controllers;
     const length = controllers.length;
 
@@ -68,23 +82,152 @@ function Schema(config, data) {
     });
 }
 
+/**
+ * Convert a value into the types that the schema expects. Numeric strings become numbers, boolean strings become
+ * booleans, date strings and numbers become dates, single values become one item arrays, and JSON strings become
+ * objects. Values that cannot be converted are returned unchanged, so the value must still be validated.
+ * @name Schema#coerceValue
+ * @param {*} value
+ * @param {object} [options={}]
+ * @param {boolean} [options.coerce=true] Convert the value for every schema. If false then only schemas with the
+ * coerce option, and the schemas within them, convert their values.
+ * @param {Array} [options.coercions] An array that each conversion is added to.
+ * @param {Array} [options.path=[]] The path to the value, used as the base path for each conversion.
+ * @returns {*}
+ */
+Schema.prototype.coerceValue = function(value, options) {
+    validateContext(this);
+    const coerceFunctions = instances.get(this).coerceFunctions;
+    const context = {
+        coerce: !(options && options.coerce === false) || this.coerce,
+        coercions: options && Array.isArray(options.coercions) ? options.coercions : [],
+        path: options && Array.isArray(options.path) ? options.path.slice() : []
+    };
+    const length = coerceFunctions.length;
+    for (let i = 0; i < length; i++) {
+        value = coerceFunctions[i].call(this, value, context);
+    }
+    return value;
+};
+
+/**
+ * Generate specialized functions for the entire schema tree. The compiled functions produce the same results as
+ * the schema's own functions but avoid walking the controller chains for each value.
+ * @name Schema#compile
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @returns {{ error: function, errors: function, normalize: function, validate: function }}
+ */
+Schema.prototype.compile = function(options) {
+    validateContext(this);
+    return require('./compile')(this, options, schema => instances.get(schema));
+};
+
 /**
  * Check if a value produces any errors.
  * @name Schema#error
  * @param {*} value
  * @param {string} [prefix='']
+ * @param {object} [options={}] The same options as for Schema#errors.
  * @returns {string,null}
  */
-Schema.prototype.error = function(value, prefix) {
+Schema.prototype.error = function(value, prefix, options) {
     validateContext(this);
-    const errorFunctions = instances.get(this).errorFunctions;
-    if (!prefix) prefix = '';
-    const length = errorFunctions.length;
-    for (let i = 0; i < length; i++) {
-        const err = errorFunctions[i].call(this, value, prefix);
-        if (err) return err;
-    }
-    return null;
+    const errors = this.errors(value, options);
+    return errors.length > 0 ? util.errorMessage(errors, prefix, 0, getMessageContext(this, options)) : null;
+};
+
+/**
+ * Get an array of error objects that describe each problem with the value.
+ * @name Schema#errors
+ * @param {*} value
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages. Messages that the locale does not have
+ * come from the locale's language and then from the English messages.
+ * @param {Array} [options.path=[]] The path to the value, used as the base path for all errors.
+ * @returns {{ path: Array, code: string, constraint: string, message: string, value: *, expected: *, schemaType: string }[]}
+ */
+Schema.prototype.errors = function(value, options) {
+    validateContext(this);
+    const protect = instances.get(this);
+    if (options && options[sharedContext]) return collectSharedErrors(this, protect, value, options);
+    return collectErrors(this, protect, value, createErrorContext(this, protect, options));
+};
+
+/**
+ * Get an array of error objects that describe each problem with the value. Asynchronous validators are waited
+ * on and sibling values (object properties, array items, and one-of schemas) are checked concurrently.
+ * @name Schema#errorsAsync
+ * @param {*} value
+ * @param {object} [options={}] The same options as for Schema#errors.
+ * @returns {Promise<object[]>}
+ */
+Schema.prototype.errorsAsync = function(value, options) {
+    const schema = this;
+    return new Promise(function(resolve) {
+        validateContext(schema);
+        const protect = instances.get(schema);
+        const errorFunctions = protect.asyncErrorFunctions;
+        const context = createErrorContext(schema, protect, options);
+        const errors = [];
+        const length = errorFunctions.length;
+        let index = 0;
+
+        function next(result) {
+            result.forEach(err => errors.push(err));
+            if (isChainComplete(result, context) || index >= length) return errors;
+            return Promise.resolve(errorFunctions[index++].call(schema, value, '', context))
+                .then(result => next(toErrors(result, value, context)));
+        }
+
+        resolve(next([]));
+    });
+};
+
+/**
+ * Get values on each side of the schema's constraints, like the min and max of a number, the lengths around a
+ * string's minLength and maxLength, objects without their required properties, and values of the wrong type. The
+ * values are sorted by whether the schema accepts them.
+ * @name Schema#examples
+ * @param {object} [options={}]
+ * @param {number} [options.maxDepth=3] The depth after which nested schemas only get a sample value and values of
+ * other types.
+ * @returns {{ valid: Array, invalid: Array }}
+ */
+Schema.prototype.examples = function(options) {
+    validateContext(this);
+    return require('./examples').examples(this, options, schema => instances.get(schema));
+};
+
+/**
+ * Create a new schema from this schema's configuration with overrides applied. Object properties and definitions
+ * are merged by name, every other override replaces the configured value.
+ * @name Schema#extend
+ * @param {object} overrides Configuration values to change. Nested schemas can be used in place of configurations.
+ * @returns {Schema}
+ */
+Schema.prototype.extend = function(overrides) {
+    validateContext(this);
+    return require('./derive').extend(this, overrides, schema => instances.get(schema));
+};
+
+/**
+ * Get a proxy for an object or array that checks every change against this schema, so that a long lived value
+ * cannot drift out of spec. Setting or deleting a property is checked against the property's schema and changing
+ * an array, including with methods like push and splice, is checked against the array's schema. An invalid change
+ * throws an error with the path to the changed property and leaves the value unchanged. Changes are not normalized.
+ * @name Schema#guard
+ * @param {object} value An object or array that is valid for this schema.
+ * @param {object} [options={}]
+ * @param {boolean} [options.allErrors=false] Collect every failed constraint instead of stopping at the first.
+ * @param {string} [options.locale='en'] The locale for the error messages.
+ * @returns {object}
+ */
+Schema.prototype.guard = function(value, options) {
+    validateContext(this);
+    return require('./guard').guard(this, value, options, schema => instances.get(schema));
 };
 
 /**
@@ -101,13 +244,19 @@ Schema.prototype.hash = function() {
  * Validate then normalize a value.
  * @name Schema#normalize
  * @param {*} value
+ * @param {object} [options={}] The same options as for Schema#errors.
+ * @param {boolean} [options.coerce=false] Convert the value with Schema#coerceValue before it is validated.
+ * @param {Array} [options.coercions] An array that each conversion is added to.
  * @returns {*}
  */
-Schema.prototype.normalize = function(value) {
+Schema.prototype.normalize = function(value, options) {
     validateContext(this);
     const normalizeFunctions = instances.get(this).normalizeFunctions;
     if (typeof value === 'undefined' && this.hasDefault) value = this.default;
-    this.validate(value, '');
+    const coercions = getCoercions(this, options);
+    if (coercions) value = this.coerceValue(value, getCoerceOptions(options, coercions));
+    const errors = this.errors(value, options);
+    if (errors.length > 0) throw coercedValidationError(this, errors, coercions, options);
     const length = normalizeFunctions.length;
     for (let i = 0; i < length; i++) {
         value = normalizeFunctions[i].call(this, value);
@@ -115,31 +264,298 @@ Schema.prototype.normalize = function(value) {
     return value;
 };
 
+/**
+ * Validate then normalize a value, waiting for any asynchronous validators and transforms.
+ * @name Schema#normalizeAsync
+ * @param {*} value
+ * @param {object} [options={}] The same options as for Schema#normalize.
+ * @returns {Promise<*>}
+ */
+Schema.prototype.normalizeAsync = function(value, options) {
+    const schema = this;
+    let coercions;
+    return new Promise(function(resolve) {
+        validateContext(schema);
+        if (typeof value === 'undefined' && schema.hasDefault) value = schema.default;
+        coercions = getCoercions(schema, options);
+        if (coercions) value = schema.coerceValue(value, getCoerceOptions(options, coercions));
+        resolve(schema.errorsAsync(value, options));
+    }).then(function(errors) {
+        if (errors.length > 0) throw coercedValidationError(schema, errors, coercions, options);
+        return instances.get(schema).asyncNormalizeFunctions
+            .reduce((promise, normalize) => promise.then(v => normalize.call(schema, v)), Promise.resolve(value));
+    });
+};
+
+/**
+ * Create a new object schema without the specified properties.
+ * @name Schema#omit
+ * @param {string[]} keys
+ * @returns {Schema}
+ */
+Schema.prototype.omit = function(keys) {
+    validateContext(this);
+    return require('./derive').omit(this, keys, schema => instances.get(schema));
+};
+
+/**
+ * Create a new object schema where none of the properties are required.
+ * @name Schema#partial
+ * @returns {Schema}
+ */
+Schema.prototype.partial = function() {
+    validateContext(this);
+    return require('./derive').partial(this, schema => instances.get(schema));
+};
+
+/**
+ * Create a new object schema with only the specified properties.
+ * @name Schema#pick
+ * @param {string[]} keys
+ * @returns {Schema}
+ */
+Schema.prototype.pick = function(keys) {
+    validateContext(this);
+    return require('./derive').pick(this, keys, schema => instances.get(schema));
+};
+
+/**
+ * Create a new object schema where every property is required. Property defaults are removed.
+ * @name Schema#requiredAll
+ * @returns {Schema}
+ */
+Schema.prototype.requiredAll = function() {
+    validateContext(this);
+    return require('./derive').requiredAll(this, schema => instances.get(schema));
+};
+
+/**
+ * Generate a random value that the schema accepts. Values are the input to the schema, normalize them to get the
+ * values that the schema produces.
+ * @name Schema#sample
+ * @param {object} [options={}]
+ * @param {number} [options.attempts=100] The number of values to try for each schema before giving up.
+ * @param {number} [options.maxDepth=3] The depth after which arrays have their fewest items and objects only have
+ * required properties.
+ * @param {number,string} [options.seed] The seed for the random values. The same seed produces the same value.
+ * @returns {*}
+ */
+Schema.prototype.sample = function(options) {
+    validateContext(this);
+    return require('./sample').sample(this, options, schema => instances.get(schema));
+};
+
+/**
+ * Find the smallest version of a value that the schema still accepts and that the predicate still returns true for.
+ * Use this to simplify a sample value that caused a test to fail.
+ * @name Schema#shrink
+ * @param {*} value
+ * @param {function} predicate A function that returns true for values that still cause the failure.
+ * @returns {*}
+ */
+Schema.prototype.shrink = function(value, predicate) {
+    validateContext(this);
+    return require('./sample').shrink(this, value, predicate, schema => instances.get(schema));
+};
+
+/**
+ * Get a JSON Schema document that describes this schema.
+ * @name Schema#toJSONSchema
+ * @param {object} [options={}]
+ * @param {function} [options.onUnsupported] Called with the parts of the schema that JSON Schema cannot express.
+ * @returns {object}
+ */
+Schema.prototype.toJSONSchema = function(options) {
+    validateContext(this);
+    return require('./json-schema').toJSONSchema(this, options, schema => instances.get(schema));
+};
+
+/**
+ * Get a TypeScript declaration for the values that this schema produces.
+ * @name Schema#toTypeScript
+ * @param {string} name The name of the declared type.
+ * @returns {string}
+ */
+Schema.prototype.toTypeScript = function(name) {
+    validateContext(this);
+    return require('./typescript').toTypeScript(this, name, schema => instances.get(schema));
+};
+
 /**
  * Validate a value against the schema and throw an error if encountered.
  * @name Schema#validate
  * @param {*} value
  * @param {string} [prefix='']
+ * @param {object} [options={}] The same options as for Schema#errors.
+ * @throws {Error}
  */
-Schema.prototype.validate = function(value, prefix) {
+Schema.prototype.validate = function(value, prefix, options) {
     validateContext(this);
-    const str = this.error(value, prefix);
-    if (str) throw Error(str);
+    const errors = this.errors(value, options);
+    if (errors.length > 0) throw util.validationError(errors, prefix, getMessageContext(this, options));
+};
+
+/**
+ * Validate a value against the schema, waiting for any asynchronous validators. The returned promise is rejected
+ * with an error if the value is invalid.
+ * @name Schema#validateAsync
+ * @param {*} value
+ * @param {string} [prefix='']
+ * @param {object} [options={}] The same options as for Schema#errors.
+ * @returns {Promise}
+ */
+Schema.prototype.validateAsync = function(value, prefix, options) {
+    const schema = this;
+    return this.errorsAsync(value, options)
+        .then(function(errors) {
+            if (errors.length > 0) throw util.validationError(errors, prefix, getMessageContext(schema, options));
+        });
 };
 
 
 
+/**
+ * Create the error that is thrown when a value fails validation during normalization.
+ */
+function coercedValidationError(schema, errors, coercions, options) {
+    const context = getMessageContext(schema, options);
+    return util.validationError(coercions ? util.coercedErrors(errors, coercions, context) : errors, '', context);
+}
+
+/**
+ * Run the schema's error functions for a value and collect the errors that they find.
+ */
+function collectErrors(schema, protect, value, context) {
+    const errorFunctions = protect.errorFunctions;
+    const length = errorFunctions.length;
+    let errors = null;
+    for (let i = 0; i < length; i++) {
+        const result = toErrors(errorFunctions[i].call(schema, value, '', context), value, context);
+        if (result.length === 0) continue;
+        errors = errors ? errors.concat(result) : result;
+        if (isChainComplete(result, context)) break;
+    }
+    return errors || [];
+}
+
+/**
+ * Run the schema's error functions with the context of the schema that contains it. The values that differ between
+ * schemas are swapped in for the call, so that a value without errors is checked without copying the context.
+ */
+function collectSharedErrors(schema, protect, value, context) {
+    const allErrors = context.allErrors;
+    const errorMessages = context.errorMessages;
+    const messages = context.messages;
+    const schemaType = context.schemaType;
+    context.allErrors = allErrors || schema.allErrors;
+    context.errorMessages = schema.errorMessages;
+    context.messages = schema.FullyTyped.messages;
+    context.schemaType = protect.alias;
+    const errors = collectErrors(schema, protect, value, context);
+    context.allErrors = allErrors;
+    context.errorMessages = errorMessages;
+    context.messages = messages;
+    context.schemaType = schemaType;
+    return errors;
+}
+
+/**
+ * Create the context for the error functions of a schema. Schema#errors shares the context with nested schemas
+ * when it is passed back to it.
+ */
+function createErrorContext(schema, protect, options) {
+    const context = {
+        allErrors: !!((options && options.allErrors) || schema.allErrors),
+        errorMessages: schema.errorMessages,
+        messages: schema.FullyTyped.messages,
+        path: options && Array.isArray(options.path) ? options.path.slice() : [],
+        schemaType: protect.alias,
+        [sharedContext]: true
+    };
+    if (options) {
+        Object.keys(options).forEach(key => {
+            if (!context.hasOwnProperty(key)) context[key] = options[key];
+        });
+    }
+    return context;
+}
+
+/**
+ * Get the array to add conversions to if the value should be coerced, otherwise null. A value is coerced if the
+ * coerce option is set or if the schema or any schema within it has the coerce option.
+ */
+function getCoercions(schema, options) {
+    if (!(options && options.coerce) && !hasCoercion(schema)) return null;
+    return options && Array.isArray(options.coercions) ? options.coercions : [];
+}
+
+/**
+ * Get the Schema#coerceValue options for a value that is being normalized.
+ */
+function getCoerceOptions(options, coercions) {
+    return { coerce: !!(options && options.coerce), coercions: coercions, path: options && options.path };
+}
+
+/**
+ * Check if the schema or any schema within it has the coerce option. The result is stored with the schema's
+ * protected data because schemas do not change.
+ */
+function hasCoercion(schema) {
+    const protect = instances.get(schema);
+    if (!protect.hasOwnProperty('coercion')) protect.coercion = util.hasCoercion(schema);
+    return protect.coercion;
+}
+
+/**
+ * Get the locale and the message catalogs to create error messages with.
+ */
+function getMessageContext(schema, options) {
+    return {
+        locale: options ? options.locale : undefined,
+        messages: schema.FullyTyped.messages
+    };
+}
+
 function getNormalizedSchemaConfiguration(obj) {
     return Object.getOwnPropertyNames(obj)
         .reduce((prev, key) => {
-            prev[key] = obj[key];
+
+            // computed properties, like the schema that a reference resolves to, are not part of the configuration
+            const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+            if (descriptor.get) return prev;
+
+            // the FullyTyped instance that created the schema is not configuration, earlier versions hashed it as
+            // an empty object so that is kept to leave hashes unchanged
+            if (key === 'FullyTyped') {
+                prev[key] = {};
+                return prev;
+            }
+
+            if (hashDefaults.hasOwnProperty(key) && descriptor.value === hashDefaults[key]) return prev;
+            prev[key] = descriptor.value;
             return prev;
         }, {});
 }
 
+/**
+ * Determine whether the remaining error functions in the controller chain should be skipped. When collecting all
+ * errors the chain only stops if the value has the wrong type or is a disallowed null.
+ */
+function isChainComplete(errors, context) {
+    if (errors.length === 0) return false;
+    if (!context.allErrors) return true;
+    return util.hasTypeError(errors, context.path.length);
+}
+
 function prepareForHash(value) {
-    if (Array.isArray(value)) {
+    if (value instanceof Schema) {
+        return value.hash();
+    } else if (Array.isArray(value)) {
         return value.map(prepareForHash);
+    } else if (value instanceof Date) {
+        return value.toJSON();
+    } else if (value instanceof RegExp) {
+        return value.toString();
     } else if (value && typeof value === 'object') {
         const result = {};
         const keys = Object.keys(value);
@@ -159,6 +575,13 @@ function prepareForHash(value) {
     }
 }
 
+function toErrors(result, value, context) {
+    if (typeof result === 'string' && result) {
+        return [ util.violation(context, { code: util.errors.invalid.code, message: result, value: value }) ];
+    }
+    return Array.isArray(result) ? result : [];
+}
+
 function validateContext(context) {
     if (!instances.has(context)) throw Error('Invalid context for prototype method.');
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Schema                = require('./schema');
+const util                  = require('./util');
+
+const version = 1;
+
+/**
+ * Create a schema from a string produced by serialize.
+ * @param {string, object} json The serialized schema as a string or as the parsed object.
+ * @param {object} [options={}]
+ * @param {object} [options.functions={}] The functions to use for each function name in the serialized schema.
+ * @param {FullyTyped} FullyTyped The function to create the schema with.
+ * @returns {Schema}
+ */
+exports.deserialize = function(json, options, FullyTyped) {
+    const functions = getFunctions(options);
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!data || typeof data !== 'object' || data.version !== version || !data.hasOwnProperty('schema')) {
+        throw util.configError('Unable to deserialize. Expected a serialized schema of version ' + version + '.');
+    }
+
+    return FullyTyped(decode(data.schema, 'schema', functions));
+};
+
+/**
+ * Convert a schema into a JSON string.
+ * @param {Schema} schema
+ * @param {object} [options={}]
+ * @param {object} [options.functions={}] Functions, like validators and transforms, mapped by the name to store them by.
+ * @returns {string}
+ */
+exports.serialize = function(schema, options) {
+    if (!(schema instanceof Schema)) throw Error('Unable to serialize. Expected a schema. Received: ' + schema);
+    const functions = getFunctions(options);
+    return JSON.stringify({
+        version: version,
+        schema: encodeConfig(schema.config, 'schema', functions, schema.FullyTyped.controllers)
+    });
+};
+
+
+
+function decode(value, path, functions) {
+    if (Array.isArray(value)) return value.map((item, index) => decode(item, path + '.' + index, functions));
+    if (!value || typeof value !== 'object') return value;
+
+    switch (value.$type) {
+        case undefined:
+            break;
+        case 'date':
+            return new Date(value.value);
+        case 'function':
+            if (!functions.hasOwnProperty(value.name)) {
+                throw util.configError('Unable to deserialize function at ' + path + '. No function provided with the name: ' + value.name);
+            }
+            return functions[value.name];
+        case 'number':
+            return Number(value.value);
+        case 'object':
+            return decodeObject(value.value, path, functions);
+        case 'regexp':
+            return new RegExp(value.source, value.flags);
+        case 'symbol':
+            return Symbol.for(value.key);
+        case 'undefined':
+            return undefined;
+        default:
+            throw util.configError('Unable to deserialize value at ' + path + '. Unknown type: ' + value.$type);
+    }
+
+    return decodeObject(value, path, functions);
+}
+
+function decodeObject(value, path, functions) {
+    const result = {};
+    Object.keys(value).forEach(key => result[key] = decode(value[key], path + '.' + key, functions));
+    return result;
+}
+
+/**
+ * Encode a schema configuration. A configuration that is already a schema is encoded using its configuration.
+ */
+function encodeConfig(config, path, functions, controllers) {
+    if (config instanceof Schema) {
+        controllers = config.FullyTyped.controllers;
+        config = config.config;
+    }
+    if (!util.isPlainObject(config)) return encodeValue(config, path, functions, controllers);
+
+    const result = {};
+    Object.keys(config).forEach(function(key) {
+        const value = config[key];
+        const childPath = path + '.' + key;
+        if (key === 'type') {
+            const data = controllers.get(value);
+            if (!data || typeof data.alias !== 'string' || controllers.get(data.alias) !== data) {
+                throw util.configError('Unable to serialize type at ' + childPath + '. The type must have a registered string alias.');
+            }
+            result.type = data.alias;
+        } else if ((key === 'definitions' || key === 'properties') && util.isPlainObject(value)) {
+            result[key] = {};
+            Object.keys(value).forEach(name => result[key][name] = encodeConfig(value[name], childPath + '.' + name, functions, controllers));
+        } else if ((key === 'allOf' || key === 'oneOf') && Array.isArray(value)) {
+            result[key] = value.map((item, index) => encodeConfig(item, childPath + '.' + index, functions, controllers));
+        } else if (key === 'not' || key === 'schema') {
+            result[key] = encodeConfig(value, childPath, functions, controllers);
+        } else {
+            result[key] = encodeValue(value, childPath, functions, controllers);
+        }
+    });
+    return result;
+}
+
+function encodeValue(value, path, functions, controllers) {
+    if (value instanceof Schema) return encodeConfig(value, path, functions, controllers);
+    if (Array.isArray(value)) return value.map((item, index) => encodeValue(item, path + '.' + index, functions, controllers));
+    if (value instanceof RegExp) return { $type: 'regexp', source: value.source, flags: value.flags };
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) throw util.configError('Unable to serialize invalid date at ' + path + '.');
+        return { $type: 'date', value: value.toISOString() };
+    }
+
+    if (util.isPlainObject(value)) {
+        const result = {};
+        Object.keys(value).forEach(key => result[key] = encodeValue(value[key], path + '.' + key, functions, controllers));
+
+        // plain objects that have a $type property are wrapped so that they are not mistaken for encoded values
+        return value.hasOwnProperty('$type') ? { $type: 'object', value: result } : result;
+    }
+
+    switch (typeof value) {
+        case 'function':
+            const name = Object.keys(functions).filter(key => functions[key] === value)[0];
+            if (!name) {
+                throw util.configError('Unable to serialize function at ' + path + '. Provide the function with a name in the functions option.');
+            }
+            return { $type: 'function', name: name };
+        case 'number':
+            return isFinite(value) ? value : { $type: 'number', value: String(value) };
+        case 'symbol':
+            const key = Symbol.keyFor(value);
+            if (key === undefined) {
+                throw util.configError('Unable to serialize symbol at ' + path + '. Only symbols created with Symbol.for can be serialized.');
+            }
+            return { $type: 'symbol', key: key };
+        case 'undefined':
+            return { $type: 'undefined' };
+        case 'object':
+            if (value !== null) throw util.configError('Unable to serialize object at ' + path + '. Only plain objects can be serialized.');
+            return value;
+        default:
+            return value;
+    }
+}
+
+function getFunctions(options) {
+    return options && options.functions && typeof options.functions === 'object' ? options.functions : {};
+}
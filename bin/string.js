@@ -31,21 +31,21 @@ function TypedString (config) {
 
     // validate min length
     if (config.hasOwnProperty('minLength') && (!util.isInteger(config.minLength) || config.minLength < 0)) {
-        const message = util.propertyErrorMessage('minLength', config.minLength, 'Must be an integer that is greater than or equal to zero.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(string.FullyTyped, 'minLength', config.minLength, 'config.zeroOrMore');
+        throw util.configError(message);
     }
     const minLength = config.hasOwnProperty('minLength') ? config.minLength : 0;
 
     // validate max length
     if (config.hasOwnProperty('maxLength') && (!util.isInteger(config.maxLength) || config.maxLength < minLength)) {
-        const message = util.propertyErrorMessage('maxLength', config.maxLength, 'Must be an integer that is greater than or equal to the minLength.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(string.FullyTyped, 'maxLength', config.maxLength, 'config.maxLength');
+        throw util.configError(message);
     }
 
     // validate pattern
     if (config.hasOwnProperty('pattern') && !(config.pattern instanceof RegExp)) {
-        const message = util.propertyErrorMessage('pattern', config.pattern, 'Must be a regular expression object.');
-        throw Error(message);
+        const message = util.propertyErrorMessage(string.FullyTyped, 'pattern', config.pattern, 'config.regExp');
+        throw util.configError(message);
     }
 
     // define properties
@@ -86,31 +86,53 @@ function TypedString (config) {
     return string;
 }
 
-TypedString.prototype.error = function (value, prefix) {
+TypedString.prototype.error = function (value, prefix, context) {
 
     if (typeof value !== 'string') {
-        return prefix + util.valueErrorMessage(value, 'Expected a string.');
+        return util.errorResult([ util.typeError(context, value, 'string', 'string.type') ], prefix, context);
     }
 
+    const errors = [];
+
     if (typeof this.minLength !== 'undefined' && value.length < this.minLength) {
-        return prefix + 'Invalid string length. Must contain at least ' +
-            this.minLength + ' characters. Contains ' + value.length;
+        errors.push(util.violation(context, {
+            code: util.errors.min.code,
+            constraint: 'minLength',
+            expected: this.minLength,
+            message: util.message(context, 'string.minLength', { length: value.length, minLength: this.minLength }),
+            value: value
+        }));
     }
 
-    if (typeof this.maxLength !== 'undefined' && value.length > this.maxLength) {
-        return prefix + 'Invalid string length. Must contain at most '
-            + this.maxLength + ' items. Contains ' + value.length;
+    if (util.keepChecking(errors, context) && typeof this.maxLength !== 'undefined' && value.length > this.maxLength) {
+        errors.push(util.violation(context, {
+            code: util.errors.max.code,
+            constraint: 'maxLength',
+            expected: this.maxLength,
+            message: util.message(context, 'string.maxLength', { length: value.length, maxLength: this.maxLength }),
+            value: value
+        }));
     }
 
-    if (this.pattern && !this.pattern.test(value)) {
-        return prefix + 'Invalid string. Does not match required pattern ' +
-            this.pattern.toString() + ' with value: ' + value;
+    if (util.keepChecking(errors, context) && this.pattern && !this.pattern.test(value)) {
+        errors.push(util.violation(context, {
+            code: util.errors.pattern.code,
+            constraint: 'pattern',
+            expected: this.pattern.toString(),
+            message: util.message(context, 'string.pattern', { pattern: this.pattern.toString(), value: value }),
+            value: value
+        }));
     }
 
-    return null;
+    return util.errorResult(errors, prefix, context);
 };
 
 TypedString.register = {
     aliases: ['string', String],
-    dependencies: []
+    dependencies: [],
+    options: {
+        maxLength: { type: Number, integer: true, min: 0 },
+        minLength: { type: Number, integer: true, min: 0 },
+        pattern: { type: Object, validator: value => value instanceof RegExp }
+    }
 };
\ No newline at end of file
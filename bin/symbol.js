@@ -32,16 +32,18 @@ function TypedSymbol (config) {
     return symbol;
 }
 
-TypedSymbol.prototype.error = function (value, prefix) {
+TypedSymbol.prototype.error = function (value, prefix, context) {
+    const errors = [];
 
     if (typeof value !== 'symbol') {
-        return prefix + util.valueErrorMessage(value, 'Expected a symbol.');
+        errors.push(util.typeError(context, value, 'symbol', 'symbol.type'));
     }
 
-    return null;
+    return util.errorResult(errors, prefix, context);
 };
 
 TypedSymbol.register = {
     aliases: ['symbol', Symbol],
-    dependencies: []
+    dependencies: [],
+    options: {}
 };
\ No newline at end of file
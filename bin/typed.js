@@ -33,7 +33,7 @@ function Typed (config) {
     // enum
     if (config.hasOwnProperty('enum')) {
         if (!Array.isArray(config.enum) || config.enum.length === 0) {
-            throw Error(util.propertyErrorMessage('enum', config.enum, 'Expected a non-empty array'));
+            throw util.configError(util.propertyErrorMessage(typed.FullyTyped, 'enum', config.enum, 'config.nonEmptyArray'));
         }
         const copy = [];
         config.enum.forEach(function(v) {
@@ -42,19 +42,53 @@ function Typed (config) {
         config.enum = copy;
     }
 
+    // error messages
+    if (config.hasOwnProperty('errorMessages')) {
+        if (!util.isPlainObject(config.errorMessages)) {
+            throw util.configError(util.propertyErrorMessage(typed.FullyTyped, 'errorMessages', config.errorMessages, 'config.expectedPlainObject'));
+        }
+        Object.keys(config.errorMessages).forEach(function(constraint) {
+            const message = config.errorMessages[constraint];
+            if (typeof message !== 'string' && typeof message !== 'function') {
+                throw util.configError(util.propertyErrorMessage(typed.FullyTyped, 'errorMessages.' + constraint, message, 'config.message'));
+            }
+        });
+        config.errorMessages = Object.freeze(Object.assign({}, config.errorMessages));
+    }
+
     // transform
     if (config.transform && typeof config.transform !== 'function') {
-        throw Error(util.propertyErrorMessage('transform', config.transform, 'Expected a function'));
+        throw util.configError(util.propertyErrorMessage(typed.FullyTyped, 'transform', config.transform, 'config.function'));
     }
 
     // validate
     if (config.validator && typeof config.validator !== 'function') {
-        throw Error(util.propertyErrorMessage('validator', config.validator, 'Expected a function'));
+        throw util.configError(util.propertyErrorMessage(typed.FullyTyped, 'validator', config.validator, 'config.function'));
     }
 
     // define properties
     Object.defineProperties(typed, {
 
+        allErrors: {
+            /**
+             * @property
+             * @name Typed#allErrors
+             * @type {boolean}
+             */
+            value: !!config.allErrors,
+            writable: false
+        },
+
+        coerce: {
+            /**
+             * @property
+             * @name Typed#coerce
+             * @type {boolean}
+             */
+            value: !!config.coerce,
+            writable: false
+        },
+
         default: {
             /**
              * @property
@@ -76,6 +110,17 @@ function Typed (config) {
             writable: false
         },
 
+        errorMessages: {
+            /**
+             * @property
+             * @name Typed#errorMessages
+             * @readonly
+             * @type {Object.<string, string|function>}
+             */
+            value: config.errorMessages,
+            writable: false
+        },
+
         hasDefault: {
             /**
              * @property
@@ -127,27 +172,50 @@ function Typed (config) {
  * Get details about any errors associated with the value provided.
  * @param {*} value The value to check for errors.
  * @param {string} [prefix=''] A string to add to the beginning of any errors.
- * @returns {object} If an error then it's a plain object that has similar properties to the error, otherwise null.
+ * @param {object} [context] The error context provided by the schema.
+ * @returns {object[],string,null} An array of error objects if called with a context, otherwise an error string or null.
  */
-Typed.prototype.error = function(value, prefix) {
-    if (!prefix) prefix = '';
+Typed.prototype.error = function(value, prefix, context) {
+    const errors = [];
 
     // validate the enum
-    if (this.enum && this.enum.indexOf(value) === -1) {
-        const expects = '. Expected one of: [' + this.enum.join(', ') + ']';
-        return prefix + util.valueErrorMessage(value, expects);
-    }
+    const enumError = getEnumError(this, value, context);
+    if (enumError) errors.push(enumError);
 
     // run validate function
-    if (this.validator) {
+    if (this.validator && util.keepChecking(errors, context)) {
         const valid = this.validator(value);
-        const message = !valid || typeof valid === 'string'
-            ? prefix + util.valueErrorMessage(value, !valid ? 'Validator did not pass.' : valid)
-            : '';
-        if (message) return message;
+        if (util.isPromise(valid)) {
+            throw Error(util.asyncValidatorMessage);
+        }
+        const validatorError = getValidatorError(value, valid, context);
+        if (validatorError) errors.push(validatorError);
     }
 
-    return null;
+    return util.errorResult(errors, prefix, context);
+};
+
+/**
+ * Get details about any errors associated with the value provided, waiting for the validator if it returns a promise.
+ * @param {*} value The value to check for errors.
+ * @param {string} [prefix=''] A string to add to the beginning of any errors.
+ * @param {object} [context] The error context provided by the schema.
+ * @returns {Promise<object[],string,null>}
+ */
+Typed.prototype.errorAsync = function(value, prefix, context) {
+    const typed = this;
+    const errors = [];
+
+    const enumError = getEnumError(typed, value, context);
+    if (enumError) errors.push(enumError);
+    if (!typed.validator || !util.keepChecking(errors, context)) return Promise.resolve(util.errorResult(errors, prefix, context));
+
+    return new Promise(resolve => resolve(typed.validator(value)))
+        .then(function(valid) {
+            const validatorError = getValidatorError(value, valid, context);
+            if (validatorError) errors.push(validatorError);
+            return util.errorResult(errors, prefix, context);
+        });
 };
 
 /**
@@ -161,5 +229,40 @@ Typed.prototype.normalize = function(value) {
 
 Typed.register = {
     aliases: ['typed', FullyTyped.Typed],
-    dependencies: []
-};
\ No newline at end of file
+    dependencies: [],
+    options: {
+        allErrors: { type: Boolean },
+        coerce: { type: Boolean },
+        default: {},
+        definitions: { type: Object, allowNull: false, schema: { type: Object, allowNull: false } },
+        enum: { type: Array, minItems: 1 },
+        errorMessages: { type: Object, allowNull: false, schema: { type: FullyTyped.OneOf, oneOf: [{ type: String }, { type: Function }] } },
+        required: { type: Boolean },
+        transform: { type: Function },
+        type: {},
+        validator: { type: Function }
+    }
+};
+
+
+
+function getEnumError(typed, value, context) {
+    if (!typed.enum || typed.enum.indexOf(value) !== -1) return null;
+    return util.violation(context, {
+        code: util.errors.enum.code,
+        constraint: 'enum',
+        expected: typed.enum.slice(),
+        message: util.valueMessage(context, value, 'typed.enum', { values: typed.enum.join(', ') }),
+        value: value
+    });
+}
+
+function getValidatorError(value, valid, context) {
+    if (valid && typeof valid !== 'string') return null;
+    return util.violation(context, {
+        code: util.errors.validator.code,
+        constraint: 'validator',
+        message: valid ? util.valueErrorMessage(value, valid, context) : util.valueMessage(context, value, 'typed.validator'),
+        value: value
+    });
+}
\ No newline at end of file
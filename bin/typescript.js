@@ -0,0 +1,223 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+const identifier = /^[A-Za-z_$][\w$]*$/;
+
+// function types, which must be wrapped in parentheses to be part of a union or an intersection
+const functionPattern = /^(?:new )?\(.*\) => \S+$/;
+
+// the return types of the function kinds that return something other than any
+const kindReturnTypes = {
+    async: 'Promise<any>',
+    'async-generator': 'AsyncGenerator',
+    generator: 'Generator'
+};
+
+// functions that produce the TypeScript type for each built in controller
+const typeGenerators = {
+    'all-of': allOfType,
+    array: arrayType,
+    boolean: () => 'boolean',
+    date: () => 'Date',
+    function: functionType,
+    number: () => 'number',
+    object: objectType,
+    'one-of': oneOfType,
+    ref: refType,
+    string: () => 'string',
+    symbol: () => 'symbol'
+};
+
+/**
+ * Get the TypeScript declarations for each schema exported by a module.
+ * @param {*} moduleExports The exports of a module. This can be a schema or an object with schema properties.
+ * @param {string} defaultName The type name to use if the exports are a schema.
+ * @returns {string}
+ */
+exports.declarations = function(moduleExports, defaultName) {
+    if (isSchema(moduleExports)) return moduleExports.toTypeScript(defaultName);
+
+    const keys = moduleExports && typeof moduleExports === 'object'
+        ? Object.keys(moduleExports).filter(key => isSchema(moduleExports[key]))
+        : [];
+
+    // schemas that share definitions produce the same definition declarations
+    const declarations = [];
+    keys.forEach(function(key) {
+        moduleExports[key].toTypeScript(key.substr(0, 1).toUpperCase() + key.substr(1))
+            .split(/\n(?=export type )/)
+            .forEach(declaration => {
+                if (declarations.indexOf(declaration) === -1) declarations.push(declaration);
+            });
+    });
+    return declarations.join('\n');
+};
+
+/**
+ * Get the TypeScript declaration for the values that a schema produces.
+ * @param {Schema} schema
+ * @param {string} name The name of the type.
+ * @param {function} getData A function that gets the protected controller data for a schema.
+ * @returns {string}
+ */
+exports.toTypeScript = function(schema, name, getData) {
+    if (typeof name !== 'string' || !identifier.test(name)) {
+        throw Error('The type name must be a valid identifier. Received: ' + name);
+    }
+
+    const state = {
+        declarations: [],
+        generators: new Map(),
+        getData: getData,
+        names: [ name ],
+        references: new Map()
+    };
+    Object.keys(typeGenerators).forEach(function(alias) {
+        const data = schema.FullyTyped.controllers.get(alias);
+        if (data) state.generators.set(data.controller, typeGenerators[alias]);
+    });
+
+    const declaration = 'export type ' + name + ' = ' + typeOf(schema, state, '') + ';\n';
+    return [ declaration ].concat(state.declarations).join('\n');
+};
+
+
+
+function allOfType(allOf, state, indent) {
+    const types = [];
+    allOf.allOf.forEach(function(schema) {
+        const type = typeOf(schema, state, indent);
+        if (types.indexOf(type) === -1) types.push(type);
+    });
+    if (types.length > 1 && types.indexOf('any') !== -1) types.splice(types.indexOf('any'), 1);
+
+    // unions and function types must be wrapped to be part of an intersection
+    return types
+        .map(type => types.length > 1 && (/ \| /.test(type) || functionPattern.test(type)) ? '(' + type + ')' : type)
+        .join(' & ');
+}
+
+function arrayType(array, state, indent) {
+    const item = array.schema ? typeOf(array.schema, state, indent) : 'any';
+    return /^\w+$/.test(item) ? item + '[]' : 'Array<' + item + '>';
+}
+
+function functionType(fn) {
+    const params = [];
+    const max = typeof fn.maxArguments === 'undefined' ? fn.minArguments : fn.maxArguments;
+    for (let i = 0; i < max; i++) params.push('arg' + i + (i < fn.minArguments ? '' : '?') + ': any');
+    if (typeof fn.maxArguments === 'undefined') params.push('...args: any[]');
+    const signature = '(' + params.join(', ') + ')';
+    if (!fn.kind) return signature + ' => any';
+
+    // the type of each kind is what calling it returns, or constructing it for classes
+    return union(fn.kind.map(kind => (kind === 'class' ? 'new ' : '') + signature + ' => ' + (kindReturnTypes[kind] || 'any')));
+}
+
+function isSchema(value) {
+    return !!value && typeof value.toTypeScript === 'function' && typeof value.hash === 'function';
+}
+
+function literal(value) {
+    if (value === null || typeof value === 'boolean' || typeof value === 'string' || (typeof value === 'number' && isFinite(value))) {
+        return JSON.stringify(value);
+    }
+}
+
+function objectType(object, state, indent) {
+    const inner = indent + '    ';
+    const lines = Object.keys(object.properties)
+        .map(function(key) {
+            const schema = object.properties[key];
+            const optional = !schema.required && !schema.hasDefault;
+            return inner + (identifier.test(key) ? key : JSON.stringify(key)) + (optional ? '?' : '') + ': ' +
+                typeOf(schema, state, inner) + ';';
+        });
+
+    // the index signature must allow the type of every property
+    if (object.schema || lines.length === 0) {
+        const types = [ object.schema ? typeOf(object.schema, state, inner) : 'any' ];
+        Object.keys(object.properties)
+            .forEach(key => types.push(typeOf(object.properties[key], state, inner)));
+        lines.push(inner + '[key: string]: ' + union(types) + ';');
+    }
+
+    const type = '{\n' + lines.join('\n') + '\n' + indent + '}';
+    return object.allowNull ? type + ' | null' : type;
+}
+
+function oneOfType(oneOf, state, indent) {
+    return union(oneOf.oneOf.map(schema => typeOf(schema, state, indent)));
+}
+
+/**
+ * Definitions are declared as named types so that recursive definitions can reference themselves.
+ */
+function refType(ref, state) {
+    const target = ref.schema;
+    if (!state.references.has(target)) {
+        const base = ref.ref.replace(/[^\w$]+(.)?/g, (match, c) => c ? c.toUpperCase() : '').replace(/^(\d)/, '_$1');
+        const name = base.substr(0, 1).toUpperCase() + base.substr(1);
+        let unique = name;
+        for (let i = 2; state.names.indexOf(unique) !== -1; i++) unique = name + i;
+        state.names.push(unique);
+        state.references.set(target, unique);
+
+        const index = state.declarations.length;
+        state.declarations.push('');
+        state.declarations[index] = 'export type ' + unique + ' = ' + typeOf(target, state, '') + ';\n';
+    }
+    return state.references.get(target);
+}
+
+/**
+ * Get the TypeScript type for a schema.
+ * @param {Schema} schema
+ * @param {object} state
+ * @param {string} indent The indent for the lines of nested object types.
+ * @returns {string}
+ */
+function typeOf(schema, state, indent) {
+
+    // an enum of literal values is a union of those values
+    if (schema.enum) {
+        const literals = schema.enum.map(literal);
+        if (literals.indexOf(undefined) === -1) return union(literals);
+    }
+
+    // plugins get the type of the last built in controller that they inherit from
+    const controllers = state.getData(schema).controllers;
+    for (let i = controllers.length - 1; i >= 0; i--) {
+        const generator = state.generators.get(controllers[i]);
+        if (generator) return generator(schema, state, indent);
+    }
+    return 'any';
+}
+
+function union(types) {
+    const unique = [];
+    types.forEach(function(type) {
+        if (unique.indexOf(type) === -1) unique.push(type);
+    });
+    if (unique.indexOf('any') !== -1) return 'any';
+
+    // function types must be wrapped to be part of a union
+    return unique
+        .map(type => unique.length > 1 && functionPattern.test(type) ? '(' + type + ')' : type)
+        .join(' | ');
+}
@@ -17,11 +17,83 @@
 'use strict';
 const vowels = ['a', 'e', 'i', 'o', 'u'];
 
+exports.asyncValidatorMessage = 'The validator returned a promise. Use validateAsync or normalizeAsync for asynchronous validators.';
+
 exports.aOrAn = function(word) {
     const ch1 = word.substr(0, 1).toLowerCase();
     return (vowels.indexOf(ch1) === -1 ? 'a' : 'an') + ' ' + word;
 };
 
+/**
+ * Get the path for a child value from a controller error context.
+ * @param {object} [context] The context that the parent controller's error function received.
+ * @param {string,number} key The property name or array index of the child value.
+ * @returns {object}
+ */
+exports.childContext = function(context, key) {
+    return Object.assign({}, context, { path: (context ? context.path : []).concat([key]) });
+};
+
+/**
+ * Get the errors for a child value from its schema. The child's key is added to the path of the parent's context
+ * for the call instead of copying the context, so checking a value without errors does not allocate a context.
+ * @param {Schema} schema The schema for the child value.
+ * @param {*} value The child value.
+ * @param {object} [context] The context that the parent controller's error function received.
+ * @param {string,number} key The property name or array index of the child value.
+ * @returns {object[]}
+ */
+exports.childErrors = function(schema, value, context, key) {
+    if (!context) return schema.errors(value, { path: [ key ] });
+    context.path.push(key);
+    const errors = schema.errors(value, context);
+    context.path.pop();
+    return errors;
+};
+
+/**
+ * Record that a controller converted a value during coercion.
+ * @param {object} [context] The context that the controller coerce function received.
+ * @param {*} from The original value.
+ * @param {*} to The converted value.
+ * @returns {*} The converted value, or the original value if the schema does not convert values.
+ */
+exports.coerced = function(context, from, to) {
+    if (context && context.coerce === false) return from;
+    if (context && context.coercions) context.coercions.push({ path: context.path.slice(), from: from, to: to });
+    return to;
+};
+
+/**
+ * Add the original value to each error for a value that was converted during coercion.
+ * @param {object[]} errors
+ * @param {{ path: Array, from: *, to: * }[]} coercions
+ * @param {{ locale: string, messages: Messages }} [context] The locale and message catalogs for the messages.
+ * @returns {object[]}
+ */
+exports.coercedErrors = function(errors, coercions, context) {
+    if (coercions.length === 0) return errors;
+    return errors.map(function(error) {
+        const coercion = coercions.filter(c => c.path.length === error.path.length && c.path.every((k, i) => k === error.path[i])).pop();
+        if (!coercion) return error;
+        return Object.assign({}, error, {
+            coercedFrom: coercion.from,
+            message: exports.message(context, 'coerced', { message: error.message, value: quoteWrap(coercion.from) })
+        });
+    });
+};
+
+/**
+ * Create an error for an invalid schema configuration.
+ * @param {string} message
+ * @returns {Error}
+ */
+exports.configError = function(message) {
+    const err = Error(message);
+    err.code = exports.errors.config.code;
+    return err;
+};
+
 exports.copy = function(value) {
     if (Array.isArray(value)) {
         return value.map(function(v) {
@@ -39,6 +111,41 @@ exports.copy = function(value) {
     }
 };
 
+/**
+ * Create an empty function of a kind, like those generated for samples and examples.
+ * @param {object} options
+ * @param {boolean} [options.constructable] Whether a function of the 'function' kind can be called with new.
+ * @param {string} [options.kind='function'] One of the kinds returned by TypedFunction.kindOf.
+ * @param {number} [options.length=0] The number of parameters that count toward the function's length.
+ * @param {string} [options.name=''] The function name.
+ * @param {string[]} [options.parameters=[]] Names for the first parameters. Parameters beyond the length get a
+ * default value so that they do not count toward the length.
+ * @returns {function}
+ */
+exports.createFunction = function(options) {
+    const names = options.parameters || [];
+    const length = options.length || 0;
+    const params = [];
+    for (let i = 0; i < Math.max(length, names.length); i++) {
+        let param = i < names.length ? names[i] : 'arg' + i;
+        while (i >= names.length && names.indexOf(param) !== -1) param += '_';
+        params.push(i < length ? param : param + ' = undefined');
+    }
+
+    const list = params.join(', ');
+    const sources = {
+        arrow: '(' + list + ') => undefined',
+        async: 'async function (' + list + ') {}',
+        'async-generator': 'async function* (' + list + ') {}',
+        class: 'class { constructor(' + list + ') {} }',
+        function: options.constructable === false ? '({ f(' + list + ') {} }).f' : 'function (' + list + ') {}',
+        generator: 'function* (' + list + ') {}'
+    };
+    const fn = Function('return ' + sources[options.kind || 'function'])();
+    Object.defineProperty(fn, 'name', { value: options.name || '' });
+    return fn;
+};
+
 exports.errors = {
     config: {
         code: 'ETCFG',
@@ -54,9 +161,141 @@ exports.errors = {
         code: 'ETMUL',
         explanation: 'Multiple schemas tested the value for errors and none passed.',
         summary: 'Invalid value.'
+    },
+    enum: {
+        code: 'ETENM',
+        explanation: 'The value is not one of the values allowed by the enum.',
+        summary: 'Invalid value.'
+    },
+    validator: {
+        code: 'ETVLD',
+        explanation: 'The validator function did not pass the value.',
+        summary: 'Invalid value.'
+    },
+    required: {
+        code: 'ETREQ',
+        explanation: 'A required property is missing from the object.',
+        summary: 'Missing required value.'
+    },
+    null: {
+        code: 'ETNUL',
+        explanation: 'The value is null but the configuration does not allow null.',
+        summary: 'Invalid null value.'
+    },
+    integer: {
+        code: 'ETINT',
+        explanation: 'The value must be an integer.',
+        summary: 'Invalid number.'
+    },
+    max: {
+        code: 'ETMAX',
+        explanation: 'The value, its length, or its number of items is greater than the configured maximum.',
+        summary: 'Value too large.'
+    },
+    min: {
+        code: 'ETMIN',
+        explanation: 'The value, its length, or its number of items is less than the configured minimum.',
+        summary: 'Value too small.'
+    },
+    pattern: {
+        code: 'ETPAT',
+        explanation: 'The value does not match the configured pattern.',
+        summary: 'Invalid string.'
+    },
+    unique: {
+        code: 'ETUNQ',
+        explanation: 'The array contains duplicate items but the configuration requires unique items.',
+        summary: 'Invalid array.'
+    },
+    not: {
+        code: 'ETNOT',
+        explanation: 'The value passed a schema that it must not pass.',
+        summary: 'Invalid value.'
+    },
+    invalid: {
+        code: 'ETINV',
+        explanation: 'The value did not pass a controller\'s error check.',
+        summary: 'Invalid value.'
     }
 };
 
+/**
+ * Build the error message string from an array of error objects.
+ * @param {object[]} errors The error objects produced by Schema#errors.
+ * @param {string} [prefix=''] A string to add to the beginning of the message.
+ * @param {number} [depth=0] The path length at which the errors are being reported.
+ * @param {{ locale: string, messages: Messages }} [context] The locale and message catalogs for the messages that
+ * group property and item errors.
+ * @returns {string}
+ */
+exports.errorMessage = function(errors, prefix, depth, context) {
+    return renderErrors(errors, prefix || '', depth || 0, '\n', context);
+};
+
+/**
+ * Produce the return value for a controller error function. If the function was called by a schema then the
+ * context exists and the error objects are returned, otherwise the error message string is returned.
+ * @param {object[]} errors
+ * @param {string} [prefix='']
+ * @param {object} [context]
+ * @returns {object[],string,null}
+ */
+exports.errorResult = function(errors, prefix, context) {
+    if (context) return errors;
+    return errors.length > 0 ? exports.errorMessage(errors, prefix) : null;
+};
+
+/**
+ * Get the indexes of items that are duplicated within an array.
+ * @param {Array} value
+ * @returns {number[][]} An array of index arrays, one per duplicated value.
+ */
+exports.getDuplicates = function(value) {
+    const map = new Map();
+    const duplicates = [];
+    value.forEach(function(v, i) {
+        if (!map.has(v)) {
+            map.set(v, [i]);
+        } else {
+            const store = map.get(v);
+            if (store.length === 1) duplicates.push(store);
+            store.push(i);
+        }
+    });
+    return duplicates;
+};
+
+/**
+ * Check if a schema or any schema within it has the coerce option.
+ * @param {Schema} schema
+ * @returns {boolean}
+ */
+exports.hasCoercion = function(schema) {
+    const seen = new Set();
+    return (function check(schema) {
+        if (!schema || typeof schema !== 'object' || seen.has(schema)) return false;
+        seen.add(schema);
+        if (schema.coerce) return true;
+
+        const children = [ schema.schema ]
+            .concat(schema.properties && typeof schema.properties === 'object' ? Object.keys(schema.properties).map(key => schema.properties[key]) : [])
+            .concat(Array.isArray(schema.allOf) ? schema.allOf : [])
+            .concat(Array.isArray(schema.oneOf) ? schema.oneOf : []);
+        return children.some(check);
+    })(schema);
+};
+
+/**
+ * Determine whether the errors show that the value at the path depth has the wrong type or is a disallowed null.
+ * No other constraints need to be checked for a value like that.
+ * @param {object[]} errors
+ * @param {number} depth The length of the path to the value.
+ * @returns {boolean}
+ */
+exports.hasTypeError = function(errors, depth) {
+    return errors.some(err => err.path.length === depth && (err.code === exports.errors.type.code || err.code === exports.errors.null.code));
+};
+
 exports.isInteger = function (value) {
     return exports.isNumber(value) && value === Math.round(value);
 };
@@ -65,6 +304,10 @@ exports.isNumber = function (value) {
     return typeof value === 'number' && !isNaN(value);
 };
 
+exports.isPromise = function (value) {
+    return !!value && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+};
+
 exports.isPlainObject = function (value) {
     return value &&
             typeof value === 'object' &&
@@ -76,19 +319,244 @@ exports.isValidSchemaConfiguration = function(value) {
     return exports.isPlainObject(value);
 };
 
-exports.propertyErrorMessage = function (property, actual, expected) {
-    return 'Invalid configuration value for property: ' + property + '. ' + expected + ' Received: ' + quoteWrap(actual);
+/**
+ * Determine whether a controller error function should continue checking constraints after finding errors.
+ * @param {object[]} errors The errors found so far.
+ * @param {object} [context]
+ * @returns {boolean}
+ */
+exports.keepChecking = function(errors, context) {
+    return errors.length === 0 || !!(context && context.allErrors);
+};
+
+/**
+ * Get a message from the message catalogs of the error context, in the context's locale. Without message catalogs
+ * the catalogs of the default FullyTyped function are used.
+ * @param {{ locale: string, messages: Messages }} [context]
+ * @param {string} key
+ * @param {object} [params={}] The values for the message placeholders.
+ * @returns {string}
+ */
+exports.message = function(context, key, params) {
+    const messages = context && context.messages ? context.messages : require('./fully-typed').messages;
+    return messages.format(key, params, context ? context.locale : undefined);
+};
+
+/**
+ * Get a configuration error message from the message catalogs, in their default locale.
+ * @param {FullyTyped} [FullyTyped] The function whose message catalogs are used. Defaults to the default FullyTyped
+ * function.
+ * @param {string} key The message catalog key.
+ * @param {object} [params={}] The values for the message placeholders.
+ * @returns {string}
+ */
+exports.configMessage = function(FullyTyped, key, params) {
+    return exports.message(FullyTyped ? { messages: FullyTyped.messages } : undefined, key, params);
+};
+
+/**
+ * Get the message for an invalid configuration value, in the default locale of the message catalogs.
+ * @param {FullyTyped} [FullyTyped] The function whose message catalogs are used. Defaults to the default FullyTyped
+ * function.
+ * @param {string} property The name of the configuration property.
+ * @param {*} actual The invalid value.
+ * @param {string} key The message catalog key for the explanation.
+ * @param {object} [params={}] The values for the explanation placeholders.
+ * @returns {string}
+ */
+exports.propertyErrorMessage = function (FullyTyped, property, actual, key, params) {
+    return exports.configMessage(FullyTyped, 'config.property', {
+        expected: exports.configMessage(FullyTyped, key, params),
+        property: property,
+        value: quoteWrap(actual)
+    });
+};
+
+/**
+ * Determine whether two values are equal. Arrays and plain objects are compared by their contents.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+exports.same = function(a, b) {
+    if (a instanceof Date && b instanceof Date) return +a === +b;
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => exports.same(v, b[i]));
+    if (exports.isPlainObject(a) && exports.isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => b.hasOwnProperty(key) && exports.same(a[key], b[key]));
+    }
+    return a === b || (a !== a && b !== b);
+};
+
+exports.toDate = function(value) {
+    if (typeof value === 'symbol') return;
+    const d = value instanceof Date
+        ? value
+        : new Date(value);
+    return isNaN(+d) ? undefined : d;
+};
+
+/**
+ * Create an error object for a value that is not of the expected type.
+ * @param {object} [context]
+ * @param {*} value The value that has the wrong type.
+ * @param {string} expected The name of the expected type.
+ * @param {string} key The message catalog key for the explanation to include in the message.
+ * @returns {object}
+ */
+exports.typeError = function(context, value, expected, key) {
+    return exports.violation(context, {
+        code: exports.errors.type.code,
+        constraint: 'type',
+        expected: expected,
+        message: exports.valueMessage(context, value, key),
+        value: value
+    });
+};
+
+/**
+ * Create the error that is thrown when a value fails validation.
+ * @param {object[]} errors
+ * @param {string} [prefix='']
+ * @param {{ locale: string, messages: Messages }} [context] The locale and message catalogs for the message.
+ * @returns {Error}
+ */
+exports.validationError = function(errors, prefix, context) {
+    const err = Error(exports.errorMessage(errors, prefix, 0, context));
+    err.errors = errors;
+    return err;
 };
 
-exports.valueErrorMessage = function(actual, expected) {
+/**
+ * Get the message for an invalid value.
+ * @param {*} actual The invalid value.
+ * @param {string} expected The explanation to include in the message.
+ * @param {{ locale: string, messages: Messages }} [context] The locale and message catalogs for the message.
+ * @returns {string}
+ */
+exports.valueErrorMessage = function(actual, expected, context) {
     const value = actual instanceof Object && actual.constructor && actual.constructor.name
         ? exports.aOrAn(actual.constructor.name)
         : actual;
-    return 'Invalid value. ' + expected + ' Received: ' + quoteWrap(value);
+    return exports.message(context, 'value', { expected: expected, value: quoteWrap(value) });
+};
+
+/**
+ * Get the message for an invalid value with an explanation from the message catalog.
+ * @param {object} [context]
+ * @param {*} actual The invalid value.
+ * @param {string} key The message catalog key for the explanation.
+ * @param {object} [params={}] The values for the explanation placeholders.
+ * @returns {string}
+ */
+exports.valueMessage = function(context, actual, key, params) {
+    return exports.valueErrorMessage(actual, exports.message(context, key, params), context);
+};
+
+/**
+ * Create an error object.
+ * @param {object} [context] The context that the controller error function received.
+ * @param {{ code: string, constraint: string, expected: *, message: string, value: *, branches: object[][], schemaType: string }} details
+ * @returns {{ path: Array, code: string, constraint: string, message: string, value: *, expected: *, schemaType: string }}
+ */
+exports.violation = function(context, details) {
+    const error = {
+        path: context ? context.path.slice() : [],
+        code: details.code,
+        constraint: details.constraint,
+        message: customMessage(context, details) || details.message,
+        value: details.value,
+        expected: details.expected,
+        schemaType: details.schemaType || (context ? context.schemaType : undefined)
+    };
+    if (details.branches) error.branches = details.branches;
+    return error;
 };
 
 
 
+/**
+ * Get the message that the schema's errorMessages configuration defines for the violated constraint.
+ */
+function customMessage(context, details) {
+    const messages = context && context.errorMessages;
+    if (!messages || !messages.hasOwnProperty(details.constraint)) return;
+
+    const params = {
+        constraint: details.constraint,
+        expected: details.expected,
+        path: context.path.slice(),
+        value: details.value
+    };
+    const message = messages[details.constraint];
+    if (typeof message === 'function') return String(message(params));
+    return message.replace(/\{(\w+)\}/g, function(match, name) {
+        if (!params.hasOwnProperty(name)) return match;
+        return name === 'path' ? params.path.join('.') : String(params[name]);
+    });
+}
+
+function renderErrors(errors, prefix, depth, separator, context) {
+
+    // a single error for the value itself, the most common case, needs no grouping
+    if (errors.length === 1 && errors[0].path.length <= depth && !errors[0].branches) return prefix + errors[0].message;
+
+    const messages = [];
+    let properties = null;
+    let items = null;
+
+    // separate errors for this value from errors for its properties and items
+    for (let i = 0; i < errors.length; i++) {
+        const error = errors[i];
+        if (error.path.length <= depth) {
+            const branches = error.branches
+                ? ':\n  ' + error.branches.map(branch => renderErrors(branch, prefix, depth, '\n  ', context)).join('\n  ')
+                : '';
+            messages.push(prefix + error.message + branches);
+        } else {
+            const key = error.path[depth];
+            if (typeof key === 'number') {
+                items = group(items, key, error);
+            } else {
+                properties = group(properties, key, error);
+            }
+        }
+    }
+
+    if (properties) {
+        const list = [];
+        properties.forEach(errors => list.push(renderErrors(errors, '', depth + 1, '\n  ', context)));
+        messages.push(prefix + exports.message(context, 'errors.properties', { count: properties.size }) + '\n  ' + list.join('\n  '));
+    }
+
+    if (items) {
+        const list = [];
+        items.forEach((errors, index) => {
+            const itemPrefix = exports.message(context, 'errors.index', { index: index });
+            list.push(renderErrors(errors, itemPrefix, depth + 1, '\n  ', context));
+        });
+        messages.push(prefix + exports.message(context, 'errors.items', { count: items.size }) + '\n  ' + list.join('\n  '));
+    }
+
+    // multiple messages for the same value only occur when collecting all errors
+    return messages.length === 1 ? messages[0] : messages.join(separator);
+}
+
+/**
+ * Add an error to the group for its key, creating the map of groups if needed.
+ */
+function group(map, key, error) {
+    if (!map) map = new Map();
+    const list = map.get(key);
+    if (list) {
+        list.push(error);
+    } else {
+        map.set(key, [ error ]);
+    }
+    return map;
+}
+
 function quoteWrap(value) {
+    if (typeof value === 'symbol') return value.toString();
     return typeof value === 'string' ? '"' + value + '"' : value;
 }
\ No newline at end of file
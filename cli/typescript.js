@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const fs                    = require('fs');
+const path                  = require('path');
+const typescript            = require('../bin/typescript');
+
+// usage: fully-typed-ts <module> [<output file>]
+const args = process.argv.slice(2);
+
+if (args.length === 0 || args[0] === '-h' || args[0] === '--help') {
+    console.log('Usage: fully-typed-ts <module> [<output file>]\n\n' +
+        'Write TypeScript declarations for the schemas that a module exports. If the output file is\n' +
+        'not specified then the declarations are written to stdout.');
+    process.exit(args.length === 0 ? 1 : 0);
+}
+
+const modulePath = path.resolve(args[0]);
+const name = path.basename(modulePath, path.extname(modulePath))
+    .split(/[^A-Za-z0-9]+/)
+    .map(word => word.substr(0, 1).toUpperCase() + word.substr(1))
+    .join('');
+
+const content = typescript.declarations(require(modulePath), name);
+if (!content) {
+    console.error('The module does not export any schemas: ' + args[0]);
+    process.exit(1);
+}
+
+if (args[1]) {
+    fs.writeFileSync(args[1], content);
+} else {
+    process.stdout.write(content);
+}
@@ -15,11 +15,4 @@
  *    limitations under the License.
  **/
 'use strict';
-const FullyTyped        = require('./bin/fully-typed');
-const register          = FullyTyped.controllers.register;
-
-module.exports = FullyTyped;
-
-['array', 'boolean', 'date', 'function', 'number', 'object', 'one-of', 'string', 'symbol'].forEach(key => {
-    register(require('./bin/' + key));
-});
\ No newline at end of file
+module.exports = require('./bin/fully-typed');
\ No newline at end of file
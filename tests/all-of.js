@@ -0,0 +1,100 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('all of schemas', () => {
+
+    const named = { type: Object, allowNull: false, properties: { name: { type: String, required: true } } };
+    const aged = { type: Object, allowNull: false, properties: { age: { type: Number, min: 0, default: 1 } } };
+
+    it('must have allOf property', () => {
+        expect(() => Schema({ type: 'all-of' })).to.throw(/Missing required all-of property/);
+    });
+
+    it('allOf property must be an array of objects', () => {
+        expect(() => Schema({ type: 'all-of', allOf: ['foo'] })).to.throw(/Must be an array of schema configurations/);
+    });
+
+    it('can use the AllOf symbol', () => {
+        expect(Schema({ type: Schema.AllOf, allOf: [named] }).allOf.length).to.equal(1);
+    });
+
+    it('removes duplicate schemas', () => {
+        expect(Schema({ type: 'all-of', allOf: [named, aged, named] }).allOf.length).to.equal(2);
+    });
+
+    describe('named and aged', () => {
+        let schema;
+
+        before(() => schema = Schema({ type: 'all-of', allOf: [named, aged] }));
+
+        it('no error', () => {
+            expect(schema.error({ name: 'Bob', age: 5 })).to.equal(null);
+        });
+
+        it('checks the first schema', () => {
+            expect(schema.errors({ age: 5 })[0].code).to.equal('ETREQ');
+        });
+
+        it('checks the second schema', () => {
+            expect(schema.errors({ name: 'Bob', age: -1 })[0].constraint).to.equal('min');
+        });
+
+        it('stops at the first failed schema', () => {
+            expect(schema.errors({ age: -1 }).length).to.equal(1);
+        });
+
+        it('collects errors from every schema for all errors', () => {
+            const errors = schema.errors({ age: -1 }, { allErrors: true });
+            expect(errors.map(err => err.code)).to.deep.equal(['ETREQ', 'ETMIN']);
+        });
+
+        it('reports a wrong type once for all errors', () => {
+            expect(schema.errors(5, { allErrors: true }).length).to.equal(1);
+        });
+
+        it('normalizes with each schema', () => {
+            expect(schema.normalize({ name: 'Bob' })).to.deep.equal({ name: 'Bob', age: 1 });
+        });
+
+        it('normalizes with transforms', () => {
+            const schema = Schema({ type: 'all-of', allOf: [aged, { type: Object, transform: v => Object.assign({ adult: v.age >= 18 }, v) }] });
+            expect(schema.normalize({})).to.deep.equal({ adult: false, age: 1 });
+        });
+
+    });
+
+    describe('async', () => {
+        let schema;
+
+        before(() => schema = Schema({ type: 'all-of', allOf: [named, aged] }));
+
+        it('reports the same errors', () => {
+            return schema.errorsAsync({ age: -1 }, { allErrors: true })
+                .then(errors => expect(errors).to.deep.equal(schema.errors({ age: -1 }, { allErrors: true })));
+        });
+
+        it('normalizes with each schema', () => {
+            return schema.normalizeAsync({ name: 'Bob' })
+                .then(value => expect(value).to.deep.equal({ name: 'Bob', age: 1 }));
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -89,6 +89,18 @@ describe('TypedArray', () => {
             expect(ar.error([1, 2, 1, 1])).to.match(/All items must be unique/);
         });
 
+        it('has unique code', () => {
+            const ar = Schema({ type: Array, uniqueItems: true });
+            expect(ar.errors([1, 1])[0].code).to.equal('ETUNQ');
+        });
+
+        it('collects all errors', () => {
+            const ar = Schema({ type: Array, maxItems: 2, uniqueItems: true, schema: { type: Number } });
+            const errors = ar.errors([1, 1, 'a'], { allErrors: true });
+            expect(errors.map(e => e.code)).to.deep.equal(['ETMAX', 'ETUNQ', 'ETTYP']);
+            expect(errors[2].path).to.deep.equal([2]);
+        });
+
         describe('Schema', () => {
             let ar;
 
@@ -110,6 +122,16 @@ describe('TypedArray', () => {
                 expect(error).to.match(/Multiple errors/);
             });
 
+            it('error objects have index paths', () => {
+                const errors = ar.errors([1, '2', true]);
+                expect(errors.map(e => e.path)).to.deep.equal([[1], [2]]);
+            });
+
+            it('error string includes indexes', () => {
+                const error = ar.error([1, '2']);
+                expect(error).to.equal('One error with items in the array:\n  At index 1: Invalid value. Expected a number. Received: "2"');
+            });
+
         });
 
     });
@@ -155,4 +177,35 @@ describe('TypedArray', () => {
 
     });
 
+    describe('async', () => {
+        let schema;
+
+        before(() => {
+            schema = Schema({
+                type: Array,
+                schema: {
+                    type: Number,
+                    validator: v => Promise.resolve(v > 0),
+                    transform: v => Promise.resolve(v * 2)
+                }
+            });
+        });
+
+        it('validates items', () => {
+            return schema.errorsAsync([1, -1, 2, -2])
+                .then(errors => expect(errors.map(e => e.path)).to.deep.equal([[1], [3]]));
+        });
+
+        it('normalizes items', () => {
+            return schema.normalizeAsync([1, 2])
+                .then(v => expect(v).to.deep.equal([2, 4]));
+        });
+
+        it('normalizes without schema', () => {
+            return Schema({ type: Array }).normalizeAsync([1, 2])
+                .then(v => expect(v).to.deep.equal([1, 2]));
+        });
+
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('cache', () => {
+
+    it('is disabled by default', () => {
+        expect(Schema.cache.stats().enabled).to.equal(false);
+        expect(Schema({ type: Number })).not.to.equal(Schema({ type: Number }));
+    });
+
+    describe('enabled', () => {
+
+        beforeEach(() => Schema.cache.enable());
+        afterEach(() => Schema.cache.disable());
+
+        it('shares schemas for identical configurations', () => {
+            const a = Schema({ type: Number, min: 0 });
+            const b = Schema({ min: 0, type: Number });
+            expect(a).to.equal(b);
+            expect(a).not.to.equal(Schema({ type: Number, min: 1 }));
+        });
+
+        it('schemas are frozen', () => {
+            const schema = Schema({ type: String });
+            expect(Object.isFrozen(schema)).to.equal(true);
+        });
+
+        it('changes through one schema do not reach another', () => {
+            const config = () => ({
+                type: Object,
+                default: { x: 'a' },
+                properties: { x: { type: String, enum: ['a', 'b'] } }
+            });
+            const a = Schema(config());
+            const b = Schema(config());
+            expect(() => a.properties.x.enum.push('c')).to.throw(TypeError);
+            expect(() => { a.default.x = 'b'; }).to.throw(TypeError);
+            expect(() => { a.properties.y = a.properties.x; }).to.throw(TypeError);
+            expect(b.properties.x.error('c')).to.match(/Expected one of/);
+            expect(b.normalize(undefined)).to.deep.equal({ x: 'a' });
+            expect(b.properties).to.have.all.keys('x');
+        });
+
+        it('does not freeze the configuration', () => {
+            const config = { type: Array, default: [1], enum: [[1]], schema: { type: Number } };
+            Schema(config);
+            expect(Object.isFrozen(config.default)).to.equal(false);
+            expect(Object.isFrozen(config.enum)).to.equal(false);
+        });
+
+        it('shares nested schemas', () => {
+            const address = { type: Object, properties: { zip: { type: String, pattern: /^\d{5}$/ } } };
+            const a = Schema({ type: Object, properties: { home: address } });
+            const b = Schema({ type: Object, properties: { work: address } });
+            expect(a.properties.home).to.equal(b.properties.work);
+            expect(a.properties.home.properties.zip).to.equal(Schema({ type: Object, properties: { zip: { type: String, pattern: /^\d{5}$/ } } }).properties.zip);
+        });
+
+        it('compares functions and symbols by instance', () => {
+            const fn = v => v > 0;
+            expect(Schema({ validator: fn })).to.equal(Schema({ validator: fn }));
+            expect(Schema({ validator: v => v > 0 })).not.to.equal(Schema({ validator: v => v > 0 }));
+            expect(Schema({ enum: [Symbol('a')] })).not.to.equal(Schema({ enum: [Symbol('a')] }));
+        });
+
+        it('compares value types', () => {
+            expect(Schema({ default: 1 })).not.to.equal(Schema({ default: '1' }));
+            expect(Schema({ default: undefined })).not.to.equal(Schema({}));
+            expect(Schema({ type: Date, max: new Date(0) })).to.equal(Schema({ type: Date, max: new Date(0) }));
+        });
+
+        it('does not cache references', () => {
+            const config = {
+                type: Object,
+                definitions: { id: { type: Number } },
+                properties: { id: { $ref: 'id' } }
+            };
+            expect(Schema(config)).not.to.equal(Schema(config));
+        });
+
+        it('stats', () => {
+            Schema({ type: Boolean });
+            Schema({ type: Boolean });
+            Schema({ type: Boolean, strict: true });
+            expect(Schema.cache.stats()).to.deep.equal({ enabled: true, hits: 1, misses: 2, size: 2 });
+        });
+
+        it('clear', () => {
+            const a = Schema({ type: Boolean });
+            Schema.cache.clear();
+            expect(Schema.cache.stats()).to.deep.equal({ enabled: true, hits: 0, misses: 0, size: 0 });
+            expect(Schema({ type: Boolean })).not.to.equal(a);
+        });
+
+        it('is not shared between controller registrations', () => {
+            function Money() {}
+            Money.register = { aliases: ['money'], dependencies: ['number'] };
+
+            Schema.controllers.register(Money);
+            const a = Schema({ type: 'money' });
+            Schema.controllers.delete('money');
+
+            Schema.controllers.register(Money);
+            const b = Schema({ type: 'money' });
+            Schema.controllers.delete('money');
+
+            expect(a).not.to.equal(b);
+        });
+
+        it('cached schemas work', () => {
+            const schema = Schema({ type: Object, properties: { a: { type: Number, default: 1 } } });
+            expect(Schema({ type: Object, properties: { a: { type: Number, default: 1 } } }).normalize({})).to.deep.equal({ a: 1 });
+            expect(schema.error({ a: 'x' })).to.match(/Expected a number/);
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('coerce', () => {
+
+    describe('#coerceValue', () => {
+
+        it('numeric strings', () => {
+            const schema = Schema({ type: Number });
+            expect(schema.coerceValue('42')).to.equal(42);
+            expect(schema.coerceValue(' -1.5e2 ')).to.equal(-150);
+            expect(schema.coerceValue('abc')).to.equal('abc');
+            expect(schema.coerceValue('')).to.equal('');
+        });
+
+        it('integer strings', () => {
+            const schema = Schema({ type: Number, integer: true });
+            expect(schema.coerceValue('42')).to.equal(42);
+            expect(schema.coerceValue('4.2')).to.equal('4.2');
+        });
+
+        it('boolean strings', () => {
+            const schema = Schema({ type: Boolean });
+            expect(schema.coerceValue('true')).to.equal(true);
+            expect(schema.coerceValue('false')).to.equal(false);
+            expect(schema.coerceValue('1')).to.equal(true);
+            expect(schema.coerceValue('0')).to.equal(false);
+            expect(schema.coerceValue('no')).to.equal('no');
+        });
+
+        it('dates', () => {
+            const schema = Schema({ type: Date });
+            expect(+schema.coerceValue('2017-01-01T00:00:00.000Z')).to.equal(Date.UTC(2017, 0, 1));
+            expect(+schema.coerceValue(Date.UTC(2017, 0, 1))).to.equal(Date.UTC(2017, 0, 1));
+            expect(+schema.coerceValue(String(Date.UTC(2017, 0, 1)))).to.equal(Date.UTC(2017, 0, 1));
+            expect(schema.coerceValue('abc')).to.equal('abc');
+        });
+
+        it('single values to arrays', () => {
+            const schema = Schema({ type: Array, schema: { type: Number } });
+            expect(schema.coerceValue('1')).to.deep.equal([1]);
+            expect(schema.coerceValue(['1', '2'])).to.deep.equal([1, 2]);
+            expect(schema.coerceValue(undefined)).to.equal(undefined);
+        });
+
+        it('JSON strings to objects', () => {
+            const schema = Schema({ type: Object, properties: { a: { type: Number } } });
+            expect(schema.coerceValue('{ "a": "1", "b": "2" }')).to.deep.equal({ a: 1, b: '2' });
+            expect(schema.coerceValue('{ a: 1 }')).to.equal('{ a: 1 }');
+        });
+
+        it('object general schema', () => {
+            const schema = Schema({ type: Object, schema: { type: Number } });
+            expect(schema.coerceValue({ a: '1', b: '2' })).to.deep.equal({ a: 1, b: 2 });
+        });
+
+        it('one-of uses the first schema that passes', () => {
+            const schema = Schema({ type: 'one-of', oneOf: [{ type: Number, max: 10 }, { type: Boolean, strict: true }, { type: String }] });
+            expect(schema.coerceValue('5')).to.equal(5);
+            expect(schema.coerceValue('1')).to.equal(1);
+            expect(schema.coerceValue('false')).to.equal(false);
+            expect(schema.coerceValue('50')).to.equal('50');
+        });
+
+        it('all-of and refs', () => {
+            const schema = Schema({
+                definitions: { count: { type: Number } },
+                type: 'all-of',
+                allOf: [{ $ref: 'count' }, { type: Number, max: 10 }]
+            });
+            expect(schema.coerceValue('5')).to.equal(5);
+        });
+
+        it('records coercions', () => {
+            const schema = Schema({ type: Object, properties: { a: { type: Array, schema: { type: Number } } } });
+            const coercions = [];
+            schema.coerceValue({ a: '1' }, { coercions: coercions, path: ['query'] });
+            expect(coercions).to.deep.equal([
+                { path: ['query', 'a'], from: '1', to: ['1'] },
+                { path: ['query', 'a', 0], from: '1', to: 1 }
+            ]);
+        });
+
+    });
+
+    describe('#normalize', () => {
+
+        const query = {
+            type: Object,
+            allowNull: false,
+            properties: {
+                page: { type: Number, integer: true, min: 1, max: 100 },
+                active: { type: Boolean },
+                tags: { type: Array, schema: { type: String } }
+            }
+        };
+
+        it('does not coerce by default', () => {
+            expect(() => Schema(query).normalize({ page: '5' })).to.throw(/Expected a number/);
+            expect(Schema({ type: Boolean }).normalize('false')).to.equal(true);
+        });
+
+        it('coerces per call', () => {
+            expect(Schema(query).normalize({ page: '5', active: 'false', tags: 'a' }, { coerce: true }))
+                .to.deep.equal({ page: 5, active: false, tags: ['a'] });
+        });
+
+        it('coerces per schema', () => {
+            const schema = Schema(Object.assign({ coerce: true }, query));
+            expect(schema.normalize({ page: '5' })).to.deep.equal({ page: 5 });
+        });
+
+        it('coerces nested schemas with the coerce option', () => {
+            const schema = Schema({ type: Object, properties: { a: { type: Number, coerce: true }, b: { type: Number } } });
+            expect(schema.normalize({ a: '1' })).to.deep.equal({ a: 1 });
+            expect(() => schema.normalize({ a: '1', b: '2' })).to.throw(/Expected a number/);
+            expect(Schema({ type: Array, schema: { type: Boolean, coerce: true } }).normalize(['false'])).to.deep.equal([false]);
+            expect(Schema({ type: Array, schema: { type: Number, coerce: true } }).compile().normalize(['1'])).to.deep.equal([1]);
+        });
+
+        it('coerces defaults', () => {
+            expect(Schema({ type: Number, default: '1' }).normalize(undefined, { coerce: true })).to.equal(1);
+        });
+
+        it('adds coercions to errors', () => {
+            try {
+                Schema(query).normalize({ page: '500' }, { coerce: true });
+                throw Error('Expected an error');
+            } catch (err) {
+                expect(err.message).to.match(/Received: 500 \(coerced from "500"\)/);
+                expect(err.errors[0].coercedFrom).to.equal('500');
+            }
+        });
+
+        it('provides the coercions', () => {
+            const coercions = [];
+            Schema(query).normalize({ page: '5' }, { coerce: true, coercions: coercions });
+            expect(coercions).to.deep.equal([{ path: ['page'], from: '5', to: 5 }]);
+        });
+
+        it('compiled', () => {
+            const compiled = Schema(Object.assign({ coerce: true }, query)).compile();
+            expect(compiled.normalize({ page: '5', tags: 'a' })).to.deep.equal({ page: 5, tags: ['a'] });
+            expect(() => compiled.normalize({ page: '500' })).to.throw(/coerced from "500"/);
+        });
+
+    });
+
+    describe('#normalizeAsync', () => {
+
+        it('coerces', () => {
+            return Schema({ type: Number }).normalizeAsync('5', { coerce: true })
+                .then(value => expect(value).to.equal(5));
+        });
+
+        it('adds coercions to errors', () => {
+            return Schema({ type: Number, max: 1 }).normalizeAsync('5', { coerce: true })
+                .then(() => { throw Error('Expected an error'); }, err => expect(err.message).to.match(/coerced from "5"/));
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,242 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('compare', () => {
+
+    function changes(a, b) {
+        return Schema.compare(Schema(a), Schema(b)).changes
+            .map(item => [item.path, item.keyword, item.breaking]);
+    }
+
+    it('requires two schemas', () => {
+        expect(() => Schema.compare(Schema(), {})).to.throw(/Expected two schemas/);
+    });
+
+    it('no changes', () => {
+        const config = { type: Object, properties: { a: { type: Number, max: 5 } } };
+        expect(Schema.compare(Schema(config), Schema(config))).to.deep.equal({ breaking: false, changes: [] });
+    });
+
+    it('result is breaking if any change is breaking', () => {
+        expect(Schema.compare(Schema({ type: Number, max: 5 }), Schema({ type: Number, max: 4 })).breaking).to.equal(true);
+        expect(Schema.compare(Schema({ type: Number, max: 5 }), Schema({ type: Number, max: 6 })).breaking).to.equal(false);
+    });
+
+    it('change details', () => {
+        const result = Schema.compare(Schema({ type: String, minLength: 1 }), Schema({ type: String, minLength: 3 }));
+        expect(result.changes).to.deep.equal([{
+            path: '#',
+            keyword: 'minLength',
+            breaking: true,
+            message: 'Raised minLength from 1 to 3.',
+            from: 1,
+            to: 3
+        }]);
+    });
+
+    it('type', () => {
+        expect(changes({ type: Number }, { type: String })).to.deep.equal([['#', 'type', true]]);
+        expect(changes({ type: Number }, {})).to.deep.equal([['#', 'type', false]]);
+    });
+
+    describe('number', () => {
+
+        it('max', () => {
+            expect(changes({ type: Number }, { type: Number, max: 1 })).to.deep.equal([['#', 'max', true]]);
+            expect(changes({ type: Number, max: 1 }, { type: Number })).to.deep.equal([['#', 'max', false]]);
+            expect(changes({ type: Number, max: 1 }, { type: Number, max: 1, exclusiveMax: true })).to.deep.equal([['#', 'exclusiveMax', true]]);
+        });
+
+        it('min', () => {
+            expect(changes({ type: Number, min: 1 }, { type: Number, min: 2 })).to.deep.equal([['#', 'min', true]]);
+            expect(changes({ type: Number, min: 1 }, { type: Number, min: 0 })).to.deep.equal([['#', 'min', false]]);
+            expect(changes({ type: Number, min: 1, exclusiveMin: true }, { type: Number, min: 1 })).to.deep.equal([['#', 'exclusiveMin', false]]);
+        });
+
+        it('integer', () => {
+            expect(changes({ type: Number }, { type: Number, integer: true })).to.deep.equal([['#', 'integer', true]]);
+        });
+
+    });
+
+    describe('string', () => {
+
+        it('lengths', () => {
+            expect(changes({ type: String, maxLength: 5 }, { type: String, maxLength: 4, minLength: 1 }))
+                .to.deep.equal([['#', 'maxLength', true], ['#', 'minLength', true]]);
+        });
+
+        it('pattern', () => {
+            expect(changes({ type: String }, { type: String, pattern: /a/ })).to.deep.equal([['#', 'pattern', true]]);
+            expect(changes({ type: String, pattern: /a/ }, { type: String, pattern: /b/ })).to.deep.equal([['#', 'pattern', true]]);
+            expect(changes({ type: String, pattern: /a/ }, { type: String })).to.deep.equal([['#', 'pattern', false]]);
+        });
+
+    });
+
+    describe('array', () => {
+
+        it('items', () => {
+            expect(changes({ type: Array, minItems: 1 }, { type: Array, maxItems: 2, uniqueItems: true }))
+                .to.deep.equal([['#', 'maxItems', true], ['#', 'minItems', false], ['#', 'uniqueItems', true]]);
+        });
+
+        it('schema', () => {
+            expect(changes({ type: Array }, { type: Array, schema: { type: Number } })).to.deep.equal([['#/schema', 'schema', true]]);
+            expect(changes({ type: Array, schema: { type: Number, min: 0 } }, { type: Array, schema: { type: Number, min: 1 } }))
+                .to.deep.equal([['#/schema', 'min', true]]);
+        });
+
+    });
+
+    it('date', () => {
+        expect(changes({ type: Date, max: '2020-01-01' }, { type: Date, max: '2019-01-01' })).to.deep.equal([['#', 'max', true]]);
+        expect(changes({ type: Date, min: '2020-01-01' }, { type: Date, min: '2019-01-01' })).to.deep.equal([['#', 'min', false]]);
+    });
+
+    it('boolean', () => {
+        expect(changes({ type: Boolean }, { type: Boolean, strict: true })).to.deep.equal([['#', 'strict', true]]);
+    });
+
+    it('function', () => {
+        expect(changes({ type: Function }, { type: Function, named: true, minArguments: 1, maxArguments: 2 }))
+            .to.deep.equal([['#', 'maxArguments', true], ['#', 'minArguments', true], ['#', 'named', true]]);
+    });
+
+    it('function kind, constructable, and parameters', () => {
+        expect(changes({ type: Function }, { type: Function, kind: 'function', constructable: true, parameters: ['a'] }))
+            .to.deep.equal([['#', 'constructable', true], ['#', 'kind', true], ['#', 'parameters', true]]);
+        expect(changes({ type: Function, kind: ['async', 'arrow'], parameters: ['a', 'b'] }, { type: Function, kind: ['async', 'generator'], parameters: ['a'] }))
+            .to.deep.equal([['#', 'kind', true], ['#', 'kind', false], ['#', 'parameters', false]]);
+        expect(changes({ type: Function, kind: 'class', constructable: true }, { type: Function }))
+            .to.deep.equal([['#', 'constructable', false], ['#', 'kind', false]]);
+    });
+
+    describe('object', () => {
+
+        it('properties', () => {
+            const a = { type: Object, properties: { a: { type: Number }, b: { type: Number }, c: { type: Number } } };
+            const b = { type: Object, properties: { a: { type: Number, required: true }, c: { type: Number }, d: {}, e: { required: true } } };
+            expect(changes(a, b)).to.deep.equal([
+                ['#/properties/a', 'required', true],
+                ['#/properties/b', 'properties', false],
+                ['#/properties/d', 'properties', false],
+                ['#/properties/e', 'properties', true]
+            ]);
+        });
+
+        it('removed property is breaking when clean', () => {
+            const a = { type: Object, clean: true, properties: { a: {} } };
+            const b = { type: Object, clean: true, properties: {} };
+            expect(changes(a, b)).to.deep.equal([['#/properties/a', 'properties', true]]);
+        });
+
+        it('clean and allowNull', () => {
+            expect(changes({ type: Object }, { type: Object, clean: true, allowNull: false }))
+                .to.deep.equal([['#', 'allowNull', true], ['#', 'clean', true]]);
+            expect(changes({ type: Object, clean: true, allowNull: false }, { type: Object }))
+                .to.deep.equal([['#', 'allowNull', false], ['#', 'clean', false]]);
+        });
+
+        it('escapes property names in the path', () => {
+            const a = { type: Object, properties: { 'a/b': { type: Number } } };
+            const b = { type: Object, properties: { 'a/b': { type: String } } };
+            expect(changes(a, b)).to.deep.equal([['#/properties/a~1b', 'type', true]]);
+        });
+
+    });
+
+    describe('typed', () => {
+
+        it('enum', () => {
+            expect(changes({ enum: ['a', 'b'] }, { enum: ['a', 'c'] })).to.deep.equal([['#', 'enum', true], ['#', 'enum', false]]);
+            expect(changes({}, { enum: ['a'] })).to.deep.equal([['#', 'enum', true]]);
+            expect(changes({ enum: ['a'] }, {})).to.deep.equal([['#', 'enum', false]]);
+        });
+
+        it('validator', () => {
+            const fn = () => true;
+            expect(changes({}, { validator: fn })).to.deep.equal([['#', 'validator', true]]);
+            expect(changes({ validator: fn }, { validator: () => false })).to.deep.equal([['#', 'validator', true]]);
+            expect(changes({ validator: fn }, {})).to.deep.equal([['#', 'validator', false]]);
+        });
+
+        it('non-breaking options', () => {
+            expect(changes({}, { transform: v => v, default: 1, allErrors: true, coerce: true, errorMessages: { enum: 'x' } }))
+                .to.deep.equal([['#', 'coerce', false], ['#', 'transform', false], ['#', 'default', false], ['#', 'allErrors', false], ['#', 'errorMessages', false]]);
+        });
+
+        it('disabling coerce is breaking', () => {
+            expect(changes({ coerce: true }, {})).to.deep.equal([['#', 'coerce', true]]);
+        });
+
+    });
+
+    it('one-of', () => {
+        const a = { type: 'one-of', oneOf: [{ type: Number }, { type: String }] };
+        const b = { type: 'one-of', oneOf: [{ type: Number, max: 1 }] };
+        expect(changes(a, b)).to.deep.equal([['#/oneOf/0', 'max', true], ['#/oneOf/1', 'oneOf', true]]);
+        expect(changes(b, a)).to.deep.equal([['#/oneOf/0', 'max', false], ['#/oneOf/1', 'oneOf', false]]);
+    });
+
+    it('all-of', () => {
+        const a = { type: 'all-of', allOf: [{ type: Number }] };
+        const b = { type: 'all-of', allOf: [{ type: Number }, { type: Number, integer: true }] };
+        expect(changes(a, b)).to.deep.equal([['#/allOf/1', 'allOf', true]]);
+        expect(changes(b, a)).to.deep.equal([['#/allOf/1', 'allOf', false]]);
+    });
+
+    it('not', () => {
+        expect(changes({ type: 'not', not: { type: String } }, { type: 'not', not: { type: Number } })).to.deep.equal([['#', 'not', true]]);
+    });
+
+    it('recursive definitions', () => {
+        const list = max => ({
+            definitions: {
+                node: { type: Object, properties: { value: { type: Number, max: max }, next: { $ref: 'node' } } }
+            },
+            $ref: 'node'
+        });
+        expect(changes(list(5), list(3))).to.deep.equal([['#/properties/value', 'max', true]]);
+    });
+
+    describe('plugin', () => {
+
+        function Currency(config) {
+            this.code = config.code;
+        }
+        Currency.register = { aliases: ['currency'], dependencies: ['number'] };
+
+        before(() => Schema.controllers.register(Currency));
+        after(() => Schema.controllers.delete('currency'));
+
+        it('options without a comparator are breaking when changed', () => {
+            expect(changes({ type: 'currency', code: 'USD', min: 0 }, { type: 'currency', code: 'EUR', min: 0 }))
+                .to.deep.equal([['#', 'code', true]]);
+        });
+
+        it('still compares the options of its dependencies', () => {
+            expect(changes({ type: 'currency', code: 'USD' }, { type: 'currency', code: 'USD', min: 0 }))
+                .to.deep.equal([['#', 'min', true]]);
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('compile', () => {
+
+    const person = {
+        type: Object,
+        properties: {
+            name: { type: String, required: true, minLength: 2, pattern: /^[a-z]+$/ },
+            age: { type: Number, integer: true, min: 0, max: 150 },
+            tags: { type: Array, maxItems: 2, uniqueItems: true, schema: { type: String, pattern: /^[a-z]+$/ } },
+            address: {
+                type: Object,
+                allowNull: false,
+                properties: {
+                    zip: { type: String, required: true },
+                    number: { type: 'one-of', oneOf: [{ type: Number }, { type: String, maxLength: 2 }] }
+                }
+            }
+        }
+    };
+
+    const list = {
+        definitions: {
+            node: { type: Object, allowNull: false, properties: { value: { type: Number, required: true }, next: { $ref: 'node' } } }
+        },
+        $ref: 'node'
+    };
+
+    const cases = [
+        [person, {}],
+        [person, { name: 'a', age: 1.5 }],
+        [person, { name: 'A', age: -1.5, tags: ['a', 'B', 1, 'a'], address: null }],
+        [person, { name: 'ab', address: { number: true } }],
+        [person, { name: 'ab', address: { zip: '1', number: 'abc' } }],
+        [person, 5],
+        [{ type: Array, schema: { type: 'one-of', oneOf: [{ type: Object, properties: { a: { required: true } } }, { type: Number }] } }, [1, {}, 'x']],
+        [{ type: Array, uniqueItems: true, minItems: 6 }, [1, 2, 1, 1, 2]],
+        [{ enum: [1, 2], validator: v => false }, 3],
+        [{ validator: v => 'bad' }, 3],
+        [{ type: Date, min: '2017-01-01' }, '2016-01-01'],
+        [{ type: Date }, 'x'],
+        [{ type: Date }, Symbol('x')],
+        [{ type: Function, named: true, minArguments: 1 }, () => {}],
+        [{ type: Function, maxArguments: 0 }, function (a) {}],
+        [{ type: Function, kind: ['async', 'class'], constructable: true, parameters: ['a', 'b'] }, function (a, c) {}],
+        [{ type: Function, kind: 'arrow', parameters: ['a'] }, a => a],
+        [{ type: Boolean, strict: true }, 1],
+        [{ type: Symbol }, 1],
+        [{ type: Number, max: 3, exclusiveMax: true }, 3],
+        [{ type: Number, min: 3, exclusiveMin: true, enum: [3] }, 3],
+        [{ type: Object, schema: { type: Number } }, { a: 'x', b: 2, c: {} }],
+        [{ type: String, minLength: 3, pattern: /x/, enum: ['a'] }, 'ab'],
+        [list, { value: 1, next: { value: 'x', next: { next: null } } }],
+        [{ type: 'all-of', allOf: [{ type: Object, properties: { a: { required: true } } }, { type: Object, properties: { b: { type: Number } } }] }, { b: 'x' }],
+        [{ type: 'all-of', allOf: [{ type: Object, allowNull: false }, { type: Object }] }, null],
+        [{ type: Object, properties: { a: { type: 'not', not: { type: String, enum: ['x'] } } } }, { a: 'x' }],
+        [{ type: Object, errorMessages: { required: 'Enter your {path}' }, properties: { ssn: { type: String, required: true, pattern: /^\d{9}$/, errorMessages: { pattern: p => p.path.join('.') + ' must be 9 digits' } } } }, {}],
+        [{ type: Object, properties: { ssn: { type: String, pattern: /^\d{9}$/, errorMessages: { pattern: p => p.path.join('.') + ' must be 9 digits', type: 'Text only' } } } }, { ssn: '12' }]
+    ];
+
+    describe('#error', () => {
+
+        cases.forEach((item, index) => {
+            it('same message for case ' + index, () => {
+                const schema = Schema(item[0]);
+                expect(schema.compile().error(item[1], 'Prefix: ')).to.equal(schema.error(item[1], 'Prefix: '));
+            });
+        });
+
+        it('no error', () => {
+            expect(Schema(person).compile().error({ name: 'ab', address: { zip: '1' } })).to.equal(null);
+        });
+
+    });
+
+    describe('#errors', () => {
+
+        it('same error objects', () => {
+            cases.forEach(item => {
+                const schema = Schema(item[0]);
+                const options = { path: ['root'] };
+                expect(schema.compile().errors(item[1], options)).to.deep.equal(schema.errors(item[1], options));
+            });
+        });
+
+        it('same error objects for all errors', () => {
+            cases.forEach(item => {
+                const schema = Schema(item[0]);
+                expect(schema.compile({ allErrors: true }).errors(item[1])).to.deep.equal(schema.errors(item[1], { allErrors: true }));
+            });
+        });
+
+        it('respects schema allErrors', () => {
+            const schema = Schema({ type: Object, properties: { a: { type: String, allErrors: true, minLength: 3, pattern: /x/ } } });
+            expect(schema.compile().errors({ a: 'b' }).length).to.equal(2);
+        });
+
+    });
+
+    describe('#normalize', () => {
+
+        it('same value', () => {
+            const schema = Schema({
+                type: Object,
+                properties: {
+                    a: { type: Number, default: 5 },
+                    b: { type: Boolean },
+                    c: { type: Array, schema: { type: 'one-of', oneOf: [{ type: Number, min: 10.1, transform: v => Math.round(v) }, { type: Number }] } },
+                    d: { type: Date }
+                }
+            });
+            const value = () => ({ b: 0, c: [7.5, 15.5], d: '2017-01-01', e: 1 });
+            expect(schema.compile().normalize(value())).to.deep.equal(schema.normalize(value()));
+        });
+
+        it('same value for recursive schemas', () => {
+            const schema = Schema({
+                definitions: {
+                    tree: { type: Object, allowNull: false, properties: { children: { type: Array, schema: { $ref: 'tree' }, default: [] } } }
+                },
+                $ref: 'tree'
+            });
+            const value = () => ({ children: [{}, { children: [{ a: 1 }] }] });
+            expect(schema.compile().normalize(value())).to.deep.equal(schema.normalize(value()));
+        });
+
+        it('same value for all-of', () => {
+            const schema = Schema({
+                type: 'all-of',
+                allOf: [
+                    { type: Object, properties: { a: { type: Number, default: 1 } } },
+                    { type: Object, transform: v => Object.assign({ b: v.a + 1 }, v) }
+                ]
+            });
+            expect(schema.compile().normalize({})).to.deep.equal(schema.normalize({}));
+        });
+
+        it('removes unknown properties for clean', () => {
+            const schema = Schema({ type: Object, clean: true, properties: { a: { type: String, default: 'x' } } });
+            expect(schema.compile().normalize({ b: 1 })).to.deep.equal({ a: 'x' });
+        });
+
+        it('validates defaults', () => {
+            const schema = Schema({ type: Object, properties: { a: { type: Number, default: 'x' } } });
+            expect(() => schema.compile().normalize({})).to.throw(/Expected a number/);
+        });
+
+        it('validates transformed values', () => {
+            const schema = Schema({ type: Object, transform: () => ({ a: 'x' }), properties: { a: { type: Number } } });
+            expect(() => schema.compile().normalize({ a: 1 })).to.throw(/Expected a number/);
+        });
+
+    });
+
+    describe('#validate', () => {
+
+        it('throws with error objects', () => {
+            const schema = Schema(person);
+            try {
+                schema.compile().validate({});
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err.message).to.equal(schema.error({}));
+                expect(err.errors[0].code).to.equal('ETREQ');
+            }
+        });
+
+    });
+
+    describe('plugins', () => {
+
+        before(() => {
+            function Even() {}
+            Even.prototype.error = function(value) {
+                return value % 2 === 0 ? null : 'Expected an even number.';
+            };
+            Even.prototype.normalize = function(value) {
+                return value / 2;
+            };
+            Even.register = { aliases: ['compile-even'], dependencies: ['number'] };
+            Schema.controllers.register(Even);
+        });
+
+        after(() => {
+            Schema.controllers.delete('compile-even');
+        });
+
+        it('uses the schema functions', () => {
+            const schema = Schema({ type: Array, schema: { type: 'compile-even' } });
+            const compiled = schema.compile();
+            expect(compiled.error([2, 3])).to.equal(schema.error([2, 3]));
+            expect(compiled.normalize([2, 4])).to.deep.equal([1, 2]);
+        });
+
+    });
+
+});
\ No newline at end of file
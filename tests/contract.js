@@ -0,0 +1,157 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('contract', () => {
+
+    const add = Schema.contract({
+        params: [{ type: Number }, { type: Number, default: 1 }],
+        returns: { type: Number, integer: true }
+    }, function add(a, b) {
+        return a + b;
+    });
+
+    it('calls the function with the normalized arguments', () => {
+        expect(add(1, 2)).to.equal(3);
+    });
+
+    it('applies defaults', () => {
+        expect(add(1)).to.equal(2);
+    });
+
+    it('keeps the name and length', () => {
+        expect(add.name).to.equal('add');
+        expect(add.length).to.equal(2);
+    });
+
+    it('keeps this', () => {
+        const o = { n: 5, get: Schema.contract({ params: [{ type: Number }] }, function(a) { return this.n + a; }) };
+        expect(o.get(1)).to.equal(6);
+    });
+
+    it('says which argument failed', () => {
+        try {
+            add(1, 'a');
+            throw Error('Expected error');
+        } catch (err) {
+            expect(err.message).to.equal('Invalid argument at index 1: Invalid value. Expected a number. Received: "a"');
+            expect(err.index).to.equal(1);
+            expect(err.errors[0].constraint).to.equal('type');
+        }
+    });
+
+    it('reports a missing argument', () => {
+        expect(() => add()).to.throw(/Invalid argument at index 0/);
+    });
+
+    it('checks rest arguments', () => {
+        const sum = Schema.contract({ params: [{ type: String }], rest: { type: Number } }, function(label) {
+            return label + Array.prototype.slice.call(arguments, 1).reduce((p, c) => p + c, 0);
+        });
+        expect(sum('total: ', 1, 2, 3)).to.equal('total: 6');
+        expect(() => sum('total: ', 1, 'x')).to.throw(/Invalid argument at index 2/);
+    });
+
+    it('passes arguments without a schema', () => {
+        const fn = Schema.contract({ params: [{ type: Number }] }, function() { return arguments.length; });
+        expect(fn(1, 'a', 'b')).to.equal(3);
+    });
+
+    it('normalizes the return value', () => {
+        const fn = Schema.contract({ returns: { type: String, transform: v => v.toUpperCase() } }, () => 'a');
+        expect(fn()).to.equal('A');
+    });
+
+    it('checks the return value', () => {
+        const fn = Schema.contract({ returns: { type: Number, integer: true } }, () => 1.5);
+        expect(fn).to.throw(/^Invalid return value: Invalid number. Must be an integer/);
+    });
+
+    it('checks the resolved value', () => {
+        const fn = Schema.contract({ returns: { type: Number } }, value => Promise.resolve(value));
+        return fn(1)
+            .then(value => {
+                expect(value).to.equal(1);
+                return fn('a');
+            })
+            .then(() => { throw Error('Expected error'); }, err => {
+                expect(err.message).to.match(/^Invalid resolved value: Invalid value. Expected a number/);
+                expect(err.errors[0].value).to.equal('a');
+            });
+    });
+
+    it('constructs a class when called with new', () => {
+        class Point {
+            constructor(x, y) {
+                this.x = x;
+                this.y = y;
+            }
+        }
+        const P = Schema.contract({ params: [{ type: Number }, { type: Number, default: 0 }] }, Point);
+        const point = new P(1);
+        expect(point).to.be.an.instanceof(Point);
+        expect(point).to.deep.equal({ x: 1, y: 0 });
+        expect(() => new P('a')).to.throw(/Invalid argument at index 0/);
+    });
+
+    it('normalizes arguments asynchronously', () => {
+        const exists = { type: String, validator: v => Promise.resolve(v !== 'missing') };
+        const fn = Schema.contract({ async: true, params: [exists], returns: { type: Number } }, id => id.length);
+        return fn('abc')
+            .then(value => {
+                expect(value).to.equal(3);
+                return fn('missing');
+            })
+            .then(() => { throw Error('Expected error'); }, err => {
+                expect(err.message).to.match(/^Invalid argument at index 0: /);
+                expect(err.index).to.equal(0);
+            });
+    });
+
+    it('requires the async option for asynchronous validators', () => {
+        const fn = Schema.contract({ params: [{ validator: () => Promise.resolve(true) }] }, () => null);
+        expect(() => fn(1)).to.throw(/Set the async option of the contract/);
+    });
+
+    it('passes through other errors', () => {
+        const fn = Schema.contract({ params: [{ type: Number }] }, () => { throw Error('Oops'); });
+        expect(() => fn(1)).to.throw(/^Oops$/);
+    });
+
+    it('uses the locale and messages of the owning function', () => {
+        const Typed = Schema.create();
+        Typed.messages.register('es', { 'contract.argument': 'Argumento inválido en el índice {index}: ' });
+        const fn = Typed.contract({ params: [{ type: Number }], locale: 'es' }, () => null);
+        expect(() => fn('a')).to.throw(/^Argumento inválido en el índice 0: /);
+    });
+
+    it('accepts schemas', () => {
+        const fn = Schema.contract({ params: [Schema({ type: String })] }, a => a);
+        expect(() => fn(1)).to.throw(/Invalid argument at index 0/);
+    });
+
+    it('validates the configuration', () => {
+        expect(() => Schema.contract(null, () => null)).to.throw(/plain object/);
+        expect(() => Schema.contract({}, 'a')).to.throw(/wrap a function/);
+        expect(() => Schema.contract({ params: {} }, () => null)).to.throw(/params/);
+        expect(() => Schema.contract({ params: [{ type: 'abc' }] }, () => null)).to.throw(/Unknown type/);
+        expect(() => Schema.contract({ async: 1 }, () => null)).to.throw(/async/);
+    });
+
+});
\ No newline at end of file
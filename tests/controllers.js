@@ -81,6 +81,41 @@ describe('controllers', () => {
         expect(ctrl.has('foo')).to.be.true;
     });
 
+    describe('options', () => {
+
+        it('merges the options of the controller chain', () => {
+            const foo = makeController('foo', ['foo'], []);
+            const bar = makeController('bar', ['bar'], ['foo']);
+            foo.register.options = { a: { type: Number } };
+            bar.register.options = { b: { type: String } };
+            ctrl.register(foo);
+            ctrl.register(bar);
+            const options = ctrl.get('bar').options;
+            expect(options.a).to.deep.equal({ type: Number });
+            expect(options.b).to.deep.equal({ type: String });
+            expect(options).to.have.ownProperty('enum');
+        });
+
+        it('are null if a controller in the chain does not declare them', () => {
+            const foo = makeController('foo', ['foo'], []);
+            const bar = makeController('bar', ['bar'], ['foo']);
+            bar.register.options = { b: { type: String } };
+            ctrl.register(foo);
+            ctrl.register(bar);
+            expect(ctrl.get('foo').options).to.equal(null);
+            expect(ctrl.get('bar').options).to.equal(null);
+        });
+
+        it('are listed', () => {
+            const foo = makeController('foo', ['foo'], []);
+            foo.register.options = { a: { type: Number } };
+            ctrl.register(foo);
+            const item = ctrl.list().filter(item => item.alias === 'foo')[0];
+            expect(item.options.a).to.deep.equal({ type: Number });
+        });
+
+    });
+
     describe('inheritance', () => {
 
         it('inherits error', () => {
@@ -107,6 +142,21 @@ describe('controllers', () => {
             expect(data.normalizeFunctions[1]).to.equal(foo.prototype.normalize);
         });
 
+        it('inherits async prototype methods', () => {
+            const foo = makeController('foo', ['foo'], []);
+            foo.prototype.error = function() {};
+            foo.prototype.errorAsync = function() {};
+            foo.prototype.normalize = function() {};
+            const bar = makeController('bar', ['bar'], ['foo']);
+
+            ctrl.register(foo);
+            ctrl.register(bar);
+
+            const data = ctrl.get('bar');
+            expect(data.asyncErrorFunctions[1]).to.equal(foo.prototype.errorAsync);
+            expect(data.asyncNormalizeFunctions[1]).to.equal(foo.prototype.normalize);
+        });
+
         it('inherits Typed ignored', () => {
             const foo = makeController('foo', ['foo'], ['typed']);
             ctrl.register(foo);
@@ -192,6 +242,18 @@ describe('controllers', () => {
             expect(() => ctrl.register(foo)).to.throw(/register dependencies/);
         });
 
+        it('options not a plain object', () => {
+            const foo = makeController('foo', ['foo'], []);
+            foo.register.options = ['a'];
+            expect(() => ctrl.register(foo)).to.throw(/register options must be a plain object/);
+        });
+
+        it('option not a schema configuration', () => {
+            const foo = makeController('foo', ['foo'], []);
+            foo.register.options = { a: Number };
+            expect(() => ctrl.register(foo)).to.throw(/option a must be a schema configuration/);
+        });
+
         it('alias in use', () => {
             const foo1 = makeController('foo', ['foo'], []);
             const foo2 = makeController('foo', ['foo'], []);
@@ -0,0 +1,127 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('create', () => {
+
+    function Uuid() {}
+    Uuid.register = { aliases: ['uuid'], dependencies: ['string'] };
+    Uuid.prototype.error = function(value, prefix, context) {
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value) ? null : 'Invalid uuid';
+    };
+    const uuid = '123e4567-e89b-12d3-a456-426614174000';
+
+    it('has the built in controllers', () => {
+        const Typed = Schema.create();
+        ['all-of', 'array', 'boolean', 'date', 'function', 'not', 'number', 'object', 'one-of', 'ref', 'string', 'symbol', 'typed']
+            .forEach(alias => expect(Typed.controllers.has(alias)).to.equal(true));
+        expect(Typed({ type: Number }).error('a')).to.match(/Expected a number/);
+    });
+
+    it('shares the symbol aliases', () => {
+        const Typed = Schema.create();
+        expect(Typed.OneOf).to.equal(Schema.OneOf);
+        expect(Typed({ type: Schema.OneOf, oneOf: [{ type: Number }] }).error(1)).to.equal(null);
+        expect(Typed.controllers.get(Schema.Typed).alias).to.equal('typed');
+    });
+
+    it('has its own controllers', () => {
+        const a = Schema.create();
+        const b = Schema.create();
+        a.controllers.register(Uuid);
+        b.controllers.register(Uuid);
+        expect(Schema.controllers.has('uuid')).to.equal(false);
+        expect(() => Schema({ type: 'uuid' })).to.throw(/Unknown type/);
+        expect(a({ type: 'uuid' }).error('x')).to.equal('Invalid uuid');
+    });
+
+    describe('nested schemas use the registry of the owner', () => {
+        const Typed = Schema.create();
+        Typed.controllers.register(Uuid);
+
+        it('owner', () => {
+            const schema = Typed({ type: Object, properties: { id: { type: 'uuid' } } });
+            expect(schema.FullyTyped).to.equal(Typed);
+            expect(schema.properties.id.FullyTyped).to.equal(Typed);
+        });
+
+        it('object', () => {
+            const schema = Typed({ type: Object, properties: { id: { type: 'uuid', required: true } }, schema: { type: 'uuid' } });
+            expect(schema.error({ id: uuid, other: uuid })).to.equal(null);
+            expect(schema.errors({ id: 'x' })[0].message).to.equal('Invalid uuid');
+            expect(schema.errors({ id: uuid, other: 'x' })[0].path).to.deep.equal(['other']);
+        });
+
+        it('array', () => {
+            expect(Typed({ type: Array, schema: { type: 'uuid' } }).errors([uuid, 'x'])[0].path).to.deep.equal([1]);
+        });
+
+        it('one-of, all-of, and not', () => {
+            expect(Typed({ type: 'one-of', oneOf: [{ type: 'uuid' }, { type: Number }] }).error(uuid)).to.equal(null);
+            expect(Typed({ type: 'all-of', allOf: [{ type: 'uuid' }, { type: String }] }).error('x')).to.equal('Invalid uuid');
+            expect(Typed({ type: 'not', not: { type: 'uuid' } }).error(uuid)).to.match(/Must not be/);
+        });
+
+        it('definitions', () => {
+            const schema = Typed({ definitions: { id: { type: 'uuid' } }, type: Array, schema: { $ref: 'id' } });
+            expect(schema.error([uuid])).to.equal(null);
+        });
+
+        it('derived schemas', () => {
+            const schema = Typed({ type: Object, properties: { id: { type: 'uuid' }, name: { type: String } } });
+            expect(schema.omit(['name']).FullyTyped).to.equal(Typed);
+            expect(schema.extend({ clean: true }).properties.id.error('x')).to.equal('Invalid uuid');
+        });
+
+        it('compile', () => {
+            const schema = Typed({ type: Object, properties: { id: { type: 'uuid' } } });
+            expect(schema.compile().error({ id: 'x' })).to.equal(schema.error({ id: 'x' }));
+        });
+
+        it('serialize and deserialize', () => {
+            const json = Typed.serialize(Typed({ type: Array, schema: { type: 'uuid' } }));
+            expect(() => Schema.deserialize(json)).to.throw(/Unknown type/);
+            expect(Typed.deserialize(json).error(['x'])).to.match(/Invalid uuid/);
+        });
+
+        it('fromJSONSchema', () => {
+            expect(Typed.fromJSONSchema({ type: 'string' }).FullyTyped).to.equal(Typed);
+        });
+
+    });
+
+    it('has its own messages', () => {
+        const Typed = Schema.create();
+        Typed.messages.register('en', { 'number.type': 'Not a number.' });
+        const schema = Typed({ type: Object, properties: { a: { type: Number } } });
+        expect(schema.errors({ a: 'x' })[0].message).to.equal('Invalid value. Not a number. Received: "x"');
+        expect(schema.compile().errors({ a: 'x' })[0].message).to.equal('Invalid value. Not a number. Received: "x"');
+        expect(() => schema.validate({ a: 'x' })).to.throw(/Not a number/);
+        expect(Schema({ type: Number }).errors('x')[0].message).to.equal('Invalid value. Expected a number. Received: "x"');
+    });
+
+    it('has its own cache', () => {
+        const Typed = Schema.create();
+        Typed.cache.enable();
+        expect(Typed({ type: Number })).to.equal(Typed({ type: Number }));
+        expect(Schema.cache.stats().enabled).to.equal(false);
+        expect(Typed({ type: Number })).not.to.equal(Schema({ type: Number }));
+    });
+
+});
\ No newline at end of file
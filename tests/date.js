@@ -76,6 +76,11 @@ describe('TypedNumber', () => {
             expect(date.error('hello')).to.match(/Value cannot be converted/);
         });
 
+        it('checks symbol type', () => {
+            const date = Schema({ type: Date });
+            expect(date.error(Symbol('a'))).to.equal('Value cannot be converted to a valid date: Symbol(a)');
+        });
+
         it('checks max', () => {
             const date = Schema({ type: Date, max: '2000-01-01' });
             expect(date.error('2010-01-01')).to.match(/must be less than/);
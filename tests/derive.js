@@ -0,0 +1,136 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('derived schemas', () => {
+
+    let user;
+
+    before(() => user = Schema({
+        type: Object,
+        allowNull: false,
+        properties: {
+            id: { type: Number, required: true },
+            name: { type: String, required: true },
+            role: { type: String, default: 'user' },
+            tags: { type: Array, schema: { type: String } }
+        }
+    }));
+
+    describe('#extend', () => {
+
+        it('requires an object', () => {
+            expect(() => user.extend()).to.throw(/Expected the overrides to be a plain object/);
+        });
+
+        it('has the same hash without overrides', () => {
+            expect(user.extend({}).hash()).to.equal(user.hash());
+        });
+
+        it('replaces configuration values', () => {
+            const schema = user.extend({ allowNull: true });
+            expect(schema.allowNull).to.equal(true);
+            expect(user.allowNull).to.equal(false);
+        });
+
+        it('merges properties', () => {
+            const schema = user.extend({ properties: { email: { type: String, required: true } } });
+            expect(Object.keys(schema.properties)).to.deep.equal(['id', 'name', 'role', 'tags', 'email']);
+            expect(schema.errors({ id: 1, name: 'Bob' })[0].path).to.deep.equal(['email']);
+        });
+
+        it('keeps nested schemas', () => {
+            const schema = user.extend({ properties: { id: { type: String, required: true } } });
+            expect(schema.error({ id: 'a', name: 'Bob', tags: [1] })).to.match(/Expected a string/);
+        });
+
+        it('accepts schemas as configurations', () => {
+            const schema = user.extend({ properties: { manager: user } });
+            expect(schema.errors({ id: 1, name: 'Bob', manager: {} })[0].path).to.deep.equal(['manager', 'id']);
+        });
+
+        it('keeps definitions for references', () => {
+            const list = Schema({
+                type: Object,
+                definitions: { node: { type: Object, properties: { value: { type: Number }, next: { $ref: 'node' } } } },
+                properties: { head: { $ref: 'node' } }
+            });
+            const schema = list.properties.head.extend({ required: true });
+            expect(schema.errors({ next: { value: 'x' } })[0].path).to.deep.equal(['next', 'value']);
+        });
+
+    });
+
+    describe('#omit', () => {
+
+        it('removes properties', () => {
+            const schema = user.omit(['id']);
+            expect(Object.keys(schema.properties)).to.deep.equal(['name', 'role', 'tags']);
+            expect(schema.error({ name: 'Bob' })).to.equal(null);
+        });
+
+        it('requires an object schema', () => {
+            expect(() => Schema({ type: String }).omit(['a'])).to.throw(/Expected an object schema/);
+        });
+
+        it('requires known properties', () => {
+            expect(() => user.omit(['foo'])).to.throw(/Unknown property: foo/);
+        });
+
+    });
+
+    describe('#partial', () => {
+
+        it('makes properties optional', () => {
+            expect(user.partial().error({})).to.equal(null);
+        });
+
+        it('keeps defaults', () => {
+            expect(user.partial().normalize({})).to.deep.equal({ role: 'user' });
+        });
+
+    });
+
+    describe('#pick', () => {
+
+        it('keeps properties', () => {
+            const schema = user.pick(['id', 'name']);
+            expect(Object.keys(schema.properties)).to.deep.equal(['id', 'name']);
+        });
+
+        it('requires an array', () => {
+            expect(() => user.pick('id')).to.throw(/Expected an array of property names/);
+        });
+
+    });
+
+    describe('#requiredAll', () => {
+
+        it('requires every property', () => {
+            const errors = user.requiredAll().errors({ id: 1, name: 'Bob' }, { allErrors: true });
+            expect(errors.map(err => err.path[0])).to.deep.equal(['role', 'tags']);
+        });
+
+        it('removes defaults', () => {
+            expect(user.requiredAll().properties.role.hasDefault).to.equal(false);
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+const TypedFunction     = require('../bin/function');
+
+describe('examples', () => {
+
+    function check(config) {
+        const schema = Schema(config);
+        const examples = schema.examples();
+        examples.valid.forEach(value => expect(schema.error(value)).to.equal(null));
+        examples.invalid.forEach(value => expect(schema.error(value)).not.to.equal(null));
+        return examples;
+    }
+
+    it('is deterministic', () => {
+        const schema = Schema({ type: Object, properties: { name: { type: String, pattern: /^[a-z]+$/ } } });
+        expect(schema.examples()).to.deep.equal(schema.examples());
+    });
+
+    it('numbers', () => {
+        const examples = check({ type: Number, min: 1, max: 5 });
+        expect(examples.valid).to.include.members([1, 5]);
+        expect(examples.invalid).to.include.members([1 - Number.EPSILON, 5 + 4 * Number.EPSILON]);
+    });
+
+    it('exclusive numbers', () => {
+        const examples = check({ type: Number, min: 1, max: 5, exclusiveMin: true, exclusiveMax: true });
+        expect(examples.invalid).to.include.members([1, 5]);
+        expect(examples.valid).to.include.members([1 + Number.EPSILON, 5 - 4 * Number.EPSILON]);
+    });
+
+    it('integers', () => {
+        const examples = check({ type: Number, integer: true, min: 0, max: 10 });
+        expect(examples.valid).to.include.members([0, 10]);
+        expect(examples.invalid).to.include.members([-1, 11, 0.5]);
+    });
+
+    it('strings', () => {
+        const examples = check({ type: String, minLength: 2, maxLength: 3 });
+        expect(examples.valid).to.include.members(['aa', 'aaa']);
+        expect(examples.invalid).to.include.members(['a', 'aaaa', 0]);
+    });
+
+    it('string patterns', () => {
+        const examples = check({ type: String, pattern: /^[a-z]+-\d$/ });
+        expect(examples.valid.length).to.be.greaterThan(0);
+    });
+
+    it('arrays', () => {
+        const examples = check({ type: Array, minItems: 1, maxItems: 2, schema: { type: Number } });
+        expect(examples.valid).to.deep.include.members([[0], [0, -1]]);
+        expect(examples.invalid).to.deep.include.members([[], [0, -1, 1], ['a']]);
+    });
+
+    it('unique arrays', () => {
+        const examples = check({ type: Array, uniqueItems: true, schema: { type: Number } });
+        expect(examples.invalid).to.deep.include.members([[0, 0]]);
+    });
+
+    it('objects', () => {
+        const examples = check({
+            type: Object,
+            allowNull: false,
+            properties: { id: { type: Number, required: true }, name: { type: String } }
+        });
+        expect(examples.valid).to.deep.include.members([{ id: 0 }, { id: 0, name: '' }]);
+        expect(examples.invalid).to.deep.include.members([{ name: '' }, { id: 'a', name: '' }, { id: 0, name: 0 }, null]);
+    });
+
+    it('enum', () => {
+        const examples = check({ enum: ['a', 'b'] });
+        expect(examples.valid).to.deep.equal(['a', 'b']);
+        expect(examples.invalid).to.include('ab_');
+    });
+
+    it('dates', () => {
+        const examples = check({ type: Date, min: '2017-01-01' });
+        expect(examples.valid.map(Number)).to.include(Date.UTC(2017, 0, 1));
+        expect(examples.invalid.filter(value => value instanceof Date).map(Number)).to.include(Date.UTC(2017, 0, 1) - 1);
+    });
+
+    it('functions', () => {
+        const examples = check({ type: Function, minArguments: 1, maxArguments: 2, named: true });
+        expect(examples.valid.map(fn => fn.length)).to.include.members([1, 2]);
+        const invalid = examples.invalid.filter(value => typeof value === 'function');
+        expect(invalid.map(fn => fn.length)).to.include.members([0, 3]);
+        expect(invalid.some(fn => fn.length === 1 && fn.name === '')).to.equal(true);
+    });
+
+    it('function kinds and parameters', () => {
+        const examples = check({ type: Function, kind: ['arrow', 'class'], constructable: true, parameters: ['a'] });
+        expect(examples.valid.length).to.be.above(0);
+        const invalid = examples.invalid.filter(value => typeof value === 'function');
+        expect(invalid.some(fn => TypedFunction.kindOf(fn) === 'generator')).to.equal(true);
+        expect(invalid.some(fn => TypedFunction.kindOf(fn) === 'function' && !TypedFunction.isConstructable(fn))).to.equal(true);
+        expect(invalid.some(fn => TypedFunction.kindOf(fn) === 'class' && TypedFunction.parameterNames(fn).length === 0)).to.equal(true);
+    });
+
+    it('one-of, all-of, and not', () => {
+        check({ type: 'one-of', oneOf: [{ type: Boolean, strict: true }, { type: Number, max: 0 }] });
+        check({ type: 'all-of', allOf: [{ type: Object, properties: { a: { type: Number, required: true } } }, { type: Object, properties: { b: { type: String, required: true } } }] });
+        expect(check({ type: 'not', not: { type: String } }).invalid).to.include('a');
+    });
+
+    it('recursive schemas', () => {
+        const examples = check({
+            definitions: { node: { type: Object, allowNull: false, properties: { children: { type: Array, schema: { $ref: 'node' } } } } },
+            $ref: 'node'
+        });
+        expect(examples.valid.length).to.be.greaterThan(0);
+        expect(examples.invalid.length).to.be.greaterThan(0);
+    });
+
+    it('validators', () => {
+        const examples = check({ type: Number, validator: value => value !== 0 });
+        expect(examples.invalid).to.include(0);
+    });
+
+});
\ No newline at end of file
@@ -24,7 +24,7 @@ describe('TypedFunction', () => {
     describe('maxArguments', () => {
 
         it('cannot be less than min', () => {
-            expect(() => Schema({ type: Function, maxArguments: 0, minArguments: 1 })).to.throw(/Expected a integer greater than minArgument/);
+            expect(() => Schema({ type: Function, maxArguments: 0, minArguments: 1 })).to.throw(/property: maxArguments. Expected a integer greater than minArgument/);
         });
 
         it('must be an integer', () => {
@@ -53,6 +53,141 @@ describe('TypedFunction', () => {
 
     });
 
+    describe('kind', () => {
+
+        it('must be a known kind', () => {
+            expect(() => Schema({ type: Function, kind: 'lambda' })).to.throw(/Expected one or an array of: arrow, async/);
+        });
+
+        it('must not be empty', () => {
+            expect(() => Schema({ type: Function, kind: [] })).to.throw(/Expected one or an array of/);
+        });
+
+        it('is stored as an array', () => {
+            expect(Schema({ type: Function, kind: 'async' }).kind).to.deep.equal(['async']);
+        });
+
+    });
+
+    describe('parameters', () => {
+
+        it('must be an array of names', () => {
+            expect(() => Schema({ type: Function, parameters: 'a' })).to.throw(/Expected an array of parameter names/);
+            expect(() => Schema({ type: Function, parameters: [''] })).to.throw(/Expected an array of parameter names/);
+        });
+
+    });
+
+    describe('constructable', () => {
+
+        it('must be possible for the kind', () => {
+            expect(() => Schema({ type: Function, kind: ['arrow', 'async'], constructable: true })).to.throw(/cannot be constructable/);
+            expect(() => Schema({ type: Function, kind: 'class', constructable: false })).to.throw(/cannot be not constructable/);
+            expect(() => Schema({ type: Function, kind: 'function', constructable: false })).not.to.throw(Error);
+        });
+
+    });
+
+    describe('kindOf', () => {
+
+        it('arrow', () => {
+            expect(TypedFunction.kindOf(() => null)).to.equal('arrow');
+            expect(TypedFunction.kindOf(a => a)).to.equal('arrow');
+        });
+
+        it('async', () => {
+            expect(TypedFunction.kindOf(async function() {})).to.equal('async');
+            expect(TypedFunction.kindOf(async () => null)).to.equal('async');
+        });
+
+        it('async-generator', () => {
+            expect(TypedFunction.kindOf(async function* () {})).to.equal('async-generator');
+        });
+
+        it('class', () => {
+            expect(TypedFunction.kindOf(class A {})).to.equal('class');
+        });
+
+        it('generator', () => {
+            expect(TypedFunction.kindOf(function* () {})).to.equal('generator');
+        });
+
+        it('function', () => {
+            expect(TypedFunction.kindOf(function() {})).to.equal('function');
+            expect(TypedFunction.kindOf({ m() {} }.m)).to.equal('function');
+            expect(TypedFunction.kindOf(function() {}.bind(null))).to.equal('function');
+            expect(TypedFunction.kindOf(Date)).to.equal('function');
+        });
+
+    });
+
+    describe('isConstructable', () => {
+
+        it('classes and plain functions', () => {
+            expect(TypedFunction.isConstructable(class A {})).to.be.true;
+            expect(TypedFunction.isConstructable(function() {})).to.be.true;
+            expect(TypedFunction.isConstructable(function() {}.bind(null))).to.be.true;
+        });
+
+        it('other functions', () => {
+            expect(TypedFunction.isConstructable(() => null)).to.be.false;
+            expect(TypedFunction.isConstructable(async function() {})).to.be.false;
+            expect(TypedFunction.isConstructable(function* () {})).to.be.false;
+            expect(TypedFunction.isConstructable({ m() {} }.m)).to.be.false;
+        });
+
+    });
+
+    describe('parameterNames', () => {
+
+        it('function', () => {
+            expect(TypedFunction.parameterNames(function(a, b) {})).to.deep.equal(['a', 'b']);
+        });
+
+        it('arrow', () => {
+            expect(TypedFunction.parameterNames(a => a)).to.deep.equal(['a']);
+            expect(TypedFunction.parameterNames(async (a, b) => a)).to.deep.equal(['a', 'b']);
+            expect(TypedFunction.parameterNames(asyncValue => asyncValue)).to.deep.equal(['asyncValue']);
+            expect(TypedFunction.parameterNames(async asyncValue => asyncValue)).to.deep.equal(['asyncValue']);
+        });
+
+        it('method', () => {
+            expect(TypedFunction.parameterNames({ m(a) {} }.m)).to.deep.equal(['a']);
+        });
+
+        it('class constructor', () => {
+            expect(TypedFunction.parameterNames(class A { constructor(a, b) {} })).to.deep.equal(['a', 'b']);
+            expect(TypedFunction.parameterNames(class A {})).to.deep.equal([]);
+        });
+
+        it('class constructor after a method that calls this.constructor', () => {
+            class A {
+                copy(value) { return new this.constructor(value, 'constructor(x)'); }
+                // constructor(y)
+                constructor(a, b) {}
+            }
+            expect(TypedFunction.parameterNames(A)).to.deep.equal(['a', 'b']);
+            expect(TypedFunction.parameterNames(class B { copy(c) { return this.constructor(c); } })).to.deep.equal([]);
+        });
+
+        it('defaults, rest, comments, and destructuring', () => {
+            const fn = function(a = f(1, ')'), /* b, */ { c, d }, e, // f
+                ...g) {};
+            expect(TypedFunction.parameterNames(fn)).to.deep.equal(['a', 'e', 'g']);
+        });
+
+        it('regular expressions in defaults', () => {
+            expect(TypedFunction.parameterNames(function (a = /\)/, b) {})).to.deep.equal(['a', 'b']);
+            expect(TypedFunction.parameterNames(function (a = /[/)]/g, b = 4 / 2, c) {})).to.deep.equal(['a', 'b', 'c']);
+            expect(TypedFunction.parameterNames(class A { m() { return /}/; } constructor(a) {} })).to.deep.equal(['a']);
+        });
+
+        it('built in functions', () => {
+            expect(TypedFunction.parameterNames(Date)).to.deep.equal([]);
+        });
+
+    });
+
     describe('#error', () => {
 
         it('can  be errorless', () => {
@@ -90,6 +225,38 @@ describe('TypedFunction', () => {
             expect(f.error((a, b) => {})).to.match(/Expected the function to have at most/);
         });
 
+        it('kind', () => {
+            const f = Schema({ type: Function, kind: ['async', 'generator'] });
+            expect(f.error(async () => null)).to.be.null;
+            expect(f.error(function* () {})).to.be.null;
+            expect(f.error(() => null)).to.equal('Invalid value. Expected a function of kind: async, generator. Received: "a Function"');
+            expect(f.errors(class A {})[0]).to.include({ code: 'ETTYP', constraint: 'kind' });
+        });
+
+        it('constructable', () => {
+            const f = Schema({ type: Function, constructable: true });
+            expect(f.error(function() {})).to.be.null;
+            expect(f.error(() => null)).to.match(/Expected a function that can be called with new/);
+        });
+
+        it('not constructable', () => {
+            const f = Schema({ type: Function, constructable: false });
+            expect(f.error(() => null)).to.be.null;
+            expect(f.error(class A {})).to.match(/Expected a function that cannot be called with new/);
+        });
+
+        it('parameters', () => {
+            const f = Schema({ type: Function, parameters: ['req', 'res'] });
+            expect(f.error(function(res, next, req) {})).to.be.null;
+            expect(f.error(function(req, next) {})).to.match(/Expected the function to have the parameters: req, res. Missing: res/);
+            expect(f.errors(() => null)[0]).to.include({ code: 'ETINV', constraint: 'parameters' });
+        });
+
+        it('all errors', () => {
+            const f = Schema({ type: Function, kind: 'class', parameters: ['a'], allErrors: true });
+            expect(f.errors(() => null).map(e => e.constraint)).to.deep.equal(['kind', 'parameters']);
+        });
+
     });
 
 });
\ No newline at end of file
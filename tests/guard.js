@@ -0,0 +1,258 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('guard', () => {
+
+    const schema = Schema({
+        type: Object,
+        definitions: {
+            tag: { type: String, minLength: 1 }
+        },
+        properties: {
+            name: { type: String, required: true },
+            owner: { type: Object, properties: { age: { type: Number, min: 0 } } },
+            settings: { type: Object, schema: { type: Number } },
+            tags: { type: Array, uniqueItems: true, maxItems: 3, schema: { $ref: '#/definitions/tag' } },
+            value: { type: Schema.OneOf, oneOf: [{ type: Object }, { type: Number }] }
+        }
+    });
+
+    let value;
+    let guarded;
+
+    beforeEach(() => {
+        value = { name: 'a', owner: { age: 1 }, settings: { a: 1 }, tags: ['x'], value: { b: 1 } };
+        guarded = schema.guard(value);
+    });
+
+    function error(fn) {
+        try {
+            fn();
+        } catch (err) {
+            return err;
+        }
+        throw Error('Expected error');
+    }
+
+    it('allows valid changes', () => {
+        guarded.name = 'b';
+        guarded.owner.age = 2;
+        guarded.settings.b = 3;
+        guarded.tags.push('y');
+        expect(value).to.deep.equal({ name: 'b', owner: { age: 2 }, settings: { a: 1, b: 3 }, tags: ['x', 'y'], value: { b: 1 } });
+    });
+
+    it('reads through to the value', () => {
+        expect(guarded.name).to.equal('a');
+        expect(Object.keys(guarded)).to.deep.equal(Object.keys(value));
+        expect(guarded.tags.length).to.equal(1);
+        expect(Array.isArray(guarded.tags)).to.equal(true);
+    });
+
+    it('requires a valid value', () => {
+        expect(() => schema.guard({ name: 1 })).to.throw(/Expected a string/);
+    });
+
+    it('requires an object or array', () => {
+        expect(() => schema.guard(null)).to.throw(/Unable to guard value. Expected an object or array/);
+    });
+
+    it('requires an object or array schema', () => {
+        expect(() => Schema({ type: String }).guard({})).to.throw(/Expected an object or array schema/);
+    });
+
+    it('guards an array schema', () => {
+        const list = Schema({ type: Array, schema: { type: Number } }).guard([1]);
+        list.push(2);
+        const err = error(() => list.push('a'));
+        expect(err.message).to.equal('Invalid change: One error with items in the array:\n  At index 2: Invalid value. Expected a number. Received: "a"');
+        expect(err.path).to.deep.equal([]);
+        expect(list).to.deep.equal([1, 2]);
+    });
+
+    it('guards a reference to an object schema', () => {
+        const s = Schema({ definitions: { o: { type: Object, properties: { a: { type: Number } } } }, $ref: '#/definitions/o' });
+        expect(() => s.guard({}).a = 'a').to.throw(/Invalid change to property a/);
+    });
+
+    describe('objects', () => {
+
+        it('rejects an invalid property value', () => {
+            const err = error(() => guarded.name = 5);
+            expect(err.message).to.equal('Invalid change to property name: Invalid value. Expected a string. Received: 5');
+            expect(err.path).to.deep.equal(['name']);
+            expect(err.errors[0].path).to.deep.equal(['name']);
+            expect(value.name).to.equal('a');
+        });
+
+        it('uses the general schema', () => {
+            const err = error(() => guarded.settings.b = 'a');
+            expect(err.path).to.deep.equal(['settings', 'b']);
+            expect(value.settings).to.deep.equal({ a: 1 });
+        });
+
+        it('allows properties without a schema', () => {
+            guarded.other = 'a';
+            expect(value.other).to.equal('a');
+        });
+
+        it('rejects deleting a required property', () => {
+            const err = error(() => delete guarded.name);
+            expect(err.message).to.equal('Invalid change to property name: Missing required value for property: name');
+            expect(err.path).to.deep.equal(['name']);
+            expect(value.name).to.equal('a');
+        });
+
+        it('allows deleting an optional property', () => {
+            delete guarded.owner;
+            expect(value.hasOwnProperty('owner')).to.equal(false);
+        });
+
+        it('checks defined properties', () => {
+            expect(() => Object.defineProperty(guarded, 'name', { value: 5 })).to.throw(/Invalid change to property name/);
+            expect(() => Object.defineProperty(guarded, 'name', { get: () => 'a' })).to.throw(/accessor properties/);
+            expect(value.name).to.equal('a');
+        });
+
+        it('checks a new nested object', () => {
+            const err = error(() => guarded.owner = { age: -1 });
+            expect(err.path).to.deep.equal(['owner']);
+            expect(err.errors[0].path).to.deep.equal(['owner', 'age']);
+        });
+
+        it('checks the whole object', () => {
+            const range = Schema({ type: Object, properties: { min: { type: Number }, max: { type: Number } }, validator: v => !(v.min > v.max) });
+            const g = range.guard({ min: 1, max: 2 });
+            g.max = 3;
+            const err = error(() => g.min = 4);
+            expect(err.errors[0].constraint).to.equal('validator');
+            expect(err.path).to.deep.equal(['min']);
+            expect(g).to.deep.equal({ min: 1, max: 3 });
+        });
+
+        it('uses the locale', () => {
+            const g = schema.guard({ name: 'a' }, { locale: 'zz' });
+            expect(() => g.name = 5).to.throw(/Invalid change to property name/);
+        });
+
+        it('collects all errors', () => {
+            const s = Schema({ type: Object, properties: { a: { type: String, minLength: 3, pattern: /^\d+$/ } } });
+            expect(error(() => s.guard({}).a = 'a').errors.length).to.equal(1);
+            expect(error(() => s.guard({}, { allErrors: true }).a = 'a').errors.length).to.equal(2);
+        });
+
+    });
+
+    describe('nested values', () => {
+
+        it('checks nested changes with the full path', () => {
+            const err = error(() => guarded.owner.age = -1);
+            expect(err.message).to.equal('Invalid change to property owner.age: Invalid number. Must be greater than or equal to 0. Received: -1');
+            expect(err.path).to.deep.equal(['owner', 'age']);
+            expect(value.owner.age).to.equal(1);
+        });
+
+        it('checks the parent values of nested changes', () => {
+            const s = Schema({
+                type: Object,
+                properties: { range: { type: Object, properties: { min: { type: Number }, max: { type: Number } } } },
+                validator: v => !v.range || !(v.range.min > v.range.max)
+            });
+            const value = { range: { min: 1, max: 2 } };
+            const g = s.guard(value);
+            const err = error(() => g.range.min = 3);
+            expect(err.errors[0].constraint).to.equal('validator');
+            expect(err.path).to.deep.equal([]);
+            expect(value.range.min).to.equal(1);
+            g.range.max = 5;
+            g.range.min = 3;
+            expect(value.range).to.deep.equal({ min: 3, max: 5 });
+        });
+
+        it('reuses the proxy for a nested value', () => {
+            expect(guarded.owner).to.equal(guarded.owner);
+            expect(guarded.owner).not.to.equal(value.owner);
+        });
+
+        it('proxies a replaced nested value', () => {
+            guarded.owner = { age: 3 };
+            expect(() => guarded.owner.age = -1).to.throw(/owner.age/);
+        });
+
+        it('does not proxy values of other schema types', () => {
+            expect(guarded.value).to.equal(value.value);
+        });
+
+    });
+
+    describe('arrays', () => {
+
+        it('checks pushed items', () => {
+            const err = error(() => guarded.tags.push(''));
+            expect(err.path).to.deep.equal(['tags']);
+            expect(err.errors[0].path).to.deep.equal(['tags', 1]);
+            expect(value.tags).to.deep.equal(['x']);
+        });
+
+        it('checks constraints across items', () => {
+            expect(() => guarded.tags.push('x')).to.throw(/All items must be unique/);
+            expect(() => guarded.tags.push('a', 'b', 'c')).to.throw(/Must contain at most 3 items/);
+            expect(value.tags).to.deep.equal(['x']);
+        });
+
+        it('checks set items', () => {
+            const err = error(() => guarded.tags[0] = 1);
+            expect(err.message).to.equal('Invalid change to property tags.0: Invalid value. Expected a string. Received: 1');
+            expect(err.path).to.deep.equal(['tags', 0]);
+            expect(value.tags).to.deep.equal(['x']);
+        });
+
+        it('checks the length', () => {
+            const list = Schema({ type: Array, minItems: 1 }).guard([1, 2]);
+            list.length = 1;
+            expect(() => list.length = 0).to.throw(/Must contain at least 1 items/);
+            expect(() => list.pop()).to.throw(/Must contain at least 1 items/);
+            expect(list).to.deep.equal([1]);
+        });
+
+        it('splices', () => {
+            guarded.tags.push('y', 'z');
+            expect(guarded.tags.splice(0, 1, 'w')).to.deep.equal(['x']);
+            expect(() => guarded.tags.splice(0, 1, 'y')).to.throw(/All items must be unique/);
+            expect(value.tags).to.deep.equal(['w', 'y', 'z']);
+        });
+
+        it('returns the proxy from methods that return the array', () => {
+            guarded.tags.push('a');
+            const tags = guarded.tags;
+            expect(tags.sort()).to.equal(tags);
+            expect(value.tags).to.deep.equal(['a', 'x']);
+        });
+
+        it('checks shifted items', () => {
+            const list = Schema({ type: Array, uniqueItems: true }).guard([1, 2, 3]);
+            expect(list.shift()).to.equal(1);
+            expect(() => list.unshift(2)).to.throw(/All items must be unique/);
+            expect(list).to.deep.equal([2, 3]);
+        });
+
+    });
+
+});
\ No newline at end of file
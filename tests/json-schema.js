@@ -0,0 +1,303 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('JSON Schema', () => {
+
+    describe('fromJSONSchema', () => {
+
+        describe('object', () => {
+            let schema;
+
+            before(() => {
+                schema = Schema.fromJSONSchema({
+                    $schema: 'http://json-schema.org/draft-07/schema#',
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: { type: 'integer', minimum: 1 },
+                        name: { type: 'string', maxLength: 5, pattern: '^[A-Z]' },
+                        kind: { enum: ['a', 'b'], default: 'a' },
+                        parent: { type: ['object', 'null'] }
+                    }
+                });
+            });
+
+            it('requires properties', () => {
+                expect(schema.errors({})[0].code).to.equal('ETREQ');
+            });
+
+            it('maps integer', () => {
+                expect(schema.errors({ id: 1.5 })[0].code).to.equal('ETINT');
+            });
+
+            it('maps minimum', () => {
+                expect(schema.errors({ id: 0 })[0].constraint).to.equal('min');
+            });
+
+            it('maps string constraints', () => {
+                expect(schema.errors({ id: 1, name: 'Abcdef' })[0].constraint).to.equal('maxLength');
+                expect(schema.errors({ id: 1, name: 'abc' })[0].constraint).to.equal('pattern');
+            });
+
+            it('maps enum and default', () => {
+                expect(schema.error({ id: 1, kind: 'c' })).to.match(/Expected one of/);
+                expect(schema.normalize({ id: 1 })).to.deep.equal({ id: 1, kind: 'a' });
+            });
+
+            it('maps nullable object', () => {
+                expect(schema.error({ id: 1, parent: null })).to.equal(null);
+                expect(schema.error(null)).to.match(/cannot be null/);
+            });
+
+        });
+
+        it('maps exclusive numbers', () => {
+            const schema = Schema.fromJSONSchema({ type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 10 });
+            expect(schema.error(0)).to.match(/greater than 0/);
+            expect(schema.error(10)).to.match(/less than 10/);
+            expect(schema.error(5)).to.equal(null);
+        });
+
+        it('maps array items', () => {
+            const schema = Schema.fromJSONSchema({ type: 'array', items: { type: 'string' }, maxItems: 2, uniqueItems: true });
+            expect(schema.errors([1])[0].path).to.deep.equal([0]);
+            expect(schema.errors(['a', 'a'])[0].code).to.equal('ETUNQ');
+            expect(schema.errors(['a', 'b', 'c'])[0].code).to.equal('ETMAX');
+        });
+
+        it('maps uniqueItems to equal objects and arrays', () => {
+            const schema = Schema.fromJSONSchema({ type: 'array', uniqueItems: true });
+            expect(schema.error([{ a: 1 }, { a: 2 }, [1], 1])).to.equal(null);
+            expect(schema.error([{ a: 1, b: [2] }, { b: [2], a: 1 }])).to.match(/Duplicates found at indexes: \[ 0,1 \]/);
+            expect(schema.error([[1], 2, [1]])).to.match(/Duplicates found at indexes: \[ 0,2 \]/);
+            expect(schema.errors([1, 1])[0].code).to.equal('ETUNQ');
+            expect(schema.toJSONSchema()).to.deep.equal({ $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'array', uniqueItems: true });
+        });
+
+        it('maps oneOf', () => {
+            const schema = Schema.fromJSONSchema({ oneOf: [{ type: 'string' }, { type: 'number' }] });
+            expect(schema.error('a')).to.equal(null);
+            expect(schema.errors(true)[0].code).to.equal('ETMUL');
+        });
+
+        it('maps oneOf to exactly one passing schema', () => {
+            const schema = Schema.fromJSONSchema({ oneOf: [{ type: 'number' }, { type: 'integer' }] });
+            expect(schema.error(1.5)).to.equal(null);
+            expect(schema.errors(1)[0].constraint).to.equal('validator');
+            expect(schema.toJSONSchema().oneOf).to.deep.equal([{ type: 'number' }, { type: 'integer' }]);
+
+            const any = Schema.fromJSONSchema({ anyOf: [{ type: 'number' }, { type: 'integer' }] });
+            expect(any.error(1)).to.equal(null);
+        });
+
+        it('maps unicode patterns', () => {
+            const schema = Schema.fromJSONSchema({ type: 'string', pattern: '^\\p{L}+$' });
+            expect(schema.error('héllo')).to.equal(null);
+            expect(schema.error('h3llo')).to.not.equal(null);
+            expect(schema.toJSONSchema()).to.not.have.property('x-pattern-flags');
+            expect(Schema.fromJSONSchema({ type: 'string', pattern: '^\\_$' }).error('_')).to.equal(null);
+        });
+
+        it('maps allOf', () => {
+            const schema = Schema.fromJSONSchema({ type: 'object', required: ['a'], allOf: [{ properties: { b: { type: 'number' } } }] });
+            expect(schema.type).to.equal('all-of');
+            expect(schema.errors({})[0].code).to.equal('ETREQ');
+            expect(schema.errors({ a: 1, b: 'x' })[0].path).to.deep.equal(['b']);
+        });
+
+        it('maps not', () => {
+            const schema = Schema.fromJSONSchema({ type: 'string', not: { enum: ['if', 'else'] } });
+            expect(schema.error('then')).to.equal(null);
+            expect(schema.errors('if')[0].code).to.equal('ETNOT');
+            expect(schema.errors(1)[0].code).to.equal('ETTYP');
+        });
+
+        it('maps strict boolean', () => {
+            const schema = Schema.fromJSONSchema({ type: 'boolean' });
+            expect(schema.error(1)).to.match(/Expected a boolean/);
+        });
+
+        it('forbids additional properties', () => {
+            const schema = Schema.fromJSONSchema({ type: 'object', properties: { a: {} }, additionalProperties: false });
+            expect(schema.error({ a: 1 })).to.equal(null);
+            expect(schema.error({ a: 1, b: 2 })).to.match(/Unexpected property: b/);
+        });
+
+        it('resolves local references', () => {
+            const schema = Schema.fromJSONSchema({
+                type: 'array',
+                items: { $ref: '#/$defs/tag' },
+                $defs: { tag: { type: 'string', maxLength: 3 } }
+            });
+            expect(schema.error(['abc'])).to.equal(null);
+            expect(schema.error(['abcd'])).to.match(/Must contain at most 3/);
+        });
+
+        it('maps recursive definitions', () => {
+            const schema = Schema.fromJSONSchema({
+                $ref: '#/definitions/node',
+                definitions: {
+                    node: { type: 'object', properties: { value: { type: 'number' }, next: { $ref: '#/definitions/node' } } }
+                }
+            });
+            expect(schema.error({ value: 1, next: { value: 2, next: { value: 3 } } })).to.equal(null);
+            expect(schema.errors({ value: 1, next: { value: 2, next: { value: 'x' } } })[0].path).to.deep.equal(['next', 'next', 'value']);
+        });
+
+        describe('unsupported keywords', () => {
+
+            it('throws a config error', () => {
+                try {
+                    Schema.fromJSONSchema({ type: 'object', properties: { email: { type: 'string', format: 'email' } } });
+                    throw Error('Should not get here');
+                } catch (err) {
+                    expect(err.code).to.equal('ETCFG');
+                    expect(err.message).to.match(/format at #\/properties\/email/);
+                    expect(err.unsupported).to.deep.equal([{ keyword: 'format', path: '#/properties/email', message: 'Keyword is not supported.' }]);
+                }
+            });
+
+            it('reports recursive and remote references', () => {
+                const doc = { type: 'object', properties: { self: { $ref: '#' }, remote: { $ref: 'http://example.com/a.json' } } };
+                expect(() => Schema.fromJSONSchema(doc)).to.throw(/Recursive references are not supported/);
+                expect(() => Schema.fromJSONSchema(doc)).to.throw(/Only local references/);
+            });
+
+            it('can be ignored', () => {
+                let unsupported;
+                const schema = Schema.fromJSONSchema({ type: 'string', format: 'email' }, {
+                    strict: false,
+                    onUnsupported: items => unsupported = items
+                });
+                expect(schema.error('a')).to.equal(null);
+                expect(unsupported[0].keyword).to.equal('format');
+            });
+
+        });
+
+    });
+
+    describe('#toJSONSchema', () => {
+
+        it('describes an object', () => {
+            const schema = Schema({
+                type: Object,
+                allowNull: false,
+                properties: {
+                    id: { type: Number, integer: true, min: 1, required: true },
+                    name: { type: String, maxLength: 10, pattern: /^[A-Z]/ },
+                    tags: { type: Array, uniqueItems: true, schema: { type: String, enum: ['a', 'b'] } }
+                }
+            });
+            expect(schema.toJSONSchema()).to.deep.equal({
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    name: { type: 'string', maxLength: 10, pattern: '^[A-Z]' },
+                    tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] }, uniqueItems: true }
+                },
+                required: ['id']
+            });
+        });
+
+        it('describes nullable objects', () => {
+            expect(Schema({ type: Object }).toJSONSchema().type).to.deep.equal(['object', 'null']);
+        });
+
+        it('describes exclusive numbers', () => {
+            const doc = Schema({ type: Number, min: 0, exclusiveMin: true, max: 1 }).toJSONSchema();
+            expect(doc.exclusiveMinimum).to.equal(0);
+            expect(doc.maximum).to.equal(1);
+        });
+
+        it('describes one-of as anyOf', () => {
+            const doc = Schema({ type: 'one-of', oneOf: [{ type: Number }, { type: Boolean, strict: true }] }).toJSONSchema();
+            expect(doc.anyOf).to.deep.equal([{ type: 'number' }, { type: 'boolean' }]);
+        });
+
+        it('describes all-of as allOf', () => {
+            const doc = Schema({ type: 'all-of', allOf: [{ type: Number, min: 0 }, { type: Number, integer: true }] }).toJSONSchema();
+            expect(doc.allOf).to.deep.equal([{ type: 'number', minimum: 0 }, { type: 'integer' }]);
+        });
+
+        it('describes not', () => {
+            const doc = Schema({ type: 'not', not: { type: String } }).toJSONSchema();
+            expect(doc.not).to.deep.equal({ type: 'string' });
+        });
+
+        it('describes dates and defaults as JSON values', () => {
+            const doc = Schema({ type: Date, max: '2017-01-01T00:00:00.000Z', default: new Date(0) }).toJSONSchema();
+            expect(doc['x-maximum-date']).to.equal('2017-01-01T00:00:00.000Z');
+            expect(doc.default).to.equal('1970-01-01T00:00:00.000Z');
+        });
+
+        it('annotates and reports functions', () => {
+            let unsupported;
+            const doc = Schema({ type: Object, properties: { fn: { type: Function, validator: function isOk() { return true; } } } })
+                .toJSONSchema({ onUnsupported: items => unsupported = items });
+            expect(doc.properties.fn).to.deep.equal({ 'x-type': 'function', 'x-validator': 'isOk' });
+            expect(unsupported.map(item => item.keyword)).to.deep.equal(['x-type', 'x-validator']);
+            expect(unsupported[0].path).to.equal('#/properties/fn');
+        });
+
+        it('describes definitions', () => {
+            const schema = Schema({
+                definitions: { node: { type: Object, allowNull: false, properties: { next: { $ref: 'node' } } } },
+                $ref: 'node'
+            });
+            expect(schema.toJSONSchema()).to.deep.equal({
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                $ref: '#/$defs/node',
+                $defs: {
+                    node: { type: 'object', properties: { next: { $ref: '#/$defs/node' } } }
+                }
+            });
+        });
+
+        it('can be imported', () => {
+            const doc = Schema({ type: Object, allowNull: false, properties: { a: { type: Number, min: 0, required: true } } }).toJSONSchema();
+            const schema = Schema.fromJSONSchema(doc);
+            expect(schema.error({ a: 1 })).to.equal(null);
+            expect(schema.errors({ a: -1 })[0].constraint).to.equal('min');
+        });
+
+        it('can be imported with its custom keywords', () => {
+            const doc = Schema({
+                type: Object,
+                allowNull: false,
+                properties: {
+                    code: { type: String, pattern: /^[a-z]+$/i },
+                    at: { type: Date, min: '2017-01-01T00:00:00.000Z' },
+                    fn: { type: Function, validator: function isOk() { return true; } }
+                }
+            }).toJSONSchema();
+            const schema = Schema.fromJSONSchema(doc);
+            expect(schema.properties.code.pattern.flags).to.contain('i');
+            expect(schema.properties.at.type).to.equal('date');
+            expect(schema.error({ code: 'ABC', at: new Date('2018-01-01'), fn: () => {} })).to.equal(null);
+            expect(schema.errors({ at: new Date(0) })[0].constraint).to.equal('min');
+            expect(schema.errors({ fn: 1 })[0].code).to.equal('ETTYP');
+            expect(() => Schema.fromJSONSchema({ 'x-type': 'money' })).to.throw(/x-type at #: Unknown type: money/);
+        });
+
+    });
+
+});
\ No newline at end of file
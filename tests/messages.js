@@ -0,0 +1,215 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('messages', () => {
+
+    before(() => {
+        Schema.messages.register('es', {
+            'errors.index': 'En el índice {index}: ',
+            'errors.items': params => (params.count === 1 ? 'Un error' : 'Varios errores') + ' con los elementos del arreglo:',
+            'number.max': 'Número no válido. Debe ser menor o igual a {max}. Recibido: {value}',
+            'number.type': 'Se esperaba un número.',
+            'object.required': 'Falta el valor requerido para la propiedad: {property}',
+            'value': 'Valor no válido. {expected} Recibido: {value}'
+        });
+        Schema.messages.register('es-MX', {
+            'number.type': 'Se esperaba un número (MX).'
+        });
+    });
+
+    describe('#format', () => {
+
+        it('defaults to english', () => {
+            expect(Schema.messages.format('number.integer', { value: 1.5 })).to.equal('Invalid number. Must be an integer. Received: 1.5');
+        });
+
+        it('uses the locale', () => {
+            expect(Schema.messages.format('number.type', {}, 'es')).to.equal('Se esperaba un número.');
+        });
+
+        it('falls back to the language', () => {
+            expect(Schema.messages.format('number.max', { max: 1, value: 2 }, 'es-MX')).to.equal('Número no válido. Debe ser menor o igual a 1. Recibido: 2');
+            expect(Schema.messages.format('number.type', {}, 'es-MX')).to.equal('Se esperaba un número (MX).');
+        });
+
+        it('falls back to english', () => {
+            expect(Schema.messages.format('object.null', {}, 'es')).to.equal('Object cannot be null.');
+            expect(Schema.messages.format('object.null', {}, 'fr')).to.equal('Object cannot be null.');
+        });
+
+        it('calls function messages with the placeholder values', () => {
+            expect(Schema.messages.format('errors.items', { count: 2 }, 'es')).to.equal('Varios errores con los elementos del arreglo:');
+        });
+
+        it('leaves unknown placeholders', () => {
+            Schema.messages.register('test', { 'test.placeholder': 'A {known} and {unknown}' });
+            expect(Schema.messages.format('test.placeholder', { known: 1 }, 'test')).to.equal('A 1 and {unknown}');
+        });
+
+        it('returns the key for an unknown key', () => {
+            expect(Schema.messages.format('not.a.key')).to.equal('not.a.key');
+        });
+
+    });
+
+    describe('#register', () => {
+
+        it('requires a locale', () => {
+            expect(() => Schema.messages.register('', {})).to.throw(Error);
+        });
+
+        it('requires a messages object', () => {
+            expect(() => Schema.messages.register('xx', 'abc')).to.throw(Error);
+        });
+
+        it('requires string or function messages', () => {
+            expect(() => Schema.messages.register('xx', { 'number.type': 1 })).to.throw(Error);
+            expect(Schema.messages.has('xx')).to.equal(false);
+        });
+
+        it('merges messages', () => {
+            Schema.messages.register('yy', { 'number.type': 'a' });
+            Schema.messages.register('yy', { 'string.type': 'b' });
+            expect(Schema.messages.get('yy')).to.deep.equal({ 'number.type': 'a', 'string.type': 'b' });
+            expect(Schema.messages.list()).to.include('yy');
+        });
+
+        it('replaces messages that were already formatted', () => {
+            expect(Schema.messages.format('number.type', {}, 'ww-XX')).to.equal('Expected a number.');
+            Schema.messages.register('ww', { 'number.type': 'Want {a}{a} {b}.' });
+            expect(Schema.messages.format('number.type', { a: 1, b: 2 }, 'ww-XX')).to.equal('Want 11 2.');
+        });
+
+        it('english includes the built in messages', () => {
+            expect(Schema.messages.get('en')['number.type']).to.equal('Expected a number.');
+            expect(Schema.messages.get('zz')).to.equal(null);
+        });
+
+    });
+
+    describe('#locale', () => {
+
+        it('defaults to english', () => {
+            expect(Schema.create().messages.locale).to.equal('en');
+        });
+
+        it('requires a locale', () => {
+            expect(() => Schema.create().messages.locale = '').to.throw(/The locale must be a non-empty string/);
+        });
+
+        it('is used when no locale is given', () => {
+            const Typed = Schema.create();
+            Typed.messages.register('es', { 'number.type': 'Se esperaba un número.' });
+            Typed.messages.locale = 'es';
+            expect(Typed({ type: Number }).error('a')).to.equal('Invalid value. Se esperaba un número. Received: "a"');
+            expect(Typed({ type: Number }).error('a', '', { locale: 'en' })).to.equal('Invalid value. Expected a number. Received: "a"');
+        });
+
+        it('is used for configuration errors', () => {
+            const Typed = Schema.create();
+            Typed.messages.register('es', {
+                'config.number': 'Debe ser un número.',
+                'config.property': 'Valor de configuración no válido para la propiedad: {property}. {expected} Recibido: {value}'
+            });
+            Typed.messages.locale = 'es';
+            expect(() => Typed({ type: Number, min: 'a' })).to.throw('Valor de configuración no válido para la propiedad: min. Debe ser un número. Recibido: "a"');
+            expect(() => Schema({ type: Number, min: 'a' })).to.throw('Invalid configuration value for property: min. Must be a number. Received: "a"');
+        });
+
+        it('is used for every configuration error', () => {
+            const Typed = Schema.create();
+            Typed.messages.register('xx', {
+                'config.dateRange': 'date range',
+                'config.definition': 'no {name}',
+                'config.missing': 'missing {type} {property}',
+                'config.property': '{property}: {expected}',
+                'config.referenceCycle': 'cycle {chain}',
+                'config.requiredDefault': 'required default {property}',
+                'config.schemaArray': 'schemas',
+                'config.suggestion': 'maybe {key}',
+                'config.type': 'type {type}',
+                'config.unknownProperty': 'unknown {property}.'
+            });
+            Typed.messages.locale = 'xx';
+            expect(() => Typed({ type: 'one-of' })).to.throw(/^missing one-of oneOf$/);
+            expect(() => Typed({ type: 'all-of', allOf: 1 })).to.throw(/^allOf: schemas$/);
+            expect(() => Typed({ type: Date, min: '2020-01-01', max: '2000-01-01' })).to.throw(/^date range$/);
+            expect(() => Typed({ $ref: 'a' })).to.throw(/^\$ref: no a$/);
+            expect(() => Typed({ definitions: { a: { $ref: 'a' } } })).to.throw(/^cycle a -> a$/);
+            expect(() => Typed({ type: Object, properties: { a: { required: true, default: 1 } } })).to.throw(/^required default a$/);
+            expect(() => Typed({ type: 'abc' })).to.throw(/^type abc$/);
+            expect(() => Typed({ type: String, minLenght: 1 })).to.throw(/^unknown minLenght. maybe minLength$/);
+        });
+
+    });
+
+    describe('locale option', () => {
+        const schema = Schema({
+            type: Object,
+            properties: {
+                id: { type: Number, required: true },
+                values: { type: Array, schema: { type: Number, max: 10 } }
+            }
+        });
+
+        it('errors', () => {
+            const errors = schema.errors({ id: 'a' }, { locale: 'es' });
+            expect(errors[0].message).to.equal('Valor no válido. Se esperaba un número. Recibido: "a"');
+        });
+
+        it('error', () => {
+            expect(schema.error({ values: [ 20 ] }, '', { locale: 'es' })).to.equal(
+                'Multiple errors with properties in the object:\n' +
+                '  Falta el valor requerido para la propiedad: id\n' +
+                '  Un error con los elementos del arreglo:\n' +
+                '  En el índice 0: Número no válido. Debe ser menor o igual a 10. Recibido: 20');
+        });
+
+        it('validate', () => {
+            expect(() => schema.validate({ id: 'a' }, '', { locale: 'es' })).to.throw(/Se esperaba un número/);
+        });
+
+        it('normalize', () => {
+            expect(() => schema.normalize({ id: 'a' }, { locale: 'es' })).to.throw(/Se esperaba un número/);
+        });
+
+        it('normalize coerced', () => {
+            Schema.messages.register('es', { 'coerced': '{message} (convertido de {value})' });
+            expect(() => schema.normalize({ id: 1, values: [ '20' ] }, { coerce: true, locale: 'es' })).to.throw(/Recibido: 20 \(convertido de "20"\)/);
+        });
+
+        it('compile', () => {
+            const compiled = schema.compile({ locale: 'es' });
+            const value = { values: [ 20, 'a' ] };
+            expect(compiled.errors(value)).to.deep.equal(schema.errors(value, { locale: 'es' }));
+            expect(compiled.error(value)).to.equal(schema.error(value, '', { locale: 'es' }));
+            expect(() => compiled.validate(value)).to.throw(/Falta el valor requerido/);
+        });
+
+        it('compile uses messages registered after compiling', () => {
+            const compiled = Schema({ type: Number, integer: true }).compile({ locale: 'fr' });
+            expect(compiled.error(1.5)).to.equal('Invalid number. Must be an integer. Received: 1.5');
+            Schema.messages.register('fr', { 'number.integer': 'Nombre non valide. Doit être un entier. Reçu : {value}' });
+            expect(compiled.error(1.5)).to.equal('Nombre non valide. Doit être un entier. Reçu : 1.5');
+        });
+
+    });
+
+});
\ No newline at end of file
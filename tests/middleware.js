@@ -0,0 +1,235 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const http              = require('http');
+const Schema            = require('../index');
+
+describe('middleware', () => {
+    let handler;
+    let server;
+
+    before(done => {
+        server = http.createServer((req, res) => handler(req, res));
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    after(done => {
+        server.close(done);
+    });
+
+    // run the middleware for each request and respond with the normalized values
+    function use(options, route) {
+        const middleware = Schema.middleware(options);
+        handler = function(req, res) {
+            middleware(req, res, function(err) {
+                if (err) {
+                    res.statusCode = 500;
+                    return res.end(err.message);
+                }
+                if (route) return route(req, res);
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(req.normalized));
+            });
+        };
+    }
+
+    it('normalizes the body', () => {
+        use({ body: { type: Object, properties: { name: { type: String, required: true }, age: { type: Number, default: 0 } } } });
+        return request('POST', '/', JSON.stringify({ name: 'Bob' }))
+            .then(res => {
+                expect(res.status).to.equal(200);
+                expect(res.body).to.deep.equal({ body: { name: 'Bob', age: 0 } });
+            });
+    });
+
+    it('coerces the query', () => {
+        use({ query: { type: Object, properties: { page: { type: Number, integer: true }, tags: { type: Array, schema: { type: String } } } } });
+        return request('GET', '/?page=2&tags=a')
+            .then(res => {
+                expect(res.status).to.equal(200);
+                expect(res.body).to.deep.equal({ query: { page: 2, tags: ['a'] } });
+            });
+    });
+
+    it('coerces the headers', () => {
+        use({ headers: { type: Object, properties: { 'x-count': { type: Number, required: true } } } });
+        return request('GET', '/', undefined, { 'x-count': '3' })
+            .then(res => expect(res.body.headers['x-count']).to.equal(3));
+    });
+
+    it('uses route parameters set by a router', () => {
+        const middleware = Schema.middleware({ params: { type: Object, properties: { id: { type: Number } } } });
+        handler = function(req, res) {
+            req.params = { id: '12' };
+            middleware(req, res, () => res.end(JSON.stringify(req.normalized.params)));
+        };
+        return request('GET', '/').then(res => expect(res.body).to.deep.equal({ id: 12 }));
+    });
+
+    it('uses a body that was already parsed', () => {
+        const middleware = Schema.middleware({ body: { type: Array, schema: { type: Number } } });
+        handler = function(req, res) {
+            req.body = [1, 2];
+            middleware(req, res, () => res.end(JSON.stringify(req.normalized.body)));
+        };
+        return request('POST', '/', 'not json').then(res => expect(res.body).to.deep.equal([1, 2]));
+    });
+
+    it('accepts schemas', () => {
+        use({ query: Schema({ type: Object, properties: { q: { type: String, minLength: 2 } } }) });
+        return request('GET', '/?q=a').then(res => expect(res.status).to.equal(400));
+    });
+
+    it('responds with a 400 status code and the errors of each part', () => {
+        use({
+            body: { type: Object, properties: { name: { type: String, required: true } } },
+            query: { type: Object, properties: { page: { type: Number, min: 1 } } }
+        });
+        return request('POST', '/?page=0', JSON.stringify({}))
+            .then(res => {
+                expect(res.status).to.equal(400);
+                expect(res.headers['content-type']).to.equal('application/json');
+                expect(res.body.message).to.equal('The request is invalid.');
+                expect(res.body.errors.map(e => e.in)).to.deep.equal(['body', 'query']);
+                expect(res.body.errors[0]).to.deep.equal({
+                    in: 'body',
+                    path: ['name'],
+                    code: 'ETREQ',
+                    constraint: 'required',
+                    message: 'Missing required value for property: name'
+                });
+                expect(res.body.errors[1].path).to.deep.equal(['page']);
+                expect(res.body.errors[1].constraint).to.equal('min');
+            });
+    });
+
+    it('responds with a 400 status code for invalid JSON', () => {
+        use({ body: { type: Object } });
+        return request('POST', '/', '{ a')
+            .then(res => {
+                expect(res.status).to.equal(400);
+                expect(res.body.message).to.match(/not valid JSON/);
+            });
+    });
+
+    it('responds with a 413 status code for a body that is too large', () => {
+        use({ body: { type: String }, limit: 5 });
+        return request('POST', '/', JSON.stringify('abcdefghij'))
+            .then(res => expect(res.status).to.equal(413));
+    });
+
+    it('passes other errors to next', () => {
+        use({ body: { type: Object, transform: () => { throw Error('Oops'); } } });
+        return request('POST', '/', '{}')
+            .then(res => {
+                expect(res.status).to.equal(500);
+                expect(res.text).to.equal('Oops');
+            });
+    });
+
+    it('uses the locale', () => {
+        const Typed = Schema.create();
+        Typed.messages.register('es', { 'number.type': 'Se esperaba un número.' });
+        const middleware = Typed.middleware({ query: { type: Object, properties: { a: { type: Number } } }, locale: 'es' });
+        handler = (req, res) => middleware(req, res, () => res.end());
+        return request('GET', '/?a=x').then(res => expect(res.body.errors[0].message).to.match(/Se esperaba un número/));
+    });
+
+    it('validates the configuration', () => {
+        expect(() => Schema.middleware({ limit: -1 })).to.throw(/limit/);
+        expect(() => Schema.middleware({ onResponseError: 1 })).to.throw(/onResponseError/);
+        expect(() => Schema.middleware({ body: { type: 'abc' } })).to.throw(/Unknown type/);
+    });
+
+    describe('response', () => {
+        const response = { type: Object, properties: { id: { type: Number, required: true } } };
+
+        it('sends a valid response', () => {
+            use({ response: response }, (req, res) => {
+                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.write('{"id":');
+                res.end('1}');
+            });
+            return request('GET', '/')
+                .then(res => {
+                    expect(res.status).to.equal(201);
+                    expect(res.body).to.deep.equal({ id: 1 });
+                });
+        });
+
+        it('replaces an invalid response', () => {
+            use({ response: response }, (req, res) => res.end(JSON.stringify({ id: 'a' })));
+            return request('GET', '/')
+                .then(res => {
+                    expect(res.status).to.equal(500);
+                    expect(res.body.message).to.equal('The response is invalid.');
+                    expect(res.body.errors[0].in).to.equal('response');
+                    expect(res.body.errors[0].path).to.deep.equal(['id']);
+                });
+        });
+
+        it('calls onResponseError', () => {
+            let error;
+            use({ response: response, onResponseError: err => error = err }, (req, res) => res.end('{}'));
+            return request('GET', '/')
+                .then(res => {
+                    expect(res.status).to.equal(200);
+                    expect(res.text).to.equal('{}');
+                    expect(error.errors[0].constraint).to.equal('required');
+                });
+        });
+
+        it('does not check the response to an invalid request', () => {
+            use({ body: { type: Object, properties: { name: { type: String, required: true } } }, response: response, limit: 20 });
+            return Promise.all([
+                request('POST', '/', '{}'),
+                request('POST', '/', '{ a'),
+                request('POST', '/', JSON.stringify({ name: 'abcdefghijklmnopqrstuvwxyz' }))
+            ])
+                .then(responses => {
+                    expect(responses.map(res => res.status)).to.deep.equal([400, 400, 413]);
+                    expect(responses[0].body.message).to.equal('The request is invalid.');
+                    expect(responses[0].body.errors[0].in).to.equal('body');
+                });
+        });
+
+    });
+
+    function request(method, path, body, headers) {
+        return new Promise((resolve, reject) => {
+            const address = server.address();
+            const req = http.request({ host: address.address, port: address.port, method: method, path: path, headers: headers || {} }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let json;
+                    try {
+                        json = JSON.parse(text);
+                    } catch (err) {
+                        json = undefined;
+                    }
+                    resolve({ status: res.statusCode, headers: res.headers, text: text, body: json });
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('not schemas', () => {
+
+    it('must have not property', () => {
+        expect(() => Schema({ type: 'not' })).to.throw(/Missing required not property/);
+    });
+
+    it('not property must be a schema configuration', () => {
+        expect(() => Schema({ type: 'not', not: 'foo' })).to.throw(/Must be a schema configuration/);
+    });
+
+    it('can use the Not symbol', () => {
+        expect(Schema({ type: Schema.Not, not: { type: String } }).error(1)).to.equal(null);
+    });
+
+    describe('reserved words', () => {
+        let schema;
+
+        before(() => schema = Schema({ type: 'not', not: { type: String, enum: ['if', 'else'] } }));
+
+        it('allows other strings', () => {
+            expect(schema.error('then')).to.equal(null);
+        });
+
+        it('allows other types', () => {
+            expect(schema.error(5)).to.equal(null);
+        });
+
+        it('describes the forbidden schema', () => {
+            expect(schema.error('if')).to.equal('Invalid value. Must not be a string that is one of: [if, else]. Received: "if"');
+        });
+
+        it('error object', () => {
+            const errors = schema.errors('else');
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ETNOT');
+            expect(errors[0].constraint).to.equal('not');
+            expect(errors[0].schemaType).to.equal('not');
+        });
+
+        it('async', () => {
+            return schema.errorsAsync('if')
+                .then(errors => expect(errors[0].code).to.equal('ETNOT'));
+        });
+
+    });
+
+    describe('descriptions', () => {
+
+        it('any value', () => {
+            expect(Schema({ type: 'not', not: {} }).description).to.equal('any value');
+        });
+
+        it('object properties', () => {
+            expect(Schema({ type: 'not', not: { type: Object, properties: { a: {}, b: {} } } }).description)
+                .to.equal('an object with the properties: a, b');
+        });
+
+        it('constraints', () => {
+            const schema = Schema({ type: 'not', not: { type: Number, min: 1, max: 5 } });
+            expect(schema.error(3)).to.equal('Invalid value. Must not be a number that is greater than or equal to 1 ' +
+                'and is less than or equal to 5. Received: 3');
+            expect(Schema({ type: 'not', not: { type: Number, integer: true, min: 0, exclusiveMin: true } }).description)
+                .to.equal('a number that is an integer and is greater than 0');
+            expect(Schema({ type: 'not', not: { type: String, minLength: 1, maxLength: 3 } }).description)
+                .to.equal('a string that has a length of at least 1 and has a length of at most 3');
+            expect(Schema({ type: 'not', not: { type: Array, maxItems: 0 } }).description)
+                .to.equal('an array that has at most 0 items');
+            expect(Schema({ type: 'not', not: { type: Date, min: '2017-01-01T00:00:00.000Z' } }).description)
+                .to.equal('a date that is on or after 2017-01-01T00:00:00.000Z');
+        });
+
+        it('one-of', () => {
+            expect(Schema({ type: 'not', not: { type: 'one-of', oneOf: [{ type: Number }, { type: String, pattern: /^x/ }] } }).description)
+                .to.equal('a number or a string that matches /^x/');
+        });
+
+    });
+
+    describe('in an object', () => {
+        let schema;
+
+        before(() => schema = Schema({
+            type: Object,
+            properties: {
+                name: { type: 'not', not: { type: String, enum: ['admin'] }, required: true }
+            }
+        }));
+
+        it('checks the property', () => {
+            expect(schema.errors({ name: 'admin' })[0].path).to.deep.equal(['name']);
+        });
+
+        it('requires the property', () => {
+            expect(schema.errors({})[0].code).to.equal('ETREQ');
+        });
+
+    });
+
+    describe('in a one-of', () => {
+        let schema;
+
+        before(() => schema = Schema({
+            type: 'one-of',
+            oneOf: [
+                { type: Number },
+                { type: 'not', not: { type: Object, properties: { legacy: { required: true } } } }
+            ]
+        }));
+
+        it('passes when not matched', () => {
+            expect(schema.error({ current: true })).to.equal(null);
+        });
+
+        it('fails when matched', () => {
+            const errors = schema.errors({ legacy: true });
+            expect(errors[0].code).to.equal('ETMUL');
+            expect(errors[0].branches[1][0].code).to.equal('ETNOT');
+        });
+
+    });
+
+});
\ No newline at end of file
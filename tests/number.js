@@ -90,6 +90,19 @@ describe('TypedNumber', () => {
             expect(ar.error(0)).to.match(/Must be greater than/);
         });
 
+        it('has constraint codes', () => {
+            const ar = Schema({ type: Number, integer: true, min: 1, max: 5 });
+            expect(ar.errors(1.5)[0].code).to.equal('ETINT');
+            expect(ar.errors(6)[0].code).to.equal('ETMAX');
+            expect(ar.errors(0)[0].code).to.equal('ETMIN');
+            expect(ar.errors(0)[0].expected).to.equal(1);
+        });
+
+        it('collects all errors', () => {
+            const ar = Schema({ type: Number, integer: true, max: 1 });
+            expect(ar.errors(2.5, { allErrors: true }).map(e => e.code)).to.deep.equal(['ETINT', 'ETMAX']);
+        });
+
     });
 
 });
\ No newline at end of file
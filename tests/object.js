@@ -102,6 +102,19 @@ describe('TypedObject', () => {
                 .to.throw(/Cannot make required and provide a default/);
         });
 
+        it('uses the property schema\'s message for a missing property', () => {
+            const o = Schema({
+                type: Object,
+                errorMessages: { required: 'object needs {path}' },
+                properties: {
+                    a: { type: String, required: true, errorMessages: { required: 'a is needed' } },
+                    b: { type: String, required: true }
+                }
+            });
+            expect(o.errors({}).map(e => e.message)).to.deep.equal(['a is needed', 'object needs b']);
+            expect(o.compile().errors({}).map(e => e.message)).to.deep.equal(['a is needed', 'object needs b']);
+        });
+
     });
 
     describe('general schema', () => {
@@ -132,6 +145,20 @@ describe('TypedObject', () => {
             expect(() => Schema(config)).to.not.throw(Error);
         });
 
+        it('rejects unknown options', () => {
+            expect(() => Schema({ type: Object, schema: { type: String, minLenght: 2 } }))
+                .to.throw(/Unknown configuration property: minLenght. Did you mean minLength\?/);
+            expect(() => Schema({ type: Object, schema: { type: 'one-of', oneOf: [{ type: String, minLenght: 2 }] } }))
+                .to.throw(/Unknown configuration property: minLenght/);
+            expect(() => Schema({ type: Object, schema: { type: String, min: 2 } })).to.throw(/Unknown configuration property: min/);
+        });
+
+        it('keeps options for the types of the properties it is merged into', () => {
+            const o = Schema({ type: Object, properties: { a: { type: Number } }, schema: { type: String, min: 2 } });
+            expect(o.properties.a.min).to.equal(2);
+            expect(o.schema).not.to.have.ownProperty('min');
+        });
+
         it('keeps extended schema properties', () => {
             const o = Schema({
                 type: 'object',
@@ -437,6 +464,82 @@ describe('TypedObject', () => {
 
     });
 
+    describe('#errors', () => {
+
+        it('has null code', () => {
+            const o = Schema({ type: Object, allowNull: false });
+            const errors = o.errors(null);
+            expect(errors[0].code).to.equal('ETNUL');
+        });
+
+        it('has required code and path', () => {
+            const o = Schema({ type: Object, properties: { x: { type: Number, required: true }} });
+            const errors = o.errors({});
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ETREQ');
+            expect(errors[0].path).to.deep.equal(['x']);
+            expect(errors[0].schemaType).to.equal('number');
+        });
+
+        it('reports each nested property', () => {
+            const o = Schema({
+                type: Object,
+                properties: {
+                    a: { type: Number },
+                    b: {
+                        type: Object,
+                        properties: {
+                            c: { type: String, minLength: 2 },
+                            d: { type: Array, schema: { type: Number } }
+                        }
+                    }
+                }
+            });
+            const errors = o.errors({ a: 'x', b: { c: 'y', d: [1, 'z'] } });
+            expect(errors.map(e => e.path)).to.deep.equal([['a'], ['b', 'c'], ['b', 'd', 1]]);
+            expect(errors.map(e => e.code)).to.deep.equal(['ETTYP', 'ETMIN', 'ETTYP']);
+        });
+
+        it('collects all errors for nested properties', () => {
+            const o = Schema({
+                type: Object,
+                allErrors: true,
+                properties: {
+                    a: { type: String, minLength: 2, pattern: /^x/ }
+                }
+            });
+            const errors = o.errors({ a: 'y' });
+            expect(errors.map(e => e.constraint)).to.deep.equal(['minLength', 'pattern']);
+        });
+
+        it('does not apply the options of a nested schema to its siblings', () => {
+            const o = Schema({
+                type: Object,
+                properties: {
+                    a: { type: String, allErrors: true, minLength: 2, pattern: /^x/, errorMessages: { pattern: 'bad a' } },
+                    b: { type: String, minLength: 2, pattern: /^x/ },
+                    c: { type: Array, schema: { type: Number } }
+                }
+            });
+            const options = { path: ['root'] };
+            const errors = o.errors({ a: 'y', b: 'y', c: [1, 'z'] }, options);
+            expect(errors.map(e => e.path)).to.deep.equal([['root', 'a'], ['root', 'a'], ['root', 'b'], ['root', 'c', 1]]);
+            expect(errors.map(e => e.constraint)).to.deep.equal(['minLength', 'pattern', 'minLength', 'type']);
+            expect(errors[1].message).to.equal('bad a');
+            expect(errors.map(e => e.schemaType)).to.deep.equal(['string', 'string', 'string', 'number']);
+            expect(options).to.deep.equal({ path: ['root'] });
+        });
+
+        it('builds error string from nested errors', () => {
+            const o = Schema({ type: Object, properties: { a: { type: Number }, b: { type: Object, properties: { c: { type: Number } } } } });
+            expect(o.error({ a: 'x', b: { c: 'y' } })).to.equal('Multiple errors with properties in the object:\n  ' +
+                'Invalid value. Expected a number. Received: "x"\n  ' +
+                'One error with property in the object:\n  ' +
+                'Invalid value. Expected a number. Received: "y"');
+        });
+
+    });
+
     describe('#normalize', () => {
 
         it('null', () => {
@@ -474,4 +577,63 @@ describe('TypedObject', () => {
 
     });
 
+    describe('#errorsAsync', () => {
+
+        it('validates properties concurrently', () => {
+            const order = [];
+            const delayed = (ms, name) => v => new Promise(resolve => setTimeout(() => {
+                order.push(name);
+                resolve(v !== 'taken');
+            }, ms));
+            const o = Schema({
+                type: Object,
+                properties: {
+                    a: { type: String, validator: delayed(20, 'a') },
+                    b: { type: String, validator: delayed(0, 'b') }
+                }
+            });
+            return o.errorsAsync({ a: 'taken', b: 'taken' })
+                .then(errors => {
+                    expect(order).to.deep.equal(['b', 'a']);
+                    expect(errors.map(e => e.path)).to.deep.equal([['a'], ['b']]);
+                });
+        });
+
+        it('checks required properties', () => {
+            const o = Schema({ type: Object, properties: { x: { required: true } } });
+            return o.errorsAsync({})
+                .then(errors => expect(errors[0].code).to.equal('ETREQ'));
+        });
+
+        it('checks type', () => {
+            const o = Schema({ type: Object });
+            return o.errorsAsync(5)
+                .then(errors => expect(errors[0].code).to.equal('ETTYP'));
+        });
+
+    });
+
+    describe('#normalizeAsync', () => {
+
+        it('normalizes properties', () => {
+            const o = Schema({
+                type: Object,
+                clean: true,
+                properties: {
+                    x: { default: 'foo', transform: v => Promise.resolve(v.toUpperCase()) },
+                    y: { type: Number }
+                }
+            });
+            return o.normalizeAsync({ y: 1, z: 2 })
+                .then(v => expect(v).to.deep.equal({ x: 'FOO', y: 1 }));
+        });
+
+        it('null', () => {
+            const o = Schema({ type: Object, allowNull: true });
+            return o.normalizeAsync(null)
+                .then(v => expect(v).to.be.null);
+        });
+
+    });
+
 });
\ No newline at end of file
@@ -66,6 +66,45 @@ describe('one of schemas', () => {
             expect(() => schema.normalize({})).to.throw(/All possible schemas have errors/);
         });
 
+        it('error object has branches', () => {
+            const errors = schema.errors(true);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ETMUL');
+            expect(errors[0].expected).to.deep.equal(['string', 'number']);
+            expect(errors[0].branches.length).to.equal(2);
+            expect(errors[0].branches[0][0].code).to.equal('ETTYP');
+        });
+
+    });
+
+    describe('async', () => {
+        let schema;
+
+        before(() => schema = Schema({
+            type: 'one-of',
+            oneOf: [
+                {
+                    type: Number,
+                    validator: v => Promise.resolve(v > 10),
+                    transform: v => Promise.resolve('big')
+                },
+                {
+                    type: Number,
+                    transform: v => 'small'
+                }
+            ]
+        }));
+
+        it('uses first passing schema', () => {
+            return Promise.all([ schema.normalizeAsync(20), schema.normalizeAsync(5) ])
+                .then(values => expect(values).to.deep.equal(['big', 'small']));
+        });
+
+        it('rejects if all have errors', () => {
+            return schema.validateAsync('abc')
+                .then(() => { throw Error('Expected error'); }, err => expect(err.message).to.match(/All possible schemas have errors/));
+        });
+
     });
 
 });
\ No newline at end of file
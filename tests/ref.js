@@ -0,0 +1,149 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('ref schemas', () => {
+
+    const comment = {
+        definitions: {
+            comment: {
+                type: Object,
+                allowNull: false,
+                properties: {
+                    text: { type: String, required: true },
+                    replies: { type: Array, schema: { $ref: 'comment' }, default: [] }
+                }
+            }
+        },
+        $ref: 'comment'
+    };
+
+    it('must reference a definition', () => {
+        expect(() => Schema({ $ref: 'comment' })).to.throw(/No definition found with the name: comment/);
+    });
+
+    it('must have a string reference', () => {
+        expect(() => Schema({ $ref: 5 })).to.throw(/Must be a non-empty string/);
+    });
+
+    it('definitions must be schema configurations', () => {
+        expect(() => Schema({ definitions: { a: 5 } })).to.throw(/Must be a plain object of schema configurations/);
+    });
+
+    it('definitions cannot only reference themselves', () => {
+        expect(() => Schema({ definitions: { a: { $ref: 'b' }, b: { $ref: 'a' } } })).to.throw(/a -> b -> a/);
+    });
+
+    it('defaults the type to ref', () => {
+        expect(Schema(comment).type).to.equal('ref');
+    });
+
+    it('accepts a JSON pointer to the definition', () => {
+        const schema = Schema({ definitions: { id: { type: Number } }, $ref: '#/definitions/id' });
+        expect(schema.ref).to.equal('id');
+        expect(schema.error('a')).to.match(/Expected a number/);
+    });
+
+    it('inner definitions hide outer definitions', () => {
+        const schema = Schema({
+            type: Object,
+            definitions: { id: { type: Number } },
+            properties: {
+                a: { $ref: 'id' },
+                b: { type: Object, definitions: { id: { type: String } }, properties: { c: { $ref: 'id' } } }
+            }
+        });
+        expect(schema.error({ a: 1, b: { c: 'x' } })).to.equal(null);
+        expect(schema.errors({ b: { c: 1 } })[0].path).to.deep.equal(['b', 'c']);
+    });
+
+    describe('recursive', () => {
+        let schema;
+
+        before(() => schema = Schema(comment));
+
+        it('checks nested values', () => {
+            const errors = schema.errors({ text: 'a', replies: [{ text: 'b', replies: [{ text: 1 }] }] });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].path).to.deep.equal(['replies', 0, 'replies', 0, 'text']);
+        });
+
+        it('no error', () => {
+            expect(schema.error({ text: 'a', replies: [{ text: 'b' }] })).to.equal(null);
+        });
+
+        it('normalizes nested values', () => {
+            expect(schema.normalize({ text: 'a', replies: [{ text: 'b' }] }))
+                .to.deep.equal({ text: 'a', replies: [{ text: 'b', replies: [] }] });
+        });
+
+        it('checks nested values async', () => {
+            return schema.errorsAsync({ text: 'a', replies: [{ text: 1 }] })
+                .then(errors => expect(errors[0].path).to.deep.equal(['replies', 0, 'text']));
+        });
+
+        it('normalizes nested values async', () => {
+            return schema.normalizeAsync({ text: 'a', replies: [{ text: 'b' }] })
+                .then(value => expect(value).to.deep.equal({ text: 'a', replies: [{ text: 'b', replies: [] }] }));
+        });
+
+        it('has a repeatable hash', () => {
+            expect(schema.hash()).to.equal(Schema(comment).hash());
+        });
+
+    });
+
+    describe('mutually recursive', () => {
+        let schema;
+
+        before(() => schema = Schema({
+            definitions: {
+                even: { type: Array, maxItems: 1, schema: { $ref: 'odd' } },
+                odd: { type: Array, minItems: 1, maxItems: 1, schema: { $ref: 'even' } }
+            },
+            $ref: 'even'
+        }));
+
+        it('no error', () => {
+            expect(schema.error([[[]]])).to.equal(null);
+        });
+
+        it('checks nested values', () => {
+            expect(schema.errors([[[[]]]])[0].path).to.deep.equal([0, 0, 0]);
+        });
+
+    });
+
+    describe('hash', () => {
+
+        it('differs by definition', () => {
+            const a = Schema({ definitions: { id: { type: Number } }, $ref: 'id' });
+            const b = Schema({ definitions: { id: { type: String } }, $ref: 'id' });
+            expect(a.hash()).not.to.equal(b.hash());
+        });
+
+        it('includes nested schemas', () => {
+            const a = Schema({ type: Object, properties: { a: { type: Number } } });
+            const b = Schema({ type: Object, properties: { a: { type: String } } });
+            expect(a.hash()).not.to.equal(b.hash());
+        });
+
+    });
+
+});
\ No newline at end of file
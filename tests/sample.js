@@ -0,0 +1,180 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('sample', () => {
+
+    function samples(config, count) {
+        const schema = Schema(config);
+        const values = [];
+        for (let seed = 0; seed < count; seed++) values.push(schema.sample({ seed: seed }));
+        return values;
+    }
+
+    function expectValid(config) {
+        const schema = Schema(config);
+        samples(config, 25).forEach(value => expect(schema.error(value)).to.equal(null));
+    }
+
+    describe('#sample', () => {
+
+        it('is repeatable with a seed', () => {
+            const schema = Schema({ type: Array, schema: { type: Number } });
+            expect(schema.sample({ seed: 'abc' })).to.deep.equal(schema.sample({ seed: 'abc' }));
+        });
+
+        it('differs by seed', () => {
+            const schema = Schema({ type: String, minLength: 10 });
+            expect(schema.sample({ seed: 1 })).not.to.equal(schema.sample({ seed: 2 }));
+        });
+
+        it('requires a number or string seed', () => {
+            expect(() => Schema().sample({ seed: {} })).to.throw(/The seed must be a number or a string/);
+        });
+
+        it('numbers', () => {
+            expectValid({ type: Number, min: 1, max: 5, exclusiveMax: true, integer: true });
+            expectValid({ type: Number, min: 0.5, max: 0.6, exclusiveMin: true });
+        });
+
+        it('impossible integers', () => {
+            expect(() => Schema({ type: Number, min: 0.1, max: 0.9, integer: true }).sample()).to.throw(/Unable to generate an integer/);
+        });
+
+        it('strings', () => {
+            expectValid({ type: String, minLength: 2, maxLength: 4 });
+        });
+
+        it('string patterns', () => {
+            expectValid({ type: String, pattern: /^[A-Z][a-z]{2,5}-\d{3}(x|yz)?$/ });
+            expectValid({ type: String, pattern: /^(?:[^@\s]+)@example\.(com|org)$/i });
+        });
+
+        it('unsupported patterns', () => {
+            expect(() => Schema({ type: String, pattern: /^(a)\1$/ }).sample()).to.throw(/Unsupported syntax/);
+        });
+
+        it('arrays', () => {
+            expectValid({ type: Array, minItems: 2, maxItems: 4, uniqueItems: true, schema: { type: Number, integer: true, min: 0, max: 5 } });
+            expectValid({ type: Array, minItems: 4, uniqueItems: true, schema: { type: Number, integer: true, min: 0, max: 3 } });
+            expectValid({ type: Array, minItems: 1, uniqueItems: true, schema: { enum: ['a', 'b'] } });
+        });
+
+        it('objects', () => {
+            const config = {
+                type: Object,
+                allowNull: false,
+                properties: { id: { type: Number, required: true }, name: { type: String }, role: { enum: ['a', 'b'] } }
+            };
+            expectValid(config);
+            const values = samples(config, 25);
+            expect(values.every(value => value.hasOwnProperty('id'))).to.equal(true);
+            expect(values.some(value => !value.hasOwnProperty('name'))).to.equal(true);
+        });
+
+        it('enum', () => {
+            samples({ enum: ['a', 2] }, 10).forEach(value => expect(['a', 2]).to.include(value));
+        });
+
+        it('one-of', () => {
+            const values = samples({ type: 'one-of', oneOf: [{ type: Boolean, strict: true }, { type: Symbol }] }, 25);
+            expect(values.some(value => typeof value === 'boolean')).to.equal(true);
+            expect(values.some(value => typeof value === 'symbol')).to.equal(true);
+        });
+
+        it('dates', () => {
+            expectValid({ type: Date, min: '2017-01-01', max: '2017-02-01' });
+        });
+
+        it('functions', () => {
+            expectValid({ type: Function, minArguments: 1, maxArguments: 2, named: true });
+        });
+
+        it('function kinds', () => {
+            expectValid({ type: Function, kind: ['arrow', 'async', 'async-generator', 'class', 'function', 'generator'], parameters: ['a', 'b'], maxArguments: 1 });
+            expectValid({ type: Function, kind: ['arrow', 'class'], constructable: true });
+            expectValid({ type: Function, constructable: false, parameters: ['arg0'], minArguments: 2 });
+        });
+
+        it('all-of and not', () => {
+            expectValid({ type: 'all-of', allOf: [{ type: Object, properties: { a: { type: Number, required: true } } }, { type: Object, properties: { b: { type: String, required: true } } }] });
+            expectValid({ type: 'not', not: { type: String } });
+        });
+
+        it('all-of with bounds from each schema', () => {
+            expectValid({ type: 'all-of', allOf: [{ type: Number, min: 1 }, { type: Number, max: 3 }] });
+            expectValid({ type: 'all-of', allOf: [{ type: Number, min: 1, integer: true }, { type: Number, min: 1, max: 5, exclusiveMin: true }] });
+            expectValid({ type: 'all-of', allOf: [{ type: String, minLength: 8 }, { type: String, maxLength: 9 }] });
+            expectValid({ type: 'all-of', allOf: [{ type: Array, minItems: 7 }, { type: Array, maxItems: 8, schema: { type: Number } }] });
+            expectValid({ type: 'all-of', allOf: [{ type: Number }, { enum: [1, 2] }] });
+        });
+
+        it('recursive schemas', () => {
+            expectValid({
+                definitions: { node: { type: Object, allowNull: false, properties: { children: { type: Array, schema: { $ref: 'node' } } } } },
+                $ref: 'node'
+            });
+        });
+
+        it('validators', () => {
+            expectValid({ type: Number, validator: value => value > 0 });
+        });
+
+        it('gives up on values that cannot pass', () => {
+            expect(() => Schema({ validator: () => false }).sample({ attempts: 5 })).to.throw(/after 5 attempts/);
+        });
+
+    });
+
+    describe('#shrink', () => {
+
+        it('requires a predicate', () => {
+            expect(() => Schema().shrink(1)).to.throw(/Expected a predicate function/);
+        });
+
+        it('requires a valid value', () => {
+            expect(() => Schema({ type: Number }).shrink('a', () => true)).to.throw(/Expected a number/);
+        });
+
+        it('shrinks numbers toward zero', () => {
+            expect(Schema({ type: Number }).shrink(300, value => value > 100)).to.equal(101);
+        });
+
+        it('shrinks numbers toward the minimum', () => {
+            expect(Schema({ type: Number, min: 5 }).shrink(300, () => true)).to.equal(5);
+        });
+
+        it('shrinks arrays', () => {
+            const schema = Schema({ type: Array, schema: { type: Number, integer: true } });
+            expect(schema.shrink([5, 300, -72, 14], value => value.some(x => x > 100))).to.deep.equal([101]);
+        });
+
+        it('keeps required properties', () => {
+            const schema = Schema({ type: Object, allowNull: false, properties: { id: { type: Number, required: true }, name: { type: String } } });
+            expect(schema.shrink({ id: 934.5, name: 'hello' }, () => true)).to.deep.equal({ id: 0 });
+        });
+
+        it('keeps strings valid', () => {
+            const schema = Schema({ type: String, pattern: /^[A-Z][a-z]{2,5}-\d{3}$/ });
+            expect(schema.shrink('Hello-987', value => value.indexOf('9') !== -1)).to.equal('Aaa-900');
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Schema            = require('../index');
+
+describe('serialize', () => {
+    const isEven = v => v % 2 === 0;
+    let json;
+    let schema;
+
+    before(() => {
+        const original = Schema({
+            type: Object,
+            properties: {
+                id: { type: Number, integer: true, required: true, validator: isEven },
+                name: { type: String, pattern: /^a/i, default: undefined },
+                created: { type: Date, min: new Date(0) },
+                value: { type: Schema.OneOf, oneOf: [{ type: Number, max: Infinity }, { type: Array, schema: { type: Boolean } }] },
+                meta: { default: { $type: 'custom' } },
+                key: { type: Symbol, enum: [Symbol.for('a')] }
+            }
+        });
+        json = Schema.serialize(original, { functions: { isEven: isEven } });
+        schema = Schema.deserialize(json, { functions: { isEven: isEven } });
+    });
+
+    it('produces a string', () => {
+        expect(JSON.parse(json).version).to.equal(1);
+    });
+
+    it('encodes types by alias', () => {
+        expect(JSON.parse(json).schema.properties.value.type).to.equal('one-of');
+        expect(schema.properties.value.oneOf[0].type).to.equal('number');
+    });
+
+    it('restores regular expressions', () => {
+        expect(schema.properties.name.pattern).to.deep.equal(/^a/i);
+    });
+
+    it('restores dates', () => {
+        expect(schema.properties.created.min.getTime()).to.equal(0);
+    });
+
+    it('restores undefined defaults', () => {
+        expect(schema.properties.name.hasDefault).to.equal(true);
+    });
+
+    it('restores non-finite numbers', () => {
+        expect(schema.properties.value.oneOf[0].max).to.equal(Infinity);
+    });
+
+    it('restores objects with $type property', () => {
+        expect(schema.properties.meta.default).to.deep.equal({ $type: 'custom' });
+    });
+
+    it('restores global symbols', () => {
+        expect(schema.properties.key.enum).to.deep.equal([Symbol.for('a')]);
+    });
+
+    it('restores functions by name', () => {
+        expect(schema.properties.id.validator).to.equal(isEven);
+        expect(schema.error({ id: 3 })).to.match(/Validator did not pass/);
+    });
+
+    it('is repeatable', () => {
+        expect(Schema.serialize(schema, { functions: { isEven: isEven } })).to.equal(json);
+    });
+
+    it('restores definitions', () => {
+        const schema = Schema({
+            definitions: { node: { type: Object, properties: { next: { $ref: 'node' } } } },
+            $ref: 'node'
+        });
+        const result = Schema.deserialize(Schema.serialize(schema));
+        expect(result.error({ next: { next: null } })).to.equal(null);
+        expect(result.error({ next: { next: 1 } })).to.match(/Expected an object/);
+    });
+
+    it('rejects unnamed functions', () => {
+        const schema = Schema({ type: String, transform: v => v.trim() });
+        expect(() => Schema.serialize(schema)).to.throw(/Unable to serialize function at schema.transform/);
+    });
+
+    it('rejects missing functions', () => {
+        expect(() => Schema.deserialize(json)).to.throw(/No function provided with the name: isEven/);
+    });
+
+    it('rejects local symbols', () => {
+        expect(() => Schema.serialize(Schema({ enum: [Symbol('a')] }))).to.throw(/Symbol.for/);
+    });
+
+    it('rejects invalid input', () => {
+        expect(() => Schema.deserialize({ schema: {} })).to.throw(/Expected a serialized schema/);
+    });
+
+});
\ No newline at end of file
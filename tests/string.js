@@ -16,6 +16,7 @@
  **/
 'use strict';
 const expect            = require('chai').expect;
+const Schema            = require('../index');
 const TypedString       = require('../bin/string');
 
 describe('TypedString', () => {
@@ -88,6 +89,11 @@ describe('TypedString', () => {
             expect(str.error(123)).to.match(/Expected a string/);
         });
 
+        it('describes symbol values', () => {
+            const str = Schema({ type: String });
+            expect(str.error(Symbol('a'))).to.equal('Invalid value. Expected a string. Received: Symbol(a)');
+        });
+
         it('checks max', () => {
             const str = new TypedString({ maxLength: 1 });
             expect(str.error('abc')).to.match(/Must contain at most/);
@@ -103,6 +109,19 @@ describe('TypedString', () => {
             expect(str.error('b')).to.match(/Does not match required pattern/);
         });
 
+        it('has constraint codes', () => {
+            const str = Schema({ type: String, minLength: 1, maxLength: 2, pattern: /^a/ });
+            expect(str.errors('')[0].constraint).to.equal('minLength');
+            expect(str.errors('abc')[0].constraint).to.equal('maxLength');
+            expect(str.errors('b')[0].code).to.equal('ETPAT');
+        });
+
+        it('collects all errors', () => {
+            const str = Schema({ type: String, minLength: 3, pattern: /^a/ });
+            expect(str.errors('b').length).to.equal(1);
+            expect(str.errors('b', { allErrors: true }).map(e => e.constraint)).to.deep.equal(['minLength', 'pattern']);
+        });
+
     });
 
 });
\ No newline at end of file
@@ -44,6 +44,92 @@ describe('Typed', () => {
         expect(schema.config).to.deep.equal(config);
     });
 
+    describe('errorMessages', () => {
+
+        it('must be a plain object', () => {
+            expect(() => Schema({ errorMessages: 'abc' })).to.throw(/Expected a plain object/);
+        });
+
+        it('messages must be strings or functions', () => {
+            expect(() => Schema({ errorMessages: { enum: 1 } })).to.throw(/errorMessages.enum/);
+        });
+
+        it('replaces built in messages with a template', () => {
+            const schema = Schema({
+                type: String,
+                pattern: /^\d{9}$/,
+                errorMessages: { pattern: 'Enter a 9 digit number. Received: {value}' }
+            });
+            const errors = schema.errors('123');
+            expect(errors[0].message).to.equal('Enter a 9 digit number. Received: 123');
+            expect(errors[0].code).to.equal('ETPAT');
+        });
+
+        it('replaces built in messages with a function', () => {
+            const schema = Schema({
+                type: Number,
+                integer: true,
+                errorMessages: { integer: p => p.constraint + ' ' + p.value + ' ' + JSON.stringify(p.path) }
+            });
+            expect(schema.errors(1.5, { path: ['a'] })[0].message).to.equal('integer 1.5 ["a"]');
+        });
+
+        it('template has expected and path placeholders', () => {
+            const schema = Schema({
+                type: Object,
+                properties: {
+                    name: { type: String, minLength: 2, errorMessages: { minLength: '{path} needs {expected} characters' } }
+                }
+            });
+            expect(schema.errors({ name: 'a' })[0].message).to.equal('name needs 2 characters');
+        });
+
+        it('only applies to constraints that are defined', () => {
+            const schema = Schema({ type: String, minLength: 2, errorMessages: { pattern: 'x' } });
+            expect(schema.error('a')).to.match(/Must contain at least 2 characters/);
+        });
+
+        it('works for enum and type', () => {
+            const schema = Schema({ enum: ['a'], errorMessages: { enum: 'Pick a' } });
+            expect(schema.error('b')).to.equal('Pick a');
+            expect(Schema({ type: String, errorMessages: { type: 'Text only' } }).error(1)).to.equal('Text only');
+        });
+
+        it('object required message', () => {
+            const schema = Schema({
+                type: Object,
+                errorMessages: { required: 'Please enter your {path}' },
+                properties: {
+                    name: { type: String, required: true }
+                }
+            });
+            expect(schema.errors({})[0].message).to.equal('Please enter your name');
+        });
+
+        it('does not apply to nested schemas', () => {
+            const schema = Schema({
+                type: Object,
+                errorMessages: { type: 'Expected a person' },
+                properties: {
+                    name: { type: String }
+                }
+            });
+            expect(schema.error(1)).to.equal('Expected a person');
+            expect(schema.error({ name: 1 })).to.match(/Expected a string/);
+        });
+
+        it('one-of message', () => {
+            const schema = Schema({ type: 'one-of', oneOf: [{ type: Number }, { type: String }], errorMessages: { oneOf: 'Number or string' } });
+            expect(schema.errors(true)[0].message).to.equal('Number or string');
+        });
+
+        it('async', () => {
+            const schema = Schema({ validator: v => Promise.resolve(false), errorMessages: { validator: 'Nope' } });
+            return schema.errorsAsync(1).then(errors => expect(errors[0].message).to.equal('Nope'));
+        });
+
+    });
+
     describe('enum', () => {
 
         it('cannot be a string', () => {
@@ -97,6 +183,55 @@ describe('Typed', () => {
 
     });
 
+    describe('unknown options', () => {
+
+        it('are rejected', () => {
+            expect(() => Schema({ type: String, foo: 1 })).to.throw(/Unknown configuration property: foo\.$/);
+        });
+
+        it('suggest a similar option', () => {
+            expect(() => Schema({ type: String, minLenght: 1 })).to.throw(/Unknown configuration property: minLenght. Did you mean minLength\?/);
+            expect(() => Schema({ type: Object, properties: { a: { requird: true } } })).to.throw(/Did you mean required\?/);
+        });
+
+        it('have config code and property', () => {
+            expect(() => Schema({ type: Number, maxi: 1 })).to.throw(Error).with.property('property', 'maxi');
+            expect(() => Schema({ type: Number, maxi: 1 })).to.throw(Error).with.property('code', 'ETCFG');
+        });
+
+        it('are options of other types', () => {
+            expect(() => Schema({ type: Number, minLength: 1 })).to.throw(/Unknown configuration property: minLength/);
+        });
+
+        it('include unknown constraints in errorMessages', () => {
+            expect(() => Schema({ type: Number, errorMessages: { mn: 'x' } })).to.throw(/Unknown constraint for property errorMessages: mn. Did you mean min\?/);
+            expect(() => Schema({ type: String, errorMessages: { min: 'x' } })).to.throw(Error).with.property('property', 'errorMessages.min');
+        });
+
+        it('are checked in nested schemas', () => {
+            expect(() => Schema({ type: Array, schema: { type: String, patern: /a/ } })).to.throw(/Did you mean pattern\?/);
+        });
+
+        it('may be options of other types in a general object schema', () => {
+            const schema = Schema({
+                type: Object,
+                properties: { a: { type: String }, b: { type: Number } },
+                schema: { minLength: 1, min: 0 }
+            });
+            expect(schema.properties.a.minLength).to.equal(1);
+            expect(schema.properties.b.min).to.equal(0);
+        });
+
+        it('are not checked for controllers that do not declare their options', () => {
+            const Typed = Schema.create();
+            function Foo() {}
+            Foo.register = { aliases: ['foo'] };
+            Typed.controllers.register(Foo);
+            expect(() => Typed({ type: 'foo', bar: 1 })).not.to.throw(Error);
+        });
+
+    });
+
     describe('validate', () => {
 
         it('can be a function', () => {
@@ -137,7 +272,7 @@ describe('Typed', () => {
 
         it('checks enum', () => {
             const item = Schema({ enum: ['abc'] });
-            expect(item.error('def')).to.match(/Expected one of/);
+            expect(item.error('def')).to.equal('Invalid value. Expected one of: [abc] Received: "def"');
         });
         
         it('checks type', () => {
@@ -157,6 +292,167 @@ describe('Typed', () => {
 
     });
 
+    describe('#errors', () => {
+
+        it('no errors', () => {
+            const item = Schema({ type: Number });
+            expect(item.errors(1)).to.deep.equal([]);
+        });
+
+        it('produces error objects', () => {
+            const item = Schema({ type: Number });
+            const errors = item.errors('a');
+            expect(errors.length).to.equal(1);
+            expect(errors[0].path).to.deep.equal([]);
+            expect(errors[0].code).to.equal('ETTYP');
+            expect(errors[0].message).to.match(/Expected a number/);
+            expect(errors[0].value).to.equal('a');
+            expect(errors[0].expected).to.equal('number');
+            expect(errors[0].schemaType).to.equal('number');
+        });
+
+        it('has enum code', () => {
+            const item = Schema({ enum: ['abc'] });
+            const errors = item.errors('def');
+            expect(errors[0].code).to.equal('ETENM');
+            expect(errors[0].expected).to.deep.equal(['abc']);
+        });
+
+        it('has validator code', () => {
+            const item = Schema({ validator: v => 'fail' });
+            const errors = item.errors('');
+            expect(errors[0].code).to.equal('ETVLD');
+            expect(errors[0].message).to.match(/fail/);
+        });
+
+        it('uses base path', () => {
+            const item = Schema({ type: Number });
+            const errors = item.errors('a', { path: ['x', 0] });
+            expect(errors[0].path).to.deep.equal(['x', 0]);
+        });
+
+        it('error string is built from error objects', () => {
+            const item = Schema({ type: Number });
+            expect(item.error('a', 'Foo: ')).to.equal('Foo: ' + item.errors('a')[0].message);
+        });
+
+        it('wraps string errors from controllers', () => {
+            const ctrl = Schema.controllers;
+            function Plugin() {}
+            Plugin.prototype.error = function(value, prefix) {
+                return value === 1 ? prefix + 'One is not allowed.' : null;
+            };
+            Plugin.register = { aliases: ['errors-plugin'], dependencies: [] };
+            ctrl.register(Plugin);
+            try {
+                const item = Schema({ type: 'errors-plugin' });
+                const errors = item.errors(1);
+                expect(errors.length).to.equal(1);
+                expect(errors[0].code).to.equal('ETINV');
+                expect(errors[0].message).to.equal('One is not allowed.');
+                expect(errors[0].schemaType).to.equal('errors-plugin');
+                expect(item.error(1, 'Foo: ')).to.equal('Foo: One is not allowed.');
+            } finally {
+                ctrl.delete('errors-plugin');
+            }
+        });
+
+    });
+
+    describe('all errors', () => {
+
+        it('stops at first error by default', () => {
+            const item = Schema({ enum: ['abc'], validator: v => false });
+            expect(item.errors('def').length).to.equal(1);
+        });
+
+        it('collects enum and validator errors', () => {
+            const item = Schema({ enum: ['abc'], validator: v => false });
+            const errors = item.errors('def', { allErrors: true });
+            expect(errors.map(e => e.code)).to.deep.equal(['ETENM', 'ETVLD']);
+        });
+
+        it('collects errors across the controller chain', () => {
+            const item = Schema({ type: Number, enum: [1, 2], max: 2, validator: v => v < 2 });
+            const errors = item.errors(3, { allErrors: true });
+            expect(errors.map(e => e.code)).to.deep.equal(['ETENM', 'ETVLD', 'ETMAX']);
+        });
+
+        it('stops chain at type error', () => {
+            const item = Schema({ type: Number, enum: [1] });
+            const errors = item.errors('a', { allErrors: true });
+            expect(errors.map(e => e.code)).to.deep.equal(['ETENM', 'ETTYP']);
+        });
+
+        it('can be set per schema', () => {
+            const item = Schema({ enum: ['abc'], validator: v => false, allErrors: true });
+            expect(item.allErrors).to.be.true;
+            expect(item.errors('def').length).to.equal(2);
+        });
+
+        it('lists each error in error string', () => {
+            const item = Schema({ enum: ['abc'], validator: v => 'Bad value.' });
+            const lines = item.error('def', '', { allErrors: true }).split('\n');
+            expect(lines.length).to.equal(2);
+            expect(lines[0]).to.match(/Expected one of/);
+            expect(lines[1]).to.match(/Bad value/);
+        });
+
+        it('validate throws all errors', () => {
+            const item = Schema({ enum: ['abc'], validator: v => false });
+            try {
+                item.validate('def', '', { allErrors: true });
+                throw Error('Expected error');
+            } catch (err) {
+                expect(err.errors.length).to.equal(2);
+            }
+        });
+
+        it('async collects errors', () => {
+            const item = Schema({ type: Number, enum: [1], validator: v => Promise.resolve(false), min: 5 });
+            return item.errorsAsync(2, { allErrors: true })
+                .then(errors => expect(errors.map(e => e.code)).to.deep.equal(['ETENM', 'ETVLD', 'ETMIN']));
+        });
+
+    });
+
+    describe('configuration errors', () => {
+
+        it('have config code', () => {
+            try {
+                Schema({ enum: 'hello' });
+                throw Error('Expected error');
+            } catch (err) {
+                expect(err.code).to.equal('ETCFG');
+            }
+        });
+
+        it('have config code for unknown types', () => {
+            expect(() => Schema({ type: 'abc' })).to.throw(Error).with.property('code', 'ETCFG');
+        });
+
+    });
+
+    describe('#hash', () => {
+
+        it('is unchanged by options with their default values', () => {
+            const hash = '73b8916aea594aa7e03e189313df91e76443f6db6641c382bfd4f81628502ed6';
+            expect(Schema({ type: Number, min: 1 }).hash()).to.equal(hash);
+            expect(Schema({ type: Number, min: 1, allErrors: false, coerce: false }).hash()).to.equal(hash);
+        });
+
+        it('is changed by options with other values', () => {
+            const hash = Schema({ type: Number, min: 1 }).hash();
+            expect(Schema({ type: Number, min: 1, allErrors: true }).hash()).not.to.equal(hash);
+            expect(Schema({ type: Number, min: 1, coerce: true }).hash()).not.to.equal(hash);
+        });
+
+        it('includes regular expressions', () => {
+            expect(Schema({ type: String, pattern: /a/ }).hash()).not.to.equal(Schema({ type: String, pattern: /b/ }).hash());
+        });
+
+    });
+
     describe('#normalize', () => {
 
         it('will not use default if not undefined', () => {
@@ -179,6 +475,83 @@ describe('Typed', () => {
 
     });
 
+    describe('#validateAsync', () => {
+
+        it('no error', () => {
+            const item = Schema({ validator: v => Promise.resolve(true) });
+            return item.validateAsync('');
+        });
+
+        it('validate error', () => {
+            const item = Schema({ validator: v => Promise.resolve(false) });
+            return item.validateAsync('')
+                .then(() => { throw Error('Expected error'); }, err => {
+                    expect(err.message).to.match(/Validator did not pass/);
+                    expect(err.errors[0].code).to.equal('ETVLD');
+                });
+        });
+
+        it('validate error with custom message', () => {
+            const item = Schema({ validator: v => Promise.resolve('Already taken') });
+            return item.validateAsync('')
+                .then(() => { throw Error('Expected error'); }, err => expect(err.message).to.match(/Already taken/));
+        });
+
+        it('rejected validator rejects', () => {
+            const item = Schema({ validator: v => Promise.reject(Error('Lookup failed')) });
+            return item.validateAsync('')
+                .then(() => { throw Error('Expected error'); }, err => expect(err.message).to.equal('Lookup failed'));
+        });
+
+        it('synchronous validator', () => {
+            const item = Schema({ type: Number, validator: v => v > 0 });
+            return item.validateAsync(-1)
+                .then(() => { throw Error('Expected error'); }, err => expect(err.message).to.match(/Validator did not pass/));
+        });
+
+        it('checks enum before validator', () => {
+            let called = false;
+            const item = Schema({ enum: ['abc'], validator: v => Promise.resolve(called = true) });
+            return item.errorsAsync('def')
+                .then(errors => {
+                    expect(errors[0].code).to.equal('ETENM');
+                    expect(called).to.be.false;
+                });
+        });
+
+        it('synchronous validate cannot use promise', () => {
+            const item = Schema({ validator: v => Promise.resolve(true) });
+            expect(() => item.validate('')).to.throw(/Use validateAsync or normalizeAsync/);
+        });
+
+    });
+
+    describe('#normalizeAsync', () => {
+
+        it('will use default if undefined', () => {
+            const item = Schema({ default: 'abc' });
+            return item.normalizeAsync()
+                .then(value => expect(value).to.equal('abc'));
+        });
+
+        it('will use async transform', () => {
+            const item = Schema({ transform: v => Promise.resolve(v.toUpperCase()) });
+            return item.normalizeAsync('abc')
+                .then(value => expect(value).to.equal('ABC'));
+        });
+
+        it('validates before transform', () => {
+            let called = false;
+            const item = Schema({ validator: v => Promise.resolve(false), transform: v => called = true });
+            return item.normalizeAsync('abc')
+                .then(() => { throw Error('Expected error'); }, err => {
+                    expect(err.message).to.match(/Validator did not pass/);
+                    expect(called).to.be.false;
+                });
+        });
+
+    });
+
     describe('#validate', () => {
 
         it('no error', () => {
@@ -191,6 +564,17 @@ describe('Typed', () => {
             expect(() => item.validate('')).to.throw(/Validator did not pass/);
         });
 
+        it('validate error has error objects', () => {
+            const item = Schema({ validator: v => false });
+            try {
+                item.validate('');
+                throw Error('Expected error');
+            } catch (err) {
+                expect(err.errors.length).to.equal(1);
+                expect(err.errors[0].code).to.equal('ETVLD');
+            }
+        });
+
     });
 
 });
\ No newline at end of file
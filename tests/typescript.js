@@ -0,0 +1,149 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const childProcess      = require('child_process');
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
+const Schema            = require('../index');
+
+describe('TypeScript', () => {
+
+    describe('#toTypeScript', () => {
+
+        it('requires a valid name', () => {
+            expect(() => Schema({ type: Number }).toTypeScript('my type')).to.throw(/valid identifier/);
+        });
+
+        it('primitives', () => {
+            expect(Schema({ type: Boolean }).toTypeScript('A')).to.equal('export type A = boolean;\n');
+            expect(Schema({ type: Date }).toTypeScript('A')).to.equal('export type A = Date;\n');
+            expect(Schema({ type: Number }).toTypeScript('A')).to.equal('export type A = number;\n');
+            expect(Schema({ type: String }).toTypeScript('A')).to.equal('export type A = string;\n');
+            expect(Schema({ type: Symbol }).toTypeScript('A')).to.equal('export type A = symbol;\n');
+            expect(Schema({}).toTypeScript('A')).to.equal('export type A = any;\n');
+        });
+
+        it('enum', () => {
+            expect(Schema({ type: String, enum: ['a', 'b'] }).toTypeScript('A')).to.equal('export type A = "a" | "b";\n');
+        });
+
+        it('one-of', () => {
+            const schema = Schema({ type: 'one-of', oneOf: [{ type: Number }, { type: String }] });
+            expect(schema.toTypeScript('A')).to.equal('export type A = number | string;\n');
+        });
+
+        it('all-of', () => {
+            const schema = Schema({ type: 'all-of', allOf: [{ type: Object, allowNull: false, properties: { a: { type: String, required: true } } }, { type: Object }] });
+            expect(schema.toTypeScript('A')).to.equal('export type A = {\n    a: string;\n} & ({\n    [key: string]: any;\n} | null);\n');
+        });
+
+        it('array', () => {
+            expect(Schema({ type: Array, schema: { type: Number } }).toTypeScript('A')).to.equal('export type A = number[];\n');
+            expect(Schema({ type: Array, schema: { type: 'one-of', oneOf: [{ type: Number }, { type: String }] } }).toTypeScript('A'))
+                .to.equal('export type A = Array<number | string>;\n');
+        });
+
+        it('function', () => {
+            expect(Schema({ type: Function, minArguments: 1, maxArguments: 2 }).toTypeScript('A'))
+                .to.equal('export type A = (arg0: any, arg1?: any) => any;\n');
+            expect(Schema({ type: Function }).toTypeScript('A')).to.equal('export type A = (...args: any[]) => any;\n');
+        });
+
+        it('function kind', () => {
+            expect(Schema({ type: Function, kind: 'async', maxArguments: 1 }).toTypeScript('A'))
+                .to.equal('export type A = (arg0?: any) => Promise<any>;\n');
+            expect(Schema({ type: Function, kind: ['class', 'generator', 'async-generator'], maxArguments: 0 }).toTypeScript('A'))
+                .to.equal('export type A = (new () => any) | (() => Generator) | (() => AsyncGenerator);\n');
+            expect(Schema({ type: 'all-of', allOf: [{ type: Function, kind: 'async', maxArguments: 0 }, { validator: () => true }] }).toTypeScript('A'))
+                .to.equal('export type A = () => Promise<any>;\n');
+        });
+
+        it('object', () => {
+            const schema = Schema({
+                type: Object,
+                properties: {
+                    id: { type: Number, required: true },
+                    'first-name': { type: String },
+                    role: { type: String, default: 'user' },
+                    address: { type: Object, allowNull: false, properties: { zip: { type: String } } }
+                }
+            });
+            expect(schema.toTypeScript('Person')).to.equal('export type Person = {\n' +
+                '    id: number;\n' +
+                '    "first-name"?: string;\n' +
+                '    role: string;\n' +
+                '    address?: {\n' +
+                '        zip?: string;\n' +
+                '    };\n' +
+                '} | null;\n');
+        });
+
+        it('object with schema', () => {
+            const schema = Schema({ type: Object, allowNull: false, schema: { type: Number } });
+            expect(schema.toTypeScript('A')).to.equal('export type A = {\n    [key: string]: number;\n};\n');
+        });
+
+        it('definitions', () => {
+            const schema = Schema({
+                type: Object,
+                allowNull: false,
+                definitions: { 'tree-node': { type: Object, allowNull: false, properties: { children: { type: Array, schema: { $ref: 'tree-node' } } } } },
+                properties: { root: { $ref: 'tree-node', required: true } }
+            });
+            expect(schema.toTypeScript('Tree')).to.equal(
+                'export type Tree = {\n' +
+                '    root: TreeNode;\n' +
+                '};\n' +
+                '\n' +
+                'export type TreeNode = {\n' +
+                '    children?: TreeNode[];\n' +
+                '};\n');
+        });
+
+    });
+
+    describe('cli', () => {
+        const cli = path.resolve(__dirname, '../cli/typescript.js');
+        const fixture = path.resolve(__dirname, 'fixtures/schemas.js');
+
+        it('writes declarations to stdout', () => {
+            const result = childProcess.spawnSync(process.execPath, [cli, fixture], { encoding: 'utf8' });
+            expect(result.status).to.equal(0);
+            expect(result.stdout).to.equal('export type Id = number;\n\n' +
+                'export type User = {\n    id: number;\n    name?: string;\n};\n');
+        });
+
+        it('writes declarations to a file', () => {
+            const output = path.resolve(os.tmpdir(), 'fully-typed-' + process.pid + '.d.ts');
+            const result = childProcess.spawnSync(process.execPath, [cli, fixture, output], { encoding: 'utf8' });
+            const content = fs.readFileSync(output, 'utf8');
+            fs.unlinkSync(output);
+            expect(result.status).to.equal(0);
+            expect(content).to.match(/^export type Id = number;/);
+        });
+
+        it('fails without schemas', () => {
+            const result = childProcess.spawnSync(process.execPath, [cli, path.resolve(__dirname, '../bin/util.js')], { encoding: 'utf8' });
+            expect(result.status).to.equal(1);
+            expect(result.stderr).to.match(/does not export any schemas/);
+        });
+
+    });
+
+});
\ No newline at end of file